@@ -1,278 +1,355 @@
 /**
  * Vmize Analytics Tracker
  * Real-time API usage tracking and analytics
+ *
+ * Events are buffered and written in batches to an append-only event store
+ * (services/analyticsStore), which also keeps hourly and daily rollups. Summaries and
+ * charts are computed from the rollups; session funnels read the raw events for the
+ * requested range.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const { createStore } = require('./services/analyticsStore');
+const {
+    bucketStart,
+    buildIncrements,
+    safeEventName,
+    totalsByBucket,
+    totalsByCustomer
+} = require('./services/analyticsRollups');
+const { FUNNEL_STEPS, computeFunnel } = require('./services/analyticsFunnel');
+
+const BATCH_SIZE = Number(process.env.ANALYTICS_BATCH_SIZE || 100);
+const FLUSH_INTERVAL_MS = Number(process.env.ANALYTICS_FLUSH_INTERVAL_MS || 1000);
+const PRUNE_INTERVAL_MS = Number(process.env.ANALYTICS_PRUNE_INTERVAL_MS || 60 * 60 * 1000);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rollup event names counted for a funnel step (see services/analyticsFunnel.js)
+function stepEvents(step) {
+    return FUNNEL_STEPS.find(candidate => candidate.step === step).events.map(safeEventName);
+}
+
+const CONVERSION_EVENTS = {
+    tryons: stepEvents('result'),
+    addedToCart: stepEvents('add_to_cart'),
+    purchases: stepEvents('purchase')
+};
+
+function percent(numerator, denominator) {
+    return denominator > 0 ? Math.round(numerator / denominator * 1000) / 10 : 0;
+}
+
+// Retention (days) for raw events and each rollup granularity
+const RETENTION = {
+    events: Number(process.env.ANALYTICS_EVENT_RETENTION_DAYS || 90),
+    hourly: Number(process.env.ANALYTICS_HOURLY_RETENTION_DAYS || 14),
+    daily: Number(process.env.ANALYTICS_DAILY_RETENTION_DAYS || 730)
+};
+
+const DEFAULT_EVENT_COUNTS = {
+    tryon_initiated: 0,
+    photo_uploaded: 0,
+    result_generated: 0,
+    result_viewed: 0,
+    add_to_cart: 0,
+    purchase: 0,
+    api_error: 0
+};
+
+function newId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Keep enough of the key to tell keys apart in the activity feed
+function maskApiKey(apiKey) {
+    if (!apiKey) return undefined;
+    return apiKey.length > 16 ? `${apiKey.slice(0, 16)}…` : apiKey;
+}
 
 class AnalyticsTracker {
-    constructor() {
-        this.dataFile = path.join(__dirname, 'analytics-data.json');
-        this.data = {
-            apiCalls: [],
-            customers: {},
-            dailyStats: {},
-            eventCounts: {
-                tryon_initiated: 0,
-                photo_uploaded: 0,
-                result_generated: 0,
-                result_viewed: 0,
-                add_to_cart: 0,
-                purchase: 0,
-                api_error: 0
-            },
-            revenue: 0,
-            startDate: new Date().toISOString()
-        };
-        this.loadData();
+    constructor({ store } = {}) {
+        this.store = store || createStore();
+        this.pending = [];
+        this.flushing = null;
+        this.ready = this.store.init()
+            .then(() => {
+                console.log(`📊 Analytics store ready (${this.store.name})`);
+                return this.prune();
+            })
+            .catch(error => console.error('❌ Error opening analytics store:', error.message));
+
+        this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+        this.flushTimer.unref();
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
     }
 
-    async loadData() {
-        try {
-            const fileData = await fs.readFile(this.dataFile, 'utf8');
-                this.data = JSON.parse(fileData);
-                // Restore Set for uniqueCustomers in dailyStats
-                if (this.data.dailyStats) {
-                    for (const dateKey of Object.keys(this.data.dailyStats)) {
-                        const day = this.data.dailyStats[dateKey];
-                        if (day && day.uniqueCustomers && !(day.uniqueCustomers instanceof Set)) {
-                            day.uniqueCustomers = new Set(day.uniqueCustomers);
-                        }
-                    }
-                }
-                console.log('📊 Analytics data loaded');
-        } catch (error) {
-            console.log('📊 Starting fresh analytics tracking');
-            await this.saveData();
+    enqueue(event) {
+        this.pending.push(event);
+        if (this.pending.length >= BATCH_SIZE) {
+            this.flush();
         }
     }
 
-    async saveData() {
+    // Write buffered events and fold them into the rollups. Flushes run one after
+    // another so a read that flushes first sees every earlier batch.
+    flush() {
+        this.flushing = (this.flushing || this.ready).then(() => this.writePending());
+        return this.flushing;
+    }
+
+    async writePending() {
+        while (this.pending.length) {
+            const batch = this.pending.splice(0, BATCH_SIZE);
+            try {
+                await this.store.append(batch);
+            } catch (error) {
+                // Keep the batch for the next flush rather than losing it
+                this.pending.unshift(...batch);
+                console.error('❌ Error saving analytics:', error.message);
+                return;
+            }
+            try {
+                await this.store.applyRollups(buildIncrements(batch));
+            } catch (error) {
+                console.error('❌ Error updating analytics rollups:', error.message);
+            }
+        }
+    }
+
+    async prune() {
+        const now = Date.now();
         try {
-            await fs.writeFile(this.dataFile, JSON.stringify(this.data, null, 2));
+            await this.store.prune({
+                eventsBefore: new Date(now - RETENTION.events * DAY_MS),
+                hourlyBefore: new Date(now - RETENTION.hourly * DAY_MS),
+                dailyBefore: new Date(now - RETENTION.daily * DAY_MS)
+            });
         } catch (error) {
-            console.error('❌ Error saving analytics:', error);
+            console.error('❌ Error pruning analytics:', error.message);
         }
     }
 
     // Track API Call
     async trackApiCall(data) {
-        const timestamp = new Date();
-        const dateKey = timestamp.toISOString().split('T')[0];
-        
         const apiCall = {
-            id: `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: newId('call'),
+            type: 'api_call',
+            name: 'api_call',
             customerId: data.customerId || 'unknown',
-            apiKey: data.apiKey,
+            apiKey: maskApiKey(data.apiKey),
             endpoint: data.endpoint,
             method: data.method,
             status: data.status,
             duration: data.duration,
-            timestamp: timestamp.toISOString(),
+            timestamp: new Date().toISOString(),
             productId: data.productId,
             error: data.error
         };
 
-        // Store API call
-        this.data.apiCalls.push(apiCall);
-
-        // Update customer stats
-        if (!this.data.customers[data.customerId]) {
-            this.data.customers[data.customerId] = {
-                totalCalls: 0,
-                successfulCalls: 0,
-                failedCalls: 0,
-                totalDuration: 0,
-                firstSeen: timestamp.toISOString(),
-                lastSeen: timestamp.toISOString(),
-                revenue: 0
-            };
-        }
-
-        const customer = this.data.customers[data.customerId];
-        customer.totalCalls++;
-        customer.totalDuration += data.duration;
-        customer.lastSeen = timestamp.toISOString();
-
-        if (data.status === 'success' || data.status === 200) {
-            customer.successfulCalls++;
-        } else {
-            customer.failedCalls++;
-        }
+        this.enqueue(apiCall);
 
-        // Update daily stats
-        if (!this.data.dailyStats[dateKey]) {
-            this.data.dailyStats[dateKey] = {
-                totalCalls: 0,
-                successfulCalls: 0,
-                failedCalls: 0,
-                uniqueCustomers: new Set(),
-                revenue: 0
-            };
-        }
-
-        this.data.dailyStats[dateKey].totalCalls++;
-        this.data.dailyStats[dateKey].uniqueCustomers.add(data.customerId);
-
-        if (data.status === 'success' || data.status === 200) {
-            this.data.dailyStats[dateKey].successfulCalls++;
-        } else {
-            this.data.dailyStats[dateKey].failedCalls++;
-        }
+        console.log(`📊 Tracked: ${data.endpoint} for ${apiCall.customerId} - ${data.status}`);
 
-        await this.saveData();
-        
-        console.log(`📊 Tracked: ${data.endpoint} for ${data.customerId} - ${data.status}`);
-        
         return apiCall;
     }
 
     // Track Event
     async trackEvent(eventName, data = {}) {
-        const timestamp = new Date();
-        const dateKey = timestamp.toISOString().split('T')[0];
-
-        // Increment event count
-        if (this.data.eventCounts[eventName] !== undefined) {
-            this.data.eventCounts[eventName]++;
-        } else {
-            this.data.eventCounts[eventName] = 1;
-        }
+        const { customerId, productId, revenue, ...rest } = data;
+        const properties = rest.properties || {};
 
-        // Track revenue
-        if (data.revenue) {
-            this.data.revenue += data.revenue;
-            
-            if (data.customerId && this.data.customers[data.customerId]) {
-                this.data.customers[data.customerId].revenue += data.revenue;
-            }
+        const event = {
+            id: newId('evt'),
+            type: 'event',
+            name: eventName,
+            customerId: customerId || 'unknown',
+            productId: productId || properties.productId || properties.product_id,
+            sessionId: rest.sessionId || rest.session_id || properties.session_id || undefined,
+            revenue: Number(revenue) || undefined,
+            timestamp: new Date().toISOString(),
+            data: rest
+        };
 
-            if (this.data.dailyStats[dateKey]) {
-                this.data.dailyStats[dateKey].revenue += data.revenue;
-            }
-        }
+        this.enqueue(event);
 
-        await this.saveData();
-        
         console.log(`📊 Event tracked: ${eventName}`, data);
+
+        return event;
     }
 
-    // Get Analytics Summary
-    getAnalyticsSummary() {
-        const last30Days = this.getLast30DaysData();
-        const totalCalls = this.data.apiCalls.length;
-        const uniqueCustomers = Object.keys(this.data.customers).length;
-        
+    // Get Analytics Summary (one customer's when `customerId` is given, otherwise all)
+    async getAnalyticsSummary({ customerId } = {}) {
+        await this.flush();
+        const daily = await this.store.getRollups({ granularity: 'day', customerId });
+        const customers = totalsByCustomer(daily);
+
+        let totalCalls = 0;
         let successfulCalls = 0;
         let totalDuration = 0;
+        let revenue = 0;
+        let uniqueCustomers = 0;
 
-        this.data.apiCalls.forEach(call => {
-            if (call.status === 'success' || call.status === 200) {
-                successfulCalls++;
-            }
-            totalDuration += call.duration || 0;
-        });
+        for (const customer of customers.values()) {
+            totalCalls += customer.calls;
+            successfulCalls += customer.successfulCalls;
+            totalDuration += customer.totalDuration;
+            revenue += customer.revenue;
+            if (customer.calls > 0) uniqueCustomers++;
+        }
 
         const successRate = totalCalls > 0 ? (successfulCalls / totalCalls * 100).toFixed(2) : 0;
         const avgDuration = totalCalls > 0 ? (totalDuration / totalCalls).toFixed(2) : 0;
 
+        const recentCalls = await this.store.readEvents({ type: 'api_call', customerId, limit: 10, newestFirst: true });
+
         return {
             totalApiCalls: totalCalls,
             uniqueCustomers,
             successRate: `${successRate}%`,
             avgResponseTime: `${avgDuration}ms`,
-            totalRevenue: this.data.revenue.toFixed(2),
-            eventCounts: this.data.eventCounts,
-            last30Days,
-            topCustomers: this.getTopCustomers(5),
-            recentCalls: this.data.apiCalls.slice(-10).reverse()
+            totalRevenue: revenue.toFixed(2),
+            eventCounts: this.sumEventCounts(daily),
+            last30Days: await this.getLast30DaysData({ customerId }),
+            last24Hours: await this.getLast24HoursData({ customerId }),
+            topCustomers: this.rankCustomers(customers, 5),
+            recentCalls: recentCalls.map(({ type, name, ...call }) => call)
         };
     }
 
     // Get Last 30 Days Data
-    getLast30DaysData() {
-        const days = [];
-        const now = new Date();
-        
-        for (let i = 29; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            const dateKey = date.toISOString().split('T')[0];
-            
-            const dayData = this.data.dailyStats[dateKey];
-            
-            days.push({
-                date: dateKey,
-                calls: dayData?.totalCalls || 0,
-                successful: dayData?.successfulCalls || 0,
-                failed: dayData?.failedCalls || 0,
-                customers: dayData?.uniqueCustomers?.size || 0,
-                revenue: dayData?.revenue || 0
+    async getLast30DaysData(filters = {}) {
+        return this.getSeries('day', 30, filters);
+    }
+
+    // Get Last 24 Hours Data (hourly rollups)
+    async getLast24HoursData(filters = {}) {
+        return this.getSeries('hour', 24, filters);
+    }
+
+    async getSeries(granularity, count, { customerId } = {}) {
+        await this.flush();
+        const stepMs = granularity === 'hour' ? 60 * 60 * 1000 : DAY_MS;
+        const now = Date.now();
+        const from = bucketStart(now - (count - 1) * stepMs, granularity);
+        const totals = totalsByBucket(await this.store.getRollups({ granularity, from, customerId }));
+
+        const series = [];
+        for (let i = count - 1; i >= 0; i--) {
+            const bucket = bucketStart(now - i * stepMs, granularity);
+            const total = totals.get(bucket);
+            const label = granularity === 'hour' ? { hour: bucket } : { date: bucket.slice(0, 10) };
+            series.push({
+                ...label,
+                calls: total?.calls || 0,
+                successful: total?.successfulCalls || 0,
+                failed: total?.failedCalls || 0,
+                customers: total?.customers || 0,
+                revenue: total?.revenue || 0
             });
         }
-        
-        return days;
+        return series;
     }
 
     // Get Top Customers
-    getTopCustomers(limit = 5) {
-        return Object.entries(this.data.customers)
-            .map(([id, data]) => ({
-                customerId: id,
-                ...data,
-                successRate: data.totalCalls > 0 
-                    ? (data.successfulCalls / data.totalCalls * 100).toFixed(2) + '%'
+    async getTopCustomers(limit = 5, { customerId } = {}) {
+        await this.flush();
+        const daily = await this.store.getRollups({ granularity: 'day', customerId });
+        return this.rankCustomers(totalsByCustomer(daily), limit);
+    }
+
+    rankCustomers(customers, limit) {
+        return [...customers.values()]
+            .filter(customer => customer.calls > 0)
+            .map(customer => ({
+                customerId: customer.customerId,
+                totalCalls: customer.calls,
+                successfulCalls: customer.successfulCalls,
+                failedCalls: customer.failedCalls,
+                totalDuration: customer.totalDuration,
+                firstSeen: customer.firstSeen,
+                lastSeen: customer.lastSeen,
+                revenue: customer.revenue,
+                successRate: customer.calls > 0
+                    ? (customer.successfulCalls / customer.calls * 100).toFixed(2) + '%'
                     : '0%'
             }))
             .sort((a, b) => b.totalCalls - a.totalCalls)
             .slice(0, limit);
     }
 
-    // Get Conversion Funnel
-    getConversionFunnel() {
-        const events = this.data.eventCounts;
-        
+    // Try-on results, add-to-carts, purchases and revenue per customer from the daily
+    // rollups, for customers with any of them in [from, to)
+    async getCustomerConversions({ from, to, customerId } = {}) {
+        await this.flush();
+        const daily = await this.store.getRollups({ granularity: 'day', from, to, customerId });
+        const conversions = [];
+
+        for (const customer of totalsByCustomer(daily).values()) {
+            const count = names => names.reduce((sum, name) => sum + (customer.events[name] || 0), 0);
+            const tryons = count(CONVERSION_EVENTS.tryons);
+            const addedToCart = count(CONVERSION_EVENTS.addedToCart);
+            const purchases = count(CONVERSION_EVENTS.purchases);
+            if (!tryons && !addedToCart && !purchases) continue;
+            conversions.push({
+                customerId: customer.customerId,
+                tryons,
+                addedToCart,
+                purchases,
+                revenue: Math.round(customer.revenue * 100) / 100,
+                addToCartRate: percent(addedToCart, tryons),
+                purchaseRate: percent(purchases, addedToCart),
+                conversionRate: percent(purchases, tryons)
+            });
+        }
+        return conversions;
+    }
+
+    sumEventCounts(rollups) {
+        const counts = { ...DEFAULT_EVENT_COUNTS };
+        for (const rollup of rollups) {
+            for (const [name, count] of Object.entries(rollup.events)) {
+                counts[name] = (counts[name] || 0) + count;
+            }
+        }
+        return counts;
+    }
+
+    // Get Conversion Funnel: sessions reaching each step, optionally scoped to a
+    // customer, product and date range (see services/analyticsFunnel.js)
+    async getConversionFunnel(filters = {}) {
+        await this.flush();
+        const { customerId, productId, from, to } = filters;
+        const events = await this.store.readEvents({ type: 'event', customerId, from, to });
+
         return {
-            productView: events.tryon_initiated || 0,
-            tryonClick: events.tryon_initiated || 0,
-            photoUpload: events.photo_uploaded || 0,
-            resultViewed: events.result_viewed || 0,
-            addToCart: events.add_to_cart || 0,
-            purchase: events.purchase || 0,
-            
-            // Conversion rates
-            uploadRate: this.calculateRate(events.photo_uploaded, events.tryon_initiated),
-            viewRate: this.calculateRate(events.result_viewed, events.photo_uploaded),
-            cartRate: this.calculateRate(events.add_to_cart, events.result_viewed),
-            purchaseRate: this.calculateRate(events.purchase, events.add_to_cart)
+            ...computeFunnel(events, { productId }),
+            filters: {
+                customerId: customerId || null,
+                productId: productId || null,
+                from: from ? new Date(from).toISOString() : null,
+                to: to ? new Date(to).toISOString() : null
+            }
         };
     }
 
-    calculateRate(numerator, denominator) {
-        if (!denominator || denominator === 0) return '0%';
-        return ((numerator / denominator) * 100).toFixed(1) + '%';
+    // Raw events, oldest first, read lazily from the store (data exports)
+    async *streamEvents(query = {}) {
+        await this.flush();
+        yield* this.store.streamEvents(query);
+    }
+
+    // Erase raw events (data subject requests). Rollups only hold counts, so they stay.
+    async deleteEvents(query) {
+        await this.flush();
+        return this.store.deleteEvents(query);
     }
 
     // Reset Analytics (for testing)
     async reset() {
-        this.data = {
-            apiCalls: [],
-            customers: {},
-            dailyStats: {},
-            eventCounts: {
-                tryon_initiated: 0,
-                photo_uploaded: 0,
-                result_generated: 0,
-                result_viewed: 0,
-                add_to_cart: 0,
-                purchase: 0,
-                api_error: 0
-            },
-            revenue: 0,
-            startDate: new Date().toISOString()
-        };
-        await this.saveData();
+        this.pending = [];
+        // Let an in-flight batch land before clearing so it cannot reappear
+        await this.flush();
+        await this.store.clear();
         console.log('📊 Analytics reset');
     }
 }
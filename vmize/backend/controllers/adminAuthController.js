@@ -0,0 +1,161 @@
+/**
+ * Admin Auth Controller
+ * Admin dashboard sign-in, TOTP enrollment, the admin's own session and password,
+ * admin account management (owners) and the audit log. The rules live in
+ * services/adminAuth and services/auditLog.
+ */
+
+const adminAuth = require('../services/adminAuth');
+const auditLog = require('../services/auditLog');
+
+function sendError(res, err, label) {
+  if (!err.statusCode) console.error(`❌ Admin ${label} error:`, err);
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.statusCode || 500).json({ success: false, message: err.message, ...(err.details || {}) });
+}
+
+// =====================================
+// SIGN-IN & SESSION
+// =====================================
+
+// POST /admin/login { username, password, code }
+async function login(req, res) {
+  try {
+    const result = await adminAuth.login(req.body || {}, { ip: req.ip, userAgent: req.get('user-agent') });
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err, 'login');
+  }
+}
+
+// POST /admin/logout
+async function logout(req, res) {
+  try {
+    await adminAuth.logout(req.admin);
+    res.json({ success: true, message: 'Signed out' });
+  } catch (err) {
+    sendError(res, err, 'logout');
+  }
+}
+
+// GET /admin/session - who is signed in, what they may do, and when the session ends
+function getSession(req, res) {
+  const { adminId, username, role, totpVerified, expiresAt, idleExpiresAt } = req.admin;
+  res.json({
+    success: true,
+    data: {
+      admin: { id: adminId, username, role },
+      permissions: adminAuth.permissionsFor(role),
+      enrollmentRequired: !totpVerified,
+      expiresAt,
+      idleExpiresAt
+    }
+  });
+}
+
+// POST /admin/password { currentPassword, newPassword } - ends the admin's other sessions
+async function changePassword(req, res) {
+  try {
+    await adminAuth.changePassword(req.admin, req.body || {});
+    res.json({ success: true, message: 'Password updated' });
+  } catch (err) {
+    sendError(res, err, 'password');
+  }
+}
+
+// =====================================
+// TOTP ENROLLMENT
+// =====================================
+
+// POST /admin/totp/setup - { secret, otpauthUrl } for the authenticator app
+async function beginTotpSetup(req, res) {
+  try {
+    res.json({ success: true, data: await adminAuth.beginTotpSetup(req.admin) });
+  } catch (err) {
+    sendError(res, err, 'totp setup');
+  }
+}
+
+// POST /admin/totp/verify { code }
+async function confirmTotpSetup(req, res) {
+  try {
+    const admin = await adminAuth.confirmTotpSetup(req.admin, req.body?.code);
+    res.json({ success: true, data: { admin } });
+  } catch (err) {
+    sendError(res, err, 'totp verify');
+  }
+}
+
+// =====================================
+// ADMIN ACCOUNTS (owners)
+// =====================================
+
+// GET /admin/users
+async function listAdmins(req, res) {
+  try {
+    res.json({ success: true, data: { admins: await adminAuth.listAdmins(), roles: adminAuth.ROLE_PERMISSIONS } });
+  } catch (err) {
+    sendError(res, err, 'list users');
+  }
+}
+
+// POST /admin/users { username, email, name, role, password } - TOTP is set up on first sign-in
+async function createAdmin(req, res) {
+  try {
+    const { username, email, name, role, password } = req.body || {};
+    const admin = await adminAuth.createAdmin({ username, email, name, role, password }, req.admin.username);
+    res.status(201).json({ success: true, data: { admin } });
+  } catch (err) {
+    sendError(res, err, 'create user');
+  }
+}
+
+// PATCH /admin/users/:id { role, disabled, name, email }
+async function updateAdmin(req, res) {
+  try {
+    const { role, disabled, name, email } = req.body || {};
+    const admin = await adminAuth.updateAdmin(req.params.id, { role, disabled, name, email });
+    res.json({ success: true, data: { admin } });
+  } catch (err) {
+    sendError(res, err, 'update user');
+  }
+}
+
+// POST /admin/users/:id/reset-totp - for a lost authenticator
+async function resetAdminTotp(req, res) {
+  try {
+    const admin = await adminAuth.resetTotp(req.params.id);
+    res.json({ success: true, data: { admin } });
+  } catch (err) {
+    sendError(res, err, 'reset totp');
+  }
+}
+
+// =====================================
+// AUDIT LOG
+// =====================================
+
+// GET /admin/audit-log?adminId=&action=&outcome=&customerId=&from=&to=&page=&limit=
+async function listAuditLog(req, res) {
+  try {
+    const { adminId, action, outcome, customerId, from, to, page, limit } = req.query;
+    const result = await auditLog.list({ adminId, action, outcome, customerId, from, to, page, limit });
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err, 'audit log');
+  }
+}
+
+module.exports = {
+  login,
+  logout,
+  getSession,
+  changePassword,
+  beginTotpSetup,
+  confirmTotpSetup,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+  resetAdminTotp,
+  listAuditLog
+};
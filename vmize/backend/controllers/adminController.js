@@ -0,0 +1,418 @@
+/**
+ * Admin Controller
+ * The admin dashboard's data: platform overview, the customer directory (search,
+ * filters, sorting, pagination), customer details and deletion, upsell candidates and
+ * emails, monthly usage, per-customer conversions and the try-on gallery.
+ *
+ * Totals come from database aggregations (services/customers, the analytics rollups);
+ * nothing here loads every customer into memory. Conversions hold one rollup row per
+ * customer with activity in the range; lists are paginated before customer names are
+ * looked up, in one query per page. Permissions are checked per route in
+ * routes/adminApi.js.
+ */
+
+const Customer = require('../models/Customer');
+const customers = require('../services/customers');
+const tryonJobs = require('../services/tryonJobs');
+const privacy = require('../services/privacy');
+const plans = require('../services/plans');
+const stripeService = require('../services/stripeService');
+const authTokens = require('../services/authTokens');
+const email = require('../services/email');
+const { parseFunnelFilters } = require('../services/analyticsFunnel');
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const CONVERSION_SORT_FIELDS = ['tryons', 'addedToCart', 'purchases', 'revenue', 'conversionRate'];
+const MAX_PAGE_SIZE = 100;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function sendError(res, err, label) {
+  if (!err.statusCode) console.error(`❌ Admin ${label} error:`, err);
+  res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : `Failed to load ${label}` });
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function paginate(items, { page, limit }) {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), MAX_PAGE_SIZE);
+  return {
+    items: items.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+    pagination: { page: pageNumber, limit: pageSize, total: items.length, pages: Math.ceil(items.length / pageSize) }
+  };
+}
+
+function planSummary(plan) {
+  return { id: plan.id, name: plan.name, price: plan.price, included: plan.included };
+}
+
+// One row of the customer directory (works for documents and aggregation results)
+function customerRow({ customer, usagePercent }) {
+  const keys = customer.apiKeys || [];
+  const lastUsed = keys.map(key => key.lastUsedAt).filter(Boolean).sort((a, b) => b - a)[0];
+  return {
+    id: String(customer._id),
+    email: customer.email,
+    name: customer.name,
+    companyName: customer.companyName,
+    plan: customer.plan,
+    subscriptionStatus: customer.subscriptionStatus,
+    emailVerified: Boolean(customer.emailVerified),
+    activeKeys: keys.filter(key => key.status === 'active').length,
+    usage: {
+      tryons: customer.usage?.currentMonth?.tryons || 0,
+      apiCalls: customer.usage?.currentMonth?.apiCalls || 0,
+      limit: plans.getPlan(customer.plan).included,
+      percent: round(usagePercent)
+    },
+    lastActiveAt: lastUsed || null,
+    createdAt: customer.createdAt
+  };
+}
+
+function tryonRow(job, names) {
+  const customerId = job.customerId ? String(job.customerId) : null;
+  return {
+    id: String(job._id),
+    customerId,
+    customer: names.get(customerId) || null,
+    productId: job.productId || null,
+    sessionId: job.sessionId || null,
+    status: job.status,
+    provider: job.provider,
+    testMode: Boolean(job.testMode),
+    resultImageUrl: job.resultImageUrl || null,
+    error: job.error || null,
+    durationMs: job.durations?.totalMs ?? null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
+    imagesPurgedAt: job.imagesPurgedAt?.results || null
+  };
+}
+
+// ?plan=&status= validated against the catalog and the model
+function parseCustomerFilters({ plan, status }) {
+  if (plan && !plans.PLAN_IDS.includes(plan)) {
+    throw httpError(400, `plan must be one of: ${plans.PLAN_IDS.join(', ')}`);
+  }
+  if (status && !Customer.SUBSCRIPTION_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of: ${Customer.SUBSCRIPTION_STATUSES.join(', ')}`);
+  }
+  return { plans: plan ? [plan] : undefined, status: status || undefined };
+}
+
+// =====================================
+// OVERVIEW
+// =====================================
+
+// GET /stats/overview - customers by plan and status, this month's usage and MRR
+async function getOverview(req, res) {
+  try {
+    const groups = await customers.summarizeCustomers();
+    const byPlan = Object.fromEntries(plans.PLAN_IDS.map(id => [id, { customers: 0, active: 0, tryons: 0 }]));
+    const byStatus = Object.fromEntries(Customer.SUBSCRIPTION_STATUSES.map(status => [status, 0]));
+    let totalCustomers = 0;
+    let tryons = 0;
+    let apiCalls = 0;
+    let monthlyRecurringRevenue = 0;
+
+    for (const group of groups) {
+      const plan = plans.getPlan(group.plan);
+      byPlan[plan.id].customers += group.customers;
+      byPlan[plan.id].tryons += group.tryons;
+      byStatus[group.status] = (byStatus[group.status] || 0) + group.customers;
+      totalCustomers += group.customers;
+      tryons += group.tryons;
+      apiCalls += group.apiCalls;
+      if (group.status === 'active') {
+        byPlan[plan.id].active += group.customers;
+        monthlyRecurringRevenue += group.customers * plan.price;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        totalCustomers,
+        activeSubscriptions: byStatus.active,
+        byPlan,
+        byStatus,
+        currentMonth: { tryons, apiCalls },
+        monthlyRecurringRevenue,
+        timestamp: new Date()
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'overview');
+  }
+}
+
+// =====================================
+// CUSTOMERS
+// =====================================
+
+// GET /customers?search=&plan=&status=&nearLimit=true&sort=&order=&page=&limit=
+async function listCustomers(req, res) {
+  try {
+    const { search, nearLimit, sort, order, page, limit } = req.query;
+    const { rows, pagination } = await customers.searchCustomers({
+      ...parseCustomerFilters(req.query),
+      search,
+      nearLimit: nearLimit === 'true',
+      sort,
+      order,
+      page,
+      limit
+    });
+    res.json({ success: true, data: { customers: rows.map(customerRow), pagination } });
+  } catch (err) {
+    sendError(res, err, 'customers');
+  }
+}
+
+// GET /customers/:customerId?page=&limit= - the customer and their try-on history
+async function getCustomer(req, res) {
+  try {
+    const customer = await customers.getCustomer(req.params.customerId);
+    if (!customer) throw httpError(404, 'Customer not found');
+    const { page, limit } = req.query;
+    const { jobs, pagination } = await tryonJobs.listJobs({ customerId: customer._id, page, limit });
+    const names = new Map([[String(customer._id), { email: customer.email, companyName: customer.companyName || null }]]);
+    res.json({
+      success: true,
+      data: {
+        customer: customer.toJSON(),
+        summary: customerRow({ customer, usagePercent: customer.usage.currentMonth.tryons / customer.getPlanLimit() * 100 }),
+        tryons: jobs.map(job => tryonRow(job, names)),
+        pagination
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'customer');
+  }
+}
+
+// DELETE /customers/:customerId - cancels the Stripe subscription first; the customer
+// is kept when that fails so nobody is billed for a deleted account. Their try-ons,
+// analytics events, webhook endpoints and widget configs go with them (services/privacy).
+async function deleteCustomer(req, res) {
+  try {
+    const customer = await customers.getCustomer(req.params.customerId);
+    if (!customer) throw httpError(404, 'Customer not found');
+    const customerId = String(customer._id);
+
+    let subscriptionCanceled = false;
+    if (customer.stripeSubscriptionId && customer.subscriptionStatus !== 'canceled') {
+      try {
+        await stripeService.cancelSubscription(customer.stripeSubscriptionId);
+        subscriptionCanceled = true;
+      } catch (err) {
+        // Stripe SDK errors carry a `type`; ours (billing not configured) do not
+        if (!err.type) throw err;
+        console.error(`❌ Could not cancel subscription ${customer.stripeSubscriptionId}:`, err.message);
+        throw httpError(502, 'Could not cancel the Stripe subscription; the customer was not deleted');
+      }
+    }
+
+    const trackers = [req.app.locals.analytics, req.app.locals.testAnalytics].filter(Boolean);
+    const deleted = await privacy.eraseCustomer(customerId, trackers);
+    await authTokens.revokeAllSessions(customerId);
+    await customers.deleteCustomer(customerId);
+    console.log(`🗑️ Customer ${customer.email} deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: 'Customer deleted',
+      data: { customerId, subscriptionCanceled, deleted }
+    });
+  } catch (err) {
+    sendError(res, err, 'customer deletion');
+  }
+}
+
+// =====================================
+// UPSELLS
+// =====================================
+
+// GET /upsell-opportunities?page=&limit= - active customers near their plan's limit
+// who have a plan to move up to, fullest first
+async function listUpsellOpportunities(req, res) {
+  try {
+    const { page, limit } = req.query;
+    const { rows, pagination } = await customers.searchCustomers({
+      plans: plans.PLAN_IDS.filter(id => plans.nextPlan(id)),
+      status: 'active',
+      nearLimit: true,
+      sort: 'usagePercent',
+      order: 'desc',
+      page,
+      limit
+    });
+    const opportunities = rows.map(row => ({
+      ...customerRow(row),
+      recommendedPlan: planSummary(plans.nextPlan(row.customer.plan))
+    }));
+    res.json({ success: true, data: { opportunities, pagination } });
+  } catch (err) {
+    sendError(res, err, 'upsell opportunities');
+  }
+}
+
+// POST /send-upsell-email { customerId }
+async function sendUpsellEmail(req, res) {
+  try {
+    const customer = await customers.getCustomer(req.body?.customerId);
+    if (!customer) throw httpError(404, 'Customer not found');
+    const nextPlan = plans.nextPlan(customer.plan);
+    if (!nextPlan) throw httpError(400, 'The customer is already on the top plan');
+
+    // Queued in the email outbox (services/email) and logged on the customer once sent
+    const message = await email.send('upsell', customer, {
+      used: customer.usage.currentMonth.tryons,
+      limit: customer.getPlanLimit(),
+      nextPlan: planSummary(nextPlan)
+    });
+    res.json({ success: true, message: 'Upsell email queued', data: { messageId: message.messageId } });
+  } catch (err) {
+    sendError(res, err, 'upsell email');
+  }
+}
+
+// =====================================
+// ANALYTICS
+// =====================================
+
+// GET /analytics/usage?from=YYYY-MM&to=YYYY-MM - archived monthly usage across customers
+async function getUsageByMonth(req, res) {
+  try {
+    const { from, to } = req.query;
+    if ((from && !MONTH_PATTERN.test(from)) || (to && !MONTH_PATTERN.test(to))) {
+      throw httpError(400, 'from and to must be months (YYYY-MM)');
+    }
+    const months = (await customers.usageByMonth({ from, to })).map(month => ({
+      ...month,
+      overageCost: round(month.overageCost, 2),
+      avgTryonsPerCustomer: round(month.tryons / month.customers)
+    }));
+    const totals = months.reduce((sum, month) => ({
+      tryons: sum.tryons + month.tryons,
+      apiCalls: sum.apiCalls + month.apiCalls,
+      overageCost: round(sum.overageCost + month.overageCost, 2)
+    }), { tryons: 0, apiCalls: 0, overageCost: 0 });
+    res.json({ success: true, data: { months, totals } });
+  } catch (err) {
+    sendError(res, err, 'usage');
+  }
+}
+
+// GET /conversions?from=&to=&sort=&page=&limit= - try-on results, add-to-carts and
+// purchases per customer from the analytics rollups (default: the last 30 days)
+async function getConversions(req, res) {
+  try {
+    const analytics = req.app.locals.analytics;
+    if (!analytics) throw httpError(503, 'Analytics is not enabled');
+    const { from, to } = parseFunnelFilters({ from: req.query.from, to: req.query.to });
+    const sort = req.query.sort || 'tryons';
+    if (!CONVERSION_SORT_FIELDS.includes(sort)) {
+      throw httpError(400, `sort must be one of: ${CONVERSION_SORT_FIELDS.join(', ')}`);
+    }
+
+    const rows = await analytics.getCustomerConversions({ from, to });
+    rows.sort((a, b) => b[sort] - a[sort] || String(a.customerId).localeCompare(String(b.customerId)));
+    const totals = rows.reduce((sum, row) => ({
+      tryons: sum.tryons + row.tryons,
+      addedToCart: sum.addedToCart + row.addedToCart,
+      purchases: sum.purchases + row.purchases,
+      revenue: round(sum.revenue + row.revenue, 2)
+    }), { tryons: 0, addedToCart: 0, purchases: 0, revenue: 0 });
+    totals.addToCartRate = totals.tryons ? round(totals.addedToCart / totals.tryons * 100) : 0;
+    totals.purchaseRate = totals.addedToCart ? round(totals.purchases / totals.addedToCart * 100) : 0;
+    totals.conversionRate = totals.tryons ? round(totals.purchases / totals.tryons * 100) : 0;
+
+    const { items, pagination } = paginate(rows, req.query);
+    const names = await customers.getCustomerNames(items.map(row => row.customerId));
+    res.json({
+      success: true,
+      data: {
+        conversions: items.map(row => ({ ...row, customer: names.get(String(row.customerId)) || null })),
+        totals,
+        range: { from, to },
+        pagination
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'conversions');
+  }
+}
+
+// =====================================
+// TRY-ONS
+// =====================================
+
+async function sendTryons(req, res, status) {
+  try {
+    const { customerId, productId, sort, order, page, limit } = req.query;
+    if (status && !tryonJobs.JOB_STATUSES.includes(status)) {
+      throw httpError(400, `status must be one of: ${tryonJobs.JOB_STATUSES.join(', ')}`);
+    }
+    const { jobs, pagination } = await tryonJobs.listJobs({ customerId, productId, status, sort, order, page, limit });
+    const names = await customers.getCustomerNames(jobs.map(job => job.customerId));
+    res.json({ success: true, data: { tryons: jobs.map(job => tryonRow(job, names)), pagination } });
+  } catch (err) {
+    sendError(res, err, 'try-ons');
+  }
+}
+
+// GET /tryons?customerId=&productId=&status=&sort=createdAt|completedAt|duration&order=&page=&limit=
+async function listTryons(req, res) {
+  return sendTryons(req, res, req.query.status);
+}
+
+// GET /photos - completed try-ons (the ones with a result image); same filters as /tryons
+async function listPhotos(req, res) {
+  return sendTryons(req, res, 'completed');
+}
+
+// DELETE /tryons/:id - the job record and with it the stored result reference
+async function deleteTryon(req, res) {
+  try {
+    if (!await tryonJobs.deleteJob(req.params.id)) throw httpError(404, 'Try-on not found');
+    res.json({ success: true, message: 'Try-on deleted' });
+  } catch (err) {
+    sendError(res, err, 'try-on deletion');
+  }
+}
+
+// DELETE /photos/:id - removes the job's input and result images but keeps the job
+async function deletePhoto(req, res) {
+  try {
+    const job = await tryonJobs.purgeJobImages(req.params.id);
+    if (!job) throw httpError(404, 'Try-on not found');
+    res.json({ success: true, data: { tryon: tryonRow(job, new Map()) } });
+  } catch (err) {
+    sendError(res, err, 'photo deletion');
+  }
+}
+
+module.exports = {
+  getOverview,
+  listCustomers,
+  getCustomer,
+  deleteCustomer,
+  listUpsellOpportunities,
+  sendUpsellEmail,
+  getUsageByMonth,
+  getConversions,
+  listTryons,
+  listPhotos,
+  deletePhoto,
+  deleteTryon
+};
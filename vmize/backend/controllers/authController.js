@@ -0,0 +1,307 @@
+/**
+ * Auth Controller
+ * Merchant accounts: registration, sign-in (password, or Google via
+ * services/googleOAuth), refresh-token rotation, logout, the current profile, password
+ * reset and email verification.
+ *
+ * Access tokens are short-lived JWTs (JWT_EXPIRES_IN, 15 minutes) carrying the session
+ * id; clients renew them with the rotating refresh token (services/authTokens). Reset
+ * and verification links carry single-use tokens and are emailed through the outbox
+ * (services/email). Forgot-password answers the same whether or not the address
+ * exists, so it cannot be used to discover accounts. Repeated failed sign-ins lock the
+ * account for a while (services/rateLimits).
+ */
+
+const customers = require('../services/customers');
+const authTokens = require('../services/authTokens');
+const email = require('../services/email');
+const rateLimits = require('../services/rateLimits');
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function sendError(res, err, label) {
+  if (!err.statusCode) console.error(`❌ Auth ${label} error:`, err);
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.statusCode || 500).json({ success: false, message: err.message });
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function frontendBase(req) {
+  return (process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+function requestContext(req) {
+  return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+// What the dashboard gets to see about the signed-in merchant
+function profile(customer) {
+  return {
+    _id: String(customer._id),
+    email: customer.email,
+    name: customer.name,
+    companyName: customer.companyName,
+    website: customer.website,
+    platform: customer.platform,
+    plan: customer.plan,
+    subscriptionStatus: customer.subscriptionStatus,
+    trialEndsAt: customer.trialEndsAt,
+    emailVerified: Boolean(customer.emailVerified),
+    notifications: customer.notifications,
+    usage: { currentMonth: customer.usage.currentMonth, limit: customer.getPlanLimit() },
+    createdAt: customer.createdAt
+  };
+}
+
+// New session for a signed-in customer: { accessToken, refreshToken, expiresIn }
+async function startSession(req, customer) {
+  const { refreshToken, sessionId } = await authTokens.createSession(customer._id, requestContext(req));
+  return { accessToken: customer.generateAccessToken(sessionId), refreshToken, expiresIn: process.env.JWT_EXPIRES_IN || '15m' };
+}
+
+async function sendVerificationEmail(req, customer) {
+  const token = await authTokens.issueSingleUse('email_verification', customer._id);
+  return email.send('email_verification', customer, {
+    verifyUrl: `${frontendBase(req)}/login.html?verify_token=${encodeURIComponent(token)}`
+  });
+}
+
+async function requireCustomer(customerId) {
+  const customer = await customers.getCustomer(String(customerId));
+  if (!customer) throw httpError(401, 'Account not found');
+  return customer;
+}
+
+// =====================================
+// REGISTRATION & SIGN-IN
+// =====================================
+
+// POST /api/v1/auth/register { email, password, name, companyName, website, platform }
+async function register(req, res) {
+  try {
+    const { email: address, password, name, companyName, website, platform } = req.body || {};
+    if (!address || !EMAIL_PATTERN.test(address)) throw httpError(400, 'A valid email is required');
+    validatePassword(password);
+
+    const customer = await customers.createCustomer({ email: address, password, name, companyName, website, platform });
+    const tokens = await startSession(req, customer);
+
+    email.send('welcome', customer).catch(err => console.error('❌ Failed to queue welcome email:', err.message));
+    sendVerificationEmail(req, customer).catch(err => console.error('❌ Failed to queue verification email:', err.message));
+
+    res.status(201).json({ success: true, data: { tokens, user: profile(customer) } });
+  } catch (err) {
+    sendError(res, err, 'register');
+  }
+}
+
+// POST /api/v1/auth/login { email, password }
+async function login(req, res) {
+  try {
+    const { email: address, password } = req.body || {};
+    if (!address || !password) throw httpError(400, 'Email and password are required');
+    await rateLimits.assertNotLocked('login', address, req.ip, { path: req.originalUrl.split('?')[0] });
+
+    const customer = await customers.getCustomerForLogin(address);
+    if (!customer || !(await customer.comparePassword(password))) {
+      await rateLimits.recordLoginFailure('login', address, req.ip);
+      throw httpError(401, 'Invalid credentials');
+    }
+    await rateLimits.clearLoginFailures('login', address, req.ip);
+
+    const tokens = await startSession(req, customer);
+    res.json({ success: true, data: { tokens, user: profile(customer) } });
+  } catch (err) {
+    sendError(res, err, 'login');
+  }
+}
+
+// POST /api/v1/auth/refresh { refreshToken } - rotates the refresh token
+async function refresh(req, res) {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) throw httpError(400, 'refreshToken is required');
+
+    const rotated = await authTokens.rotate(refreshToken, requestContext(req));
+    const customer = await customers.getCustomer(rotated.customerId);
+    if (!customer) {
+      await authTokens.revokeSession(rotated.sessionId);
+      throw httpError(401, 'Account not found');
+    }
+    res.json({
+      success: true,
+      data: {
+        tokens: {
+          accessToken: customer.generateAccessToken(rotated.sessionId),
+          refreshToken: rotated.refreshToken,
+          expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+        }
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'refresh');
+  }
+}
+
+// POST /api/v1/auth/logout { refreshToken, all }
+// Ends the session of the refresh token (or of the bearer token); `all: true` with a
+// valid bearer token signs the customer out everywhere.
+async function logout(req, res) {
+  try {
+    const { refreshToken, all } = req.body || {};
+    if (all) {
+      if (!req.user) throw httpError(401, 'Sign in to end all sessions');
+      const revoked = await authTokens.revokeAllSessions(req.user._id);
+      return res.json({ success: true, data: { revoked } });
+    }
+
+    let sessionId = req.user?.sid;
+    if (refreshToken) sessionId = (await authTokens.inspect(refreshToken))?.sessionId;
+    if (!sessionId && !refreshToken) throw httpError(400, 'refreshToken is required');
+    const revoked = sessionId ? await authTokens.revokeSession(sessionId) : 0;
+    res.json({ success: true, data: { revoked } });
+  } catch (err) {
+    sendError(res, err, 'logout');
+  }
+}
+
+// GET /api/v1/auth/me
+async function me(req, res) {
+  try {
+    const customer = await requireCustomer(req.user._id);
+    res.json({ success: true, data: { user: profile(customer) } });
+  } catch (err) {
+    sendError(res, err, 'me');
+  }
+}
+
+// GET /api/v1/auth/google/callback (after services/googleOAuth)
+// Back to login.html with the same tokens as /login, in the URL fragment so they never
+// reach server logs or Referer headers.
+async function googleCallback(req, res) {
+  const target = `${frontendBase(req)}/login.html`;
+  try {
+    const { error, customer, created } = req.googleAuth || {};
+    if (error) throw httpError(401, error);
+
+    const tokens = await startSession(req, customer);
+    if (created) email.send('welcome', customer).catch(err => console.error('❌ Failed to queue welcome email:', err.message));
+
+    const fragment = new URLSearchParams({
+      google_oauth: '1',
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken,
+      new_account: created ? '1' : '0'
+    });
+    res.redirect(`${target}#${fragment}`);
+  } catch (err) {
+    if (!err.statusCode) console.error('❌ Auth google error:', err);
+    const message = err.statusCode ? err.message : 'Google sign-in failed, please try again';
+    res.redirect(`${target}#${new URLSearchParams({ google_oauth: '1', error: message })}`);
+  }
+}
+
+// =====================================
+// PASSWORD RESET
+// =====================================
+
+// POST /api/v1/auth/forgot-password { email } - always 200
+async function forgotPassword(req, res) {
+  try {
+    const address = req.body?.email;
+    if (!address || !EMAIL_PATTERN.test(address)) throw httpError(400, 'A valid email is required');
+
+    const customer = await customers.getCustomer(address);
+    if (customer) {
+      const token = await authTokens.issueSingleUse('password_reset', customer._id);
+      await email.send('password_reset', customer, {
+        resetUrl: `${frontendBase(req)}/reset-password.html?token=${encodeURIComponent(token)}`,
+        expiresInMinutes: authTokens.TTL_MS.password_reset / 60000
+      });
+    }
+    res.json({ success: true, message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (err) {
+    sendError(res, err, 'forgot-password');
+  }
+}
+
+// POST /api/v1/auth/reset-password { token, password } - signs out every session
+async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body || {};
+    if (!token) throw httpError(400, 'token is required');
+    validatePassword(password);
+
+    const customer = await customers.getCustomer(await authTokens.consumeSingleUse('password_reset', token));
+    if (!customer) throw httpError(400, 'This link is invalid or has expired');
+    customer.password = password;
+    // The link proves the customer can read mail at this address
+    if (!customer.emailVerified) {
+      customer.emailVerified = true;
+      customer.emailVerifiedAt = new Date();
+    }
+    await customers.saveCustomer(customer);
+    await authTokens.revokeAllSessions(customer._id);
+    res.json({ success: true, message: 'Password updated. Please sign in again.' });
+  } catch (err) {
+    sendError(res, err, 'reset-password');
+  }
+}
+
+// =====================================
+// EMAIL VERIFICATION
+// =====================================
+
+// POST /api/v1/auth/verify-email { token }
+async function verifyEmail(req, res) {
+  try {
+    const token = req.body?.token;
+    if (!token) throw httpError(400, 'token is required');
+
+    const customer = await customers.getCustomer(await authTokens.consumeSingleUse('email_verification', token));
+    if (!customer) throw httpError(400, 'This link is invalid or has expired');
+    customer.emailVerified = true;
+    customer.emailVerifiedAt = new Date();
+    await customers.saveCustomer(customer);
+    res.json({ success: true, data: { user: profile(customer) } });
+  } catch (err) {
+    sendError(res, err, 'verify-email');
+  }
+}
+
+// POST /api/v1/auth/resend-verification
+async function resendVerification(req, res) {
+  try {
+    const customer = await requireCustomer(req.user._id);
+    if (customer.emailVerified) throw httpError(409, 'Email is already verified');
+    await sendVerificationEmail(req, customer);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    sendError(res, err, 'resend-verification');
+  }
+}
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  me,
+  googleCallback,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+};
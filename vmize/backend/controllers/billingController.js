@@ -0,0 +1,433 @@
+/**
+ * Billing Controller
+ * Subscription checkout, plan changes, cancellation, invoice previews and usage caps
+ * for merchants, the billing ledger for admins, and the Stripe webhook that keeps each
+ * customer's plan and subscriptionStatus in step with Stripe.
+ *
+ * Upgrades apply at once (Stripe invoices the proration) and the new plan's quota
+ * applies with the same save. Downgrades wait for the end of the paid period through
+ * a Stripe subscription schedule; the webhook moves the plan when it takes effect.
+ *
+ * Webhook handlers set state rather than accumulate it, so Stripe's retries and
+ * duplicate deliveries are harmless. Events for unknown customers or a replaced
+ * subscription are acknowledged and logged; handler errors answer 500 so Stripe
+ * retries them.
+ */
+
+const crypto = require('crypto');
+const plans = require('../services/plans');
+const stripeService = require('../services/stripeService');
+const customers = require('../services/customers');
+const overageBilling = require('../services/overageBilling');
+const billingLedger = require('../services/billingLedger');
+const email = require('../services/email');
+
+// Stripe subscription status -> Customer.subscriptionStatus
+const SUBSCRIPTION_STATUS_MAP = {
+  trialing: 'trialing',
+  active: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  canceled: 'canceled',
+  incomplete: 'inactive',
+  incomplete_expired: 'inactive',
+  paused: 'inactive'
+};
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Merchants act on themselves; admins (req.admin, see services/adminAuth) pass
+// ?customerId= (id or email)
+async function resolveCustomer(req) {
+  const customerId = req.admin
+    ? (req.query.customerId || req.body?.customerId)
+    : req.user._id;
+  if (!customerId) throw httpError(400, 'customerId is required');
+  const customer = await customers.getCustomer(String(customerId));
+  if (!customer) throw httpError(404, 'Customer not found');
+  return customer;
+}
+
+// Unix seconds (Stripe) -> Date
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+function subscriptionSummary(customer) {
+  const scheduled = customer.scheduledPlanChange?.plan ? customer.scheduledPlanChange : null;
+  return {
+    plan: customer.plan,
+    subscriptionStatus: customer.subscriptionStatus,
+    hasSubscription: Boolean(customer.stripeSubscriptionId),
+    currentPeriodEnd: customer.currentPeriodEnd || null,
+    cancelAtPeriodEnd: Boolean(customer.cancelAtPeriodEnd),
+    scheduledPlanChange: scheduled && { plan: scheduled.plan, effectiveAt: scheduled.effectiveAt },
+    terms: overageBilling.planTerms(customer)
+  };
+}
+
+// The customer's live Stripe subscription; plan changes need one
+async function activeSubscription(customer) {
+  if (!customer.stripeSubscriptionId) throw httpError(409, 'No active subscription, use checkout first');
+  const subscription = await stripeService.retrieveSubscription(customer.stripeSubscriptionId);
+  if (subscription.status === 'canceled') throw httpError(409, 'The subscription has been canceled, use checkout to subscribe again');
+  return subscription;
+}
+
+// Release a pending downgrade (if any) so the subscription can be changed directly
+async function dropScheduledChange(customer) {
+  const scheduleId = customer.scheduledPlanChange?.scheduleId;
+  if (scheduleId) await stripeService.releaseSchedule(scheduleId);
+  customer.scheduledPlanChange = undefined;
+}
+
+function recordPlanChange(customer, description, extra = {}) {
+  return billingLedger.record({
+    eventId: `plan_change:${customer._id}:${crypto.randomBytes(8).toString('hex')}`,
+    customerId: String(customer._id),
+    type: 'plan_change',
+    status: 'recorded',
+    description,
+    ...extra
+  }).catch(err => console.error('❌ Failed to record plan change:', err.message));
+}
+
+function frontendBase(req) {
+  return (process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// =====================================
+// CHECKOUT
+// =====================================
+
+// POST /api/v1/billing/create-checkout { plan } (dashboard JWT)
+async function createCheckout(req, res) {
+  try {
+    const customer = await resolveCustomer(req);
+    if (customer.stripeSubscriptionId && customer.subscriptionStatus !== 'canceled') {
+      throw httpError(409, 'Already subscribed, use change-plan to switch plans');
+    }
+    if (!customer.stripeCustomerId) {
+      customer.stripeCustomerId = (await stripeService.createCustomer(customer)).id;
+      await customers.saveCustomer(customer);
+    }
+
+    const plan = req.body.plan;
+    const base = frontendBase(req);
+    const session = await stripeService.createCheckoutSession(customer, plan, {
+      successUrl: `${base}/checkout.html?plan=${encodeURIComponent(plan)}&status=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${base}/checkout.html?plan=${encodeURIComponent(plan)}&status=canceled`
+    });
+    res.json({ success: true, data: { sessionId: session.id, url: session.url } });
+  } catch (err) {
+    console.error('❌ Checkout error:', err.message);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// =====================================
+// PLANS & SUBSCRIPTION
+// =====================================
+
+// GET /api/v1/billing/plans (public)
+function listPlans(req, res) {
+  const data = plans.listPlans().map(({ id, name, price, currency, included, overageRate, hardCap, purchasable }) => (
+    { id, name, price, currency, included, overageRate, hardCap, purchasable }
+  ));
+  res.json({ success: true, data });
+}
+
+// GET /api/v1/billing/subscription
+async function getSubscription(req, res) {
+  try {
+    const customer = await resolveCustomer(req);
+    res.json({ success: true, data: subscriptionSummary(customer) });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// POST /api/v1/billing/change-plan { plan }
+// Upgrades switch now with a prorated invoice; downgrades are scheduled for the end
+// of the period. Choosing the current plan cancels a pending downgrade.
+async function changePlan(req, res) {
+  try {
+    const plan = req.body.plan;
+    if (!plans.PAID_PLANS.includes(plan)) {
+      throw httpError(400, `plan must be one of: ${plans.PAID_PLANS.join(', ')}`);
+    }
+    const customer = await resolveCustomer(req);
+    const subscription = await activeSubscription(customer);
+    if (subscription.cancel_at_period_end) throw httpError(409, 'The subscription is set to cancel, resume it first');
+    const from = customer.plan;
+
+    if (plan === from) {
+      if (!customer.scheduledPlanChange?.plan) throw httpError(409, `Already on the ${plan} plan`);
+      await dropScheduledChange(customer);
+      await customers.saveCustomer(customer);
+      await recordPlanChange(customer, `Scheduled change canceled, staying on ${plan}`);
+      return res.json({ success: true, data: { change: 'none', ...subscriptionSummary(customer) } });
+    }
+
+    if (plans.isUpgrade(from, plan)) {
+      await dropScheduledChange(customer);
+      const updated = await stripeService.changeSubscriptionPlan(subscription, plan);
+      const invoice = updated.latest_invoice && typeof updated.latest_invoice === 'object' ? updated.latest_invoice : null;
+      // Plan, quota and period land in one save
+      customer.plan = plan;
+      customer.currentPeriodEnd = fromUnix(updated.current_period_end) || customer.currentPeriodEnd;
+      await customers.saveCustomer(customer);
+
+      const proration = invoice ? { invoiceId: invoice.id, amountDue: (invoice.amount_due || 0) / 100, currency: invoice.currency || 'usd' } : null;
+      await recordPlanChange(customer, `Upgraded ${from} -> ${plan}`, {
+        amount: proration ? proration.amountDue : undefined,
+        stripeId: proration ? proration.invoiceId : updated.id
+      });
+      console.log(`⬆️ ${customer.email} upgraded ${from} -> ${plan}`);
+      return res.json({ success: true, data: { change: 'upgrade', proration, ...subscriptionSummary(customer) } });
+    }
+
+    // Checked before anything changes at Stripe
+    const effectiveAt = fromUnix(subscription.current_period_end) || customer.currentPeriodEnd;
+    if (!effectiveAt) throw httpError(502, 'Stripe did not return the end of the billing period');
+    await dropScheduledChange(customer);
+    const schedule = await stripeService.scheduleSubscriptionPlan(subscription, plan, effectiveAt);
+    customer.scheduledPlanChange = { plan, effectiveAt, scheduleId: schedule.id };
+    customer.currentPeriodEnd = effectiveAt;
+    await customers.saveCustomer(customer);
+    await recordPlanChange(customer, `Downgrade ${from} -> ${plan} scheduled for ${effectiveAt.toISOString()}`, { stripeId: schedule.id });
+    console.log(`⬇️ ${customer.email} scheduled ${from} -> ${plan} at ${effectiveAt.toISOString()}`);
+    res.json({ success: true, data: { change: 'downgrade', ...subscriptionSummary(customer) } });
+  } catch (err) {
+    console.error('❌ Plan change error:', err.message);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// POST /api/v1/billing/subscription/cancel - ends the subscription with the paid period
+async function cancelSubscription(req, res) {
+  try {
+    const customer = await resolveCustomer(req);
+    const subscription = await activeSubscription(customer);
+    await dropScheduledChange(customer);
+    const updated = await stripeService.setCancelAtPeriodEnd(subscription.id, true);
+    customer.cancelAtPeriodEnd = true;
+    customer.currentPeriodEnd = fromUnix(updated.current_period_end) || customer.currentPeriodEnd;
+    await customers.saveCustomer(customer);
+    await recordPlanChange(customer, `Cancellation of ${customer.plan} scheduled`, { stripeId: subscription.id });
+    res.json({ success: true, data: subscriptionSummary(customer) });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// POST /api/v1/billing/subscription/resume - undoes a cancellation before the period ends
+async function resumeSubscription(req, res) {
+  try {
+    const customer = await resolveCustomer(req);
+    const subscription = await activeSubscription(customer);
+    if (!subscription.cancel_at_period_end && !customer.cancelAtPeriodEnd) {
+      throw httpError(409, 'The subscription is not set to cancel');
+    }
+    await stripeService.setCancelAtPeriodEnd(subscription.id, false);
+    customer.cancelAtPeriodEnd = false;
+    await customers.saveCustomer(customer);
+    await recordPlanChange(customer, `Subscription to ${customer.plan} resumed`, { stripeId: subscription.id });
+    res.json({ success: true, data: subscriptionSummary(customer) });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// =====================================
+// USAGE BILLING
+// =====================================
+
+// GET /api/v1/billing/preview
+async function previewInvoice(req, res) {
+  try {
+    const customer = await resolveCustomer(req);
+    res.json({ success: true, data: await overageBilling.previewInvoice(customer) });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// PUT /api/v1/billing/hard-cap { hardCap } - a whole number of try-ons, or null
+async function updateHardCap(req, res) {
+  try {
+    const { hardCap } = req.body;
+    if (hardCap !== null && !(Number.isInteger(hardCap) && hardCap >= 0)) {
+      throw httpError(400, 'hardCap must be a non-negative integer or null');
+    }
+    const customer = await resolveCustomer(req);
+    customer.hardCap = hardCap;
+    await customers.saveCustomer(customer);
+    res.json({ success: true, data: overageBilling.planTerms(customer) });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// GET /api/v1/billing/events?customerId=&type=&period=&status=&from=&to=&limit=&offset=
+async function listBillingEvents(req, res) {
+  try {
+    const { customerId, type, period, status, from, to, limit, offset } = req.query;
+    const { events, total } = await billingLedger.list(
+      { customerId, type, period, status, from: from && new Date(from), to: to && new Date(to) },
+      { limit, offset }
+    );
+    res.json({ success: true, data: { events, total } });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+}
+
+// =====================================
+// WEBHOOK EVENTS
+// =====================================
+
+// Our customer for a Stripe object: by Stripe customer id, else by the id we put
+// in the metadata at checkout
+async function findCustomer(stripeCustomerId, metadata = {}) {
+  return (await customers.getCustomerByStripeId(stripeCustomerId))
+    || (metadata.customerId ? customers.getCustomer(metadata.customerId) : null);
+}
+
+// Invoices and subscriptions from an older, replaced subscription are ignored
+function isCurrentSubscription(customer, subscriptionId) {
+  return !customer.stripeSubscriptionId || customer.stripeSubscriptionId === subscriptionId;
+}
+
+// A deleted subscription stays canceled: invoice events Stripe delivers after the
+// deletion (late or retried) must not bring it back. Resubscribing goes through checkout.
+function isEndedSubscription(customer, subscriptionId) {
+  return customer.subscriptionStatus === 'canceled' && customer.stripeSubscriptionId === subscriptionId;
+}
+
+const eventHandlers = {
+  async 'checkout.session.completed'(session) {
+    if (session.mode !== 'subscription') return null;
+    const customer = await findCustomer(session.customer, { customerId: session.client_reference_id, ...session.metadata });
+    if (!customer) return null;
+    customer.stripeCustomerId = session.customer || customer.stripeCustomerId;
+    customer.stripeSubscriptionId = session.subscription;
+    if (session.metadata?.plan) customer.plan = session.metadata.plan;
+    customer.subscriptionStatus = 'active';
+    return customers.saveCustomer(customer);
+  },
+
+  async 'invoice.paid'(invoice) {
+    if (!invoice.subscription) return null;
+    const customer = await findCustomer(invoice.customer);
+    if (!customer || !isCurrentSubscription(customer, invoice.subscription)) return null;
+    if (isEndedSubscription(customer, invoice.subscription)) return null;
+    customer.stripeSubscriptionId = invoice.subscription;
+    customer.subscriptionStatus = 'active';
+    return customers.saveCustomer(customer);
+  },
+
+  async 'invoice.payment_failed'(invoice) {
+    if (!invoice.subscription) return null;
+    const customer = await findCustomer(invoice.customer);
+    if (!customer || !isCurrentSubscription(customer, invoice.subscription)) return null;
+    if (isEndedSubscription(customer, invoice.subscription)) return null;
+    customer.subscriptionStatus = 'past_due';
+    await customers.saveCustomer(customer);
+    // Once per invoice, however often Stripe retries the charge or the event
+    await email.send('payment_failed', customer, {
+      amount: (invoice.amount_due || 0) / 100,
+      currency: invoice.currency,
+      invoiceUrl: invoice.hosted_invoice_url
+    }, { dedupeKey: `payment_failed:${invoice.id}` })
+      .catch(err => console.error('❌ Failed to queue payment failed email:', err.message));
+    return customer;
+  },
+
+  async 'customer.subscription.updated'(subscription) {
+    const customer = await findCustomer(subscription.customer, subscription.metadata);
+    if (!customer || !isCurrentSubscription(customer, subscription.id)) return null;
+    const price = subscription.items?.data?.[0]?.price?.id;
+    const plan = plans.planForStripePrice(price) || subscription.metadata?.plan;
+    if (plan) customer.plan = plan;
+    // A scheduled downgrade is done once the subscription is on its plan
+    if (customer.scheduledPlanChange?.plan === customer.plan) customer.scheduledPlanChange = undefined;
+    customer.stripeSubscriptionId = subscription.id;
+    customer.subscriptionStatus = SUBSCRIPTION_STATUS_MAP[subscription.status] || customer.subscriptionStatus;
+    customer.currentPeriodEnd = fromUnix(subscription.current_period_end) || customer.currentPeriodEnd;
+    customer.cancelAtPeriodEnd = Boolean(subscription.cancel_at_period_end);
+    return customers.saveCustomer(customer);
+  },
+
+  async 'customer.subscription.deleted'(subscription) {
+    const customer = await findCustomer(subscription.customer, subscription.metadata);
+    if (!customer || !isCurrentSubscription(customer, subscription.id)) return null;
+    customer.subscriptionStatus = 'canceled';
+    customer.cancelAtPeriodEnd = false;
+    customer.scheduledPlanChange = undefined;
+    return customers.saveCustomer(customer);
+  }
+};
+
+// Ledger entry for a handled Stripe event; the Stripe event id keeps it unique
+function ledgerEntry(event, customer) {
+  const object = event.data.object;
+  const amount = object.object === 'invoice' ? (object.amount_paid || object.amount_due || 0) / 100 : undefined;
+  return {
+    eventId: event.id,
+    customerId: String(customer._id),
+    type: event.type,
+    source: 'stripe',
+    status: 'recorded',
+    description: `${customer.plan}/${customer.subscriptionStatus}`,
+    amount,
+    currency: object.currency || 'usd',
+    stripeId: object.id
+  };
+}
+
+// POST /api/v1/webhooks/stripe (raw body, see server.js)
+async function handleWebhook(req, res) {
+  let event;
+  try {
+    event = stripeService.constructEvent(req.body, req.headers['stripe-signature']);
+  } catch (err) {
+    console.warn('⚠️ Stripe webhook rejected:', err.message);
+    return res.status(err.statusCode || 400).json({ success: false, message: err.message });
+  }
+
+  const handler = eventHandlers[event.type];
+  if (!handler) return res.json({ success: true, handled: false });
+
+  try {
+    const customer = await handler(event.data.object);
+    if (!customer) {
+      console.warn(`⚠️ Stripe ${event.type} (${event.id}) did not match a customer or its current subscription`);
+      return res.json({ success: true, handled: false });
+    }
+    console.log(`💳 Stripe ${event.type}: ${customer.email} is ${customer.plan}/${customer.subscriptionStatus}`);
+    await billingLedger.record(ledgerEntry(event, customer))
+      .catch(err => console.error('❌ Failed to record billing event:', err.message));
+    res.json({ success: true, handled: true });
+  } catch (err) {
+    console.error(`❌ Stripe ${event.type} handler error:`, err);
+    res.status(500).json({ success: false, message: 'Webhook handler failed' });
+  }
+}
+
+module.exports = {
+  createCheckout,
+  listPlans,
+  getSubscription,
+  changePlan,
+  cancelSubscription,
+  resumeSubscription,
+  previewInvoice,
+  updateHardCap,
+  listBillingEvents,
+  handleWebhook
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One entry per admin action (see services/auditLog.js). Entries are never updated.
+const adminAuditLogSchema = new mongoose.Schema({
+  entryId: { type: String, required: true, unique: true },
+  at: { type: Date, required: true, index: true },
+  // Who acted: an admin account, the ADMIN_SECRET_TOKEN service credential, or an
+  // unauthenticated caller (failed sign-ins)
+  actor: {
+    type: { type: String, enum: ['admin', 'service', 'anonymous'], required: true },
+    adminId: String,
+    username: String,
+    role: String
+  },
+  action: { type: String, required: true, index: true },
+  outcome: { type: String, enum: ['success', 'denied', 'failure'], required: true },
+  method: String,
+  path: String,
+  statusCode: Number,
+  customerId: String,
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, { versionKey: false });
+
+adminAuditLogSchema.index({ 'actor.adminId': 1, at: -1 });
+
+module.exports = mongoose.models.AdminAuditLog || mongoose.model('AdminAuditLog', adminAuditLogSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Admin dashboard sessions (see services/adminAuth.js). The token is handed out once
+// and stored as a SHA-256 digest.
+const adminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  adminId: { type: String, required: true, index: true },
+  // False until the second factor is checked: such a session can only enroll TOTP
+  totpVerified: { type: Boolean, default: false },
+  expiresAt: { type: Date, required: true },
+  lastSeenAt: { type: Date, required: true },
+  revokedAt: Date,
+  ip: String,
+  userAgent: String
+}, { timestamps: true, versionKey: false });
+
+// MongoDB drops sessions a day after they expire
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.models.AdminSession || mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,59 @@
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+
+// Staff roles; what each may do is defined in services/adminAuth.js
+const ADMIN_ROLES = ['owner', 'support', 'finance', 'read-only'];
+
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 10);
+
+// Admin dashboard accounts (staff, not merchants)
+const adminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  email: { type: String, lowercase: true, trim: true },
+  name: { type: String, trim: true },
+  password: { type: String, select: false },
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  disabled: { type: Boolean, default: false },
+
+  // TOTP second factor (RFC 6238). A new secret is pending until a code confirms it;
+  // the last accepted time step blocks replaying a code.
+  totpEnabled: { type: Boolean, default: false },
+  totpSecret: { type: String, select: false },
+  totpPendingSecret: { type: String, select: false },
+  lastTotpStep: { type: Number, select: false },
+
+  lastLoginAt: Date,
+  createdBy: String
+}, { timestamps: true });
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+adminUserSchema.pre('save', async function () {
+  if (this.isModified('password') && this.password) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
+// Never serialize secrets, even when they were explicitly selected
+adminUserSchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.password;
+    delete ret.totpSecret;
+    delete ret.totpPendingSecret;
+    delete ret.lastTotpStep;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+adminUserSchema.methods.comparePassword = async function (candidate) {
+  if (!this.password || !candidate) return false;
+  return bcrypt.compare(candidate, this.password);
+};
+
+adminUserSchema.statics.ADMIN_ROLES = ADMIN_ROLES;
+adminUserSchema.statics.hashPassword = hashPassword;
+
+module.exports = mongoose.models.AdminUser || mongoose.model('AdminUser', adminUserSchema);
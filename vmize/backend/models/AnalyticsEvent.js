@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Raw, append-only analytics event (API call or tracked event)
+const analyticsEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, enum: ['api_call', 'event'], required: true },
+  name: { type: String, required: true },
+  customerId: { type: String, index: true },
+  productId: String,
+  sessionId: String,
+  timestamp: { type: Date, required: true },
+  // api_call fields
+  apiKey: String,
+  endpoint: String,
+  method: String,
+  status: mongoose.Schema.Types.Mixed,
+  duration: Number,
+  error: String,
+  // event fields
+  revenue: Number,
+  data: mongoose.Schema.Types.Mixed
+}, { versionKey: false });
+
+analyticsEventSchema.index({ timestamp: 1 });
+analyticsEventSchema.index({ customerId: 1, timestamp: -1 });
+analyticsEventSchema.index({ sessionId: 1, timestamp: 1 });
+
+module.exports = mongoose.models.AnalyticsEvent || mongoose.model('AnalyticsEvent', analyticsEventSchema);
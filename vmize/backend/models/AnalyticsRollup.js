@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Hourly/daily aggregate of analytics events for one customer (see services/analyticsRollups.js)
+const analyticsRollupSchema = new mongoose.Schema({
+  granularity: { type: String, enum: ['hour', 'day'], required: true },
+  bucket: { type: Date, required: true },
+  customerId: { type: String, required: true },
+  calls: { type: Number, default: 0 },
+  successfulCalls: { type: Number, default: 0 },
+  failedCalls: { type: Number, default: 0 },
+  totalDuration: { type: Number, default: 0 },
+  revenue: { type: Number, default: 0 },
+  // Event name -> count
+  events: { type: mongoose.Schema.Types.Mixed, default: {} },
+  firstSeen: Date,
+  lastSeen: Date
+}, { versionKey: false, minimize: false });
+
+analyticsRollupSchema.index({ granularity: 1, bucket: 1, customerId: 1 }, { unique: true });
+
+module.exports = mongoose.models.AnalyticsRollup || mongoose.model('AnalyticsRollup', analyticsRollupSchema);
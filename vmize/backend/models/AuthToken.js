@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const TOKEN_TYPES = ['refresh', 'password_reset', 'email_verification'];
+
+// Opaque auth tokens (see services/authTokens.js), stored as SHA-256 digests
+const authTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  type: { type: String, enum: TOKEN_TYPES, required: true },
+  customerId: { type: String, required: true, index: true },
+  // Refresh tokens: every rotation of one login shares the family (the session id)
+  familyId: { type: String, index: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  revokedAt: Date,
+  userAgent: String,
+  ip: String
+}, { timestamps: true, versionKey: false });
+
+// MongoDB drops tokens a day after they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+authTokenSchema.statics.TOKEN_TYPES = TOKEN_TYPES;
+
+module.exports = mongoose.models.AuthToken || mongoose.model('AuthToken', authTokenSchema);
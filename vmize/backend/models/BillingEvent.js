@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Billing ledger entry: overage charges and the Stripe events that changed a
+// subscription (see services/billingLedger.js)
+const billingEventSchema = new mongoose.Schema({
+  // Idempotency key: `overage:<customerId>:<period>` or the Stripe event id
+  eventId: { type: String, required: true, unique: true },
+  customerId: { type: String, required: true, index: true },
+  type: { type: String, required: true, index: true },
+  source: { type: String, enum: ['vmize', 'stripe'], default: 'vmize' },
+  period: { type: String, index: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed', 'recorded'], default: 'recorded' },
+  description: String,
+  units: Number,
+  rate: Number,
+  amount: Number,
+  currency: { type: String, default: 'usd' },
+  stripeId: String,
+  error: String,
+  attempts: { type: Number, default: 0 }
+}, { timestamps: true, versionKey: false });
+
+billingEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.BillingEvent || mongoose.model('BillingEvent', billingEventSchema);
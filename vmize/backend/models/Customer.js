@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const plans = require('../services/plans');
+
+const SUBSCRIPTION_STATUSES = ['trialing', 'active', 'past_due', 'canceled', 'inactive'];
+const KEY_MODES = ['live', 'test'];
+const KEY_SCOPES = ['tryon', 'analytics', 'purchase'];
+// Secret keys stay on the merchant's server and can do everything their scopes allow.
+// Publishable keys are shipped in storefront pages: they only create try-ons, only from
+// the key's allowedDomains, and at most rateLimitPerMinute times a minute.
+const KEY_TYPES = ['secret', 'publishable'];
+
+// Plan terms (price, included try-ons, overage, caps) live in the plan catalog
+const PLANS = plans.PLAN_IDS;
+const PLAN_LIMITS = Object.fromEntries(plans.listPlans().map(plan => [plan.id, plan.included]));
+
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 10);
+
+// API keys are stored as a SHA-256 digest (high-entropy secrets, so a fast hash is
+// enough and lets us look keys up directly); only the prefix and last 4 characters
+// are kept in clear for display.
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// vmize_sk_live_…, vmize_pk_test_… Keys issued before key types existed are secret keys
+// with a vmize_pk_ prefix.
+function keyPrefix(mode, type) {
+  return `vmize_${type === 'publishable' ? 'pk' : 'sk'}_${mode === 'test' ? 'test' : 'live'}_`;
+}
+
+const apiKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true },
+  name: { type: String, default: 'default' },
+  mode: { type: String, enum: KEY_MODES, default: 'live' },
+  type: { type: String, enum: KEY_TYPES, default: 'secret' },
+  prefix: { type: String, required: true },
+  last4: { type: String, required: true },
+  // Load with .select('+apiKeys.hash') before changing apiKeys: a whole-array save
+  // of documents loaded without it would drop the digests
+  hash: { type: String, required: true, select: false },
+  scopes: { type: [String], enum: KEY_SCOPES, default: ['tryon', 'analytics'] },
+  // Publishable keys only: hosts or *.wildcards (see services/domains), and an optional
+  // per-key try-on limit (the server default applies when unset)
+  allowedDomains: { type: [String], default: undefined },
+  rateLimitPerMinute: { type: Number, min: 1 },
+  status: { type: String, enum: ['active', 'revoked'], default: 'active' },
+  rotatedFrom: String,
+  lastUsedAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const customerSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, select: false },
+  // Live API keys can only be created once the address is verified
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // "Sign in with Google" subject; such accounts may have no password
+  googleId: { type: String, unique: true, sparse: true },
+  companyName: { type: String, trim: true },
+  website: String,
+  platform: { type: String, default: 'other' },
+
+  plan: { type: String, enum: PLANS, default: 'trial' },
+  subscriptionStatus: { type: String, enum: SUBSCRIPTION_STATUSES, default: 'trialing', index: true },
+  trialEndsAt: { type: Date, default: () => new Date(Date.now() + 14 * 24 * 60 * 60 * 1000) },
+  stripeCustomerId: { type: String, index: true, sparse: true },
+  stripeSubscriptionId: String,
+  currentPeriodEnd: Date,
+  cancelAtPeriodEnd: { type: Boolean, default: false },
+  // Downgrade waiting for the end of the billing period (a Stripe subscription schedule)
+  scheduledPlanChange: {
+    plan: { type: String, enum: PLANS },
+    effectiveAt: Date,
+    scheduleId: String
+  },
+  // Merchant-chosen monthly try-on ceiling; the lower of this and the plan's cap applies
+  hardCap: { type: Number, min: 0, default: null },
+
+  apiKeys: { type: [apiKeySchema], default: [] },
+  // Storefront origins (hosts or *.wildcards, see services/domains) whose pages may call
+  // the try-on and tracking routes with this customer's keys; empty allows any origin
+  allowedOrigins: { type: [String], default: [] },
+
+  usage: {
+    currentMonth: {
+      tryons: { type: Number, default: 0 },
+      apiCalls: { type: Number, default: 0 }
+    },
+    allTime: {
+      tryons: { type: Number, default: 0 },
+      apiCalls: { type: Number, default: 0 }
+    },
+    history: [{
+      _id: false,
+      month: String,
+      tryons: Number,
+      apiCalls: Number,
+      overage: Number,
+      overageCost: Number
+    }],
+    lastResetDate: { type: Date, default: Date.now }
+  },
+
+  notifications: {
+    usageAlerts: { type: Boolean, default: true },
+    weeklyReports: { type: Boolean, default: true }
+  },
+
+  // How long end-user images are kept, in days; null uses the platform default
+  // (see services/privacy)
+  imageRetention: {
+    uploadedDays: { type: Number, min: 0, max: 365, default: null },
+    resultDays: { type: Number, min: 0, max: 365, default: null }
+  },
+
+  // Most recent delivered emails (services/email keeps the last EMAIL_LOG_LIMIT)
+  emailLog: [{
+    _id: false,
+    messageId: String,
+    template: String,
+    subject: String,
+    to: String,
+    sentAt: Date
+  }]
+}, { timestamps: true });
+
+customerSchema.index({ 'apiKeys.hash': 1 });
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+customerSchema.pre('save', async function () {
+  if (this.isModified('password') && this.password) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
+// Never serialize secrets, even when they were explicitly selected
+customerSchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.password;
+    delete ret.__v;
+    (ret.apiKeys || []).forEach(key => delete key.hash);
+    return ret;
+  }
+});
+
+// =====================================
+// USAGE & LIMITS
+// =====================================
+
+customerSchema.methods.getPlanLimit = function () {
+  return plans.getPlan(this.plan).included;
+};
+
+customerSchema.methods.hasExceededLimit = function () {
+  return this.usage.currentMonth.tryons >= this.getPlanLimit();
+};
+
+customerSchema.methods.getRemainingUsage = function () {
+  return Math.max(0, this.getPlanLimit() - this.usage.currentMonth.tryons);
+};
+
+customerSchema.methods.getUsagePercentage = function () {
+  return Math.round((this.usage.currentMonth.tryons / this.getPlanLimit()) * 100);
+};
+
+// $inc so concurrent requests from several processes never lose a count
+customerSchema.methods.incrementUsage = async function (tryons = 1) {
+  await this.constructor.updateOne({ _id: this._id }, {
+    $inc: {
+      'usage.currentMonth.tryons': tryons,
+      'usage.currentMonth.apiCalls': 1,
+      'usage.allTime.tryons': tryons,
+      'usage.allTime.apiCalls': 1
+    }
+  });
+  this.usage.currentMonth.tryons += tryons;
+  this.usage.currentMonth.apiCalls += 1;
+  this.usage.allTime.tryons += tryons;
+  this.usage.allTime.apiCalls += 1;
+  return this;
+};
+
+customerSchema.methods.getOverageRate = function () {
+  return plans.getPlan(this.plan).overageRate;
+};
+
+// Effective monthly ceiling (null = uncapped)
+customerSchema.methods.getHardCap = function () {
+  const caps = [plans.getPlan(this.plan).hardCap, this.hardCap].filter(cap => typeof cap === 'number');
+  return caps.length ? Math.min(...caps) : null;
+};
+
+// `terms` ({ included, overageRate }) prices the month on another plan than the current
+// one, e.g. the terms a closed period was metered under
+customerSchema.methods.calculateOverage = function (terms) {
+  const rate = terms ? terms.overageRate : this.getOverageRate();
+  const overage = Math.max(0, this.usage.currentMonth.tryons - (terms ? terms.included : this.getPlanLimit()));
+  const cost = Math.round(overage * rate * 100) / 100;
+  return { overage, cost, rate };
+};
+
+// Archive the closing month and start a new one; the caller saves
+customerSchema.methods.archiveMonthlyUsage = function (terms) {
+  const { overage, cost } = this.calculateOverage(terms);
+  const closing = this.usage.lastResetDate || this.createdAt || new Date();
+  this.usage.history.push({
+    month: new Date(closing).toISOString().slice(0, 7),
+    tryons: this.usage.currentMonth.tryons,
+    apiCalls: this.usage.currentMonth.apiCalls,
+    overage,
+    overageCost: cost
+  });
+  this.usage.currentMonth.tryons = 0;
+  this.usage.currentMonth.apiCalls = 0;
+  this.usage.lastResetDate = new Date();
+  return this;
+};
+
+customerSchema.methods.resetMonthlyUsage = async function () {
+  this.archiveMonthlyUsage();
+  return this.save();
+};
+
+// =====================================
+// AUTH
+// =====================================
+
+customerSchema.methods.comparePassword = async function (candidate) {
+  if (!this.password || !candidate) return false;
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Short-lived; `sid` ties it to a refresh-token session (services/authTokens) so
+// logout can end it
+customerSchema.methods.generateAccessToken = function (sessionId) {
+  const payload = { _id: String(this._id), email: this.email, plan: this.plan };
+  if (sessionId) payload.sid = sessionId;
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET || 'dev-jwt-secret',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// =====================================
+// API KEYS
+// =====================================
+
+// Adds a key and returns the plaintext, which is never stored; the caller saves
+customerSchema.methods.createApiKey = function ({ name, mode = 'live', type = 'secret', scopes, allowedDomains, rateLimitPerMinute } = {}) {
+  if (!KEY_MODES.includes(mode)) {
+    const err = new Error(`mode must be one of: ${KEY_MODES.join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  if (!KEY_TYPES.includes(type)) {
+    const err = new Error(`type must be one of: ${KEY_TYPES.join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const prefix = keyPrefix(mode, type);
+  const key = prefix + crypto.randomBytes(24).toString('hex');
+  const record = {
+    keyId: `key_${crypto.randomBytes(8).toString('hex')}`,
+    name: name || 'default',
+    mode,
+    type,
+    prefix,
+    last4: key.slice(-4),
+    hash: hashApiKey(key),
+    createdAt: new Date()
+  };
+  if (type === 'publishable') {
+    record.scopes = ['tryon'];
+    record.allowedDomains = allowedDomains || [];
+    if (rateLimitPerMinute) record.rateLimitPerMinute = rateLimitPerMinute;
+  } else if (scopes) {
+    record.scopes = scopes;
+  }
+  this.apiKeys.push(record);
+  return { key, apiKey: this.apiKeys[this.apiKeys.length - 1] };
+};
+
+customerSchema.methods.findApiKey = function (keyId) {
+  return this.apiKeys.find(key => key.keyId === keyId) || null;
+};
+
+customerSchema.methods.revokeApiKey = function (keyId) {
+  const apiKey = this.findApiKey(keyId);
+  if (!apiKey || apiKey.status === 'revoked') return null;
+  apiKey.status = 'revoked';
+  apiKey.revokedAt = new Date();
+  return apiKey;
+};
+
+// Replace a key with a fresh secret carrying the same settings
+customerSchema.methods.rotateApiKey = function (keyId) {
+  const previous = this.findApiKey(keyId);
+  if (!previous || previous.status === 'revoked') return null;
+  this.revokeApiKey(keyId);
+  const rotated = this.createApiKey({
+    name: previous.name,
+    mode: previous.mode,
+    type: previous.type,
+    scopes: [...previous.scopes],
+    allowedDomains: previous.allowedDomains && [...previous.allowedDomains],
+    rateLimitPerMinute: previous.rateLimitPerMinute
+  });
+  rotated.apiKey.rotatedFrom = previous.keyId;
+  return rotated;
+};
+
+customerSchema.statics.hashApiKey = hashApiKey;
+customerSchema.statics.hashPassword = hashPassword;
+customerSchema.statics.PLANS = PLANS;
+customerSchema.statics.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
+customerSchema.statics.PLAN_LIMITS = PLAN_LIMITS;
+customerSchema.statics.KEY_SCOPES = KEY_SCOPES;
+customerSchema.statics.KEY_TYPES = KEY_TYPES;
+
+module.exports = mongoose.models.Customer || mongoose.model('Customer', customerSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Outbox entry for a transactional email (see services/email)
+const emailMessageSchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  // Set for one-off emails (`usage_80:<customerId>:<period>`); a second send is a no-op
+  dedupeKey: { type: String, unique: true, sparse: true },
+  customerId: { type: String, index: true },
+  template: { type: String, required: true },
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: String,
+  text: String,
+  status: { type: String, enum: ['queued', 'sending', 'sent', 'failed'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  lastError: String,
+  transport: String,
+  providerMessageId: String,
+  sentAt: Date
+}, { timestamps: true, versionKey: false });
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.models.EmailMessage || mongoose.model('EmailMessage', emailMessageSchema);
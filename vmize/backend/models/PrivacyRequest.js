@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Compliance log: one entry per data subject request (see services/privacy.js).
+// Only a digest of the end-user session ID is kept, never the ID itself.
+const privacyRequestSchema = new mongoose.Schema({
+  requestId: { type: String, required: true, unique: true },
+  customerId: { type: String, required: true },
+  type: { type: String, enum: ['access', 'erasure'], required: true },
+  sessionDigest: { type: String, required: true, index: true },
+  // Who submitted it: the merchant from their dashboard, or an admin on their behalf
+  requestedBy: {
+    type: { type: String, enum: ['merchant', 'admin', 'service'], required: true },
+    id: String,
+    username: String
+  },
+  status: { type: String, enum: ['completed', 'failed'], required: true },
+  // Records returned (access) or deleted (erasure)
+  counts: {
+    tryons: { type: Number, default: 0 },
+    images: { type: Number, default: 0 },
+    events: { type: Number, default: 0 }
+  },
+  error: String,
+  requestedAt: { type: Date, required: true },
+  completedAt: Date
+}, { versionKey: false });
+
+privacyRequestSchema.index({ customerId: 1, requestedAt: -1 });
+
+module.exports = mongoose.models.PrivacyRequest || mongoose.model('PrivacyRequest', privacyRequestSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Shared rate limit counters (see services/rateLimits.js): hits per key in the window
+// ending at resetTime
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  hits: { type: Number, default: 0 },
+  resetTime: { type: Date, required: true }
+}, { versionKey: false });
+
+// MongoDB drops counters once their window is over
+rateLimitCounterSchema.index({ resetTime: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
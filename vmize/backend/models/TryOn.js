@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One document per try-on request, from submission to a terminal state
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'canceled'];
+
+const imageRefSchema = new mongoose.Schema({
+  // Remote URL when the client sent one; data URLs are never stored, only their digest
+  url: String,
+  digest: String,
+  mimeType: String,
+  bytes: Number
+}, { _id: false });
+
+const tryOnSchema = new mongoose.Schema({
+  customerId: { type: String, index: true },
+  productId: { type: String, index: true },
+  // Storefront session that started the try-on (ties server-side events to session funnels)
+  sessionId: String,
+  endpoint: String,
+  provider: String,
+  // Made with a test-mode key: served by the sandbox provider, never billed
+  testMode: { type: Boolean, default: false },
+  // Quota reservation settled when the job finishes (see services/metering)
+  reservationId: String,
+  predictionId: { type: String, index: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued', index: true },
+  statusHistory: [{
+    _id: false,
+    status: { type: String, enum: JOB_STATUSES },
+    at: { type: Date, default: Date.now }
+  }],
+  inputs: {
+    modelImage: imageRefSchema,
+    garmentImage: imageRefSchema,
+    category: String,
+    mode: String,
+    age: mongoose.Schema.Types.Mixed
+  },
+  resultImageUrl: String,
+  images: [String],
+  error: String,
+  submittedAt: Date,
+  completedAt: Date,
+  durations: {
+    // Time spent in our own POST handler (provider submit round trip)
+    submitMs: Number,
+    // Submission to terminal state
+    totalMs: Number
+  },
+  // When the input image references and the result images were removed (retention
+  // purge or an admin deleting the photo); the job itself is kept for billing history
+  imagesPurgedAt: {
+    inputs: Date,
+    results: Date
+  }
+}, { timestamps: true, optimisticConcurrency: true });
+
+tryOnSchema.index({ customerId: 1, createdAt: -1 });
+tryOnSchema.index({ status: 1, submittedAt: 1 });
+
+tryOnSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.models.TryOn || mongoose.model('TryOn', tryOnSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Metered try-on usage for one customer in one monthly period (see services/metering.js)
+const usagePeriodSchema = new mongoose.Schema({
+  customerId: { type: String, required: true },
+  // UTC month, YYYY-MM
+  period: { type: String, required: true },
+  used: { type: Number, default: 0 },
+  reserved: { type: Number, default: 0 },
+  // Pricing terms of the period's latest try-on, which its overage is billed with
+  terms: {
+    _id: false,
+    plan: String,
+    included: Number,
+    overageRate: Number,
+    hardCap: Number
+  },
+  // Units held by in-flight try-ons until they are committed or released
+  reservations: [{
+    _id: false,
+    reservationId: { type: String, required: true },
+    units: { type: Number, required: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+  }]
+}, { timestamps: true, versionKey: false });
+
+usagePeriodSchema.index({ customerId: 1, period: 1 }, { unique: true });
+usagePeriodSchema.index({ 'reservations.reservationId': 1 });
+usagePeriodSchema.index({ 'reservations.expiresAt': 1 });
+
+module.exports = mongoose.models.UsagePeriod || mongoose.model('UsagePeriod', usagePeriodSchema);
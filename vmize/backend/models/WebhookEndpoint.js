@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Merchant-registered callback URL for try-on lifecycle events
+const webhookEndpointSchema = new mongoose.Schema({
+  customerId: { type: String, required: true, index: true },
+  url: { type: String, required: true },
+  // Shared HMAC secret; only returned once, when the endpoint is created
+  secret: { type: String, required: true, select: false },
+  events: { type: [String], default: ['tryon.completed', 'tryon.failed'] },
+  active: { type: Boolean, default: true },
+  lastDelivery: {
+    eventId: String,
+    type: { type: String },
+    status: String,
+    httpStatus: Number,
+    attempt: Number,
+    error: String,
+    at: Date
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.models.WebhookEndpoint || mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One saved version of a customer's widget styling (see services/widgetConfigs.js).
+// Versions are never edited; the highest version is the one storefronts load.
+const widgetConfigSchema = new mongoose.Schema({
+  customerId: { type: String, required: true },
+  version: { type: Number, required: true, min: 1 },
+  config: {
+    buttonText: String,
+    buttonBgColor: String,
+    buttonTextColor: String,
+    buttonSize: { type: String, enum: ['small', 'medium', 'large'] },
+    borderStyle: { type: String, enum: ['none', 'solid', 'rounded'] },
+    borderColor: String,
+    borderWidth: Number,
+    modalTitle: String,
+    modalColor: String,
+    buttonPosition: { type: String, enum: ['below', 'inline'] }
+  },
+  // Set when the version was created by restoring an earlier one
+  restoredFrom: Number,
+  createdBy: {
+    type: { type: String, enum: ['merchant', 'admin', 'service'], required: true },
+    id: String,
+    username: String
+  },
+  createdAt: { type: Date, required: true }
+}, { versionKey: false });
+
+widgetConfigSchema.index({ customerId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.models.WidgetConfig || mongoose.model('WidgetConfig', widgetConfigSchema);
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+
+// Admin dashboard accounts. Every route except /login needs an admin session
+// (x-admin-token, see services/adminAuth) and is recorded in the audit log.
+const admin = require('../controllers/adminAuthController');
+const { requirePermission } = require('../services/adminAuth');
+const rateLimits = require('../services/rateLimits');
+
+// Sign-in attempts per IP (see services/rateLimits); accounts also lock after repeated
+// failures (services/adminAuth)
+const throttleLogins = rateLimits.limiter('login', {
+  onLimit: (req, res, message) => res.status(429).json({ success: false, message })
+});
+
+// Enrollment sessions (TOTP not set up yet) may only reach these
+const signedIn = action => requirePermission(null, { allowEnrollment: true, audit: action });
+
+// POST /login { username, password, code } - returns { token, expiresAt, admin, enrollmentRequired }
+router.post('/login', throttleLogins, admin.login);
+
+// POST /logout, GET /session
+router.post('/logout', signedIn('admin.logout'), admin.logout);
+router.get('/session', signedIn(), admin.getSession);
+
+// POST /totp/setup, /totp/verify { code } - TOTP enrollment
+router.post('/totp/setup', signedIn('admin.totp_setup'), admin.beginTotpSetup);
+router.post('/totp/verify', signedIn('admin.totp_verify'), admin.confirmTotpSetup);
+
+// POST /password { currentPassword, newPassword }
+router.post('/password', requirePermission(null, { audit: 'admin.password_change' }), admin.changePassword);
+
+// Admin accounts (owners)
+router.get('/users', requirePermission('admins:manage', { audit: 'admin.users.list' }), admin.listAdmins);
+router.post('/users', requirePermission('admins:manage', { audit: 'admin.users.create' }), admin.createAdmin);
+router.patch('/users/:id', requirePermission('admins:manage', { audit: 'admin.users.update' }), admin.updateAdmin);
+router.post('/users/:id/reset-totp', requirePermission('admins:manage', { audit: 'admin.users.reset_totp' }), admin.resetAdminTotp);
+
+// GET /audit-log
+router.get('/audit-log', requirePermission('audit:read', { audit: 'admin.audit_log.read' }), admin.listAuditLog);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+
+// Admin dashboard data. Each route needs an admin session (x-admin-token, see
+// services/adminAuth) whose role grants its permission, and is audited under it.
+const admin = require('../controllers/adminController');
+const { requirePermission } = require('../services/adminAuth');
+
+// GET /stats/overview
+router.get('/stats/overview', requirePermission('analytics:read'), admin.getOverview);
+
+// GET /customers?search=&plan=&status=&nearLimit=&sort=&order=&page=&limit=
+router.get('/customers', requirePermission('customers:read'), admin.listCustomers);
+router.get('/customers/:customerId', requirePermission('customers:read'), admin.getCustomer);
+router.delete('/customers/:customerId', requirePermission('customers:delete'), admin.deleteCustomer);
+
+// Upsells: customers near their plan's limit, and the upsell email
+router.get('/upsell-opportunities', requirePermission('customers:read'), admin.listUpsellOpportunities);
+router.post('/send-upsell-email', requirePermission('emails:send'), admin.sendUpsellEmail);
+
+// GET /analytics/usage?from=&to=, GET /conversions?from=&to=&sort=
+router.get('/analytics/usage', requirePermission('analytics:read'), admin.getUsageByMonth);
+router.get('/conversions', requirePermission('analytics:read'), admin.getConversions);
+
+// Try-on jobs; /photos lists the completed ones, DELETE /photos/:id removes a job's images
+router.get('/tryons', requirePermission('tryons:read'), admin.listTryons);
+router.get('/photos', requirePermission('tryons:read'), admin.listPhotos);
+router.delete('/photos/:id', requirePermission('tryons:write'), admin.deletePhoto);
+router.delete('/tryons/:id', requirePermission('tryons:write'), admin.deleteTryon);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+
+// Storefront origins allowed to call the try-on and tracking routes with a customer's
+// keys (see services/corsPolicy). Merchants (dashboard JWT) manage their own list; admins
+// (x-admin-token, see services/adminAuth) pass ?customerId= / body.customerId and need
+// customers:read to read, customers:write to change it.
+const customers = require('../services/customers');
+const adminAuth = require('../services/adminAuth');
+const merchantAuth = require('../services/merchantAuth');
+
+// Customer the request acts on; merchants can never choose another one
+function customerFor(req) {
+  if (!req.admin) return req.user._id;
+  const customerId = req.body?.customerId || req.query.customerId;
+  if (!customerId) {
+    const err = new Error('customerId is required');
+    err.statusCode = 400;
+    throw err;
+  }
+  return String(customerId);
+}
+
+function sendError(res, err, label) {
+  if (!err.statusCode) console.error(`❌ Allowed origins ${label} error:`, err);
+  res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : `Failed to ${label}` });
+}
+
+router.use(adminAuth.admitAdmin(req => (req.method === 'GET' ? 'customers:read' : 'customers:write')));
+router.use(merchantAuth.verifySession());
+
+// GET / - { allowedOrigins: ['shop.example.com', '*.example.com'] }; empty allows any origin
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: { allowedOrigins: await customers.getAllowedOrigins(customerFor(req)) } });
+  } catch (err) {
+    sendError(res, err, 'load allowed origins');
+  }
+});
+
+// PUT / { allowedOrigins } - replaces the list; origins ("https://shop.example.com"),
+// hosts and *.wildcards are accepted and stored as hosts
+router.put('/', async (req, res) => {
+  try {
+    const customerId = customerFor(req);
+    const allowedOrigins = await customers.setAllowedOrigins(customerId, req.body?.allowedOrigins);
+    console.log(`🌐 Allowed origins for ${customerId} set to [${allowedOrigins.join(', ')}]`);
+    res.json({ success: true, data: { allowedOrigins } });
+  } catch (err) {
+    sendError(res, err, 'save allowed origins');
+  }
+});
+
+module.exports = router;
@@ -1,61 +1,42 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 
-// Lightweight auth routes suitable for local/dev and in-process tests
-// These use the `Customer` model if available (tests mock it); otherwise they fall
-// back to simple in-memory behavior.
-const Customer = (() => {
-  try { return require('../models/Customer'); } catch (e) { return null; }
-})();
-
-function makeToken(payload) {
-  const secret = process.env.JWT_SECRET || 'dev-jwt-secret';
-  return jwt.sign(payload, secret, { expiresIn: '7d' });
-}
-
-router.post('/register', async (req, res) => {
-  try {
-    if (!Customer || !Customer.create) {
-      // Fallback: return a fake user with a token
-      const id = String(Date.now());
-      const user = { _id: id, email: req.body.email || `user+${id}@example.com` };
-      return res.json({ success: true, data: { tokens: { accessToken: makeToken({ _id: user._id, email: user.email }) }, user } });
-    }
-
-    const user = await Customer.create(req.body);
-    const accessToken = (typeof user.generateAccessToken === 'function') ? user.generateAccessToken() : makeToken({ _id: user._id, email: user.email });
-    const refreshToken = (typeof user.generateRefreshToken === 'function') ? user.generateRefreshToken() : null;
-
-    return res.json({ success: true, data: { tokens: { accessToken, refreshToken }, user } });
-  } catch (err) {
-    console.error('Auth register error:', err);
-    return res.status(500).json({ success: false, message: err.message });
-  }
+// Merchant authentication. Customers live in services/customers (MongoDB, or memory
+// without a database); sessions and single-use tokens in services/authTokens.
+const auth = require('../controllers/authController');
+const merchantAuth = require('../services/merchantAuth');
+const googleOAuth = require('../services/googleOAuth');
+const rateLimits = require('../services/rateLimits');
+
+// Sign-in attempts per IP (see services/rateLimits); accounts also lock after repeated
+// failures (controllers/authController)
+const throttleLogins = rateLimits.limiter('login', {
+  onLimit: (req, res, message) => res.status(429).json({ success: false, message })
 });
 
-router.post('/login', async (req, res) => {
-  try {
-    if (!Customer || !Customer.findOne) {
-      // Simple demo login
-      if (req.body.email && req.body.password) {
-        return res.json({ success: true, data: { tokens: { accessToken: makeToken({ email: req.body.email }) } } });
-      }
-      return res.status(400).json({ success: false, message: 'Missing credentials' });
-    }
-
-    const user = await Customer.findOne({ email: req.body.email }).select('+password');
-    if (!user) return res.status(401).json({ success: false, message: 'Invalid credentials' });
-
-    const ok = await user.comparePassword(req.body.password);
-    if (!ok) return res.status(401).json({ success: false, message: 'Invalid credentials' });
-
-    const accessToken = (typeof user.generateAccessToken === 'function') ? user.generateAccessToken() : makeToken({ _id: user._id, email: user.email });
-    return res.json({ success: true, data: { tokens: { accessToken } } });
-  } catch (err) {
-    console.error('Auth login error:', err);
-    return res.status(500).json({ success: false, message: err.message });
-  }
-});
+// POST /register, /login - return { tokens: { accessToken, refreshToken }, user }
+router.post('/register', auth.register);
+router.post('/login', throttleLogins, auth.login);
+
+// GET /google - "Sign in with Google"; the callback redirects to login.html
+router.get('/google', googleOAuth.start);
+router.get('/google/callback', googleOAuth.callback, auth.googleCallback);
+
+// POST /refresh { refreshToken } - new access token and the next refresh token
+router.post('/refresh', auth.refresh);
+
+// POST /logout { refreshToken, all }
+router.post('/logout', merchantAuth.verifySession({ optional: true }), auth.logout);
+
+// GET /me - the signed-in merchant
+router.get('/me', merchantAuth.verifySession(), auth.me);
+
+// POST /forgot-password { email }, /reset-password { token, password }
+router.post('/forgot-password', auth.forgotPassword);
+router.post('/reset-password', auth.resetPassword);
+
+// POST /verify-email { token }, /resend-verification
+router.post('/verify-email', auth.verifyEmail);
+router.post('/resend-verification', merchantAuth.verifySession(), auth.resendVerification);
 
 module.exports = router;
@@ -1,10 +1,45 @@
 const express = require('express');
 const router = express.Router();
 
-// Minimal billing endpoints for integration tests and local use
-router.post('/create-checkout', async (req, res) => {
-  // In a real app you'd call Stripe and return a checkout URL. Here we return a stub.
-  return res.json({ success: true, data: { url: 'https://checkout.example.com/session/placeholder' } });
-});
+// Subscription billing. Merchants use their dashboard JWT; admins (x-admin-token with
+// billing:read / billing:write, see services/adminAuth) can act for a customer with
+// ?customerId= and audit the billing ledger. The Stripe webhook is mounted in server.js
+// because it needs the raw request body.
+const billing = require('../controllers/billingController');
+const adminAuth = require('../services/adminAuth');
+const merchantAuth = require('../services/merchantAuth');
+
+function requireAdmin(req, res, next) {
+  if (!req.admin) return res.status(403).json({ success: false, message: 'Admin access required' });
+  next();
+}
+
+// GET /plans - the plan catalog (public, for pricing pages)
+router.get('/plans', billing.listPlans);
+
+router.use(adminAuth.admitAdmin(req => (req.method === 'GET' ? 'billing:read' : 'billing:write')));
+router.use(merchantAuth.verifySession());
+
+// POST /create-checkout { plan } - returns a Stripe Checkout URL for the plan
+router.post('/create-checkout', billing.createCheckout);
+
+// GET /subscription - plan, renewal date, pending downgrade or cancellation
+router.get('/subscription', billing.getSubscription);
+
+// POST /change-plan { plan } - upgrade now (prorated) or downgrade at period end
+router.post('/change-plan', billing.changePlan);
+
+// POST /subscription/cancel, /subscription/resume - cancel at period end, or undo it
+router.post('/subscription/cancel', billing.cancelSubscription);
+router.post('/subscription/resume', billing.resumeSubscription);
+
+// GET /preview - projected invoice for the current period
+router.get('/preview', billing.previewInvoice);
+
+// PUT /hard-cap { hardCap } - monthly try-on ceiling (null removes it)
+router.put('/hard-cap', billing.updateHardCap);
+
+// GET /events - billing ledger (admins only)
+router.get('/events', requireAdmin, billing.listBillingEvents);
 
 module.exports = router;
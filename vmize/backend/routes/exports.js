@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+
+// Data exports (see services/dataExport). Merchants (dashboard JWT) export their own
+// data only; admins (x-admin-token with the dataset's permission, see
+// services/adminAuth) export every tenant, or one with ?customerId=.
+const dataExport = require('../services/dataExport');
+const adminAuth = require('../services/adminAuth');
+const merchantAuth = require('../services/merchantAuth');
+
+function knownDataset(req, res, next) {
+  if (!dataExport.DATASETS[req.params.dataset]) {
+    return res.status(404).json({ success: false, message: `Unknown export: ${req.params.dataset}` });
+  }
+  next();
+}
+
+// GET /:dataset?format=csv|ndjson&from=&to=&customerId=
+// datasets: customers, tryons, api_calls, events
+router.get('/:dataset',
+  knownDataset,
+  adminAuth.admitAdmin(req => dataExport.DATASETS[req.params.dataset].permission),
+  merchantAuth.verifySession(),
+  async (req, res) => {
+    try {
+      const options = dataExport.parseExportQuery(req.query);
+      // Merchants can never choose another tenant
+      if (!req.admin) options.customerId = req.user._id;
+      await dataExport.streamExport(res, req.params.dataset, options, { analytics: req.app.locals.analytics });
+    } catch (err) {
+      if (!err.statusCode) console.error('❌ Export error:', err);
+      res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Export failed' });
+    }
+  });
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+
+// API key management. Merchants (dashboard JWT) manage their own keys; admins
+// (x-admin-token with keys:read / keys:write, see services/adminAuth) pass
+// ?customerId= / body.customerId (id or email) to act for a customer.
+// Plaintext keys are returned once, on create and rotate; afterwards only the
+// prefix and last 4 characters are available. Secret keys (vmize_sk_) are for the
+// merchant's server; publishable keys (vmize_pk_) go in storefront pages and only work
+// from their allowedDomains (see services/apiKeyPolicy).
+const customers = require('../services/customers');
+const adminAuth = require('../services/adminAuth');
+const merchantAuth = require('../services/merchantAuth');
+
+// Customer the request acts on; merchants can never choose another one
+async function resolveCustomer(req) {
+  const requested = req.body?.customerId || req.query.customerId;
+  const customerId = req.admin ? requested : req.user._id;
+  if (!customerId) {
+    const err = new Error('customerId is required');
+    err.statusCode = 400;
+    throw err;
+  }
+  const customer = await customers.getCustomer(String(customerId));
+  if (!customer) {
+    const err = new Error('Customer not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return customer;
+}
+
+router.use(adminAuth.admitAdmin(req => (req.method === 'GET' ? 'keys:read' : 'keys:write')));
+router.use(merchantAuth.verifySession());
+
+// GET / - list keys (admins without ?customerId= see every customer's keys)
+router.get('/', async (req, res) => {
+  try {
+    if (req.admin && !req.query.customerId) {
+      const all = await customers.listCustomersWithKeys();
+      const keys = all.flatMap(customer => customer.apiKeys.map(key => ({
+        ...customers.publicKey(key),
+        customerId: String(customer._id),
+        email: customer.email,
+        companyName: customer.companyName
+      })));
+      return res.json({ success: true, data: { keys } });
+    }
+
+    const customer = await resolveCustomer(req);
+    const keys = customer.apiKeys.map(customers.publicKey);
+    return res.json({ success: true, data: { customerId: String(customer._id), keys } });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+// POST / - create a key: { name, mode: 'live'|'test', type: 'secret'|'publishable',
+// scopes: ['tryon', ...] } plus, for publishable keys, { allowedDomains: ['shop.com',
+// '*.shop.com'], rateLimitPerMinute } (live keys need a verified email unless an admin
+// creates them)
+router.post('/', async (req, res) => {
+  try {
+    const customer = await resolveCustomer(req);
+    const { name, mode, type, scopes, allowedDomains, rateLimitPerMinute } = req.body || {};
+    // Merchants verify their email before going live; test keys work right away
+    if (!req.admin && mode !== 'test' && !customer.emailVerified) {
+      return res.status(403).json({ success: false, message: 'Verify your email address before creating live API keys' });
+    }
+    const { key, apiKey } = await customers.createKey(customer, { name, mode, type, scopes, allowedDomains, rateLimitPerMinute });
+    console.log(`🔑 API key ${apiKey.keyId} created for ${customer.email}`);
+    return res.status(201).json({ success: true, data: { key, apiKey } });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+// PATCH /:keyId - change a publishable key's { allowedDomains, rateLimitPerMinute }
+// without reissuing it (rateLimitPerMinute: null restores the default)
+router.patch('/:keyId', async (req, res) => {
+  try {
+    const customer = await resolveCustomer(req);
+    const { allowedDomains, rateLimitPerMinute } = req.body || {};
+    const apiKey = await customers.updateKey(customer, req.params.keyId, { allowedDomains, rateLimitPerMinute });
+    console.log(`🔑 API key ${apiKey.keyId} updated for ${customer.email}`);
+    return res.json({ success: true, data: { apiKey } });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+// POST /:keyId/rotate - revoke the key and issue a replacement with the same settings
+router.post('/:keyId/rotate', async (req, res) => {
+  try {
+    const customer = await resolveCustomer(req);
+    const { key, apiKey } = await customers.rotateKey(customer, req.params.keyId);
+    console.log(`🔑 API key ${req.params.keyId} rotated to ${apiKey.keyId} for ${customer.email}`);
+    return res.status(201).json({ success: true, data: { key, apiKey } });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+// DELETE /:keyId - revoke a key; it stops authenticating immediately
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const customer = await resolveCustomer(req);
+    const apiKey = await customers.revokeKey(customer, req.params.keyId);
+    console.log(`🔑 API key ${apiKey.keyId} revoked for ${customer.email}`);
+    return res.json({ success: true, data: { apiKey } });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
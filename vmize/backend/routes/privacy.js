@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+
+// Image retention settings and data subject requests (see services/privacy).
+// Merchants (dashboard JWT) act on their own account; admins (x-admin-token, see
+// services/adminAuth) pass ?customerId= / body.customerId and need customers:read to
+// read, customers:write to change settings or file requests.
+const privacy = require('../services/privacy');
+const adminAuth = require('../services/adminAuth');
+const merchantAuth = require('../services/merchantAuth');
+
+// Customer the request acts on; merchants can never choose another one
+function customerFor(req, { required = true } = {}) {
+  if (!req.admin) return req.user._id;
+  const customerId = req.body?.customerId || req.query.customerId;
+  if (!customerId && required) {
+    const err = new Error('customerId is required');
+    err.statusCode = 400;
+    throw err;
+  }
+  return customerId ? String(customerId) : undefined;
+}
+
+function requester(req) {
+  if (!req.admin) return { type: 'merchant', id: req.user._id };
+  return { type: req.admin.type, id: req.admin.adminId, username: req.admin.username };
+}
+
+// Live and test-mode analytics both hold storefront events
+function trackers(req) {
+  return [req.app.locals.analytics, req.app.locals.testAnalytics].filter(Boolean);
+}
+
+function sendError(res, err, label) {
+  if (!err.statusCode) console.error(`❌ Privacy ${label} error:`, err);
+  res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : `Failed to ${label}` });
+}
+
+router.use(adminAuth.admitAdmin(req => (req.method === 'GET' ? 'customers:read' : 'customers:write')));
+router.use(merchantAuth.verifySession());
+
+// GET /retention - image retention in days ({ uploadedDays, resultDays, effective, defaults })
+router.get('/retention', async (req, res) => {
+  try {
+    res.json({ success: true, data: { retention: await privacy.getRetention(customerFor(req)) } });
+  } catch (err) {
+    sendError(res, err, 'load retention');
+  }
+});
+
+// PUT /retention { uploadedDays, resultDays } - null returns a field to the default
+router.put('/retention', async (req, res) => {
+  try {
+    const { uploadedDays, resultDays } = req.body || {};
+    const retention = await privacy.setRetention(customerFor(req), { uploadedDays, resultDays });
+    res.json({ success: true, data: { retention } });
+  } catch (err) {
+    sendError(res, err, 'update retention');
+  }
+});
+
+// POST /requests { type: 'access' | 'erasure', sessionId } - access requests return the
+// session's try-ons, images and events; erasure requests delete them
+router.post('/requests', async (req, res) => {
+  try {
+    const { type, sessionId } = req.body || {};
+    const { request, data } = await privacy.submitRequest({
+      customerId: customerFor(req),
+      type,
+      sessionId,
+      requestedBy: requester(req),
+      trackers: trackers(req)
+    });
+    res.status(201).json({ success: true, data: { request, ...(data && { data }) } });
+  } catch (err) {
+    sendError(res, err, 'process the request');
+  }
+});
+
+// GET /requests?type=&sessionId=&page=&limit= - the compliance log (admins without
+// ?customerId= see every customer's)
+router.get('/requests', async (req, res) => {
+  try {
+    const { type, sessionId, page, limit } = req.query;
+    const log = await privacy.listRequests({ customerId: customerFor(req, { required: false }), type, sessionId, page, limit });
+    res.json({ success: true, data: log });
+  } catch (err) {
+    sendError(res, err, 'load requests');
+  }
+});
+
+module.exports = router;
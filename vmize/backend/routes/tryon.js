@@ -1,60 +1,93 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 
 // Minimal tryon route set used by integration tests and the widget.
-// Depends on global `fetch` (tests mock fetch) and optional Customer/User models.
+// Try-ons go through services/tryonService; optional Customer/User models.
+const tryon = require('../services/tryonService');
+const tryonJobs = require('../services/tryonJobs');
+const metering = require('../services/metering');
+const customers = require('../services/customers');
+const merchantAuth = require('../services/merchantAuth');
 const User = (() => { try { return require('../models/User'); } catch (e) { return null; } })();
 
-function verifyJwt(req, res, next) {
-  const auth = req.headers.authorization || req.headers.Authorization || '';
-  const token = (auth && auth.split(' ')[0] === 'Bearer') ? auth.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ success: false, message: 'Missing token' });
-  try {
-    const secret = process.env.JWT_SECRET || 'dev-jwt-secret';
-    req.user = jwt.verify(token, secret);
-    return next();
-  } catch (err) {
-    return res.status(401).json({ success: false, message: 'Invalid token' });
-  }
-}
+// POST /generate - creates a try-on through the configured provider (see services/providers).
+// Metered like the proxy's /api/tryon: a unit is reserved before the provider is called,
+// committed when the job completes and released when it fails.
+router.post('/generate', merchantAuth.verifySession(), async (req, res) => {
+  const startTime = Date.now();
+  const input = tryon.normalizeTryOnInput(req.body);
+  const job = { customerId: req.user._id, endpoint: '/api/v1/tryon/generate', input, startedAt: startTime };
+  if (!input.modelImage || !input.garmentImage) return res.status(400).json({ success: false, message: 'Missing images' });
 
-// POST /generate - creates a try-on (calls Fashn.AI via fetch)
-router.post('/generate', verifyJwt, async (req, res) => {
+  let reservationId = null;
   try {
-    const { modelImage, garmentImage, productId, age } = req.body || {};
-    if (!modelImage || !garmentImage) return res.status(400).json({ success: false, message: 'Missing images' });
-
-    // Build request body and forward optional age
-    const reqBody = { model_image: modelImage, garment_image: garmentImage };
-    if (age !== undefined) reqBody.age = age;
-
-    // Call Fashn.AI or similar (tests will mock global.fetch)
-    const resp = await fetch(process.env.FASHN_AI_API_URL || 'https://api.fashn.ai/v1/run', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(reqBody)
+    const customer = await customers.getCustomer(String(job.customerId));
+    if (!customer) return res.status(404).json({ success: false, message: 'Customer not found' });
+    if (!customers.isSubscriptionActive(customer.subscriptionStatus)) {
+      return res.status(403).json({ success: false, message: 'Subscription inactive. Please update billing.' });
+    }
+    const { reservation, usage } = await metering.reserve({
+      customerId: String(customer._id),
+      plan: customer.plan,
+      limit: customer.getPlanLimit(),
+      overageRate: customer.getOverageRate(),
+      hardCap: customer.getHardCap()
     });
+    if (!reservation) {
+      return res.status(429).json({
+        success: false,
+        message: 'Monthly try-on limit reached. Upgrade your plan or raise your usage cap.',
+        data: { limit: usage.limit, hardCap: usage.hardCap, used: usage.used, reserved: usage.reserved, resetsAt: usage.resetsAt }
+      });
+    }
+    reservationId = reservation.reservationId;
 
-    const body = await resp.json();
+    const result = await tryon.submitTryOn(input);
+    await tryonJobs.recordSubmission({ ...job, result, reservationId })
+      .catch(err => {
+        console.error('Tryon job record error:', err.message);
+        // Without a job nothing will settle the reservation; the provider accepted it
+        return metering.commit(reservationId);
+      });
 
-    // If mocked response contains an image url, return it
-    const imageUrl = (body && (body.output?.image_url || body.data?.imageUrl || body.imageUrl)) || null;
-    if (imageUrl) {
-      return res.json({ success: true, data: { imageUrl } });
+    // Providers that answer synchronously hand back the image straight away
+    if (result.imageUrl) {
+      return res.json({ success: true, data: { imageUrl: result.imageUrl } });
     }
 
-    // Generic: return a processing id if available
-    return res.json({ success: true, data: { id: body.id || null, status: body.status || 'processing' } });
+    // Otherwise return the prediction id so the client can poll
+    return res.json({ success: true, data: { id: result.id, status: result.status } });
   } catch (err) {
     console.error('Tryon generate error:', err);
-    return res.status(500).json({ success: false, message: err.message });
+    await metering.release(reservationId)
+      .catch(releaseErr => console.error('Usage reservation release error:', releaseErr.message));
+    await tryonJobs.recordFailure({ ...job, error: err })
+      .catch(recordErr => console.error('Tryon job record error:', recordErr.message));
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
   }
 });
 
-router.get('/history', verifyJwt, async (req, res) => {
-  // Simple stub returning empty history; can be extended to use DB
-  return res.json({ success: true, data: [] });
+// GET /history?page=&limit=&productId=&status= - the caller's try-on jobs, newest first
+router.get('/history', merchantAuth.verifySession(), async (req, res) => {
+  try {
+    const { productId, status, page, limit } = req.query;
+    if (status && !tryonJobs.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Expected one of: ${tryonJobs.JOB_STATUSES.join(', ')}` });
+    }
+
+    const { jobs, pagination } = await tryonJobs.listJobs({
+      customerId: req.user._id,
+      productId,
+      status,
+      page,
+      limit
+    });
+
+    return res.json({ success: true, data: { tryons: jobs, pagination } });
+  } catch (err) {
+    console.error('Tryon history error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
 });
 
 router.post('/track-view', async (req, res) => {
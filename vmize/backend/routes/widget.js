@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// The storefront widget bundle (see services/widgetBundle). Merchants load it with a
+// <script> tag from their own domains, so it may be embedded cross-origin.
+const { getBundle } = require('../services/widgetBundle');
+
+const MAX_AGE_SECONDS = Number(process.env.WIDGET_MAX_AGE_SECONDS || 300);
+
+router.get(['/widget.js', '/widget/v1/widget.js'], (req, res) => {
+  let bundle;
+  try {
+    bundle = getBundle();
+  } catch (err) {
+    console.error('❌ Widget bundle error:', err);
+    return res.status(500).type('application/javascript').send('console.error("[Vmize] The widget is unavailable");');
+  }
+  res.set({
+    'Content-Type': 'application/javascript; charset=utf-8',
+    'Cache-Control': `public, max-age=${MAX_AGE_SECONDS}`,
+    // helmet defaults to same-origin, which would block the script on storefronts
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'ETag': bundle.etag,
+    'X-Vmize-Widget-Version': bundle.version
+  });
+  // res.send answers If-None-Match with 304
+  res.send(bundle.body);
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const publicRouter = express.Router();
+
+// Widget styling saved from the customizer (see services/widgetConfigs). Merchants
+// (dashboard JWT) manage their own; admins (x-admin-token, see services/adminAuth) pass
+// ?customerId= / body.customerId and need customers:read to read, customers:write to
+// save, restore or delete. `publicRouter` serves the live config to storefronts by API key.
+const widgetConfigs = require('../services/widgetConfigs');
+const adminAuth = require('../services/adminAuth');
+const merchantAuth = require('../services/merchantAuth');
+
+const PUBLIC_MAX_AGE_SECONDS = Number(process.env.WIDGET_CONFIG_MAX_AGE_SECONDS || 300);
+
+// Customer the request acts on; merchants can never choose another one
+function customerFor(req) {
+  if (!req.admin) return req.user._id;
+  const customerId = req.body?.customerId || req.query.customerId;
+  if (!customerId) {
+    const err = new Error('customerId is required');
+    err.statusCode = 400;
+    throw err;
+  }
+  return String(customerId);
+}
+
+function requester(req) {
+  if (!req.admin) return { type: 'merchant', id: req.user._id };
+  return { type: req.admin.type, id: req.admin.adminId, username: req.admin.username };
+}
+
+function sendError(res, err, label) {
+  if (!err.statusCode) console.error(`❌ Widget config ${label} error:`, err);
+  res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : `Failed to ${label}` });
+}
+
+// GET /:apiKey - the live config for the embed. Public and cacheable: storefronts on any
+// origin may read it, and Express answers If-None-Match with 304 from the ETag.
+publicRouter.get('/:apiKey', async (req, res) => {
+  try {
+    const widget = await widgetConfigs.getPublicConfig(req.params.apiKey);
+    if (!widget) return res.status(404).json({ success: false, message: 'Unknown API key' });
+    res.set('Cache-Control', `public, max-age=${PUBLIC_MAX_AGE_SECONDS}`);
+    res.json({ success: true, data: widget });
+  } catch (err) {
+    sendError(res, err, 'load widget config');
+  }
+});
+
+router.use(adminAuth.admitAdmin(req => (req.method === 'GET' ? 'customers:read' : 'customers:write')));
+router.use(merchantAuth.verifySession());
+
+// GET / - the live config ({ version, config, createdAt, createdBy }; version 0 is the defaults)
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: { widgetConfig: await widgetConfigs.getConfig(customerFor(req)) } });
+  } catch (err) {
+    sendError(res, err, 'load widget config');
+  }
+});
+
+// PUT / { config } - saves a new version; fields left out take the defaults
+router.put('/', async (req, res) => {
+  try {
+    const widgetConfig = await widgetConfigs.saveConfig(customerFor(req), req.body?.config, requester(req));
+    res.json({ success: true, data: { widgetConfig } });
+  } catch (err) {
+    sendError(res, err, 'save widget config');
+  }
+});
+
+// DELETE / - removes every version; the widget goes back to the defaults
+router.delete('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: { deleted: await widgetConfigs.deleteConfig(customerFor(req)) } });
+  } catch (err) {
+    sendError(res, err, 'delete widget config');
+  }
+});
+
+// GET /versions?page=&limit= - saved versions, newest first
+router.get('/versions', async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    res.json({ success: true, data: await widgetConfigs.listVersions(customerFor(req), { page, limit }) });
+  } catch (err) {
+    sendError(res, err, 'load widget config versions');
+  }
+});
+
+router.get('/versions/:version', async (req, res) => {
+  try {
+    const widgetConfig = await widgetConfigs.getVersion(customerFor(req), req.params.version);
+    res.json({ success: true, data: { widgetConfig } });
+  } catch (err) {
+    sendError(res, err, 'load widget config version');
+  }
+});
+
+// POST /versions/:version/restore - makes an earlier version live as a new version
+router.post('/versions/:version/restore', async (req, res) => {
+  try {
+    const widgetConfig = await widgetConfigs.restoreVersion(customerFor(req), req.params.version, requester(req));
+    res.json({ success: true, data: { widgetConfig } });
+  } catch (err) {
+    sendError(res, err, 'restore widget config');
+  }
+});
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
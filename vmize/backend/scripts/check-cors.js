@@ -20,6 +20,17 @@ const origins = [
   'http://malicious.example.com'
 ];
 
+// Storefront (tenant) routes: preflights are answered for any origin, the request itself
+// only for origins on the key's customer allowlist (see services/corsPolicy). Set
+// TENANT_API_KEY to a key of a customer whose allowlist covers TENANT_ORIGINS.
+const tenantEndpoints = [
+  { path: '/api/tryon', method: 'POST' },
+  { path: '/api/track', method: 'POST', body: { eventName: 'widget_opened', data: {} } }
+];
+const tenantKey = process.env.TENANT_API_KEY;
+const tenantOrigins = (process.env.TENANT_ORIGINS || 'https://shop.example.com').split(',').map(origin => origin.trim()).filter(Boolean);
+const disallowedTenantOrigin = process.env.TENANT_DISALLOWED_ORIGIN || 'http://malicious.example.com';
+
 async function sendPreflight(url, origin, method) {
   try {
     const res = await axios({
@@ -40,16 +51,17 @@ async function sendPreflight(url, origin, method) {
   }
 }
 
-async function sendTestRequest(url, origin, method) {
+async function sendTestRequest(url, origin, method, { headers = {}, body = {} } = {}) {
   try {
     const res = await axios({
       method: method.toLowerCase(),
       url,
       headers: {
         Origin: origin,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...headers
       },
-      data: method === 'GET' ? undefined : {},
+      data: method === 'GET' ? undefined : body,
       validateStatus: () => true,
       timeout: 7000
     });
@@ -99,6 +111,38 @@ async function sendTestRequest(url, origin, method) {
     }
   }
 
+  console.log(`\nRunning storefront CORS checks against ${BASE}`);
+  for (const ep of tenantEndpoints) {
+    const url = `${BASE}${ep.path}`;
+    for (const origin of [...tenantOrigins, disallowedTenantOrigin]) {
+      process.stdout.write(`Checking preflight ${ep.path} from ${origin} ... `);
+      const pre = await sendPreflight(url, origin, ep.method);
+      const acao = pre.headers?.['access-control-allow-origin'];
+      if (!pre.error && acao === origin) {
+        console.log(`OK (preflight ${pre.status})`);
+      } else {
+        console.log(pre.error ? `ERR preflight: ${pre.error}` : `FAIL (preflight ${pre.status})`);
+        failures.push({ ep: ep.path, origin, reason: 'preflight should reflect any origin', preflightStatus: pre.status, acao, error: pre.error });
+      }
+    }
+
+    if (!tenantKey) continue;
+    for (const origin of [...tenantOrigins, disallowedTenantOrigin]) {
+      const allowed = origin !== disallowedTenantOrigin;
+      process.stdout.write(`Checking ${ep.method} ${ep.path} from ${origin} (${allowed ? 'allowed' : 'not allowed'}) ... `);
+      const res = await sendTestRequest(url, origin, ep.method, { headers: { 'x-vmize-api-key': tenantKey }, body: ep.body });
+      const acao = res.headers?.['access-control-allow-origin'];
+      const passed = !res.error && (allowed ? acao === origin && res.status !== 403 : res.status === 403 && !acao);
+      if (passed) {
+        console.log(`OK (${res.status})`);
+      } else {
+        console.log(res.error ? `ERR: ${res.error}` : `FAIL (${res.status})`);
+        failures.push({ ep: ep.path, origin, reason: allowed ? 'allowed origin should be echoed' : 'origin should be refused', status: res.status, acao, error: res.error });
+      }
+    }
+  }
+  if (!tenantKey) console.log('TENANT_API_KEY not set; skipping storefront request checks (preflights only).');
+
   console.log('\nSummary:');
   if (failures.length === 0) {
     console.log('All CORS preflight checks passed.');
@@ -0,0 +1,130 @@
+/**
+ * Stripe stand-in for the test scripts
+ * A local server for the slice of the Stripe API the backend calls: customers, checkout
+ * sessions, invoice items (replayed per Idempotency-Key), subscriptions and subscription
+ * schedules. Point the SDK at it with STRIPE_API_BASE (see services/stripeService).
+ *
+ * Subscriptions exist once a test adds them (addSubscription); unknown ones get Stripe's
+ * 404. fail(method, path, status, message) makes one route answer with a Stripe error.
+ * Every request is kept in `calls` ({ method, path, body, auth }).
+ */
+
+const express = require('express');
+
+function stripeError(res, status, message, code) {
+  return res.status(status).json({ error: { type: 'invalid_request_error', ...(code && { code }), message } });
+}
+
+// `periodEnd` (unix seconds) is the current_period_end of added subscriptions
+function startStripeStandIn({ periodEnd = Math.floor(Date.now() / 1000) + 30 * 86400 } = {}) {
+  const calls = [];
+  const items = [];
+  const subscriptions = new Map();
+  const schedules = new Map();
+  const canceled = [];
+  const failures = new Map();
+  const replies = new Map();
+  let seq = 0;
+
+  const standIn = express();
+  standIn.use(express.urlencoded({ extended: true }));
+  standIn.use((req, res, next) => {
+    calls.push({ method: req.method, path: req.path, body: req.body, auth: req.headers.authorization });
+    const failure = failures.get(`${req.method} ${req.path}`);
+    if (failure) return stripeError(res, failure.status, failure.message);
+    next();
+  });
+  const findSubscription = (req, res) => {
+    const subscription = subscriptions.get(req.params.id);
+    if (!subscription) stripeError(res, 404, `No such subscription: '${req.params.id}'`, 'resource_missing');
+    return subscription;
+  };
+
+  standIn.post('/v1/customers', (req, res) => {
+    res.json({ id: `cus_test_${++seq}`, object: 'customer', email: req.body.email, metadata: req.body.metadata });
+  });
+
+  standIn.post('/v1/checkout/sessions', (req, res) => {
+    const id = `cs_test_${++seq}`;
+    res.json({ id, object: 'checkout.session', mode: req.body.mode, customer: req.body.customer, url: `https://checkout.stripe.test/c/pay/${id}` });
+  });
+
+  standIn.post('/v1/invoiceitems', (req, res) => {
+    const key = req.headers['idempotency-key'];
+    if (key && replies.has(key)) return res.json(replies.get(key));
+    const item = { id: `ii_test_${items.length + 1}`, object: 'invoiceitem', customer: req.body.customer, amount: Number(req.body.amount), metadata: req.body.metadata };
+    items.push(item);
+    if (key) replies.set(key, item);
+    res.json(item);
+  });
+
+  standIn.get('/v1/subscriptions/:id', (req, res) => {
+    const subscription = findSubscription(req, res);
+    if (subscription) res.json(subscription);
+  });
+  standIn.post('/v1/subscriptions/:id', (req, res) => {
+    const subscription = findSubscription(req, res);
+    if (!subscription) return;
+    if (req.body.items) {
+      subscription.items.data[0].price = { id: req.body.items[0].price };
+      subscription.latest_invoice = { id: `in_proration_${calls.length}`, object: 'invoice', amount_due: 8000, currency: 'usd' };
+    }
+    if (req.body.metadata) subscription.metadata = req.body.metadata;
+    if (req.body.cancel_at_period_end !== undefined) subscription.cancel_at_period_end = req.body.cancel_at_period_end === 'true';
+    subscription.lastUpdate = req.body;
+    res.json(subscription);
+  });
+  standIn.delete('/v1/subscriptions/:id', (req, res) => {
+    const subscription = findSubscription(req, res);
+    if (!subscription) return;
+    subscription.status = 'canceled';
+    canceled.push(subscription.id);
+    res.json(subscription);
+  });
+
+  standIn.post('/v1/subscription_schedules', (req, res) => {
+    const schedule = { id: `sub_sched_${schedules.size + 1}`, object: 'subscription_schedule', subscription: req.body.from_subscription, status: 'active', phases: [{ start_date: periodEnd - 30 * 86400 }] };
+    schedules.set(schedule.id, schedule);
+    res.json(schedule);
+  });
+  standIn.post('/v1/subscription_schedules/:id/release', (req, res) => {
+    const schedule = schedules.get(req.params.id);
+    schedule.status = 'released';
+    res.json(schedule);
+  });
+  standIn.post('/v1/subscription_schedules/:id', (req, res) => {
+    const schedule = schedules.get(req.params.id);
+    schedule.phases = req.body.phases;
+    schedule.end_behavior = req.body.end_behavior;
+    res.json(schedule);
+  });
+
+  const addSubscription = (id, customer, price) => {
+    subscriptions.set(id, {
+      id,
+      object: 'subscription',
+      customer,
+      status: 'active',
+      cancel_at_period_end: false,
+      current_period_end: periodEnd,
+      metadata: {},
+      items: { object: 'list', data: [{ id: `si_${id}`, price: { id: price } }] }
+    });
+  };
+  const fail = (method, path, status, message) => failures.set(`${method} ${path}`, { status, message });
+
+  const server = standIn.listen(0);
+  return {
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    items,
+    subscriptions,
+    schedules,
+    canceled,
+    addSubscription,
+    fail
+  };
+}
+
+module.exports = { startStripeStandIn };
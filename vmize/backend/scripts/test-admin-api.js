@@ -0,0 +1,247 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStripeStandIn } = require('./stripe-stand-in');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = path.join(dir, 'emails');
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+delete process.env.STRIPE_SECRET_KEY;
+
+(async () => {
+  const stripeStandIn = startStripeStandIn();
+  const totp = require('../services/totp');
+  const adminAuth = require('../services/adminAuth');
+  const customers = require('../services/customers');
+  const tryonJobs = require('../services/tryonJobs');
+  const webhooks = require('../services/webhooks');
+  const widgetConfigs = require('../services/widgetConfigs');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const owner = { headers: { 'x-admin-token': 'test-admin-token' } };
+  const get = async (url, config = owner) => {
+    const res = await http.get(`/api/v1/admin${url}`, config);
+    assert.strictEqual(res.status, 200, `${url}: ${JSON.stringify(res.data)}`);
+    return res.data.data;
+  };
+
+  try {
+    const customer = (email, fields) => customers.createCustomer({ email, password: 'merchant-password', ...fields });
+    const acme = await customer('acme@fashion.test', {
+      companyName: 'Acme Fashion',
+      plan: 'starter',
+      subscriptionStatus: 'active',
+      usage: {
+        currentMonth: { tryons: 85, apiCalls: 90 },
+        history: [
+          { month: '2026-08', tryons: 50, apiCalls: 60, overage: 0, overageCost: 0 },
+          { month: '2026-09', tryons: 120, apiCalls: 130, overage: 20, overageCost: 5 }
+        ]
+      }
+    });
+    const style = await customer('hello@style.test', {
+      companyName: 'Style Co.',
+      plan: 'professional',
+      subscriptionStatus: 'active',
+      stripeSubscriptionId: 'sub_style',
+      usage: { currentMonth: { tryons: 100, apiCalls: 110 }, history: [{ month: '2026-09', tryons: 300, apiCalls: 320 }] }
+    });
+    const bigCo = await customer('ops@bigco.test', {
+      companyName: 'BigCo',
+      plan: 'enterprise',
+      subscriptionStatus: 'active',
+      stripeSubscriptionId: 'sub_locked',
+      usage: { currentMonth: { tryons: 9500, apiCalls: 9600 } }
+    });
+    await customer('new@trial.test', { companyName: 'Trial Shop' });
+    const lapsed = await customer('billing@lapsed.test', {
+      companyName: 'Lapsed (Ltd)',
+      plan: 'business',
+      subscriptionStatus: 'past_due',
+      stripeSubscriptionId: 'sub_gone',
+      usage: { currentMonth: { tryons: 1800, apiCalls: 1800 } }
+    });
+    const ids = list => list.map(row => row.email);
+
+    // Overview
+    const overview = await get('/stats/overview');
+    assert.strictEqual(overview.totalCustomers, 5);
+    assert.strictEqual(overview.activeSubscriptions, 3);
+    assert.strictEqual(overview.monthlyRecurringRevenue, 49 + 129 + 299);
+    assert.deepStrictEqual(overview.currentMonth, { tryons: 85 + 100 + 9500 + 1800, apiCalls: 90 + 110 + 9600 + 1800 });
+    assert.deepStrictEqual(overview.byPlan.business, { customers: 1, active: 0, tryons: 1800 });
+    assert.strictEqual(overview.byStatus.trialing, 1);
+
+    // Customer directory: newest first, paginated, filtered, searched and sorted
+    const newest = await get('/customers?limit=2&page=2');
+    assert.deepStrictEqual(ids(newest.customers), ['ops@bigco.test', 'hello@style.test']);
+    assert.deepStrictEqual(newest.pagination, { page: 2, limit: 2, total: 5, pages: 3 });
+    const row = (await get('/customers?search=ACME')).customers;
+    assert.deepStrictEqual(ids(row), ['acme@fashion.test']);
+    assert.deepStrictEqual(row[0].usage, { tryons: 85, apiCalls: 90, limit: 100, percent: 85 });
+    assert.strictEqual(row[0].id, String(acme._id));
+    assert.strictEqual(row[0].password, undefined);
+    assert.deepStrictEqual(ids((await get('/customers?search=(Ltd)')).customers), ['billing@lapsed.test']);
+    assert.strictEqual((await get('/customers?search=.*')).pagination.total, 0, 'search is literal');
+    assert.deepStrictEqual(ids((await get('/customers?plan=starter')).customers), ['acme@fashion.test']);
+    assert.deepStrictEqual(ids((await get('/customers?status=active&sort=email&order=asc')).customers),
+      ['acme@fashion.test', 'hello@style.test', 'ops@bigco.test']);
+    assert.deepStrictEqual(ids((await get('/customers?nearLimit=true&sort=usagePercent')).customers),
+      ['ops@bigco.test', 'billing@lapsed.test', 'acme@fashion.test']);
+    assert.deepStrictEqual(ids((await get('/customers?sort=usage&order=asc&limit=2')).customers), ['new@trial.test', 'acme@fashion.test']);
+    assert.strictEqual((await http.get('/api/v1/admin/customers?sort=password', owner)).status, 400);
+    assert.strictEqual((await http.get('/api/v1/admin/customers?plan=gold', owner)).status, 400);
+    assert.strictEqual((await http.get('/api/v1/admin/customers?order=sideways', owner)).status, 400);
+
+    // Customer details with try-on history
+    const startedAt = new Date(Date.now() - 4000);
+    const done = await tryonJobs.recordSubmission({
+      customerId: acme._id,
+      productId: 'sku-1',
+      endpoint: '/api/tryon',
+      startedAt,
+      result: { id: 'pred_done', provider: 'mock', status: 'completed', imageUrl: 'https://cdn.test/done.jpg', images: ['https://cdn.test/done.jpg'] }
+    });
+    const failed = await tryonJobs.recordFailure({ customerId: acme._id, productId: 'sku-2', endpoint: '/api/tryon', provider: 'mock', error: new Error('Bad photo') });
+    await tryonJobs.recordSubmission({
+      customerId: style._id,
+      productId: 'sku-9',
+      endpoint: '/api/tryon',
+      input: { modelImage: 'https://cdn.test/shopper.jpg', garmentImage: 'https://cdn.test/dress.jpg' },
+      result: { id: 'pred_style', provider: 'mock', status: 'processing' }
+    });
+    const detail = await get(`/customers/${acme._id}`);
+    assert.strictEqual(detail.customer.email, 'acme@fashion.test');
+    assert.strictEqual(detail.customer.password, undefined);
+    assert.strictEqual(detail.summary.usage.percent, 85);
+    assert.deepStrictEqual(detail.tryons.map(job => job.status).sort(), ['completed', 'failed']);
+    assert.strictEqual((await get('/customers/acme@fashion.test')).customer._id, String(acme._id));
+    assert.strictEqual((await http.get('/api/v1/admin/customers/507f1f77bcf86cd799439011', owner)).status, 404);
+
+    // Upsells: active, near the limit and not on the top plan
+    const upsells = await get('/upsell-opportunities');
+    assert.deepStrictEqual(ids(upsells.opportunities), ['acme@fashion.test']);
+    assert.strictEqual(upsells.opportunities[0].recommendedPlan.id, 'professional');
+    const upsell = await http.post('/api/v1/admin/send-upsell-email', { customerId: String(acme._id) }, owner);
+    assert.strictEqual(upsell.status, 200);
+    assert.ok(upsell.data.data.messageId.startsWith('em_'));
+    assert.strictEqual((await http.post('/api/v1/admin/send-upsell-email', { customerId: String(bigCo._id) }, owner)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/admin/send-upsell-email', { customerId: 'nobody@nowhere.test' }, owner)).status, 404);
+
+    // Monthly usage from the archived history
+    const usage = await get('/analytics/usage');
+    assert.deepStrictEqual(usage.months.map(month => [month.month, month.customers, month.tryons]), [['2026-08', 1, 50], ['2026-09', 2, 420]]);
+    assert.deepStrictEqual(usage.totals, { tryons: 470, apiCalls: 510, overageCost: 5 });
+    assert.deepStrictEqual((await get('/analytics/usage?from=2026-09')).months.map(month => month.month), ['2026-09']);
+    assert.strictEqual((await http.get('/api/v1/admin/analytics/usage?from=September', owner)).status, 400);
+
+    // Conversions from the analytics rollups
+    const analytics = app.locals.analytics;
+    const track = (name, customerId, extra = {}) => analytics.trackEvent(name, { customerId: String(customerId), ...extra });
+    // Plus the result_generated event of acme's completed job above
+    for (let i = 0; i < 3; i++) await track('result_generated', acme._id);
+    await track('add_to_cart', acme._id);
+    await track('added_to_cart', acme._id);
+    await track('purchase', acme._id, { revenue: 89.99 });
+    await track('result_viewed', style._id);
+    await track('result_viewed', style._id);
+    await track('page_view', lapsed._id);
+    const conversions = await get('/conversions');
+    assert.deepStrictEqual(conversions.conversions.map(row => [row.customer.email, row.tryons, row.addedToCart, row.purchases]),
+      [['acme@fashion.test', 4, 2, 1], ['hello@style.test', 2, 0, 0]]);
+    assert.deepStrictEqual(
+      [conversions.conversions[0].addToCartRate, conversions.conversions[0].purchaseRate, conversions.conversions[0].conversionRate],
+      [50, 50, 25]
+    );
+    assert.deepStrictEqual(conversions.totals, {
+      tryons: 6, addedToCart: 2, purchases: 1, revenue: 89.99, addToCartRate: 33.3, purchaseRate: 50, conversionRate: 16.7
+    });
+    assert.deepStrictEqual((await get('/conversions?sort=purchases&limit=1')).pagination, { page: 1, limit: 1, total: 2, pages: 2 });
+    assert.strictEqual((await get('/conversions?from=2020-01-01&to=2020-01-31')).conversions.length, 0);
+    assert.strictEqual((await http.get('/api/v1/admin/conversions?sort=magic', owner)).status, 400);
+
+    // Try-ons and photos
+    const tryons = await get('/tryons');
+    assert.strictEqual(tryons.pagination.total, 3);
+    assert.strictEqual(tryons.tryons.find(job => job.id === String(done._id)).customer.companyName, 'Acme Fashion');
+    assert.deepStrictEqual((await get('/tryons?status=failed')).tryons.map(job => job.error), ['Bad photo']);
+    const slowest = (await get('/tryons?sort=duration&order=desc&limit=1')).tryons[0];
+    assert.strictEqual(slowest.id, String(done._id));
+    assert.ok(slowest.durationMs >= 4000);
+    assert.deepStrictEqual((await get(`/photos?customerId=${acme._id}`)).tryons.map(job => job.resultImageUrl), ['https://cdn.test/done.jpg']);
+    assert.strictEqual((await http.get('/api/v1/admin/tryons?status=exploded', owner)).status, 400);
+    assert.strictEqual((await http.delete(`/api/v1/admin/tryons/${failed._id}`, owner)).status, 200);
+    assert.strictEqual((await http.delete(`/api/v1/admin/tryons/${failed._id}`, owner)).status, 404);
+
+    // Permissions: support reads customers but cannot delete them
+    await adminAuth.createAdmin({ username: 'sam', role: 'support', password: 'support-password' }, 'test');
+    const enrollment = (await http.post('/admin/login', { username: 'sam', password: 'support-password' })).data.data.token;
+    const asSupport = { headers: { 'x-admin-token': enrollment } };
+    const { secret } = (await http.post('/admin/totp/setup', {}, asSupport)).data.data;
+    await http.post('/admin/totp/verify', { code: totp.generate(secret) }, asSupport);
+    assert.strictEqual((await get('/customers', asSupport)).pagination.total, 5);
+    assert.strictEqual((await http.delete(`/api/v1/admin/customers/${acme._id}`, asSupport)).status, 403);
+    assert.strictEqual((await http.get('/api/v1/admin/customers')).status, 401);
+
+    // Deleting a customer cancels their subscription first
+    const unconfigured = await http.delete(`/api/v1/admin/customers/${style._id}`, owner);
+    assert.strictEqual(unconfigured.status, 503);
+    assert.ok(await customers.getCustomer(style._id), 'kept when the subscription cannot be canceled');
+    process.env.STRIPE_SECRET_KEY = 'sk_test_standin';
+    process.env.STRIPE_API_BASE = stripeStandIn.url;
+    stripeStandIn.addSubscription('sub_style', 'cus_style', 'price_professional');
+    stripeStandIn.addSubscription('sub_locked', 'cus_bigco', 'price_enterprise');
+    stripeStandIn.fail('DELETE', '/v1/subscriptions/sub_locked', 400, 'Subscription cannot be canceled');
+    const locked = await http.delete(`/api/v1/admin/customers/${bigCo._id}`, owner);
+    assert.strictEqual(locked.status, 502);
+    assert.ok(await customers.getCustomer(bigCo._id));
+
+    // ...then erases the account's data along with it
+    await webhooks.createEndpoint({ customerId: style._id, url: 'https://93.184.216.34/hooks' });
+    await widgetConfigs.saveConfig(style._id, { buttonText: 'Try it on' }, { type: 'admin', username: 'root' });
+    await widgetConfigs.saveConfig(style._id, { buttonText: 'Try it' }, { type: 'admin', username: 'root' });
+    const deleted = await http.delete(`/api/v1/admin/customers/${style._id}`, owner);
+    assert.strictEqual(deleted.status, 200);
+    assert.deepStrictEqual(deleted.data.data, {
+      customerId: String(style._id),
+      subscriptionCanceled: true,
+      deleted: { tryons: 1, images: 2, events: 2, webhookEndpoints: 1, widgetConfigVersions: 2 }
+    });
+    assert.deepStrictEqual(stripeStandIn.canceled, ['sub_style']);
+    assert.strictEqual(await customers.getCustomer(style._id), null);
+    assert.deepStrictEqual(await analytics.store.readEvents({ customerId: String(style._id) }), []);
+    assert.deepStrictEqual(await webhooks.listEndpoints(style._id), []);
+    assert.deepStrictEqual((await tryonJobs.listJobs({ customerId: style._id })).jobs, []);
+    assert.strictEqual((await http.get(`/api/v1/admin/customers/${style._id}`, owner)).status, 404);
+    // Already gone at Stripe
+    assert.strictEqual((await http.delete(`/api/v1/admin/customers/${lapsed._id}`, owner)).data.data.subscriptionCanceled, true);
+    const acmeDeleted = (await http.delete(`/api/v1/admin/customers/${acme._id}`, owner)).data.data;
+    assert.deepStrictEqual([acmeDeleted.subscriptionCanceled, acmeDeleted.deleted.tryons], [false, 1]);
+    assert.strictEqual((await get('/stats/overview')).totalCustomers, 2);
+
+    // Audited with the customer
+    const audit = (await http.get('/admin/audit-log?action=customers:delete', owner)).data.data.entries;
+    assert.ok(audit.some(entry => entry.customerId === String(style._id) && entry.outcome === 'success'));
+    assert.ok(audit.some(entry => entry.customerId === String(acme._id) && entry.outcome === 'denied' && entry.actor.username === 'sam'));
+
+    console.log('✅ Admin API test passed');
+    stripeStandIn.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Admin API test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,178 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+process.env.ADMIN_BOOTSTRAP_USERNAME = 'root';
+process.env.ADMIN_BOOTSTRAP_PASSWORD = 'bootstrap-password';
+// Six seconds of inactivity ends a session
+process.env.ADMIN_SESSION_IDLE_MINUTES = '0.1';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  const totp = require('../services/totp');
+  const customers = require('../services/customers');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const as = token => ({ headers: { 'x-admin-token': token } });
+  const login = (username, password, code) => http.post('/admin/login', { username, password, code });
+
+  // First sign-in of an admin: password, then TOTP enrollment. Returns { token, secret }.
+  const enroll = async (username, password) => {
+    const first = await login(username, password);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.data.data.enrollmentRequired, true);
+    const { token } = first.data.data;
+    const setup = await http.post('/admin/totp/setup', {}, as(token));
+    assert.strictEqual(setup.status, 200);
+    const { secret, otpauthUrl } = setup.data.data;
+    assert.ok(otpauthUrl.startsWith(`otpauth://totp/Vmize%20Studio%3A${username}?secret=${secret}`));
+    assert.strictEqual((await http.post('/admin/totp/verify', { code: '000000' }, as(token))).status, 400);
+    assert.strictEqual((await http.post('/admin/totp/verify', { code: totp.generate(secret) }, as(token))).status, 200);
+    return { token, secret };
+  };
+
+  try {
+    // The old hard-coded credentials are gone
+    assert.strictEqual((await login('admin', 'VmizeAdmin2025!')).status, 401);
+
+    // Bootstrap owner; the enrollment session can only set up TOTP
+    const first = await login('root', 'bootstrap-password');
+    assert.strictEqual(first.status, 200);
+    const enrollment = first.data.data.token;
+    assert.ok(enrollment.startsWith('adm_'));
+    assert.strictEqual((await http.get('/admin/session', as(enrollment))).data.data.enrollmentRequired, true);
+    assert.strictEqual((await http.get('/admin/users', as(enrollment))).status, 403);
+    assert.strictEqual((await http.get('/api/v1/keys', as(enrollment))).status, 403);
+    const setup = (await http.post('/admin/totp/setup', {}, as(enrollment))).data.data;
+    assert.strictEqual((await http.post('/admin/totp/verify', { code: totp.generate(setup.secret) }, as(enrollment))).status, 200);
+    const session = (await http.get('/admin/session', as(enrollment))).data.data;
+    assert.deepStrictEqual([session.admin.role, session.enrollmentRequired], ['owner', false]);
+    assert.ok(session.permissions.includes('admins:manage'));
+    assert.strictEqual((await http.post('/admin/totp/setup', {}, as(enrollment))).status, 409);
+
+    // Signing in now needs a code, and a code works once
+    const needsCode = await login('root', 'bootstrap-password');
+    assert.deepStrictEqual([needsCode.status, needsCode.data.mfaRequired], [401, true]);
+    assert.strictEqual((await login('root', 'bootstrap-password', '123456')).status, 401);
+    assert.strictEqual((await login('root', 'wrong-password', totp.generate(setup.secret))).status, 401);
+    const nextCode = totp.generate(setup.secret, Date.now() + 30000);
+    const signedIn = await login('ROOT', 'bootstrap-password', nextCode);
+    assert.strictEqual(signedIn.status, 200);
+    const owner = signedIn.data.data.token;
+    assert.strictEqual((await login('root', 'bootstrap-password', nextCode)).status, 401, 'codes cannot be replayed');
+
+    // Owners manage admin accounts
+    const create = body => http.post('/admin/users', body, as(owner));
+    assert.strictEqual((await create({ username: 'sam', role: 'support', password: 'short' })).status, 400);
+    assert.strictEqual((await create({ username: 'sam', role: 'janitor', password: 'support-password' })).status, 400);
+    const sam = await create({ username: 'sam', email: 'sam@vmize.com', role: 'support', password: 'support-password' });
+    assert.strictEqual(sam.status, 201);
+    assert.strictEqual(sam.data.data.admin.password, undefined);
+    assert.strictEqual((await create({ username: 'Sam', role: 'support', password: 'support-password' })).status, 409);
+    const fay = (await create({ username: 'fay', role: 'finance', password: 'finance-password' })).data.data.admin;
+    const rita = (await create({ username: 'rita', role: 'read-only', password: 'readonly-password' })).data.data.admin;
+    const listed = (await http.get('/admin/users', as(owner))).data.data.admins;
+    assert.deepStrictEqual(listed.map(admin => admin.username), ['root', 'sam', 'fay', 'rita']);
+
+    const support = (await enroll('sam', 'support-password')).token;
+    const finance = (await enroll('fay', 'finance-password')).token;
+    const readOnly = (await enroll('rita', 'readonly-password')).token;
+
+    // Per-route permissions
+    const merchant = await customers.createCustomer({ email: 'shop@merchant.test', password: 'merchant-password', emailVerified: true });
+    const keysFor = `/api/v1/keys?customerId=${merchant._id}`;
+    assert.strictEqual((await http.post(keysFor, { name: 'ops' }, as(support))).status, 201);
+    assert.strictEqual((await http.get('/api/v1/keys', as(support))).status, 200);
+    assert.strictEqual((await http.get('/api/v1/billing/events', as(support))).status, 403);
+    assert.strictEqual((await http.get('/admin/users', as(support))).status, 403);
+    assert.strictEqual((await http.get('/admin/audit-log', as(support))).status, 403);
+
+    assert.strictEqual((await http.get('/api/v1/billing/events', as(finance))).status, 200);
+    assert.strictEqual((await http.get('/api/v1/keys', as(finance))).status, 403);
+    assert.strictEqual((await http.get('/api/analytics', as(finance))).status, 200);
+
+    assert.strictEqual((await http.get('/api/v1/keys', as(readOnly))).status, 200);
+    const denied = await http.post(keysFor, { name: 'nope' }, as(readOnly));
+    assert.strictEqual(denied.status, 403);
+    assert.ok(/keys:write/.test(denied.data.message));
+    assert.strictEqual((await http.post('/api/analytics/reset', {}, as(readOnly))).status, 403);
+    assert.strictEqual((await http.get('/api/v1/billing/events', as(readOnly))).status, 200);
+
+    // Unknown tokens, and the service credential for automation
+    assert.strictEqual((await http.get('/api/v1/keys', as('adm_forged'))).status, 401);
+    assert.strictEqual((await http.get('/api/v1/keys', as('test-admin-token'))).status, 200);
+
+    // Role changes apply to live sessions
+    assert.strictEqual((await http.patch(`/admin/users/${rita.id}`, { role: 'support' }, as(owner))).status, 200);
+    assert.strictEqual((await http.post(keysFor, { name: 'promoted' }, as(readOnly))).status, 201);
+
+    // Disabling ends sessions; the last owner cannot be demoted or disabled
+    assert.strictEqual((await http.patch(`/admin/users/${fay.id}`, { disabled: true }, as(owner))).status, 200);
+    assert.strictEqual((await http.get('/api/v1/billing/events', as(finance))).status, 401);
+    assert.strictEqual((await login('fay', 'finance-password')).status, 401);
+    const rootId = listed[0].id;
+    assert.strictEqual((await http.patch(`/admin/users/${rootId}`, { role: 'support' }, as(owner))).status, 409);
+    assert.strictEqual((await http.patch(`/admin/users/${rootId}`, { disabled: true }, as(owner))).status, 409);
+
+    // Lost authenticator: an owner resets TOTP, the admin enrolls again
+    assert.strictEqual((await http.post(`/admin/users/${sam.data.data.admin.id}/reset-totp`, {}, as(owner))).status, 200);
+    assert.strictEqual((await http.get('/api/v1/keys', as(support))).status, 401);
+    const samAgain = await enroll('sam', 'support-password');
+
+    // Password change keeps this session and ends the others
+    const other = await enroll('rita', 'readonly-password').catch(() => null);
+    assert.strictEqual(other, null, 'rita already has TOTP');
+    assert.strictEqual((await http.post('/admin/password', { currentPassword: 'nope', newPassword: 'support-password-2' }, as(samAgain.token))).status, 401);
+    assert.strictEqual((await http.post('/admin/password', { currentPassword: 'support-password', newPassword: 'support-password-2' }, as(samAgain.token))).status, 200);
+    assert.strictEqual((await http.get('/api/v1/keys', as(samAgain.token))).status, 200);
+
+    // Logout
+    assert.strictEqual((await http.post('/admin/logout', {}, as(samAgain.token))).status, 200);
+    assert.strictEqual((await http.get('/api/v1/keys', as(samAgain.token))).status, 401);
+
+    // Audit log: sign-ins, denials and every admin request
+    const audit = async query => (await http.get(`/admin/audit-log?${new URLSearchParams(query)}`, as(owner))).data.data;
+    const failedLogins = await audit({ action: 'admin.login', outcome: 'failure' });
+    assert.ok(failedLogins.entries.some(entry => entry.actor.type === 'anonymous' && entry.actor.username === 'admin'));
+    assert.ok(failedLogins.entries.some(entry => entry.actor.username === 'root' && entry.details.reason === 'totp'));
+    assert.ok(failedLogins.entries.some(entry => entry.actor.username === 'fay' && entry.details.reason === 'disabled'));
+    const keyWrites = await audit({ action: 'keys:write' });
+    const outcomes = keyWrites.entries.map(entry => `${entry.actor.username}:${entry.outcome}:${entry.statusCode}`);
+    assert.ok(outcomes.includes('sam:success:201'));
+    assert.ok(outcomes.includes('rita:denied:403'));
+    assert.ok(keyWrites.entries.every(entry => entry.path === '/api/v1/keys' && entry.customerId === String(merchant._id)));
+    assert.ok((await audit({ action: 'keys:read' })).entries.some(entry => entry.actor.type === 'service'));
+    assert.strictEqual((await audit({ action: 'admin.users.create' })).pagination.total, 6, 'three created, three rejected');
+    assert.strictEqual((await audit({ action: 'admin.logout' })).entries[0].actor.username, 'sam');
+    const page = await audit({ limit: 2, page: 2 });
+    assert.strictEqual(page.entries.length, 2);
+    assert.ok(page.pagination.total > 20);
+
+    // Idle sessions expire
+    await sleep(6500);
+    const idle = await http.get('/admin/users', as(owner));
+    assert.strictEqual(idle.status, 401);
+    assert.ok(/expired/.test(idle.data.message));
+
+    console.log('✅ Admin auth test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Admin auth test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
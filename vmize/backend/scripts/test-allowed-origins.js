@@ -0,0 +1,133 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+
+(async () => {
+  const customers = require('../services/customers');
+  const authTokens = require('../services/authTokens');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+
+  const tryonBody = { model_image: 'https://example.com/model.jpg', garment_image: 'https://example.com/shirt.jpg' };
+  const from = (key, origin) => ({ headers: { 'x-vmize-api-key': key, ...(origin ? { Origin: origin } : {}) } });
+  const acao = res => res.headers['access-control-allow-origin'];
+
+  try {
+    const acme = await customers.createCustomer({ email: 'ops@acme.test', password: 'merchant-password', emailVerified: true, plan: 'starter', subscriptionStatus: 'active' });
+    const { sessionId } = await authTokens.createSession(acme._id);
+    const merchant = { headers: { Authorization: `Bearer ${acme.generateAccessToken(sessionId)}` } };
+    const admin = { headers: { 'x-admin-token': 'test-admin-token' } };
+    const { key: secret } = await customers.createKey(acme, { name: 'server' });
+    const { key: publishable } = await customers.createKey(acme, { name: 'storefront', type: 'publishable', allowedDomains: ['*.acme.test', 'acme-cdn.test'] });
+
+    // No list yet: every storefront may call, and gets its origin back
+    assert.strictEqual((await http.get('/api/v1/allowed-origins')).status, 401);
+    const initial = await http.get('/api/v1/allowed-origins', merchant);
+    assert.strictEqual(initial.status, 200);
+    assert.deepStrictEqual(initial.data.data.allowedOrigins, []);
+    const open = await http.post('/api/tryon', tryonBody, from(secret, 'https://anywhere.test'));
+    assert.strictEqual(open.status, 200, JSON.stringify(open.data));
+    assert.strictEqual(acao(open), 'https://anywhere.test');
+
+    // Editing the list: origins, hosts and wildcards, stored as hosts
+    assert.strictEqual((await http.put('/api/v1/allowed-origins', { allowedOrigins: 'shop.acme.test' }, merchant)).status, 400);
+    assert.strictEqual((await http.put('/api/v1/allowed-origins', { allowedOrigins: ['not a domain'] }, merchant)).status, 400);
+    assert.strictEqual((await http.put('/api/v1/allowed-origins', { allowedOrigins: ['*.com'] }, merchant)).status, 400);
+    const saved = await http.put('/api/v1/allowed-origins', { allowedOrigins: ['https://Shop.Acme.test:8443', '*.acme-eu.test', 'shop.acme.test'] }, merchant);
+    assert.strictEqual(saved.status, 200, JSON.stringify(saved.data));
+    assert.deepStrictEqual(saved.data.data.allowedOrigins, ['shop.acme.test', '*.acme-eu.test']);
+    assert.deepStrictEqual(await customers.getAllowedOrigins(String(acme._id)), ['shop.acme.test', '*.acme-eu.test']);
+
+    // Admins act on a customer of their choosing
+    assert.strictEqual((await http.get('/api/v1/allowed-origins', admin)).status, 400);
+    const viaAdmin = await http.get('/api/v1/allowed-origins', { ...admin, params: { customerId: String(acme._id) } });
+    assert.deepStrictEqual(viaAdmin.data.data.allowedOrigins, ['shop.acme.test', '*.acme-eu.test']);
+
+    // Preflights carry no key, so they are answered for any origin
+    const preflight = await http.options('/api/track', {
+      headers: { Origin: 'https://evil.test', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type,x-vmize-api-key' }
+    });
+    assert.ok(preflight.status < 300);
+    assert.strictEqual(acao(preflight), 'https://evil.test');
+
+    // Secret keys: any listed origin (wildcards cover subdomains, not the apex)
+    for (const origin of ['https://shop.acme.test', 'https://fr.acme-eu.test']) {
+      const res = await http.post('/api/tryon', tryonBody, from(secret, origin));
+      assert.strictEqual(res.status, 200, origin);
+      assert.strictEqual(acao(res), origin);
+      assert.match(res.headers.vary || '', /Origin/);
+    }
+    for (const origin of ['https://evil.test', 'https://acme-eu.test', 'null']) {
+      const res = await http.post('/api/tryon', tryonBody, from(secret, origin));
+      assert.strictEqual(res.status, 403, origin);
+      assert.match(res.data.error, /not allowed for this account/);
+      assert.strictEqual(acao(res), undefined);
+    }
+    const tracked = await http.post('/api/track', { eventName: 'widget_opened', data: {} }, from(secret, 'https://shop.acme.test'));
+    assert.strictEqual(tracked.status, 200);
+    assert.strictEqual(acao(tracked), 'https://shop.acme.test');
+    assert.strictEqual((await http.post('/api/track', { eventName: 'widget_opened' }, from(secret, 'https://evil.test'))).status, 403);
+
+    // The storefront pages post their events to /api/analytics/track with the key header
+    const analyticsPreflight = await http.options('/api/analytics/track', {
+      headers: { Origin: 'https://shop.acme.test', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type,x-vmize-api-key' }
+    });
+    assert.ok(analyticsPreflight.status < 300);
+    assert.strictEqual(acao(analyticsPreflight), 'https://shop.acme.test');
+    const pageEvent = await http.post('/api/analytics/track', { event: 'page_view', session_id: 'vs_shop' }, from(secret, 'https://shop.acme.test'));
+    assert.strictEqual(pageEvent.status, 200, JSON.stringify(pageEvent.data));
+    assert.strictEqual(acao(pageEvent), 'https://shop.acme.test');
+    const foreignEvent = await http.post('/api/analytics/track', { event: 'page_view', session_id: 'vs_shop' }, from(secret, 'https://evil.test'));
+    assert.strictEqual(foreignEvent.status, 403);
+    assert.strictEqual(acao(foreignEvent), undefined);
+
+    // Servers (no Origin) and the dashboard are not storefronts
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(secret))).status, 200);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(secret, 'http://localhost:5000'))).status, 200);
+
+    // Publishable keys need both their own domains and the account's list
+    const both = await http.post('/api/tryon', tryonBody, from(publishable, 'https://shop.acme.test'));
+    assert.strictEqual(both.status, 200);
+    assert.strictEqual(acao(both), 'https://shop.acme.test');
+    const status = await http.get(`/api/tryon/${both.data.prediction_id}`, from(publishable, 'https://shop.acme.test'));
+    assert.strictEqual(status.status, 200);
+    assert.strictEqual(acao(status), 'https://shop.acme.test');
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(publishable, 'https://www.acme.test'))).status, 403, 'key allows it, account does not');
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(publishable, 'https://fr.acme-eu.test'))).status, 403, 'account allows it, key does not');
+
+    // Clearing the list opens the routes up again
+    const cleared = await http.put('/api/v1/allowed-origins', { allowedOrigins: [] }, merchant);
+    assert.deepStrictEqual(cleared.data.data.allowedOrigins, []);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(secret, 'https://evil.test'))).status, 200);
+
+    // Dashboard routes keep their fixed list: foreign origins get no CORS headers (and no error)
+    const dashboard = await http.get('/api/v1/allowed-origins', { headers: { ...merchant.headers, Origin: 'https://evil.test' } });
+    assert.strictEqual(dashboard.status, 200);
+    assert.strictEqual(acao(dashboard), undefined);
+    const local = await http.get('/api/v1/allowed-origins', { headers: { ...merchant.headers, Origin: 'http://localhost:5000' } });
+    assert.strictEqual(acao(local), 'http://localhost:5000');
+    assert.strictEqual(local.headers['access-control-allow-credentials'], 'true');
+
+    console.log('✅ Allowed origins test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Allowed origins test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
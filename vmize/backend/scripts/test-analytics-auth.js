@@ -0,0 +1,112 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+(async () => {
+  const customers = require('../services/customers');
+  const authTokens = require('../services/authTokens');
+  const proxy = require('../vmize-proxy-server-with-analytics');
+  const server = proxy.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const http = axios.create({ baseURL: base, validateStatus: () => true });
+
+  const acme = await customers.createCustomer({ email: 'ops@acme.test', plan: 'starter', subscriptionStatus: 'active' });
+  const acmeId = String(acme._id);
+  const { key } = await customers.createKey(acme, { name: 'server' });
+  const merchant = { 'x-api-key': key };
+  const admin = { 'x-admin-token': 'test-admin-token' };
+  // Dashboard tokens belong to a live session (services/merchantAuth)
+  const bearer = async (payload) => {
+    const { sessionId } = await authTokens.createSession(payload._id || 'nobody');
+    return { Authorization: `Bearer ${jwt.sign({ ...payload, sid: sessionId }, process.env.JWT_SECRET)}` };
+  };
+  const other = await bearer({ _id: 'cust_other', email: 'other@example.com' });
+
+  try {
+    // Data for two tenants: a try-on for one merchant, an event for the other one
+    await http.post('/api/tryon/generate', {
+      model_image: 'https://example.com/model.jpg',
+      garment_image: 'https://example.com/shirt.jpg'
+    }, { headers: { 'x-vmize-api-key': key } });
+    await http.post('/api/track', { eventName: 'purchase', data: { revenue: 20 } }, { headers: other });
+
+    // Every analytics endpoint needs credentials
+    for (const [method, url] of [['get', '/api/analytics'], ['get', '/api/analytics/funnel'], ['post', '/api/track'], ['post', '/api/analytics/track'], ['post', '/api/analytics/reset']]) {
+      assert.strictEqual((await http[method](url)).status, 401, `${method} ${url} without credentials`);
+    }
+    assert.strictEqual((await http.get('/api/analytics', { headers: { 'x-api-key': 'vmize_pk_unknown' } })).status, 401);
+    assert.strictEqual((await http.get('/api/analytics', { headers: { Authorization: 'Bearer not-a-token' } })).status, 401);
+    const sessionless = { Authorization: `Bearer ${jwt.sign({ _id: 'cust_other' }, process.env.JWT_SECRET)}` };
+    assert.strictEqual((await http.get('/api/analytics', { headers: sessionless })).status, 401);
+    const ended = await authTokens.createSession('cust_other');
+    await authTokens.revokeSession(ended.sessionId);
+    const loggedOut = await http.get('/api/analytics', { headers: { Authorization: `Bearer ${jwt.sign({ _id: 'cust_other', sid: ended.sessionId }, process.env.JWT_SECRET)}` } });
+    assert.deepStrictEqual([loggedOut.status, loggedOut.data.error], [401, 'Session has ended']);
+    assert.strictEqual((await http.get('/api/analytics', { headers: { 'x-admin-token': 'wrong' } })).status, 401);
+
+    // Merchants only see themselves
+    const own = (await http.get('/api/analytics', { headers: merchant })).data;
+    assert.strictEqual(own.totalApiCalls, 1);
+    assert.strictEqual(own.totalRevenue, '0.00');
+    assert.deepStrictEqual(own.topCustomers.map(c => c.customerId), [acmeId]);
+    assert.ok(own.recentCalls.every(call => call.customerId === acmeId));
+
+    const otherSummary = (await http.get('/api/analytics', { headers: other })).data;
+    assert.strictEqual(otherSummary.totalApiCalls, 0);
+    assert.strictEqual(otherSummary.totalRevenue, '20.00');
+    assert.strictEqual(otherSummary.eventCounts.tryon_initiated, 0);
+
+    const peek = await http.get(`/api/analytics?customerId=${acmeId}`, { headers: other });
+    assert.strictEqual(peek.status, 403);
+    assert.strictEqual((await http.get('/api/analytics/funnel?customerId=cust_other', { headers: merchant })).status, 403);
+
+    // Events are attributed to the caller, whatever the body says
+    await http.post('/api/track', { eventName: 'add_to_cart', data: { customerId: 'cust_other' } }, { headers: merchant });
+    const afterSpoof = (await http.get('/api/analytics', { headers: other })).data;
+    assert.strictEqual(afterSpoof.eventCounts.add_to_cart, 0);
+    assert.strictEqual((await http.post('/api/track', { eventName: 'x' }, { headers: admin })).status, 403);
+
+    // Admins get the cross-tenant view, optionally narrowed to one customer
+    const all = (await http.get('/api/analytics', { headers: admin })).data;
+    assert.strictEqual(all.totalRevenue, '20.00');
+    assert.strictEqual(all.eventCounts.add_to_cart, 1);
+    const narrowed = (await http.get('/api/analytics?customerId=cust_other', { headers: admin })).data;
+    assert.strictEqual(narrowed.totalRevenue, '20.00');
+    assert.strictEqual(narrowed.eventCounts.add_to_cart, 0);
+
+    // A JWT claiming the admin role is still a merchant's token: never the cross-tenant view
+    const forged = await bearer({ _id: 'cust_forged', role: 'admin' });
+    assert.strictEqual((await http.get('/api/analytics?customerId=cust_other', { headers: forged })).status, 403);
+    const forgedView = (await http.get('/api/analytics', { headers: forged })).data;
+    assert.deepStrictEqual([forgedView.totalRevenue, forgedView.eventCounts.add_to_cart], ['0.00', 0]);
+    assert.strictEqual((await http.get('/api/analytics', { headers: await bearer({ role: 'admin' }) })).status, 401);
+    assert.strictEqual((await http.post('/api/analytics/reset', {}, { headers: forged })).status, 403);
+
+    // Reset: admins only, and never in production
+    assert.strictEqual((await http.post('/api/analytics/reset', {}, { headers: merchant })).status, 403);
+    process.env.NODE_ENV = 'production';
+    assert.strictEqual((await http.post('/api/analytics/reset', {}, { headers: admin })).status, 403);
+    delete process.env.NODE_ENV;
+    assert.strictEqual((await http.post('/api/analytics/reset', {}, { headers: admin })).status, 200);
+    assert.strictEqual((await http.get('/api/analytics', { headers: admin })).data.totalApiCalls, 0);
+
+    console.log('✅ Analytics auth test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Analytics auth test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
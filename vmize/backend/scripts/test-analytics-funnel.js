@@ -0,0 +1,92 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+
+const DEMO_KEY = 'vmize_pk_demo_test_1234567890';
+
+(async () => {
+  const proxy = require('../vmize-proxy-server-with-analytics');
+  const server = proxy.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  // The demo key is publishable: it only works from the demo site's domains
+  const headers = { 'x-api-key': DEMO_KEY, Origin: 'http://localhost:8080' };
+
+  const track = (sessionId, event, properties = {}) =>
+    axios.post(`${base}/api/analytics/track`, { event, properties, session_id: sessionId }, { headers });
+  // Admin view, so customerId can be chosen freely
+  const funnel = (query = '') =>
+    axios.get(`${base}/api/analytics/funnel${query}`, { headers: { 'x-admin-token': 'test-admin-token' }, validateStatus: () => true });
+  const sessions = (data) => data.steps.map(step => step.sessions);
+
+  try {
+    // Full journey; only the first event names the product
+    await track('s1', 'page_view', { product_id: 'sku-1' });
+    for (const event of ['try_on_initiated', 'photo_uploaded', 'result_viewed', 'add_to_cart', 'purchase']) {
+      await track('s1', event);
+    }
+
+    // Drops off after clicking try-on
+    await track('s2', 'page_view', { product_id: 'sku-1' });
+    await track('s2', 'tryon_click');
+
+    // Out of order: the add to cart happened before the view, so only the view counts
+    await track('s3', 'add_to_cart', { product_id: 'sku-2' });
+    await track('s3', 'page_view', { product_id: 'sku-2' });
+
+    // Server-side try-on events join the session passed with the request
+    await track('s4', 'page_view', { product_id: 'sku-2' });
+    await axios.post(`${base}/api/tryon/generate`, {
+      model_image: 'https://example.com/model.jpg',
+      garment_image: 'https://example.com/coat.jpg',
+      productId: 'sku-2',
+      session_id: 's4'
+    }, { headers: { 'x-vmize-api-key': DEMO_KEY, Origin: 'http://localhost:8080' } });
+
+    // Session-less events are counted as unattributed
+    await axios.post(`${base}/api/analytics/track`, { event: 'page_view' }, { headers });
+
+    const all = (await funnel()).data;
+    assert.strictEqual(all.sessions, 4);
+    assert.strictEqual(all.unattributedEvents, 1);
+    assert.deepStrictEqual(sessions(all), [4, 3, 2, 2, 1, 1]);
+    assert.deepStrictEqual(all.steps.map(step => step.step), ['view', 'tryon_click', 'upload', 'result', 'add_to_cart', 'purchase']);
+    assert.strictEqual(all.steps[0].dropOff, 1);
+    assert.strictEqual(all.steps[1].conversionRate, '75.0%');
+    assert.strictEqual(all.steps[5].overallRate, '25.0%');
+    assert.strictEqual(all.productView, 4);
+    assert.strictEqual(all.tryonRate, '75.0%');
+
+    const byProduct = (await funnel('?productId=sku-1')).data;
+    assert.deepStrictEqual(sessions(byProduct), [2, 2, 1, 1, 1, 1]);
+    assert.strictEqual(byProduct.filters.productId, 'sku-1');
+
+    const sku2 = (await funnel('?customerId=demo_customer&productId=sku-2')).data;
+    assert.deepStrictEqual(sessions(sku2), [2, 1, 1, 1, 0, 0]);
+
+    const otherCustomer = (await funnel('?customerId=someone_else')).data;
+    assert.strictEqual(otherCustomer.sessions, 0);
+
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual((await funnel(`?from=${today}&to=${today}`)).data.sessions, 4, 'date-only to covers the whole day');
+    assert.strictEqual((await funnel('?from=2020-01-01&to=2020-02-01')).data.sessions, 0);
+
+    const invalid = await funnel('?from=not-a-date');
+    assert.strictEqual(invalid.status, 400);
+
+    console.log('✅ Analytics funnel test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Analytics funnel test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.ANALYTICS_BATCH_SIZE = '3';
+
+const AnalyticsTracker = require('../analytics-tracker');
+const { createStore } = require('../services/analyticsStore');
+const { buildIncrements } = require('../services/analyticsRollups');
+
+(async () => {
+  try {
+    const tracker = new AnalyticsTracker();
+
+    await tracker.trackApiCall({ customerId: 'cust_a', apiKey: 'vmize_pk_live_abcdefghijklmnop', endpoint: '/api/tryon', method: 'POST', status: 'success', duration: 100 });
+    await tracker.trackApiCall({ customerId: 'cust_a', endpoint: '/api/tryon', method: 'POST', status: 'error', duration: 300, error: 'boom' });
+    await tracker.trackApiCall({ customerId: 'cust_b', endpoint: '/api/tryon/x', method: 'GET', status: 200, duration: 20 });
+    await tracker.trackEvent('tryon_initiated', { customerId: 'cust_a', productId: 'sku-1' });
+    await tracker.trackEvent('photo_uploaded', { customerId: 'cust_a' });
+    await tracker.trackEvent('purchase', { customerId: 'cust_a', revenue: 49.5 });
+    await tracker.trackEvent('widget.opened', { properties: { product_id: 'sku-2' }, session_id: 'sess_1' });
+
+    const summary = await tracker.getAnalyticsSummary();
+    assert.strictEqual(summary.totalApiCalls, 3);
+    assert.strictEqual(summary.uniqueCustomers, 2);
+    assert.strictEqual(summary.successRate, '66.67%');
+    assert.strictEqual(summary.avgResponseTime, '140.00ms');
+    assert.strictEqual(summary.totalRevenue, '49.50');
+    assert.strictEqual(summary.eventCounts.tryon_initiated, 1);
+    assert.strictEqual(summary.eventCounts.widget_opened, 1, 'dotted names are stored safely');
+    assert.strictEqual(summary.eventCounts.add_to_cart, 0, 'default counters are always present');
+    assert.strictEqual(summary.topCustomers[0].customerId, 'cust_a');
+    assert.strictEqual(summary.topCustomers[0].successRate, '50.00%');
+
+    // Newest call first, key masked
+    assert.strictEqual(summary.recentCalls.length, 3);
+    assert.strictEqual(summary.recentCalls[0].customerId, 'cust_b');
+    assert.strictEqual(summary.recentCalls[2].apiKey, 'vmize_pk_live_ab…');
+
+    assert.strictEqual(summary.last30Days.length, 30);
+    const today = summary.last30Days[29];
+    assert.strictEqual(today.date, new Date().toISOString().slice(0, 10));
+    assert.deepStrictEqual([today.calls, today.successful, today.failed, today.customers, today.revenue], [3, 2, 1, 2, 49.5]);
+    assert.strictEqual(summary.last24Hours.length, 24);
+    assert.strictEqual(summary.last24Hours[23].calls, 3);
+
+    // Funnels are per session; these events carry none
+    const funnel = await tracker.getConversionFunnel();
+    assert.strictEqual(funnel.sessions, 1);
+    assert.strictEqual(funnel.unattributedEvents, 3);
+
+    // Raw events are appended as JSON lines
+    const [eventFile] = fs.readdirSync(dir).filter(f => f.endsWith('.jsonl'));
+    const lines = fs.readFileSync(path.join(dir, eventFile), 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 7);
+    const opened = JSON.parse(lines[6]);
+    assert.strictEqual(opened.productId, 'sku-2');
+    assert.strictEqual(opened.sessionId, 'sess_1');
+
+    // A fresh tracker reads the same rollups back from disk
+    const reloaded = new AnalyticsTracker();
+    assert.strictEqual((await reloaded.getAnalyticsSummary()).totalApiCalls, 3);
+
+    // Retention drops old raw event files and expired rollups
+    const store = createStore('jsonl');
+    await store.init();
+    const old = { id: 'evt_old', type: 'event', name: 'purchase', customerId: 'cust_a', revenue: 10, timestamp: '2020-01-01T10:00:00.000Z' };
+    await store.append([old]);
+    await store.applyRollups(buildIncrements([old]));
+    assert.strictEqual((await store.getRollups({ to: '2020-01-02T00:00:00.000Z' })).length, 2);
+    await store.prune({ eventsBefore: '2021-01-01', hourlyBefore: '2021-01-01', dailyBefore: '2021-01-01' });
+    assert.strictEqual((await store.getRollups({ to: '2020-01-02T00:00:00.000Z' })).length, 0);
+    assert.ok(!fs.existsSync(path.join(dir, 'events-2020-01-01.jsonl')));
+    assert.strictEqual((await store.readEvents({ type: 'event' })).length, 4);
+
+    await reloaded.reset();
+    assert.strictEqual((await reloaded.getAnalyticsSummary()).totalApiCalls, 0);
+
+    console.log('✅ Analytics store test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Analytics store test failed:', err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,150 @@
+const assert = require('assert');
+const axios = require('axios');
+const express = require('express');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const os = require('os');
+const path = require('path');
+
+// Runs against the in-memory customer store (no MongoDB)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+(async () => {
+  const Customer = require('../models/Customer');
+  const customers = require('../services/customers');
+  const authTokens = require('../services/authTokens');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/keys', require('../routes/keys'));
+  app.use(require('../vmize-proxy-server-with-analytics'));
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const admin = { 'x-admin-token': 'test-admin-token' };
+
+  try {
+    // Model: plan limits, usage and overage
+    const model = new Customer({ email: 'Unit@Example.com', plan: 'starter', password: 'secret-pass' });
+    assert.strictEqual(model.email, 'unit@example.com');
+    assert.strictEqual(model.getPlanLimit(), 100);
+    model.usage.currentMonth.tryons = 80;
+    assert.strictEqual(model.getUsagePercentage(), 80);
+    assert.strictEqual(model.hasExceededLimit(), false);
+    Customer.updateOne = async () => ({ acknowledged: true });
+    await model.incrementUsage(25);
+    assert.strictEqual(model.usage.currentMonth.tryons, 105);
+    assert.strictEqual(model.hasExceededLimit(), true);
+    assert.strictEqual(model.getRemainingUsage(), 0);
+    assert.deepStrictEqual(model.calculateOverage(), { overage: 5, cost: 1.25, rate: 0.25 });
+    model.save = async function () { return this; };
+    await model.resetMonthlyUsage();
+    assert.strictEqual(model.usage.currentMonth.tryons, 0);
+    assert.strictEqual(model.usage.history[0].overage, 5);
+    const payload = jwt.verify(model.generateAccessToken(), process.env.JWT_SECRET);
+    assert.strictEqual(payload.email, 'unit@example.com');
+
+    // Store: passwords are hashed, emails unique
+    const acme = await customers.createCustomer({ email: 'ops@acme.test', password: 'hunter22', companyName: 'Acme', plan: 'starter', subscriptionStatus: 'active' });
+    assert.notStrictEqual(acme.password, 'hunter22');
+    assert.strictEqual(await acme.comparePassword('hunter22'), true);
+    assert.strictEqual(await acme.comparePassword('wrong'), false);
+    await assert.rejects(customers.createCustomer({ email: 'OPS@acme.test' }), err => err.statusCode === 409);
+    const other = await customers.createCustomer({ email: 'ops@other.test' });
+
+    const merchant = { Authorization: `Bearer ${acme.generateAccessToken((await authTokens.createSession(acme._id)).sessionId)}` };
+
+    // Key management requires credentials
+    assert.strictEqual((await http.get('/api/v1/keys')).status, 401);
+    assert.strictEqual((await http.get('/api/v1/keys', { headers: { 'x-admin-token': 'wrong' } })).status, 401);
+
+    // Live keys wait for a verified email
+    const unverified = await http.post('/api/v1/keys', { name: 'too-early' }, { headers: merchant });
+    assert.strictEqual(unverified.status, 403);
+    acme.emailVerified = true;
+
+    // Merchants create keys for themselves; the plaintext is only in this response
+    const created = await http.post('/api/v1/keys', { name: 'shopify-prod', scopes: ['tryon', 'analytics'] }, { headers: merchant });
+    assert.strictEqual(created.status, 201);
+    const liveKey = created.data.data.key;
+    assert.ok(liveKey.startsWith('vmize_sk_live_'), 'keys are secret unless asked otherwise');
+    assert.strictEqual(created.data.data.apiKey.display, `vmize_sk_live_…${liveKey.slice(-4)}`);
+    assert.strictEqual(created.data.data.apiKey.type, 'secret');
+    assert.ok(!JSON.stringify(acme.toJSON()).includes(Customer.hashApiKey(liveKey)), 'hash never serialized');
+
+    const testKey = (await http.post('/api/v1/keys', { name: 'staging', mode: 'test' }, { headers: merchant })).data.data.key;
+    assert.ok(testKey.startsWith('vmize_sk_test_'));
+
+    assert.strictEqual((await http.post('/api/v1/keys', { mode: 'sandbox' }, { headers: merchant })).status, 400);
+    assert.strictEqual((await http.post('/api/v1/keys', { scopes: ['admin'] }, { headers: merchant })).status, 400);
+
+    const listed = (await http.get('/api/v1/keys', { headers: merchant })).data.data;
+    assert.strictEqual(listed.keys.length, 2);
+    assert.ok(listed.keys.every(key => !key.hash && !JSON.stringify(key).includes(liveKey)));
+
+    // Merchants cannot reach other customers' keys, even by naming them
+    const spoofed = (await http.get(`/api/v1/keys?customerId=${other._id}`, { headers: merchant })).data.data;
+    assert.strictEqual(spoofed.customerId, String(acme._id));
+
+    // Live keys authenticate on the try-on API and count usage against the customer
+    const tryon = await http.post('/api/tryon', {
+      model_image: 'https://example.com/model.jpg',
+      garment_image: 'https://example.com/shirt.jpg'
+    }, { headers: { 'x-vmize-api-key': liveKey } });
+    assert.strictEqual(tryon.status, 200, JSON.stringify(tryon.data));
+    assert.strictEqual(tryon.data.used, 1);
+    assert.strictEqual(tryon.data.remaining, 99);
+    assert.strictEqual(acme.usage.currentMonth.tryons, 1);
+
+    const usage = (await http.get('/api/usage', { headers: { 'x-vmize-api-key': liveKey } })).data;
+    assert.strictEqual(usage.customerId, String(acme._id));
+    assert.strictEqual(usage.limit, 100);
+    assert.ok(acme.findApiKey(created.data.data.apiKey.keyId).lastUsedAt, 'lastUsedAt recorded');
+
+    // Rotation: the old secret stops working, the new one carries the same settings
+    const keyId = created.data.data.apiKey.keyId;
+    const rotated = await http.post(`/api/v1/keys/${keyId}/rotate`, {}, { headers: merchant });
+    assert.strictEqual(rotated.status, 201);
+    assert.strictEqual(rotated.data.data.apiKey.rotatedFrom, keyId);
+    assert.strictEqual(rotated.data.data.apiKey.name, 'shopify-prod');
+    const rotatedKey = rotated.data.data.key;
+    assert.strictEqual((await http.get('/api/usage', { headers: { 'x-vmize-api-key': liveKey } })).status, 401);
+    assert.strictEqual((await http.get('/api/usage', { headers: { 'x-vmize-api-key': rotatedKey } })).status, 200);
+    assert.strictEqual((await http.post(`/api/v1/keys/${keyId}/rotate`, {}, { headers: merchant })).status, 404);
+
+    // Admins list every customer's keys and act on behalf of a customer
+    const all = (await http.get('/api/v1/keys', { headers: admin })).data.data.keys;
+    assert.strictEqual(all.length, 3);
+    assert.ok(all.every(key => key.email === 'ops@acme.test'));
+    // ...but a JWT claiming the admin role only reaches its own customer's keys
+    const { sessionId: otherSession } = await authTokens.createSession(other._id);
+    const forged = { Authorization: `Bearer ${jwt.sign({ _id: String(other._id), sid: otherSession, role: 'admin' }, process.env.JWT_SECRET)}` };
+    assert.deepStrictEqual((await http.get('/api/v1/keys', { headers: forged })).data.data.keys, []);
+    assert.strictEqual((await http.get('/api/v1/keys', { headers: { Authorization: `Bearer ${jwt.sign({ role: 'admin' }, process.env.JWT_SECRET)}` } })).status, 401);
+    const issued = await http.post('/api/v1/keys', { customerId: 'ops@other.test', name: 'wordpress' }, { headers: admin });
+    assert.strictEqual(issued.status, 201);
+    assert.strictEqual((await http.post('/api/v1/keys', { name: 'orphan' }, { headers: admin })).status, 400);
+    assert.strictEqual((await http.post('/api/v1/keys', { customerId: 'nobody@example.com' }, { headers: admin })).status, 404);
+
+    // Revocation
+    const revoked = await http.delete(`/api/v1/keys/${rotated.data.data.apiKey.keyId}`, { headers: merchant });
+    assert.strictEqual(revoked.data.data.apiKey.status, 'revoked');
+    assert.strictEqual((await http.get('/api/usage', { headers: { 'x-vmize-api-key': rotatedKey } })).status, 401);
+    assert.strictEqual((await http.get('/api/analytics', { headers: { 'x-api-key': rotatedKey } })).status, 401);
+    assert.strictEqual((await http.get('/api/analytics', { headers: { 'x-api-key': testKey } })).status, 200);
+    assert.strictEqual((await http.delete(`/api/v1/keys/${keyId}`, { headers: merchant })).status, 404);
+
+    console.log('✅ API keys test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ API keys test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = path.join(dir, 'emails');
+process.env.FRONTEND_URL = 'https://app.vmize.test';
+
+(async () => {
+  const email = require('../services/email');
+  const customers = require('../services/customers');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  // Token from the link in the latest email of a template
+  const tokenFromEmail = async (customerId, template) => {
+    const { messages } = await email.listMessages({ customerId, template });
+    const match = messages[0].text.match(/token=([A-Za-z0-9_]+)/);
+    return decodeURIComponent(match[1]);
+  };
+
+  try {
+    // Registration validates input and never accepts privileged fields
+    assert.strictEqual((await http.post('/api/v1/auth/register', { email: 'nope', password: 'password123' })).status, 400);
+    assert.strictEqual((await http.post('/api/v1/auth/register', { email: 'short@shop.test', password: 'short' })).status, 400);
+    const registered = await http.post('/api/v1/auth/register', {
+      email: 'Owner@Shop.test', password: 'correct horse', name: 'Olive', companyName: 'Shop', plan: 'enterprise', emailVerified: true
+    });
+    assert.strictEqual(registered.status, 201);
+    const user = registered.data.data.user;
+    assert.deepStrictEqual([user.email, user.plan, user.emailVerified], ['owner@shop.test', 'trial', false]);
+    assert.strictEqual((await http.post('/api/v1/auth/register', { email: 'owner@shop.test', password: 'correct horse' })).status, 409);
+    const welcome = (await email.listMessages({ customerId: user._id })).messages.map(message => message.template).sort();
+    assert.deepStrictEqual(welcome, ['email_verification', 'welcome']);
+
+    // Access tokens are short-lived and tied to a session
+    let { accessToken, refreshToken } = registered.data.data.tokens;
+    const claims = jwt.decode(accessToken);
+    assert.strictEqual(claims.exp - claims.iat, 15 * 60);
+    assert.ok(claims.sid && refreshToken.startsWith('rt_'));
+
+    // Login: no fallback for unknown accounts or wrong passwords
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'ghost@shop.test', password: 'whatever1' })).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'owner@shop.test', password: 'wrong password' })).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'owner@shop.test' })).status, 400);
+    const login = await http.post('/api/v1/auth/login', { email: 'OWNER@shop.test', password: 'correct horse' });
+    assert.strictEqual(login.status, 200);
+    const laptop = login.data.data.tokens;
+
+    // GET /me
+    assert.strictEqual((await http.get('/api/v1/auth/me')).status, 401);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer('garbage'))).status, 401);
+    const me = await http.get('/api/v1/auth/me', bearer(accessToken));
+    assert.deepStrictEqual([me.status, me.data.data.user.email, me.data.data.user.usage.limit], [200, 'owner@shop.test', 100]);
+    assert.strictEqual(me.data.data.user.password, undefined);
+
+    // Refresh rotates: each refresh token works once
+    const rotated = await http.post('/api/v1/auth/refresh', { refreshToken });
+    assert.strictEqual(rotated.status, 200);
+    const next = rotated.data.data.tokens;
+    assert.notStrictEqual(next.refreshToken, refreshToken);
+    assert.strictEqual(jwt.decode(next.accessToken).sid, claims.sid);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(next.accessToken))).status, 200);
+
+    // Replaying the old token revokes the whole session, including the new tokens
+    const replay = await http.post('/api/v1/auth/refresh', { refreshToken });
+    assert.strictEqual(replay.status, 401);
+    assert.ok(/reuse/i.test(replay.data.message));
+    assert.strictEqual((await http.post('/api/v1/auth/refresh', { refreshToken: next.refreshToken })).status, 401);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(next.accessToken))).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/refresh', { refreshToken: 'rt_unknown' })).status, 401);
+
+    // Other sessions are unaffected; logout ends one
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(laptop.accessToken))).status, 200);
+    assert.strictEqual((await http.post('/api/v1/auth/logout', {})).status, 400);
+    const loggedOut = await http.post('/api/v1/auth/logout', { refreshToken: laptop.refreshToken });
+    assert.deepStrictEqual([loggedOut.status, loggedOut.data.data.revoked], [200, 1]);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(laptop.accessToken))).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/refresh', { refreshToken: laptop.refreshToken })).status, 401);
+    // ...on every merchant route
+    for (const url of ['/api/v1/keys', '/api/v1/billing/subscription', '/api/v1/tryon/history', '/api/v1/allowed-origins',
+      '/api/v1/widget-config', '/api/v1/privacy/retention', '/api/v1/exports/tryons', '/api/analytics']) {
+      const ended = await http.get(url, bearer(laptop.accessToken));
+      assert.strictEqual(ended.status, 401, url);
+      assert.strictEqual(ended.data.message || ended.data.error, 'Session has ended', url);
+    }
+
+    // Logout everywhere
+    const phone = (await http.post('/api/v1/auth/login', { email: 'owner@shop.test', password: 'correct horse' })).data.data.tokens;
+    const tablet = (await http.post('/api/v1/auth/login', { email: 'owner@shop.test', password: 'correct horse' })).data.data.tokens;
+    assert.strictEqual((await http.post('/api/v1/auth/logout', { all: true })).status, 401);
+    const everywhere = await http.post('/api/v1/auth/logout', { all: true }, bearer(phone.accessToken));
+    assert.deepStrictEqual([everywhere.status, everywhere.data.data.revoked], [200, 2]);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(tablet.accessToken))).status, 401);
+
+    // Email verification gates live API keys
+    ({ accessToken, refreshToken } = (await http.post('/api/v1/auth/login', { email: 'owner@shop.test', password: 'correct horse' })).data.data.tokens);
+    assert.strictEqual((await http.post('/api/v1/keys', { name: 'prod' }, bearer(accessToken))).status, 403);
+    assert.strictEqual((await http.post('/api/v1/keys', { name: 'staging', mode: 'test' }, bearer(accessToken))).status, 201);
+    const firstLink = await tokenFromEmail(user._id, 'email_verification');
+    assert.strictEqual((await http.post('/api/v1/auth/resend-verification', {}, bearer(accessToken))).status, 200);
+    const secondLink = await tokenFromEmail(user._id, 'email_verification');
+    assert.notStrictEqual(firstLink, secondLink);
+    assert.strictEqual((await http.post('/api/v1/auth/verify-email', { token: firstLink })).status, 400, 'resending replaces the old link');
+    const verified = await http.post('/api/v1/auth/verify-email', { token: secondLink });
+    assert.deepStrictEqual([verified.status, verified.data.data.user.emailVerified], [200, true]);
+    assert.strictEqual((await http.post('/api/v1/auth/verify-email', { token: secondLink })).status, 400, 'single use');
+    assert.strictEqual((await http.post('/api/v1/auth/resend-verification', {}, bearer(accessToken))).status, 409);
+    const live = await http.post('/api/v1/keys', { name: 'prod' }, bearer(accessToken));
+    assert.strictEqual(live.status, 201);
+    assert.ok(live.data.data.key.startsWith('vmize_sk_live_'));
+
+    // Forgot password: same answer for unknown addresses, and no email
+    const before = (await email.listMessages({ template: 'password_reset' })).total;
+    const unknown = await http.post('/api/v1/auth/forgot-password', { email: 'ghost@shop.test' });
+    assert.strictEqual(unknown.status, 200);
+    assert.strictEqual((await email.listMessages({ template: 'password_reset' })).total, before);
+    const forgot = await http.post('/api/v1/auth/forgot-password', { email: 'owner@shop.test' });
+    assert.deepStrictEqual([forgot.status, forgot.data.message], [200, unknown.data.message]);
+    const resetToken = await tokenFromEmail(user._id, 'password_reset');
+    const { messages: [resetEmail] } = await email.listMessages({ customerId: user._id, template: 'password_reset' });
+    assert.ok(resetEmail.text.includes('https://app.vmize.test/reset-password.html?token='));
+
+    // Reset: single use, new password works, every session ends
+    assert.strictEqual((await http.post('/api/v1/auth/reset-password', { token: resetToken, password: 'short' })).status, 400);
+    assert.strictEqual((await http.post('/api/v1/auth/reset-password', { token: 'pr_bogus', password: 'new password 1' })).status, 400);
+    assert.strictEqual((await http.post('/api/v1/auth/reset-password', { token: resetToken, password: 'new password 1' })).status, 200);
+    assert.strictEqual((await http.post('/api/v1/auth/reset-password', { token: resetToken, password: 'new password 2' })).status, 400);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(accessToken))).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/refresh', { refreshToken })).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'owner@shop.test', password: 'correct horse' })).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'owner@shop.test', password: 'new password 1' })).status, 200);
+    const stored = await customers.getCustomerForLogin('owner@shop.test');
+    assert.ok(stored.password.startsWith('$2'), 'password stored as a bcrypt hash');
+
+    console.log('✅ Auth test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Auth test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+const { startStripeStandIn } = require('./stripe-stand-in');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.STRIPE_SECRET_KEY = 'sk_test_standin';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_standin';
+process.env.STRIPE_PRICE_STARTER = 'price_starter';
+process.env.STRIPE_PRICE_PROFESSIONAL = 'price_professional';
+process.env.STRIPE_PRICE_BUSINESS = 'price_business';
+process.env.STRIPE_PRICE_ENTERPRISE = 'price_enterprise';
+process.env.FRONTEND_URL = 'https://app.vmize.test';
+
+(async () => {
+  const stripeStandIn = startStripeStandIn();
+  process.env.STRIPE_API_BASE = stripeStandIn.url;
+
+  const customers = require('../services/customers');
+  const authTokens = require('../services/authTokens');
+  const stripeService = require('../services/stripeService');
+  const app = require('../server');
+  const plainProxy = require('../vmize-proxy-server');
+  const server = app.listen(0);
+  const plainServer = plainProxy.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const plain = axios.create({ baseURL: `http://127.0.0.1:${plainServer.address().port}`, validateStatus: () => true });
+
+  const sendEvent = (type, object, { secret = process.env.STRIPE_WEBHOOK_SECRET, tamper = false } = {}) => {
+    const payload = JSON.stringify({ id: `evt_${type}_${Date.now()}`, object: 'event', type, data: { object } });
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+    const body = tamper ? payload.replace('"object":"event"', '"object":"evil"') : payload;
+    return http.post('/api/v1/webhooks/stripe', body, {
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature }
+    });
+  };
+
+  try {
+    const customer = await customers.createCustomer({ email: 'billing@shop.test', companyName: 'Shop', subscriptionStatus: 'trialing' });
+    const token = customer.generateAccessToken((await authTokens.createSession(customer._id)).sessionId);
+    const auth = { headers: { Authorization: `Bearer ${token}` } };
+    const liveKey = (await customers.createKey(customer, { mode: 'live' })).key;
+
+    // Checkout requires a dashboard JWT and a purchasable plan
+    assert.strictEqual((await http.post('/api/v1/billing/create-checkout', { plan: 'starter' })).status, 401);
+    assert.strictEqual((await http.post('/api/v1/billing/create-checkout', { plan: 'trial' }, auth)).status, 400);
+
+    const checkout = await http.post('/api/v1/billing/create-checkout', { plan: 'professional' }, auth);
+    assert.strictEqual(checkout.status, 200, JSON.stringify(checkout.data));
+    assert.ok(checkout.data.data.url.startsWith('https://checkout.stripe.test/'));
+    assert.ok(customer.stripeCustomerId.startsWith('cus_test_'));
+
+    const sessionCall = stripeStandIn.calls.find(call => call.path === '/v1/checkout/sessions');
+    assert.strictEqual(sessionCall.auth, 'Bearer sk_test_standin');
+    assert.strictEqual(sessionCall.body.mode, 'subscription');
+    assert.strictEqual(sessionCall.body.customer, customer.stripeCustomerId);
+    assert.strictEqual(sessionCall.body.line_items[0].price, 'price_professional');
+    assert.strictEqual(sessionCall.body.subscription_data.metadata.plan, 'professional');
+    assert.ok(sessionCall.body.success_url.startsWith('https://app.vmize.test/checkout.html?plan=professional&status=success'));
+
+    // A second checkout reuses the Stripe customer
+    await http.post('/api/v1/billing/create-checkout', { plan: 'business' }, auth);
+    assert.strictEqual(stripeStandIn.calls.filter(call => call.path === '/v1/customers').length, 1);
+
+    // Unsigned, wrongly signed and tampered webhooks are rejected
+    const unsigned = await http.post('/api/v1/webhooks/stripe', JSON.stringify({ type: 'invoice.paid' }), { headers: { 'Content-Type': 'application/json' } });
+    assert.strictEqual(unsigned.status, 400);
+    const session = { id: 'cs_test_done', object: 'checkout.session', mode: 'subscription', customer: customer.stripeCustomerId, subscription: 'sub_1', client_reference_id: String(customer._id), metadata: { customerId: String(customer._id), plan: 'professional' } };
+    assert.strictEqual((await sendEvent('checkout.session.completed', session, { secret: 'whsec_wrong' })).status, 400);
+    assert.strictEqual((await sendEvent('checkout.session.completed', session, { tamper: true })).status, 400);
+    assert.strictEqual(customer.subscriptionStatus, 'trialing');
+
+    // Checkout completion activates the plan
+    const completed = await sendEvent('checkout.session.completed', session);
+    assert.strictEqual(completed.status, 200);
+    assert.strictEqual(completed.data.handled, true);
+    assert.deepStrictEqual([customer.plan, customer.subscriptionStatus, customer.stripeSubscriptionId], ['professional', 'active', 'sub_1']);
+    assert.strictEqual((await customers.authenticateApiKey(liveKey)).limit, 500);
+
+    // Failed payments suspend live traffic until an invoice is paid
+    const invoice = { id: 'in_1', object: 'invoice', customer: customer.stripeCustomerId, subscription: 'sub_1' };
+    await sendEvent('invoice.payment_failed', invoice);
+    assert.strictEqual(customer.subscriptionStatus, 'past_due');
+    const body = { model_image: 'https://example.com/m.jpg', garment_image: 'https://example.com/g.jpg' };
+    assert.strictEqual((await plain.post('/api/tryon', body, { headers: { 'x-vmize-api-key': liveKey } })).status, 403);
+    const suspended = await http.post('/api/tryon', body, { headers: { 'x-vmize-api-key': liveKey } });
+    assert.deepStrictEqual([suspended.status, suspended.data.error], [403, 'Subscription inactive. Please update billing.']);
+    assert.strictEqual((await http.post('/api/v1/tryon/generate', { modelImage: body.model_image, garmentImage: body.garment_image }, auth)).status, 403);
+    await sendEvent('invoice.paid', invoice);
+    assert.strictEqual(customer.subscriptionStatus, 'active');
+    assert.strictEqual((await plain.post('/api/tryon', body, { headers: { 'x-vmize-api-key': liveKey } })).status, 200);
+    assert.strictEqual((await http.post('/api/tryon', body, { headers: { 'x-vmize-api-key': liveKey } })).status, 200);
+
+    // Invoices for another subscription and one-off invoices are ignored
+    await sendEvent('invoice.payment_failed', { ...invoice, subscription: 'sub_old' });
+    await sendEvent('invoice.payment_failed', { ...invoice, subscription: null });
+    assert.strictEqual(customer.subscriptionStatus, 'active');
+
+    // Subscription updates carry plan (by price) and status
+    const subscription = { id: 'sub_1', object: 'subscription', customer: customer.stripeCustomerId, status: 'active', items: { data: [{ price: { id: 'price_business' } }] }, metadata: {} };
+    await sendEvent('customer.subscription.updated', subscription);
+    assert.deepStrictEqual([customer.plan, customer.subscriptionStatus], ['business', 'active']);
+    await sendEvent('customer.subscription.updated', { ...subscription, status: 'unpaid' });
+    assert.strictEqual(customer.subscriptionStatus, 'past_due');
+
+    await sendEvent('customer.subscription.deleted', { ...subscription, status: 'canceled' });
+    assert.strictEqual(customer.subscriptionStatus, 'canceled');
+
+    // A deleted subscription stays canceled: late invoices don't revive it, live keys stop
+    const late = await sendEvent('invoice.paid', invoice);
+    assert.deepStrictEqual([late.status, late.data.handled], [200, false]);
+    await sendEvent('invoice.payment_failed', invoice);
+    assert.strictEqual(customer.subscriptionStatus, 'canceled');
+    assert.strictEqual((await http.post('/api/tryon', body, { headers: { 'x-vmize-api-key': liveKey } })).status, 403);
+    assert.strictEqual((await plain.post('/api/tryon', body, { headers: { 'x-vmize-api-key': liveKey } })).status, 403);
+    const testKey = (await customers.createKey(customer, { mode: 'test' })).key;
+    assert.strictEqual((await http.post('/api/tryon', body, { headers: { 'x-vmize-api-key': testKey } })).status, 200, 'test keys keep the sandbox');
+
+    // Unknown customers and event types are acknowledged without changes
+    const stranger = await sendEvent('invoice.paid', { ...invoice, customer: 'cus_unknown' });
+    assert.deepStrictEqual([stranger.status, stranger.data.handled], [200, false]);
+    const other = await sendEvent('charge.refunded', { id: 'ch_1' });
+    assert.deepStrictEqual([other.status, other.data.handled], [200, false]);
+    assert.strictEqual(customer.subscriptionStatus, 'canceled');
+
+    // Overage charges become invoice items in cents
+    await stripeService.createOverageCharge(customer.stripeCustomerId, 12.5, 'Usage overage: 50 try-ons');
+    const item = stripeStandIn.calls.find(call => call.path === '/v1/invoiceitems');
+    assert.deepStrictEqual([item.body.amount, item.body.currency], ['1250', 'usd']);
+
+    console.log('✅ Billing test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Billing test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,158 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.STRIPE_SECRET_KEY = 'sk_test_standin';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_standin';
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = path.join(dir, 'emails');
+process.env.EMAIL_MAX_ATTEMPTS = '3';
+process.env.EMAIL_RETRY_BASE_MS = '20';
+process.env.FRONTEND_URL = 'https://app.vmize.test';
+
+const tick = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  const customers = require('../services/customers');
+  const metering = require('../services/metering');
+  const email = require('../services/email');
+  const { renderTemplate } = require('../services/email/templates');
+  const { registerTransport } = require('../services/email/transports');
+  const usageAlerts = require('../services/usageAlerts');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+
+  const use = async (customer, units) => {
+    const account = { customerId: String(customer._id), plan: customer.plan, limit: customer.getPlanLimit(), hardCap: null };
+    const { reservation } = await metering.reserve(account, units);
+    await metering.commit(reservation.reservationId);
+  };
+  const messagesFor = async (customer, filter = {}) => (await email.listMessages({ customerId: String(customer._id), ...filter })).messages;
+
+  try {
+    // Templates render text and escaped HTML
+    const recipient = { name: '<Ada>', email: 'ada@shop.test', plan: 'starter' };
+    for (const template of email.TEMPLATES) {
+      const rendered = renderTemplate(template, recipient, {
+        verifyUrl: 'https://app.vmize.test/verify?token=abc',
+        resetUrl: 'https://app.vmize.test/reset?token=abc',
+        used: 80,
+        limit: 100,
+        amount: 49,
+        nextPlan: { id: 'professional', name: 'Professional', price: 129, included: 500 }
+      });
+      assert.ok(rendered.subject && rendered.text, `${template} renders`);
+      assert.ok(rendered.html.includes('&lt;Ada&gt;') && !rendered.html.includes('<Ada>'), `${template} escapes HTML`);
+    }
+    assert.ok(renderTemplate('password_reset', recipient, { resetUrl: 'https://x.test/r' }).text.includes('https://x.test/r'));
+    assert.ok(renderTemplate('upsell', recipient, { used: 90, limit: 100, nextPlan: { id: 'professional', name: 'Professional', price: 129, included: 500 } })
+      .text.includes('https://app.vmize.test/checkout.html?plan=professional'));
+    assert.throws(() => renderTemplate('nope', recipient), /Unknown email template/);
+
+    // Delivery through the file transport, logged on the customer
+    const customer = await customers.createCustomer({ email: 'mail@shop.test', name: 'Mia', plan: 'starter', subscriptionStatus: 'active', stripeCustomerId: 'cus_mail' });
+    const welcome = await email.send('welcome', customer);
+    assert.strictEqual(welcome.status, 'queued');
+    await email.processOutbox();
+    const [sentWelcome] = await messagesFor(customer, { template: 'welcome' });
+    assert.deepStrictEqual([sentWelcome.status, sentWelcome.attempts, sentWelcome.transport], ['sent', 1, 'file']);
+    const file = JSON.parse(fs.readFileSync(path.join(process.env.EMAIL_FILE_DIR, `${welcome.messageId}.json`), 'utf8'));
+    assert.deepStrictEqual([file.to, file.subject], ['mail@shop.test', 'Welcome to Vmize Studio']);
+    assert.deepStrictEqual(customer.emailLog.map(entry => entry.template), ['welcome']);
+
+    // Failed deliveries are retried with backoff until they succeed
+    let failures = 2;
+    registerTransport('flaky', () => ({
+      async send() {
+        if (failures-- > 0) throw new Error('SMTP 421 try again later');
+        return { providerMessageId: 'flaky-ok' };
+      }
+    }));
+    process.env.EMAIL_TRANSPORT = 'flaky';
+    const flaky = await email.send('password_reset', customer, { resetUrl: 'https://app.vmize.test/reset?token=1' });
+    await email.processOutbox();
+    let [retrying] = await messagesFor(customer, { template: 'password_reset' });
+    assert.deepStrictEqual([retrying.status, retrying.attempts, retrying.lastError], ['queued', 1, 'SMTP 421 try again later']);
+    assert.ok(retrying.nextAttemptAt > new Date(), 'next attempt is delayed');
+    assert.strictEqual(await email.processOutbox(), 0, 'nothing due yet');
+    await tick(30);
+    await email.processOutbox();
+    await tick(60);
+    await email.processOutbox();
+    [retrying] = await messagesFor(customer, { template: 'password_reset' });
+    assert.deepStrictEqual([retrying.messageId, retrying.status, retrying.attempts, retrying.providerMessageId], [flaky.messageId, 'sent', 3, 'flaky-ok']);
+
+    // ...and give up after EMAIL_MAX_ATTEMPTS
+    registerTransport('broken', () => ({ async send() { throw new Error('Connection refused'); } }));
+    process.env.EMAIL_TRANSPORT = 'broken';
+    await email.send('email_verification', customer, { verifyUrl: 'https://app.vmize.test/verify?token=1' });
+    for (let i = 0; i < 3; i++) {
+      await email.processOutbox();
+      await tick(100);
+    }
+    const [broken] = await messagesFor(customer, { template: 'email_verification' });
+    assert.deepStrictEqual([broken.status, broken.attempts], ['failed', 3]);
+    assert.deepStrictEqual(customer.emailLog.map(entry => entry.template), ['welcome', 'password_reset']);
+    process.env.EMAIL_TRANSPORT = 'file';
+
+    // Usage alerts: once at 80% and once at 100% of the included quota
+    await use(customer, 79);
+    await tick();
+    assert.strictEqual((await messagesFor(customer, { template: 'usage_warning' })).length, 0);
+    await use(customer, 1);
+    await tick();
+    await use(customer, 5);
+    await tick();
+    assert.strictEqual((await messagesFor(customer, { template: 'usage_warning' })).length, 1);
+    await use(customer, 15);
+    await tick();
+    const limitEmails = await messagesFor(customer, { template: 'usage_limit' });
+    assert.strictEqual(limitEmails.length, 1);
+    assert.ok(limitEmails[0].text.includes('100 of the 100 try-ons'));
+    assert.strictEqual(await usageAlerts.checkAll(), 1);
+    assert.strictEqual((await messagesFor(customer, { template: 'usage_limit' })).length, 1, 'the sweep does not resend');
+
+    const optedOut = await customers.createCustomer({ email: 'quiet@shop.test', plan: 'starter', notifications: { usageAlerts: false } });
+    await use(optedOut, 100);
+    await tick();
+    assert.strictEqual((await messagesFor(optedOut)).length, 0);
+
+    // Payment failures email the customer once per invoice
+    const invoice = { id: 'in_failed_1', object: 'invoice', customer: 'cus_mail', subscription: null, amount_due: 4900, currency: 'usd', hosted_invoice_url: 'https://pay.stripe.test/in_failed_1' };
+    customer.stripeSubscriptionId = 'sub_mail';
+    invoice.subscription = 'sub_mail';
+    for (let i = 0; i < 2; i++) {
+      const payload = JSON.stringify({ id: `evt_failed_${i}`, object: 'event', type: 'invoice.payment_failed', data: { object: invoice } });
+      const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+      const delivered = await http.post('/api/v1/webhooks/stripe', payload, { headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature } });
+      assert.strictEqual(delivered.status, 200);
+    }
+    const paymentEmails = await messagesFor(customer, { template: 'payment_failed' });
+    assert.strictEqual(paymentEmails.length, 1);
+    assert.ok(paymentEmails[0].text.includes('49.00 USD') && paymentEmails[0].text.includes('https://pay.stripe.test/in_failed_1'));
+
+    await email.processOutbox();
+    assert.deepStrictEqual(customer.emailLog.map(entry => entry.template),
+      ['welcome', 'password_reset', 'usage_warning', 'usage_limit', 'payment_failed']);
+    assert.ok(customer.emailLog.every(entry => entry.sentAt instanceof Date && entry.to === 'mail@shop.test'));
+
+    console.log('✅ Email test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Email test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,173 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+
+// Minimal CSV reader for the assertions (quoted cells, doubled quotes)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell.replace(/\r$/, ''));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  const [header, ...body] = rows;
+  return body.map(values => Object.fromEntries(header.map((column, index) => [column, values[index]])));
+}
+
+const parseNdjson = text => text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+(async () => {
+  const totp = require('../services/totp');
+  const adminAuth = require('../services/adminAuth');
+  const customers = require('../services/customers');
+  const tryonJobs = require('../services/tryonJobs');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true, responseType: 'text' });
+  const owner = { headers: { 'x-admin-token': 'test-admin-token' } };
+
+  try {
+    const acme = await customers.createCustomer({ email: 'acme@fashion.test', password: 'merchant-password', companyName: '=HYPERLINK("evil")', emailVerified: true });
+    const style = await customers.createCustomer({ email: 'hello@style.test', password: 'merchant-password', companyName: 'Style, "Co"', emailVerified: true });
+
+    await tryonJobs.recordSubmission({
+      customerId: acme._id,
+      productId: 'sku-1',
+      endpoint: '/api/tryon',
+      result: { id: 'pred_acme', provider: 'mock', status: 'completed', imageUrl: 'https://cdn.test/acme.jpg', images: ['https://cdn.test/acme.jpg'] }
+    });
+    await tryonJobs.recordFailure({ customerId: acme._id, productId: 'sku-2', endpoint: '/api/tryon', provider: 'mock', error: new Error('Bad photo\nretry') });
+    await tryonJobs.recordSubmission({ customerId: style._id, productId: 'sku-9', endpoint: '/api/tryon', result: { id: 'pred_style', provider: 'mock', status: 'processing' } });
+
+    // Events across several days, plus enough of them to span many read chunks
+    const analytics = app.locals.analytics;
+    const day = offset => new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString();
+    await analytics.store.append([
+      { id: 'evt_old', type: 'event', name: 'page_view', customerId: String(acme._id), sessionId: 's1', timestamp: day(3), data: { sessionId: 's1' } },
+      { id: 'evt_mid', type: 'event', name: 'add_to_cart', customerId: String(acme._id), sessionId: 's1', productId: 'sku-1', timestamp: day(2), data: {} },
+      { id: 'evt_style', type: 'event', name: 'page_view', customerId: String(style._id), timestamp: day(2), data: {} }
+    ]);
+    for (let i = 0; i < 1000; i++) {
+      await analytics.trackEvent('product_view', { customerId: String(style._id), productId: `sku-${i}`, note: 'x'.repeat(50) });
+    }
+    await analytics.trackEvent('purchase', { customerId: String(acme._id), revenue: 89.99, properties: { order: 'A-1' } });
+    await analytics.trackApiCall({ customerId: String(acme._id), apiKey: 'vmize_pk_live_abcdefghijklmnop', endpoint: '/api/tryon', method: 'POST', status: 200, duration: 120 });
+    await analytics.trackApiCall({ customerId: String(style._id), endpoint: '/api/tryon', method: 'POST', status: 500, duration: 80, error: 'boom' });
+
+    // Admin: every tenant, CSV by default
+    const allCustomers = await http.get('/api/v1/exports/customers', owner);
+    assert.strictEqual(allCustomers.status, 200);
+    assert.ok(allCustomers.headers['content-type'].startsWith('text/csv'));
+    assert.ok(/^attachment; filename="vmize-customers-\d{4}-\d{2}-\d{2}\.csv"$/.test(allCustomers.headers['content-disposition']));
+    const customerRows = parseCsv(allCustomers.data);
+    assert.deepStrictEqual(customerRows.map(row => row.email), ['acme@fashion.test', 'hello@style.test']);
+    assert.strictEqual(customerRows[0].companyName, '\'=HYPERLINK("evil")', 'formulas are neutralized');
+    assert.strictEqual(customerRows[1].companyName, 'Style, "Co"');
+    assert.ok(!('password' in customerRows[0]));
+
+    const tryons = parseCsv((await http.get('/api/v1/exports/tryons', owner)).data);
+    assert.strictEqual(tryons.length, 3);
+    assert.strictEqual(tryons.find(row => row.status === 'failed').error, 'Bad photo\nretry');
+
+    // Tenant and date filters, NDJSON
+    const acmeTryons = await http.get(`/api/v1/exports/tryons?customerId=${acme._id}&format=ndjson`, owner);
+    assert.ok(acmeTryons.headers['content-type'].startsWith('application/x-ndjson'));
+    assert.ok(acmeTryons.headers['content-disposition'].includes(`vmize-tryons-${acme._id}-`));
+    assert.deepStrictEqual(parseNdjson(acmeTryons.data).map(job => job.status), ['completed', 'failed']);
+
+    const events = parseNdjson((await http.get('/api/v1/exports/events?format=ndjson', owner)).data);
+    // The completed job adds a result_generated event
+    assert.strictEqual(events.length, 3 + 1000 + 1 + 1);
+    assert.deepStrictEqual(events.slice(0, 2).map(event => event.id), ['evt_old', 'evt_mid'], 'oldest first');
+    assert.ok(events.every(event => event.name !== 'api_call'));
+    const purchase = events.find(event => event.name === 'purchase');
+    assert.deepStrictEqual([purchase.revenue, purchase.data.properties], [89.99, { order: 'A-1' }]);
+
+    const recent = parseNdjson((await http.get(`/api/v1/exports/events?format=ndjson&customerId=${acme._id}&from=${day(2).slice(0, 10)}`, owner)).data);
+    assert.deepStrictEqual(recent.map(event => event.name), ['add_to_cart', 'result_generated', 'purchase']);
+    const throughDay = parseCsv((await http.get(`/api/v1/exports/events?customerId=${acme._id}&to=${day(2).slice(0, 10)}`, owner)).data);
+    assert.deepStrictEqual(throughDay.map(event => event.id), ['evt_old', 'evt_mid'], 'a date-only to includes that day');
+    assert.strictEqual(JSON.parse(parseCsv((await http.get(`/api/v1/exports/events?customerId=${acme._id}`, owner)).data)[0].data).sessionId, 's1');
+
+    const calls = parseCsv((await http.get('/api/v1/exports/api_calls', owner)).data);
+    assert.deepStrictEqual(calls.map(call => call.status), ['200', '500']);
+    assert.strictEqual(calls[0].apiKey, 'vmize_pk_live_ab…', 'keys stay masked');
+
+    // Each dataset needs its own permission: finance reads analytics but not try-ons
+    await adminAuth.createAdmin({ username: 'fay', role: 'finance', password: 'finance-password' }, 'test');
+    const enrollment = (await http.post('/admin/login', { username: 'fay', password: 'finance-password' }, { responseType: 'json' })).data.data.token;
+    const finance = { headers: { 'x-admin-token': enrollment } };
+    const { secret } = (await http.post('/admin/totp/setup', {}, { ...finance, responseType: 'json' })).data.data;
+    await http.post('/admin/totp/verify', { code: totp.generate(secret) }, finance);
+    assert.strictEqual((await http.get('/api/v1/exports/tryons', finance)).status, 403);
+    assert.strictEqual((await http.get('/api/v1/exports/api_calls', finance)).status, 200);
+
+    // Validation
+    assert.strictEqual((await http.get('/api/v1/exports/passwords', owner)).status, 404);
+    assert.strictEqual((await http.get('/api/v1/exports/tryons?format=xlsx', owner)).status, 400);
+    assert.strictEqual((await http.get('/api/v1/exports/tryons?from=yesterday', owner)).status, 400);
+    assert.strictEqual((await http.get('/api/v1/exports/tryons?from=2026-02-01&to=2026-01-01', owner)).status, 400);
+    assert.strictEqual((await http.get('/api/v1/exports/tryons')).status, 401);
+
+    // Merchants export their own data only, whatever customerId they pass
+    const login = await http.post('/api/v1/auth/login', { email: 'acme@fashion.test', password: 'merchant-password' }, { responseType: 'json' });
+    assert.strictEqual(login.status, 200);
+    const { accessToken, refreshToken } = login.data.data.tokens;
+    const merchant = { headers: { Authorization: `Bearer ${accessToken}` } };
+    const ownCustomers = parseCsv((await http.get(`/api/v1/exports/customers?customerId=${style._id}`, merchant)).data);
+    assert.deepStrictEqual(ownCustomers.map(row => row.email), ['acme@fashion.test']);
+    const ownTryons = parseNdjson((await http.get(`/api/v1/exports/tryons?format=ndjson&customerId=${style._id}`, merchant)).data);
+    assert.ok(ownTryons.length === 2 && ownTryons.every(job => job.customerId === String(acme._id)));
+    const ownEvents = parseNdjson((await http.get('/api/v1/exports/events?format=ndjson', merchant)).data);
+    assert.deepStrictEqual(ownEvents.map(event => event.id).slice(0, 2), ['evt_old', 'evt_mid']);
+    assert.strictEqual(ownEvents.length, 4);
+    assert.strictEqual(parseCsv((await http.get('/api/v1/exports/api_calls', merchant)).data).length, 1);
+
+    // Ended sessions cannot export
+    await http.post('/api/v1/auth/logout', { refreshToken }, merchant);
+    assert.strictEqual((await http.get('/api/v1/exports/tryons', merchant)).status, 401);
+
+    console.log('✅ Exports test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Exports test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,180 @@
+const assert = require('assert');
+const axios = require('axios');
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.FRONTEND_URL = 'https://app.vmize.test';
+
+// Local OpenID Connect stand-in for accounts.google.com: consent is automatic for
+// `nextUser`, or denied when it is null
+let nextUser = null;
+const codes = new Map();
+const accessTokens = new Map();
+
+function startIdentityProvider() {
+  const idp = express();
+  idp.use(express.urlencoded({ extended: false }));
+
+  idp.get('/o/oauth2/v2/auth', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, scope, state } = req.query;
+    if (clientId !== 'google-client' || responseType !== 'code' || !scope.split(' ').includes('email')) {
+      return res.status(400).send('bad authorization request');
+    }
+    if (!nextUser) return res.redirect(`${redirectUri}?error=access_denied&state=${encodeURIComponent(state)}`);
+    const code = crypto.randomBytes(8).toString('hex');
+    codes.set(code, { user: nextUser, redirectUri });
+    return res.redirect(`${redirectUri}?code=${code}&state=${encodeURIComponent(state)}`);
+  });
+
+  idp.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (req.body.client_id !== 'google-client' || req.body.client_secret !== 'google-secret') {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || req.body.grant_type !== 'authorization_code' || req.body.redirect_uri !== grant.redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    const token = `ya29.${crypto.randomBytes(8).toString('hex')}`;
+    accessTokens.set(token, grant.user);
+    return res.json({ access_token: token, token_type: 'Bearer', expires_in: 3600, scope: 'openid email profile' });
+  });
+
+  idp.get('/userinfo', (req, res) => {
+    // node-oauth sends the token as a query parameter; Google also accepts a header
+    const user = accessTokens.get(req.query.access_token || (req.headers.authorization || '').replace('Bearer ', ''));
+    if (!user) return res.status(401).json({ error: 'invalid_token', error_description: 'Invalid Credentials' });
+    return res.json(user);
+  });
+
+  return idp.listen(0);
+}
+
+(async () => {
+  const idpServer = startIdentityProvider();
+  const idpBase = `http://127.0.0.1:${idpServer.address().port}`;
+  const email = require('../services/email');
+  const customers = require('../services/customers');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, maxRedirects: 0, validateStatus: () => true });
+  const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  // Runs the browser side of the redirect dance; returns the login.html fragment
+  const signInWithGoogle = async (user, { cookie: sendCookie = true, state } = {}) => {
+    nextUser = user;
+    const start = await http.get('/api/v1/auth/google');
+    assert.strictEqual(start.status, 302);
+    const cookie = start.headers['set-cookie'][0];
+    assert.ok(/HttpOnly/i.test(cookie) && /SameSite=Lax/i.test(cookie));
+    let consentUrl = start.headers.location;
+    if (state) consentUrl = consentUrl.replace(/state=[^&]+/, `state=${state}`);
+    const consent = await axios.get(consentUrl, { maxRedirects: 0, validateStatus: () => true });
+    assert.strictEqual(consent.status, 302);
+    const callback = await http.get(consent.headers.location.replace(http.defaults.baseURL, ''), {
+      headers: sendCookie ? { Cookie: cookie.split(';')[0] } : {}
+    });
+    assert.strictEqual(callback.status, 302);
+    const [target, fragment] = callback.headers.location.split('#');
+    assert.strictEqual(target, 'https://app.vmize.test/login.html');
+    return Object.fromEntries(new URLSearchParams(fragment));
+  };
+
+  try {
+    // Not configured yet
+    assert.strictEqual((await http.get('/api/v1/auth/google')).status, 503);
+    Object.assign(process.env, {
+      GOOGLE_CLIENT_ID: 'google-client',
+      GOOGLE_CLIENT_SECRET: 'google-secret',
+      GOOGLE_AUTHORIZATION_URL: `${idpBase}/o/oauth2/v2/auth`,
+      GOOGLE_TOKEN_URL: `${idpBase}/token`,
+      GOOGLE_USERINFO_URL: `${idpBase}/userinfo`
+    });
+
+    // The consent request asks for OpenID email and profile
+    const start = await http.get('/api/v1/auth/google');
+    const consentUrl = new URL(start.headers.location);
+    assert.strictEqual(consentUrl.origin + consentUrl.pathname, `${idpBase}/o/oauth2/v2/auth`);
+    assert.strictEqual(consentUrl.searchParams.get('scope'), 'openid email profile');
+    assert.ok(consentUrl.searchParams.get('redirect_uri').endsWith('/api/v1/auth/google/callback'));
+    assert.ok(consentUrl.searchParams.get('state'));
+
+    // First sign-in creates a verified trial customer with the same tokens as /login
+    const grace = { sub: 'google-grace', email: 'Grace@Shop.test', email_verified: true, name: 'Grace Hopper' };
+    const created = await signInWithGoogle(grace);
+    assert.strictEqual(created.new_account, '1');
+    assert.ok(created.refresh_token.startsWith('rt_'));
+    const me = await http.get('/api/v1/auth/me', bearer(created.access_token));
+    assert.strictEqual(me.status, 200);
+    const graceUser = me.data.data.user;
+    assert.deepStrictEqual([graceUser.email, graceUser.name, graceUser.plan, graceUser.emailVerified], ['grace@shop.test', 'Grace Hopper', 'trial', true]);
+    assert.strictEqual((await http.post('/api/v1/auth/refresh', { refreshToken: created.refresh_token })).status, 200);
+    assert.strictEqual((await email.listMessages({ customerId: graceUser._id, template: 'welcome' })).total, 1);
+    // Google-only accounts have no password to sign in with
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'grace@shop.test', password: 'undefined' })).status, 401);
+
+    // Signing in again finds the account by Google subject, even if the email changed
+    const again = await signInWithGoogle({ ...grace, email: 'grace.hopper@shop.test' });
+    assert.strictEqual(again.new_account, '0');
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(again.access_token))).data.data.user._id, graceUser._id);
+
+    // A verified password account is linked and keeps its password and sessions
+    const vera = (await http.post('/api/v1/auth/register', { email: 'vera@shop.test', password: 'vera password' })).data.data;
+    const veraCustomer = await customers.getCustomer('vera@shop.test');
+    veraCustomer.emailVerified = true;
+    await customers.saveCustomer(veraCustomer);
+    const veraGoogle = await signInWithGoogle({ sub: 'google-vera', email: 'vera@shop.test', email_verified: true, name: 'Vera' });
+    assert.strictEqual(veraGoogle.new_account, '0');
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(veraGoogle.access_token))).data.data.user._id, vera.user._id);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(vera.tokens.accessToken))).status, 200);
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'vera@shop.test', password: 'vera password' })).status, 200);
+
+    // Linking an unverified account drops the unproven password and its sessions
+    const squatter = (await http.post('/api/v1/auth/register', { email: 'linda@shop.test', password: 'squatter pass' })).data.data;
+    const linda = await signInWithGoogle({ sub: 'google-linda', email: 'linda@shop.test', email_verified: 'true', name: 'Linda' });
+    const lindaUser = (await http.get('/api/v1/auth/me', bearer(linda.access_token))).data.data.user;
+    assert.deepStrictEqual([lindaUser._id, lindaUser.emailVerified], [squatter.user._id, true]);
+    assert.strictEqual((await http.get('/api/v1/auth/me', bearer(squatter.tokens.accessToken))).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/refresh', { refreshToken: squatter.tokens.refreshToken })).status, 401);
+    assert.strictEqual((await http.post('/api/v1/auth/login', { email: 'linda@shop.test', password: 'squatter pass' })).status, 401);
+
+    // A second Google account cannot take over a linked email
+    const other = await signInWithGoogle({ sub: 'google-impostor', email: 'linda@shop.test', email_verified: true });
+    assert.ok(!other.access_token && /different Google account/.test(other.error));
+
+    // Unverified Google emails are refused and create nothing
+    const unverified = await signInWithGoogle({ sub: 'google-unverified', email: 'new@shop.test', email_verified: false });
+    assert.ok(!unverified.access_token && /verified email/.test(unverified.error));
+    assert.strictEqual(await customers.getCustomer('new@shop.test'), null);
+
+    // Denied consent
+    const denied = await signInWithGoogle(null);
+    assert.ok(!denied.access_token && denied.error);
+
+    // State must be signed and bound to the browser that started the flow
+    const noCookie = await signInWithGoogle(grace, { cookie: false });
+    assert.ok(!noCookie.access_token && /expired or was started elsewhere/.test(noCookie.error));
+    const forged = await signInWithGoogle(grace, { state: 'forged' });
+    assert.ok(!forged.access_token && /expired or was started elsewhere/.test(forged.error));
+
+    console.log('✅ Google OAuth test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Google OAuth test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+// Keep mock predictions pending so reservations stay open until the job settles
+process.env.MOCK_TRYON_LATENCY_MS = '60000';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+
+(async () => {
+  const customers = require('../services/customers');
+  const metering = require('../services/metering');
+  const tryonJobs = require('../services/tryonJobs');
+  const proxy = require('../vmize-proxy-server-with-analytics');
+  const plainProxy = require('../vmize-proxy-server');
+  const server = proxy.listen(0);
+  const plainServer = plainProxy.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const plain = axios.create({ baseURL: `http://127.0.0.1:${plainServer.address().port}`, validateStatus: () => true });
+
+  const body = (n) => ({ model_image: `https://example.com/model-${n}.jpg`, garment_image: 'https://example.com/coat.jpg' });
+
+  try {
+    // Periods and plan limits
+    assert.strictEqual(metering.periodKey(new Date('2025-01-31T23:59:59Z')), '2025-01');
+    assert.strictEqual(metering.periodResetsAt('2025-12').toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(metering.getPlanLimit('business'), 2000);
+    assert.strictEqual(metering.getPlanLimit('unknown'), 100);
+
+    // Concurrent reservations never exceed the hard cap
+    const unit = { customerId: 'cust_unit', plan: 'starter', limit: 100, hardCap: 100 };
+    const attempts = await Promise.all(Array.from({ length: 150 }, () => metering.reserve(unit)));
+    const granted = attempts.filter(attempt => attempt.reservation);
+    assert.strictEqual(granted.length, 100);
+    let usage = await metering.getUsage(unit);
+    assert.deepStrictEqual([usage.used, usage.reserved, usage.remaining], [0, 100, 0]);
+
+    // Commit and release are idempotent
+    assert.strictEqual(await metering.commit(granted[0].reservation.reservationId), true);
+    assert.strictEqual(await metering.commit(granted[0].reservation.reservationId), false);
+    assert.strictEqual(await metering.release(granted[0].reservation.reservationId), false);
+    assert.strictEqual(await metering.release(granted[1].reservation.reservationId), true);
+    usage = await metering.getUsage(unit);
+    assert.deepStrictEqual([usage.used, usage.reserved, usage.remaining], [1, 98, 1]);
+
+    // Abandoned reservations expire
+    const later = new Date(Date.now() + 16 * 60 * 1000);
+    assert.strictEqual(await metering.releaseExpired(later), 98);
+    assert.strictEqual((await metering.getUsage(unit)).remaining, 99);
+
+    // A new month starts from zero
+    const nextMonth = (await metering.getUsage(unit, new Date(metering.periodResetsAt(metering.periodKey()))));
+    assert.deepStrictEqual([nextMonth.used, nextMonth.reserved], [0, 0]);
+
+    // Without a hard cap, usage runs past the included quota into overage
+    const uncapped = { customerId: 'cust_uncapped', plan: 'starter', limit: 100, hardCap: null };
+    await metering.commit((await metering.reserve(uncapped, 120)).reservation.reservationId);
+    usage = await metering.getUsage(uncapped);
+    assert.deepStrictEqual([usage.used, usage.remaining, usage.overage, usage.hardCap], [120, 0, 20, null]);
+
+    // Over HTTP: two units left under the merchant's cap, five concurrent try-ons
+    const customer = await customers.createCustomer({ email: 'meter@shop.test', plan: 'starter', subscriptionStatus: 'active', hardCap: 100 });
+    const key = (await customers.createKey(customer, { mode: 'live' })).key;
+    const headers = { 'x-vmize-api-key': key };
+    const account = await customers.authenticateApiKey(key);
+    const filler = await metering.reserve(account, 98);
+    await metering.commit(filler.reservation.reservationId);
+    assert.strictEqual(customer.usage.currentMonth.tryons, 98, 'committed usage mirrored on the customer');
+
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(n => http.post('/api/tryon', body(n), { headers })));
+    const accepted = responses.filter(r => r.status === 200);
+    const limited = responses.filter(r => r.status === 429);
+    assert.strictEqual(accepted.length, 2);
+    assert.strictEqual(limited.length, 3);
+    assert.strictEqual(limited[0].data.limit, 100);
+    assert.strictEqual(limited[0].data.hardCap, 100);
+    assert.ok(limited[0].data.resetsAt);
+
+    usage = (await http.get('/api/usage', { headers })).data;
+    assert.deepStrictEqual([usage.used, usage.reserved, usage.remaining], [98, 2, 0]);
+    assert.strictEqual(usage.period, metering.periodKey());
+    assert.strictEqual(usage.percentageUsed, '98.00%');
+
+    // A failed job gives its unit back; a completed one commits it
+    const [first, second] = accepted.map(r => r.data.prediction_id);
+    await tryonJobs.failJob(await tryonJobs.findByPredictionId(first), 'Provider error');
+    await tryonJobs.recordStatus({ id: second, status: 'completed', images: ['https://example.com/out.jpg'], imageUrl: 'https://example.com/out.jpg' });
+    usage = (await http.get('/api/usage', { headers })).data;
+    assert.deepStrictEqual([usage.used, usage.reserved, usage.remaining], [99, 0, 1]);
+
+    // Status checks are never blocked by the quota
+    await metering.commit((await metering.reserve(account)).reservation.reservationId);
+    assert.strictEqual((await http.get(`/api/tryon/${second}`, { headers })).status, 200);
+
+    // Bad input is refused before anything is reserved
+    await metering.reset(account.customerId);
+    const invalid = await http.post('/api/tryon', { model_image: 'https://example.com/m.jpg' }, { headers });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.data.error, /model_image and garment_image/);
+    assert.strictEqual((await metering.getUsage(account)).reserved, 0);
+
+    // Store errors become a 500 (not an unhandled rejection), and release what was held
+    const reserve = metering.reserve;
+    metering.reserve = async () => { throw new Error('usage store unavailable'); };
+    assert.strictEqual((await http.post('/api/tryon', body(7), { headers })).status, 500);
+    metering.reserve = reserve;
+    const trackEvent = proxy.locals.analytics.trackEvent;
+    proxy.locals.analytics.trackEvent = async () => { throw new Error('analytics store unavailable'); };
+    assert.strictEqual((await http.post('/api/tryon', body(8), { headers })).status, 500);
+    proxy.locals.analytics.trackEvent = trackEvent;
+    assert.strictEqual((await metering.getUsage(account)).reserved, 0, 'the reservation was released');
+
+    // The plain proxy meters the same way
+    const plainTryon = await plain.post('/api/tryon', body(9), { headers });
+    assert.strictEqual(plainTryon.status, 200);
+    const plainUsage = (await plain.get('/api/usage', { headers })).data;
+    assert.deepStrictEqual([plainUsage.used, plainUsage.reserved, plainUsage.remaining], [0, 1, 99]);
+    assert.ok(plainUsage.resetsAt);
+
+    console.log('✅ Metering test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Metering test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,163 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+const { startStripeStandIn } = require('./stripe-stand-in');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.ADMIN_SECRET_TOKEN = 'admin-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_standin';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_standin';
+
+(async () => {
+  const stripeStandIn = startStripeStandIn();
+  process.env.STRIPE_API_BASE = stripeStandIn.url;
+
+  const customers = require('../services/customers');
+  const authTokens = require('../services/authTokens');
+  const metering = require('../services/metering');
+  const billingLedger = require('../services/billingLedger');
+  const overageBilling = require('../services/overageBilling');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const admin = { headers: { 'x-admin-token': 'admin-secret' } };
+
+  // Commit `units` try-ons for a customer in the period containing `at`
+  const use = async (customer, units, at) => {
+    const account = { customerId: String(customer._id), plan: customer.plan, limit: customer.getPlanLimit(), overageRate: customer.getOverageRate(), hardCap: null };
+    const { reservation } = await metering.reserve(account, units, at);
+    await metering.commit(reservation.reservationId);
+  };
+
+  try {
+    // Plan terms: included quota, overage rate and hard caps
+    const trial = await customers.createCustomer({ email: 'trial@shop.test', plan: 'trial', hardCap: 500 });
+    assert.deepStrictEqual(overageBilling.planTerms(trial), { plan: 'trial', included: 100, overageRate: 0, hardCap: 100, price: 0 });
+    const starter = await customers.createCustomer({ email: 'starter@shop.test', plan: 'starter', subscriptionStatus: 'active', stripeCustomerId: 'cus_starter' });
+    assert.deepStrictEqual(overageBilling.planTerms(starter), { plan: 'starter', included: 100, overageRate: 0.25, hardCap: null, price: 49 });
+    const pro = await customers.createCustomer({ email: 'pro@shop.test', plan: 'professional', subscriptionStatus: 'active', stripeCustomerId: 'cus_pro' });
+    const unlinked = await customers.createCustomer({ email: 'unlinked@shop.test', plan: 'starter', subscriptionStatus: 'active' });
+
+    // Last period: starter 30 over, professional within quota, unlinked 10 over, trial at its cap
+    const now = new Date();
+    const lastPeriod = overageBilling.previousPeriod(now);
+    const lastMonth = new Date(`${lastPeriod}-15T12:00:00Z`);
+    await use(starter, 130, lastMonth);
+    await use(pro, 200, lastMonth);
+    await use(unlinked, 110, lastMonth);
+    await use(trial, 100, lastMonth);
+    // Customers signed up before that period
+    [trial, starter, pro, unlinked].forEach(customer => { customer.usage.lastResetDate = new Date(`${lastPeriod}-01T00:00:00Z`); });
+
+    // Closed periods are billed on the plan they were used under: moving to a plan that
+    // includes 500 try-ons afterwards leaves the starter's 30 extra try-ons billable
+    const terms = (await metering.usageForPeriod(lastPeriod)).find(entry => entry.customerId === String(starter._id)).terms;
+    assert.deepStrictEqual(terms, { plan: 'starter', included: 100, overageRate: 0.25, hardCap: null });
+    starter.plan = 'professional';
+
+    let summary = await overageBilling.runBillingCycle(now);
+    assert.deepStrictEqual(summary, { period: lastPeriod, charged: 1, skipped: 0, failed: 1, amount: 7.5, retried: { charged: 0, skipped: 0, failed: 0, amount: 0 } });
+    starter.plan = 'starter';
+    assert.strictEqual(stripeStandIn.items.length, 1);
+    assert.deepStrictEqual([stripeStandIn.items[0].customer, stripeStandIn.items[0].amount], ['cus_starter', 750]);
+    assert.strictEqual(starter.usage.history.length, 1);
+    assert.deepStrictEqual([starter.usage.history[0].overage, starter.usage.currentMonth.tryons], [30, 0]);
+
+    // Re-running never charges twice; failed charges are retried
+    summary = await overageBilling.runBillingCycle(now);
+    assert.deepStrictEqual([summary.charged, summary.skipped, summary.failed], [0, 1, 1]);
+    assert.strictEqual(stripeStandIn.items.length, 1);
+    assert.strictEqual(starter.usage.history.length, 1, 'usage counters archived once');
+
+    // ...and so are the failed charges of earlier periods, by next month's run
+    unlinked.stripeCustomerId = 'cus_unlinked';
+    const nextRun = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    summary = await overageBilling.runBillingCycle(nextRun);
+    assert.strictEqual(summary.period, metering.periodKey(now));
+    assert.deepStrictEqual(summary.retried, { charged: 1, skipped: 0, failed: 0, amount: 2.5 });
+    assert.strictEqual(stripeStandIn.items.length, 2);
+    assert.deepStrictEqual([stripeStandIn.items[1].customer, stripeStandIn.items[1].amount], ['cus_unlinked', 250]);
+    assert.deepStrictEqual((await overageBilling.runBillingCycle(nextRun)).retried.charged, 0, 'retried once');
+
+    // Concurrent runs charge a period once
+    const olderPeriod = overageBilling.previousPeriod(new Date(`${lastPeriod}-01T00:00:00Z`));
+    await use(pro, 600, new Date(`${olderPeriod}-10T00:00:00Z`));
+    const runs = await Promise.all([overageBilling.billPeriod(olderPeriod), overageBilling.billPeriod(olderPeriod)]);
+    assert.strictEqual(runs[0].charged + runs[1].charged, 1);
+    assert.strictEqual(stripeStandIn.items.length, 3);
+    assert.strictEqual(stripeStandIn.items[2].amount, 2500);
+
+    // A retry after a run died mid-charge reuses the idempotency key: still one item
+    const retried = await billingLedger.settle(`overage:${pro._id}:${olderPeriod}`, { status: 'failed' });
+    assert.strictEqual(retried.status, 'failed');
+    await overageBilling.billPeriod(olderPeriod);
+    assert.strictEqual(stripeStandIn.items.length, 3);
+
+    // Preview: half-way through April, usage is projected to the end of the month
+    const april = new Date('2030-04-16T00:00:00Z');
+    await use(starter, 300, april);
+    let preview = await overageBilling.previewInvoice(starter, april);
+    assert.deepStrictEqual([preview.period, preview.used, preview.projectedTryons], ['2030-04', 300, 600]);
+    assert.deepStrictEqual(preview.overageToDate, { units: 200, rate: 0.25, amount: 50 });
+    assert.deepStrictEqual(preview.lines.map(line => line.amount), [49, 125]);
+    assert.strictEqual(preview.total, 174);
+    starter.hardCap = 400;
+    preview = await overageBilling.previewInvoice(starter, april);
+    assert.deepStrictEqual([preview.projectedTryons, preview.total], [400, 124]);
+
+    // Over HTTP: merchants preview their own invoice and set their cap
+    const auth = { headers: { Authorization: `Bearer ${starter.generateAccessToken((await authTokens.createSession(starter._id)).sessionId)}` } };
+    assert.strictEqual((await http.get('/api/v1/billing/preview')).status, 401);
+    const current = await http.get('/api/v1/billing/preview', auth);
+    assert.strictEqual(current.status, 200);
+    assert.deepStrictEqual([current.data.data.plan, current.data.data.period], ['starter', metering.periodKey()]);
+    assert.strictEqual(current.data.data.lines[0].amount, 49);
+
+    assert.strictEqual((await http.put('/api/v1/billing/hard-cap', { hardCap: -1 }, auth)).status, 400);
+    const capped = await http.put('/api/v1/billing/hard-cap', { hardCap: 150 }, auth);
+    assert.strictEqual(capped.data.data.hardCap, 150);
+    assert.strictEqual(starter.getHardCap(), 150);
+    await http.put('/api/v1/billing/hard-cap', { hardCap: null }, auth);
+    assert.strictEqual(starter.getHardCap(), null);
+
+    // Stripe events land in the ledger once
+    const payload = JSON.stringify({ id: 'evt_paid_1', object: 'event', type: 'invoice.paid', data: { object: { id: 'in_1', object: 'invoice', customer: 'cus_starter', subscription: 'sub_1', amount_paid: 4900, currency: 'usd' } } });
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+    for (let i = 0; i < 2; i++) {
+      const delivered = await http.post('/api/v1/webhooks/stripe', payload, { headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature } });
+      assert.strictEqual(delivered.status, 200);
+    }
+
+    // Admins audit the ledger
+    assert.strictEqual((await http.get('/api/v1/billing/events', auth)).status, 403);
+    const all = (await http.get('/api/v1/billing/events', admin)).data.data;
+    assert.strictEqual(all.total, 4);
+    const mine = (await http.get(`/api/v1/billing/events?customerId=${starter._id}`, admin)).data.data;
+    assert.deepStrictEqual(mine.events.map(event => event.type).sort(), ['invoice.paid', 'overage_charge']);
+    const paid = mine.events.find(event => event.source === 'stripe');
+    assert.deepStrictEqual([paid.eventId, paid.amount, paid.stripeId], ['evt_paid_1', 49, 'in_1']);
+    const charge = mine.events.find(event => event.type === 'overage_charge');
+    assert.deepStrictEqual([charge.status, charge.units, charge.amount, charge.stripeId], ['succeeded', 30, 7.5, 'ii_test_1']);
+    const page = (await http.get('/api/v1/billing/events?limit=1&offset=1', admin)).data.data;
+    assert.deepStrictEqual([page.events.length, page.total], [1, 4]);
+    const retriedCharge = (await http.get(`/api/v1/billing/events?customerId=${unlinked._id}`, admin)).data.data.events[0];
+    assert.deepStrictEqual([retriedCharge.status, retriedCharge.attempts], ['succeeded', 3]);
+
+    console.log('✅ Overage billing test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Overage billing test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+const { startStripeStandIn } = require('./stripe-stand-in');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.ADMIN_SECRET_TOKEN = 'admin-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_standin';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_standin';
+process.env.STRIPE_PRICE_STARTER = 'price_starter';
+process.env.STRIPE_PRICE_PROFESSIONAL = 'price_professional';
+process.env.STRIPE_PRICE_BUSINESS = 'price_business';
+process.env.STRIPE_PRICE_ENTERPRISE = 'price_enterprise';
+
+const PERIOD_END = Math.floor(Date.UTC(2030, 5, 1) / 1000);
+
+(async () => {
+  const stripeStandIn = startStripeStandIn({ periodEnd: PERIOD_END });
+  process.env.STRIPE_API_BASE = stripeStandIn.url;
+
+  const customers = require('../services/customers');
+  const authTokens = require('../services/authTokens');
+  const metering = require('../services/metering');
+  const plans = require('../services/plans');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const admin = { headers: { 'x-admin-token': 'admin-secret' } };
+
+  const sendEvent = (type, object) => {
+    const payload = JSON.stringify({ id: `evt_${type}_${Date.now()}`, object: 'event', type, data: { object } });
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+    return http.post('/api/v1/webhooks/stripe', payload, { headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature } });
+  };
+
+  try {
+    // One catalog: quota, overage and upsells read the same terms
+    assert.deepStrictEqual(plans.PAID_PLANS, ['starter', 'professional', 'business', 'enterprise']);
+    assert.strictEqual(metering.getPlanLimit('business'), plans.getPlan('business').included);
+    assert.strictEqual(plans.nextPlan('starter').id, 'professional');
+    assert.strictEqual(plans.nextPlan('enterprise'), null);
+    assert.strictEqual(plans.planForStripePrice('price_business'), 'business');
+    const catalog = await http.get('/api/v1/billing/plans');
+    assert.strictEqual(catalog.status, 200);
+    assert.deepStrictEqual(catalog.data.data.map(plan => [plan.id, plan.price]), [['trial', 0], ['starter', 49], ['professional', 129], ['business', 199], ['enterprise', 299]]);
+
+    const customer = await customers.createCustomer({ email: 'plans@shop.test', plan: 'starter', subscriptionStatus: 'active', stripeCustomerId: 'cus_plans' });
+    const { sessionId } = await authTokens.createSession(customer._id);
+    const auth = { headers: { Authorization: `Bearer ${customer.generateAccessToken(sessionId)}` } };
+
+    // Plan changes need a subscription
+    assert.strictEqual((await http.post('/api/v1/billing/change-plan', { plan: 'business' })).status, 401);
+    assert.strictEqual((await http.post('/api/v1/billing/change-plan', { plan: 'business' }, auth)).status, 409);
+    stripeStandIn.addSubscription('sub_plans', 'cus_plans', 'price_starter');
+    customer.stripeSubscriptionId = 'sub_plans';
+    assert.strictEqual((await http.post('/api/v1/billing/change-plan', { plan: 'trial' }, auth)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/billing/change-plan', { plan: 'starter' }, auth)).status, 409);
+    assert.strictEqual((await http.post('/api/v1/billing/create-checkout', { plan: 'business' }, auth)).status, 409);
+
+    // Upgrade: immediate, prorated, and the new quota applies at once
+    const upgraded = await http.post('/api/v1/billing/change-plan', { plan: 'business' }, auth);
+    assert.strictEqual(upgraded.status, 200);
+    assert.strictEqual(upgraded.data.data.change, 'upgrade');
+    assert.deepStrictEqual(upgraded.data.data.proration, { invoiceId: upgraded.data.data.proration.invoiceId, amountDue: 80, currency: 'usd' });
+    assert.deepStrictEqual([upgraded.data.data.plan, upgraded.data.data.terms.included], ['business', 2000]);
+    const update = stripeStandIn.subscriptions.get('sub_plans').lastUpdate;
+    assert.deepStrictEqual([update.proration_behavior, update.items[0].id, update.items[0].price], ['always_invoice', 'si_sub_plans', 'price_business']);
+    assert.strictEqual(customer.plan, 'business');
+    assert.strictEqual(customer.getPlanLimit(), 2000);
+    assert.strictEqual(customer.currentPeriodEnd.getTime(), PERIOD_END * 1000);
+
+    // Downgrade: scheduled for the end of the period, the current plan stays
+    const downgraded = await http.post('/api/v1/billing/change-plan', { plan: 'professional' }, auth);
+    assert.strictEqual(downgraded.status, 200);
+    assert.strictEqual(downgraded.data.data.change, 'downgrade');
+    assert.deepStrictEqual([downgraded.data.data.plan, downgraded.data.data.scheduledPlanChange.plan], ['business', 'professional']);
+    assert.strictEqual(new Date(downgraded.data.data.scheduledPlanChange.effectiveAt).getTime(), PERIOD_END * 1000);
+    assert.strictEqual(customer.getPlanLimit(), 2000);
+    const schedule = stripeStandIn.schedules.get('sub_sched_1');
+    assert.deepStrictEqual([schedule.end_behavior, schedule.phases[0].items[0].price, schedule.phases[0].end_date, schedule.phases[1].items[0].price],
+      ['release', 'price_business', String(PERIOD_END), 'price_professional']);
+
+    // Picking the current plan again cancels the pending downgrade
+    const kept = await http.post('/api/v1/billing/change-plan', { plan: 'business' }, auth);
+    assert.deepStrictEqual([kept.status, kept.data.data.change, kept.data.data.scheduledPlanChange], [200, 'none', null]);
+    assert.strictEqual(schedule.status, 'released');
+
+    // A new downgrade, then an upgrade replaces it
+    await http.post('/api/v1/billing/change-plan', { plan: 'starter' }, auth);
+    assert.strictEqual(customer.scheduledPlanChange.scheduleId, 'sub_sched_2');
+    const toEnterprise = await http.post('/api/v1/billing/change-plan', { plan: 'enterprise' }, auth);
+    assert.deepStrictEqual([toEnterprise.data.data.plan, toEnterprise.data.data.scheduledPlanChange], ['enterprise', null]);
+    assert.strictEqual(stripeStandIn.schedules.get('sub_sched_2').status, 'released');
+
+    // A subscription without its period end falls back to the one on file
+    const subscription = stripeStandIn.subscriptions.get('sub_plans');
+    delete subscription.current_period_end;
+    const toProfessional = await http.post('/api/v1/billing/change-plan', { plan: 'professional' }, auth);
+    assert.strictEqual(toProfessional.status, 200, JSON.stringify(toProfessional.data));
+    assert.strictEqual(new Date(toProfessional.data.data.scheduledPlanChange.effectiveAt).getTime(), PERIOD_END * 1000);
+    assert.strictEqual(stripeStandIn.schedules.get('sub_sched_3').phases[0].end_date, String(PERIOD_END));
+
+    // The schedule's next phase starts: the webhook moves the plan and clears the change
+    subscription.items.data[0].price = { id: 'price_professional' };
+    subscription.current_period_end = PERIOD_END + 30 * 86400;
+    const delivered = await sendEvent('customer.subscription.updated', subscription);
+    assert.deepStrictEqual([delivered.status, delivered.data.handled], [200, true]);
+    assert.strictEqual(customer.plan, 'professional');
+    assert.strictEqual(customer.scheduledPlanChange.plan, undefined);
+    assert.strictEqual(customer.getPlanLimit(), 500);
+    assert.strictEqual(customer.currentPeriodEnd.getTime(), (PERIOD_END + 30 * 86400) * 1000);
+
+    // Cancel at period end, then resume
+    const canceled = await http.post('/api/v1/billing/subscription/cancel', {}, auth);
+    assert.deepStrictEqual([canceled.status, canceled.data.data.cancelAtPeriodEnd], [200, true]);
+    assert.strictEqual(subscription.cancel_at_period_end, true);
+    assert.strictEqual((await http.post('/api/v1/billing/change-plan', { plan: 'business' }, auth)).status, 409);
+    const resumed = await http.post('/api/v1/billing/subscription/resume', {}, auth);
+    assert.deepStrictEqual([resumed.status, resumed.data.data.cancelAtPeriodEnd], [200, false]);
+    assert.strictEqual(subscription.cancel_at_period_end, false);
+    assert.strictEqual((await http.post('/api/v1/billing/subscription/resume', {}, auth)).status, 409);
+
+    const current = await http.get('/api/v1/billing/subscription', auth);
+    assert.deepStrictEqual([current.data.data.plan, current.data.data.hasSubscription, current.data.data.cancelAtPeriodEnd], ['professional', true, false]);
+
+    // A canceled subscription cannot be changed; checkout is open again
+    subscription.status = 'canceled';
+    assert.strictEqual((await sendEvent('customer.subscription.deleted', subscription)).data.handled, true);
+    assert.strictEqual((await http.post('/api/v1/billing/subscription/resume', {}, auth)).status, 409);
+
+    // Every change is in the billing ledger
+    const ledger = (await http.get(`/api/v1/billing/events?customerId=${customer._id}&type=plan_change`, admin)).data.data;
+    const forged = { headers: { Authorization: `Bearer ${jwt.sign({ _id: String(customer._id), sid: sessionId, role: 'admin' }, process.env.JWT_SECRET)}` } };
+    assert.strictEqual((await http.get('/api/v1/billing/events', forged)).status, 403, 'a role claim is not an admin');
+    assert.strictEqual(ledger.total, 8);
+    assert.ok(ledger.events.some(event => event.description === 'Upgraded starter -> business' && event.amount === 80));
+
+    console.log('✅ Plan changes test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Plan changes test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+(async () => {
+  const customers = require('../services/customers');
+  const tryonJobs = require('../services/tryonJobs');
+  const privacy = require('../services/privacy');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const owner = { headers: { 'x-admin-token': 'test-admin-token' } };
+
+  try {
+    const acme = await customers.createCustomer({ email: 'acme@fashion.test', password: 'merchant-password', emailVerified: true });
+    const other = await customers.createCustomer({ email: 'hello@style.test', password: 'merchant-password', emailVerified: true });
+    const signIn = async email => {
+      const login = await http.post('/api/v1/auth/login', { email, password: 'merchant-password' });
+      assert.strictEqual(login.status, 200);
+      return { headers: { Authorization: `Bearer ${login.data.data.tokens.accessToken}` } };
+    };
+    const asAcme = await signIn('acme@fashion.test');
+    const asOther = await signIn('hello@style.test');
+
+    // Retention settings: platform defaults until a merchant sets their own
+    const initial = (await http.get('/api/v1/privacy/retention', asAcme)).data.data.retention;
+    assert.deepStrictEqual(initial, {
+      uploadedDays: null,
+      resultDays: null,
+      effective: { uploadedDays: 1, resultDays: 3 },
+      defaults: { uploadedDays: 1, resultDays: 3 }
+    });
+    for (const body of [{ uploadedDays: -1 }, { resultDays: 1.5 }, { resultDays: 400 }, { uploadedDays: '7' }, {}]) {
+      assert.strictEqual((await http.put('/api/v1/privacy/retention', body, asAcme)).status, 400, JSON.stringify(body));
+    }
+    const updated = await http.put('/api/v1/privacy/retention', { uploadedDays: 0, resultDays: 7 }, asAcme);
+    assert.strictEqual(updated.status, 200);
+    assert.deepStrictEqual(updated.data.data.retention.effective, { uploadedDays: 0, resultDays: 7 });
+    assert.strictEqual((await http.get('/api/v1/privacy/retention', owner)).status, 400, 'admins name the customer');
+    assert.strictEqual((await http.get(`/api/v1/privacy/retention?customerId=${acme._id}`, owner)).data.data.retention.resultDays, 7);
+    assert.strictEqual((await http.get('/api/v1/privacy/retention')).status, 401);
+
+    // Retention purge: acme keeps uploads 0 days and results 7; the other shop uses 1 and 3
+    const job = async (customer, daysAgo, status, sessionId) => {
+      const created = await tryonJobs.recordSubmission({
+        customerId: customer._id,
+        endpoint: '/api/tryon',
+        input: { modelImage: 'data:image/png;base64,AAAA', garmentImage: 'https://shop.test/dress.jpg', sessionId },
+        result: { id: `pred_${Math.random()}`, provider: 'mock', status, imageUrl: status === 'completed' ? 'https://cdn.test/result.jpg' : undefined, images: status === 'completed' ? ['https://cdn.test/result.jpg'] : [] }
+      });
+      created.createdAt = new Date(Date.now() - daysAgo * DAY_MS);
+      return created;
+    };
+    const acmeRecent = await job(acme, 2, 'completed');
+    const otherRecent = await job(other, 2, 'completed');
+    const otherOld = await job(other, 4, 'completed');
+    const otherStuck = await job(other, 4, 'processing');
+    const otherFresh = await job(other, 0, 'completed');
+
+    assert.deepStrictEqual(await privacy.purgeExpiredImages(), { inputs: 4, results: 1 });
+    assert.strictEqual(acmeRecent.inputs.modelImage, undefined);
+    assert.strictEqual(acmeRecent.inputs.garmentImage, undefined);
+    assert.strictEqual(acmeRecent.resultImageUrl, 'https://cdn.test/result.jpg', 'acme keeps results for 7 days');
+    assert.ok(otherRecent.imagesPurgedAt.inputs && !otherRecent.imagesPurgedAt.results);
+    assert.deepStrictEqual([otherOld.resultImageUrl, otherOld.images], [undefined, []]);
+    assert.ok(otherOld.imagesPurgedAt.results);
+    assert.strictEqual(otherStuck.imagesPurgedAt.results, undefined, 'unfinished jobs keep their results');
+    assert.strictEqual(otherFresh.inputs.garmentImage.url, 'https://shop.test/dress.jpg');
+    assert.strictEqual(otherOld.status, 'completed', 'jobs stay for billing');
+    assert.deepStrictEqual(await privacy.purgeExpiredImages(), { inputs: 0, results: 0 });
+
+    // Admins remove a single try-on's photos
+    const removed = await http.delete(`/api/v1/admin/photos/${otherFresh._id}`, owner);
+    assert.strictEqual(removed.status, 200);
+    assert.deepStrictEqual([removed.data.data.tryon.resultImageUrl, otherFresh.inputs.garmentImage], [null, undefined]);
+    assert.ok(removed.data.data.tryon.imagesPurgedAt);
+    assert.strictEqual((await http.delete('/api/v1/admin/photos/job_missing', owner)).status, 404);
+
+    // A storefront session with try-ons and events in live and test analytics; the other
+    // shop happens to use the same session ID
+    const session = 'shopper-42';
+    const sessionJob = await job(acme, 0, 'completed', session);
+    await job(other, 0, 'completed', session);
+    const track = (tracker, name, customer, sessionId) => tracker.trackEvent(name, { customerId: String(customer._id), sessionId, user_ip: '203.0.113.9' });
+    await track(app.locals.analytics, 'page_view', acme, session);
+    await track(app.locals.analytics, 'add_to_cart', acme, session);
+    await track(app.locals.testAnalytics, 'page_view', acme, session);
+    await track(app.locals.analytics, 'page_view', acme, 'someone-else');
+    await track(app.locals.analytics, 'page_view', other, session);
+
+    // Access: everything tied to the session, for this merchant only
+    const access = await http.post('/api/v1/privacy/requests', { type: 'access', sessionId: session }, asAcme);
+    assert.strictEqual(access.status, 201);
+    const { request, data } = access.data.data;
+    assert.deepStrictEqual([request.type, request.status, request.requestedBy.type], ['access', 'completed', 'merchant']);
+    // page_view, add_to_cart and the test-mode page_view, plus result_generated from the completed job
+    assert.deepStrictEqual(request.counts, { tryons: 1, images: 3, events: 4 });
+    assert.deepStrictEqual(data.tryons.map(row => row.id), [String(sessionJob._id)]);
+    assert.ok(data.images.includes('https://cdn.test/result.jpg') && data.images.some(image => image.startsWith('sha256:')));
+    assert.ok(data.events.every(event => event.customerId === String(acme._id) && event.sessionId === session));
+    assert.strictEqual(data.events.find(event => event.name === 'add_to_cart').data.user_ip, '203.0.113.9');
+
+    // Erasure deletes the session's try-ons and raw events; nobody else's
+    const erasure = await http.post('/api/v1/privacy/requests', { type: 'erasure', sessionId: session }, asAcme);
+    assert.strictEqual(erasure.status, 201);
+    assert.deepStrictEqual(erasure.data.data.request.counts, { tryons: 1, images: 3, events: 4 });
+    assert.strictEqual(erasure.data.data.data, undefined);
+    assert.strictEqual(await tryonJobs.getJob(sessionJob._id), null);
+    assert.strictEqual((await app.locals.analytics.store.readEvents({ sessionId: session, customerId: String(acme._id) })).length, 0);
+    assert.strictEqual((await app.locals.testAnalytics.store.readEvents({ sessionId: session })).length, 0);
+    assert.strictEqual((await app.locals.analytics.store.readEvents({ sessionId: 'someone-else' })).length, 1);
+    assert.strictEqual((await app.locals.analytics.store.readEvents({ sessionId: session, customerId: String(other._id) })).length, 2);
+    assert.strictEqual((await tryonJobs.listJobs({ customerId: other._id })).pagination.total, 5);
+    const afterwards = await http.post('/api/v1/privacy/requests', { type: 'access', sessionId: session }, asAcme);
+    assert.deepStrictEqual(afterwards.data.data.request.counts, { tryons: 0, images: 0, events: 0 });
+
+    // Validation
+    assert.strictEqual((await http.post('/api/v1/privacy/requests', { type: 'rectify', sessionId: session }, asAcme)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/privacy/requests', { type: 'erasure' }, asAcme)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/privacy/requests', { type: 'erasure', sessionId: 'x'.repeat(201) }, asAcme)).status, 400);
+
+    // Compliance log: per merchant, searchable by session ID, which is never stored as-is
+    const log = (await http.get('/api/v1/privacy/requests', asAcme)).data.data;
+    assert.deepStrictEqual(log.entries.map(entry => entry.type), ['access', 'erasure', 'access']);
+    assert.ok(!JSON.stringify(log).includes(session));
+    assert.strictEqual((await http.get(`/api/v1/privacy/requests?sessionId=${session}&type=erasure`, asAcme)).data.data.pagination.total, 1);
+    assert.strictEqual((await http.get('/api/v1/privacy/requests?sessionId=unknown', asAcme)).data.data.pagination.total, 0);
+    assert.strictEqual((await http.get('/api/v1/privacy/requests', asOther)).data.data.pagination.total, 0);
+
+    // Admins file requests for a customer and read every customer's log
+    const byAdmin = await http.post('/api/v1/privacy/requests', { customerId: String(other._id), type: 'erasure', sessionId: session }, owner);
+    assert.strictEqual(byAdmin.status, 201);
+    assert.deepStrictEqual([byAdmin.data.data.request.requestedBy.type, byAdmin.data.data.request.counts.tryons], ['service', 1]);
+    assert.strictEqual((await http.get('/api/v1/privacy/requests', owner)).data.data.pagination.total, 4);
+    assert.strictEqual((await http.get('/api/v1/privacy/requests', asOther)).data.data.entries[0].requestedBy.type, 'service');
+
+    console.log('✅ Privacy test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Privacy test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
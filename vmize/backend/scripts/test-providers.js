@@ -0,0 +1,91 @@
+const assert = require('assert');
+const nock = require('nock');
+
+process.env.FASHN_API_KEY = process.env.FASHN_API_KEY || 'test-fashn-key';
+process.env.FASHN_API_URL = 'https://api.fashn.ai/v1/run';
+
+const { getProvider, resetProviders } = require('../services/providers');
+const createMockProvider = require('../services/providers/mock');
+const tryon = require('../services/tryonService');
+
+async function testMockProvider() {
+  const mock = getProvider('mock');
+  const input = { modelImage: 'https://example.com/model.jpg', garmentImage: 'https://example.com/shirt.jpg' };
+
+  const first = await mock.submit(input);
+  const second = await mock.submit(input);
+  assert.notStrictEqual(first.id, second.id, 'identical submissions are separate predictions');
+  assert.ok(first.id.startsWith('mock_'));
+
+  const status = await mock.getStatus(first.id);
+  assert.strictEqual(status.status, 'completed');
+  assert.strictEqual(status.imageUrl, input.modelImage);
+
+  const canceled = await mock.cancel(first.id);
+  assert.strictEqual(canceled.status, 'canceled');
+
+  const missing = await mock.getStatus('mock_unknown');
+  assert.strictEqual(missing.status, 'failed');
+
+  // Old predictions are forgotten: by count, and by age
+  const bounded = createMockProvider({ maxPredictions: 2 });
+  const oldest = await bounded.submit(input);
+  await bounded.submit(input);
+  await bounded.submit(input);
+  assert.strictEqual((await bounded.getStatus(oldest.id)).status, 'failed');
+  const expiring = createMockProvider({ ttlMs: 0 });
+  const expired = await expiring.submit(input);
+  await expiring.submit(input);
+  assert.strictEqual((await expiring.getStatus(expired.id)).status, 'failed');
+  console.log('✅ mock provider');
+}
+
+async function testFashnProvider() {
+  nock('https://api.fashn.ai')
+    .post('/v1/run', body => body.model_name === 'tryon-v1.6' && body.inputs.age === 8)
+    .reply(200, { id: 'pred_123', error: null })
+    .get('/v1/status/pred_123')
+    .reply(200, { id: 'pred_123', status: 'in_queue' })
+    .get('/v1/status/pred_123')
+    .reply(200, { id: 'pred_123', status: 'completed', output: ['https://cdn.fashn.ai/out.jpg'] });
+
+  const fashn = getProvider('fashn');
+  const submitted = await fashn.submit({ modelImage: 'a', garmentImage: 'b', age: 8 });
+  assert.strictEqual(submitted.id, 'pred_123');
+  assert.strictEqual(submitted.status, 'queued');
+
+  const queued = await fashn.getStatus('pred_123');
+  assert.strictEqual(queued.status, 'queued');
+
+  const done = await fashn.getStatus('pred_123');
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(done.imageUrl, 'https://cdn.fashn.ai/out.jpg');
+  console.log('✅ fashn provider');
+}
+
+async function testTryonService() {
+  const input = tryon.normalizeTryOnInput({ model_image: 'a', options: { garment_image: 'b', age: 5 }, productId: 'sku-1' });
+  assert.deepStrictEqual([input.modelImage, input.garmentImage, input.age, input.productId], ['a', 'b', 5, 'sku-1']);
+
+  await assert.rejects(() => tryon.submitTryOn({ modelImage: 'a' }), err => err.statusCode === 400);
+
+  process.env.TRYON_PROVIDER = 'mock';
+  resetProviders();
+  const result = await tryon.submitTryOn(input);
+  assert.strictEqual(result.provider, 'mock');
+  assert.deepStrictEqual(tryon.toStatusResponse(result).output, ['a']);
+  console.log('✅ tryon service');
+}
+
+(async () => {
+  try {
+    await testMockProvider();
+    await testFashnProvider();
+    await testTryonService();
+    console.log('✅ Provider tests passed');
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Provider test failed:', err);
+    process.exit(1);
+  }
+})();
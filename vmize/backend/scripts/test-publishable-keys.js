@@ -0,0 +1,156 @@
+const assert = require('assert');
+const axios = require('axios');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.DEMO_KEY_RATE_LIMIT_PER_MINUTE = '1';
+
+const DEMO_KEY = 'vmize_pk_demo_test_1234567890';
+
+(async () => {
+  const customers = require('../services/customers');
+  const authTokens = require('../services/authTokens');
+  const domains = require('../services/domains');
+  const widgetConfigs = require('../services/widgetConfigs');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/keys', require('../routes/keys'));
+  app.use(require('../vmize-proxy-server-with-analytics'));
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+
+  const tryonBody = { model_image: 'https://example.com/model.jpg', garment_image: 'https://example.com/shirt.jpg' };
+  const from = (key, origin) => ({ headers: { 'x-vmize-api-key': key, ...(origin ? { Origin: origin } : {}) } });
+
+  try {
+    // Domain lists: hosts and *.wildcards, whatever form they are pasted in
+    assert.strictEqual(domains.normalizeDomain('https://Shop.Acme.test:8443/products'), 'shop.acme.test');
+    assert.strictEqual(domains.normalizeDomain('*.Acme.test'), '*.acme.test');
+    for (const invalid of ['', '*.test', 'acme..test', 'shop acme.test', '*.*.acme.test', 42]) {
+      assert.strictEqual(domains.normalizeDomain(invalid), null, String(invalid));
+    }
+    assert.ok(domains.hostAllowed('eu.shop.acme.test', ['*.acme.test']));
+    assert.ok(!domains.hostAllowed('acme.test', ['*.acme.test']), 'a wildcard does not cover the apex');
+    assert.ok(!domains.hostAllowed('evilacme.test', ['*.acme.test']));
+
+    const acme = await customers.createCustomer({ email: 'ops@acme.test', password: 'merchant-password', emailVerified: true, plan: 'starter', subscriptionStatus: 'active' });
+    const { sessionId } = await authTokens.createSession(acme._id);
+    const merchant = { headers: { Authorization: `Bearer ${acme.generateAccessToken(sessionId)}` } };
+
+    // Creating publishable keys: domains required, try-ons only
+    assert.strictEqual((await http.post('/api/v1/keys', { type: 'publishable' }, merchant)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/keys', { type: 'publishable', allowedDomains: ['not a domain'] }, merchant)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/keys', { type: 'publishable', allowedDomains: ['shop.acme.test'], scopes: ['analytics'] }, merchant)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/keys', { type: 'browser' }, merchant)).status, 400);
+    assert.strictEqual((await http.post('/api/v1/keys', { allowedDomains: ['shop.acme.test'] }, merchant)).status, 400, 'secret keys have no domains');
+    assert.strictEqual((await http.post('/api/v1/keys', { type: 'publishable', allowedDomains: ['shop.acme.test'], rateLimitPerMinute: 0 }, merchant)).status, 400);
+
+    const created = await http.post('/api/v1/keys', {
+      name: 'storefront',
+      type: 'publishable',
+      allowedDomains: ['https://shop.acme.test', '*.acme-cdn.test'],
+      rateLimitPerMinute: 2
+    }, merchant);
+    assert.strictEqual(created.status, 201);
+    const publishable = created.data.data.key;
+    const { apiKey } = created.data.data;
+    assert.ok(publishable.startsWith('vmize_pk_live_'));
+    assert.deepStrictEqual([apiKey.type, apiKey.scopes, apiKey.allowedDomains, apiKey.rateLimitPerMinute],
+      ['publishable', ['tryon'], ['shop.acme.test', '*.acme-cdn.test'], 2]);
+    const secret = (await http.post('/api/v1/keys', { name: 'server' }, merchant)).data.data.key;
+    assert.ok(secret.startsWith('vmize_sk_live_'));
+
+    // Only from the registered domains, told by Origin or (failing that) Referer
+    const started = await http.post('/api/tryon', tryonBody, from(publishable, 'https://shop.acme.test'));
+    assert.strictEqual(started.status, 200, JSON.stringify(started.data));
+    const viaReferer = await http.post('/api/tryon', tryonBody, { headers: { 'x-vmize-api-key': publishable, Referer: 'https://eu.acme-cdn.test/products/dress' } });
+    assert.strictEqual(viaReferer.status, 200);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(publishable, 'https://evil.test'))).status, 403);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(publishable, 'https://acme-cdn.test'))).status, 403);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(publishable))).status, 403, 'no Origin, no try-on');
+
+    // Following its own try-ons and posting widget events is part of the job
+    const status = await http.get(`/api/tryon/${started.data.prediction_id}`, from(publishable, 'https://shop.acme.test'));
+    assert.strictEqual(status.status, 200);
+    assert.strictEqual((await http.get(`/api/tryon/${started.data.prediction_id}`, from(publishable, 'https://evil.test'))).status, 403);
+    const tracked = await http.post('/api/track', { eventName: 'widget_opened', data: {} }, from(publishable, 'https://shop.acme.test'));
+    assert.strictEqual(tracked.status, 200);
+    assert.strictEqual((await http.post('/api/track', { eventName: 'widget_opened' }, from(publishable, 'https://evil.test'))).status, 403);
+
+    // ...but nothing that belongs on the merchant's server
+    for (const [method, url] of [['get', '/api/usage'], ['get', '/api/webhooks'], ['post', '/api/webhooks']]) {
+      const denied = await http[method](url, ...(method === 'post' ? [{ url: 'https://acme.test/hooks' }] : []), from(publishable, 'https://shop.acme.test'));
+      assert.strictEqual(denied.status, 403, `${method} ${url}`);
+      assert.match(denied.data.error, /secret key/);
+    }
+    assert.strictEqual((await http.get('/api/analytics', { headers: { 'x-api-key': publishable, Origin: 'https://shop.acme.test' } })).status, 403);
+    assert.strictEqual((await http.get('/api/analytics/funnel', { headers: { 'x-api-key': publishable, Origin: 'https://shop.acme.test' } })).status, 403);
+
+    // Secret keys keep full access and are not rate limited per minute
+    assert.strictEqual((await http.get('/api/usage', from(secret))).status, 200);
+    assert.strictEqual((await http.get('/api/analytics', { headers: { 'x-api-key': secret } })).status, 200);
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await http.post('/api/tryon', tryonBody, from(secret))).status, 200);
+    }
+
+    // Per-key limit: two try-ons a minute for this key, with standard headers
+    const limited = await http.post('/api/tryon', tryonBody, from(publishable, 'https://shop.acme.test'));
+    assert.strictEqual(limited.status, 429);
+    assert.match(limited.data.error, /Too many try-ons/);
+    assert.strictEqual(limited.headers['ratelimit-limit'], '2');
+    assert.strictEqual(limited.headers['ratelimit-remaining'], '0');
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+
+    // Domains and limits change without reissuing the key
+    const keyId = apiKey.keyId;
+    assert.strictEqual((await http.patch(`/api/v1/keys/${keyId}`, {}, merchant)).status, 400);
+    assert.strictEqual((await http.patch(`/api/v1/keys/${keyId}`, { allowedDomains: [] }, merchant)).status, 400);
+    const secretKeyId = acme.apiKeys.find(key => key.type === 'secret').keyId;
+    assert.strictEqual((await http.patch(`/api/v1/keys/${secretKeyId}`, { allowedDomains: ['acme.test'] }, merchant)).status, 400);
+    assert.strictEqual((await http.patch('/api/v1/keys/key_missing', { allowedDomains: ['acme.test'] }, merchant)).status, 404);
+    const updated = await http.patch(`/api/v1/keys/${keyId}`, { allowedDomains: ['acme.test', '*.acme.test'], rateLimitPerMinute: 50 }, merchant);
+    assert.strictEqual(updated.status, 200);
+    assert.deepStrictEqual([updated.data.data.apiKey.allowedDomains, updated.data.data.apiKey.rateLimitPerMinute], [['acme.test', '*.acme.test'], 50]);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(publishable, 'https://www.acme.test'))).status, 200);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, from(publishable, 'https://shop.acme-cdn.test'))).status, 403);
+    const reset = await http.patch(`/api/v1/keys/${keyId}`, { rateLimitPerMinute: null }, merchant);
+    assert.strictEqual(reset.data.data.apiKey.rateLimitPerMinute, undefined);
+
+    // Rotation keeps the type and domains
+    const rotated = await http.post(`/api/v1/keys/${keyId}/rotate`, {}, merchant);
+    assert.ok(rotated.data.data.key.startsWith('vmize_pk_live_'));
+    assert.deepStrictEqual([rotated.data.data.apiKey.type, rotated.data.data.apiKey.allowedDomains], ['publishable', ['acme.test', '*.acme.test']]);
+
+    // The widget loads its config with the publishable key; secret keys never resolve
+    assert.ok(await widgetConfigs.getPublicConfig(rotated.data.data.key));
+    assert.strictEqual(await widgetConfigs.getPublicConfig(secret), null);
+
+    // The demo key is no longer filled in for callers that send none
+    assert.strictEqual((await http.post('/api/tryon/generate', tryonBody)).status, 401);
+    assert.strictEqual((await http.get(`/api/tryon/${started.data.prediction_id}`)).status, 401);
+    // It is a publishable key for the demo site: try-ons only, from its domains, rate limited
+    const demo = await http.post('/api/tryon/generate', tryonBody, from(DEMO_KEY, 'http://localhost:8080'));
+    assert.strictEqual(demo.status, 200, JSON.stringify(demo.data));
+    assert.strictEqual((await http.post('/api/tryon/generate', tryonBody, from(DEMO_KEY, 'http://localhost:8080'))).status, 429);
+    assert.strictEqual((await http.post('/api/tryon/generate', tryonBody, from(DEMO_KEY, 'https://evil.test'))).status, 403);
+    assert.strictEqual((await http.post('/api/tryon/generate', tryonBody, from(DEMO_KEY))).status, 403);
+    assert.strictEqual((await http.get('/api/usage', from(DEMO_KEY, 'http://localhost:8080'))).status, 403);
+
+    console.log('✅ Publishable keys test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Publishable keys test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
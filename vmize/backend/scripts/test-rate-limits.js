@@ -0,0 +1,158 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('express-rate-limit');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.ADMIN_BOOTSTRAP_USERNAME = 'root';
+process.env.ADMIN_BOOTSTRAP_PASSWORD = 'bootstrap-password';
+process.env.RATE_LIMIT_TRYON = '3';
+process.env.RATE_LIMIT_TRACKING = '2';
+process.env.RATE_LIMIT_TRACKING_IP = '6';
+process.env.RATE_LIMIT_LOGIN = '7';
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.RATE_LIMIT_STORE = 'shared';
+
+// A shared store as a deployment would plug in (e.g. Redis); counts what it is asked
+const increments = [];
+class SharedStore extends MemoryStore {
+  constructor({ prefix }) {
+    super();
+    this.prefix = prefix;
+  }
+
+  async increment(key) {
+    increments.push(this.prefix + key);
+    return super.increment(key);
+  }
+}
+
+(async () => {
+  const rateLimits = require('../services/rateLimits');
+  rateLimits.registerStore('shared', options => new SharedStore(options));
+  const customers = require('../services/customers');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+
+  const tryonBody = { model_image: 'https://example.com/model.jpg', garment_image: 'https://example.com/shirt.jpg' };
+  const withKey = (key, headers = {}) => ({ headers: { 'x-vmize-api-key': key, ...headers } });
+
+  try {
+    const acme = await customers.createCustomer({ email: 'ops@acme.test', password: 'merchant-password', emailVerified: true, plan: 'starter', subscriptionStatus: 'active' });
+    const { key } = await customers.createKey(acme, { name: 'server' });
+    const { key: otherKey } = await customers.createKey(acme, { name: 'second server' });
+
+    // Try-ons: per API key, with standard headers
+    const first = await http.post('/api/tryon', tryonBody, withKey(key));
+    assert.strictEqual(first.status, 200, JSON.stringify(first.data));
+    assert.strictEqual(first.headers['ratelimit-limit'], '3');
+    assert.strictEqual(first.headers['ratelimit-remaining'], '2');
+    assert.ok(Number(first.headers['ratelimit-reset']) > 0);
+    assert.strictEqual((await http.post('/api/tryon/generate', tryonBody, withKey(key))).status, 200);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, withKey(key))).status, 200);
+    const limited = await http.post('/api/tryon', tryonBody, withKey(key));
+    assert.strictEqual(limited.status, 429);
+    assert.match(limited.data.error, /Too many try-on requests/);
+    assert.strictEqual(limited.headers['ratelimit-remaining'], '0');
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, withKey(otherKey))).status, 200, 'keys are counted apart');
+
+    // Storefront pages can read the headers
+    const fromShop = await http.post('/api/tryon', tryonBody, withKey(otherKey, { Origin: 'https://shop.acme.test' }));
+    assert.match(fromShop.headers['access-control-expose-headers'], /RateLimit-Remaining/);
+    assert.match(fromShop.headers['access-control-expose-headers'], /Retry-After/);
+
+    // Events: per storefront session (header or body), per IP without one
+    const track = (session, url = '/api/track') => http.post(url,
+      url === '/api/track' ? { eventName: 'widget_opened', data: { sessionId: session } } : { event: 'page_view', session_id: session },
+      withKey(key));
+    assert.strictEqual((await track('vs_one')).status, 200);
+    assert.strictEqual((await track('vs_one', '/api/analytics/track')).status, 200);
+    const noisy = await track('vs_one');
+    assert.strictEqual(noisy.status, 429);
+    assert.match(noisy.data.error, /Too many events/);
+    assert.strictEqual((await track('vs_two')).status, 200, 'other sessions keep going');
+    const viaHeader = await http.post('/api/track', { eventName: 'widget_opened' }, withKey(key, { 'x-vmize-session-id': 'vs_two' }));
+    assert.strictEqual(viaHeader.status, 200);
+    assert.strictEqual((await http.post('/api/track', { eventName: 'widget_opened' }, withKey(key, { 'x-vmize-session-id': 'vs_two' }))).status, 429);
+    // ...and per IP, so fresh session IDs do not reset the count (six events so far)
+    const rotated = await track('vs_three');
+    assert.strictEqual(rotated.status, 429);
+    assert.strictEqual(rotated.headers['ratelimit-limit'], '6');
+    const elsewhere = await http.post('/api/track', { eventName: 'widget_opened', data: { sessionId: 'vs_three' } },
+      withKey(key, { 'X-Forwarded-For': '203.0.113.7' }));
+    assert.strictEqual(elsewhere.status, 200, 'other IPs keep going');
+
+    // Merchant sign-in: the account locks after repeated failures, whatever the password
+    const login = (email, password) => http.post('/api/v1/auth/login', { email, password });
+    assert.strictEqual((await login('ops@acme.test', 'wrong-password')).status, 401);
+    assert.strictEqual((await login('ops@acme.test', 'wrong-password')).status, 401);
+    assert.strictEqual((await login('ops@acme.test', 'merchant-password')).status, 200, 'success clears the failures');
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await login('OPS@acme.test', 'wrong-password')).status, 401);
+    }
+    const locked = await login('ops@acme.test', 'merchant-password');
+    assert.strictEqual(locked.status, 429);
+    assert.match(locked.data.message, /Too many failed sign-in attempts/);
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+    const fromOwner = await http.post('/api/v1/auth/login', { email: 'ops@acme.test', password: 'merchant-password' },
+      { headers: { 'X-Forwarded-For': '198.51.100.4' } });
+    assert.strictEqual(fromOwner.status, 200, 'failures elsewhere do not lock the owner out');
+
+    // ...and every address shares the per-IP limit (seven attempts so far)
+    const perIp = await login('someone@else.test', 'wrong-password');
+    assert.strictEqual(perIp.status, 429);
+    assert.strictEqual(perIp.headers['ratelimit-limit'], '7');
+    assert.deepStrictEqual(perIp.data, { success: false, message: 'Too many sign-in attempts, please try again later' });
+
+    // Admin sign-in has its own counters: wrong passwords lock the username, audited
+    const adminLogin = password => http.post('/admin/login', { username: 'root', password });
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await adminLogin('wrong-password')).status, 401);
+    }
+    const adminLocked = await adminLogin('bootstrap-password');
+    assert.strictEqual(adminLocked.status, 429);
+    assert.ok(Number(adminLocked.headers['retry-after']) > 0);
+    const auditLog = require('../services/auditLog');
+    const audited = await auditLog.list({ action: 'admin.login', outcome: 'failure' });
+    assert.ok(audited.entries.some(entry => entry.details?.reason === 'locked'), 'lockouts are audited');
+
+    // Every throttled request shows up in analytics
+    await app.locals.analytics.flush();
+    const recorded = await app.locals.analytics.store.readEvents({ name: 'rate_limited' });
+    const seen = recorded.map(event => `${event.data.policy}/${event.data.reason}`);
+    for (const expected of ['tryon/rate_limit', 'tracking/rate_limit', 'tracking_ip/rate_limit', 'login/lockout', 'login/rate_limit', 'admin_login/lockout']) {
+      assert.ok(seen.includes(expected), `${expected} in ${seen}`);
+    }
+    assert.ok(recorded.some(event => event.customerId === String(acme._id) && event.data.path === '/api/tryon'));
+
+    // Counters went through the configured store, one prefix per limiter
+    assert.ok(increments.some(entry => entry.startsWith('tryon:key:')));
+    assert.ok(increments.some(entry => entry.startsWith('tracking:session:')));
+    assert.ok(increments.some(entry => entry.startsWith('tracking_ip:ip:')));
+    assert.ok(increments.some(entry => entry.startsWith('lockout:login:ops@acme.test:')));
+
+    // Policies can be switched off (account lockout included)
+    process.env.RATE_LIMITS_ENABLED = 'false';
+    assert.strictEqual((await http.post('/api/tryon', tryonBody, withKey(key))).status, 200);
+    assert.strictEqual((await login('ops@acme.test', 'merchant-password')).status, 200);
+
+    console.log('✅ Rate limits test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Rate limits test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.SANDBOX_LATENCY_MS = '300';
+process.env.BCRYPT_ROUNDS = '4';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  const customers = require('../services/customers');
+  const metering = require('../services/metering');
+  const proxy = require('../vmize-proxy-server-with-analytics');
+  const plainProxy = require('../vmize-proxy-server');
+  const server = proxy.listen(0);
+  const plainServer = plainProxy.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const plain = axios.create({ baseURL: `http://127.0.0.1:${plainServer.address().port}`, validateStatus: () => true });
+
+  const body = (extra = {}) => ({
+    model_image: 'https://example.com/model.jpg',
+    garment_image: 'https://example.com/dress.jpg',
+    ...extra
+  });
+
+  try {
+    const customer = await customers.createCustomer({ email: 'dev@shop.test', plan: 'starter', subscriptionStatus: 'active' });
+    const live = (await customers.createKey(customer, { mode: 'live' })).key;
+    const test = (await customers.createKey(customer, { mode: 'test' })).key;
+    const liveHeaders = { 'x-vmize-api-key': live };
+    const testHeaders = { 'x-vmize-api-key': test };
+
+    // Test keys go to the sandbox and walk through the polling states
+    const submitted = await http.post('/api/tryon', body(), { headers: testHeaders });
+    assert.strictEqual(submitted.status, 200, JSON.stringify(submitted.data));
+    assert.ok(submitted.data.prediction_id.startsWith('sandbox_success_'));
+    assert.strictEqual(submitted.data.status, 'queued');
+    assert.strictEqual(submitted.data.test_mode, true);
+    assert.strictEqual(submitted.data.used, undefined, 'test calls are not metered');
+
+    const id = submitted.data.prediction_id;
+    await sleep(150);
+    assert.strictEqual((await http.get(`/api/tryon/${id}`, { headers: testHeaders })).data.status, 'processing');
+
+    // Other tenants get 404 for this job, before anything reaches the provider
+    const other = await customers.createCustomer({ email: 'other@shop.test', plan: 'starter', subscriptionStatus: 'active' });
+    const otherHeaders = { 'x-vmize-api-key': (await customers.createKey(other, { mode: 'test' })).key };
+    const sandbox = require('../services/providers').getProvider('sandbox');
+    const getStatus = sandbox.getStatus;
+    let providerCalls = 0;
+    sandbox.getStatus = (...args) => { providerCalls++; return getStatus.apply(sandbox, args); };
+    assert.strictEqual((await http.get(`/api/tryon/${id}`, { headers: otherHeaders })).status, 404);
+    assert.strictEqual((await http.get(`/api/tryon/${id}/events`, { headers: otherHeaders })).status, 404);
+    assert.strictEqual((await plain.get(`/api/tryon/${id}`, { headers: otherHeaders })).status, 404);
+    assert.strictEqual((await http.get('/api/tryon/sandbox_success_unknown', { headers: testHeaders })).status, 404);
+    assert.strictEqual(providerCalls, 0);
+    sandbox.getStatus = getStatus;
+    await sleep(250);
+    const done = (await http.get(`/api/tryon/${id}`, { headers: testHeaders })).data;
+    assert.strictEqual(done.status, 'completed');
+    assert.ok(/\/tryon-sample-\d\.jpg$/.test(done.imageUrl));
+
+    // Same inputs, same sample image
+    const again = (await http.post('/api/tryon', body(), { headers: testHeaders })).data.prediction_id;
+    await sleep(350);
+    assert.strictEqual((await http.get(`/api/tryon/${again}`, { headers: testHeaders })).data.imageUrl, done.imageUrl);
+
+    // Failure injection
+    const failing = (await http.post('/api/tryon', body({ test_scenario: 'failure' }), { headers: testHeaders })).data.prediction_id;
+    const stuck = (await http.post('/api/tryon', body({ test_scenario: 'timeout' }), { headers: testHeaders })).data.prediction_id;
+    await sleep(350);
+    const failed = (await http.get(`/api/tryon/${failing}`, { headers: testHeaders })).data;
+    assert.strictEqual(failed.status, 'failed');
+    assert.ok(/test mode/.test(failed.error));
+    assert.strictEqual((await http.get(`/api/tryon/${stuck}`, { headers: testHeaders })).data.status, 'processing');
+
+    const rejected = await http.post('/api/tryon', body({ test_scenario: 'rejected' }), { headers: testHeaders });
+    assert.strictEqual(rejected.status, 422);
+    assert.strictEqual((await http.post('/api/tryon', body({ test_scenario: 'explode' }), { headers: testHeaders })).status, 400);
+
+    // Live keys still use the configured provider and count usage
+    const liveCall = await http.post('/api/tryon', body(), { headers: liveHeaders });
+    assert.ok(liveCall.data.prediction_id.startsWith('mock_'));
+    assert.strictEqual(liveCall.data.test_mode, false);
+    assert.strictEqual(liveCall.data.used, 1);
+    assert.strictEqual(customer.usage.currentMonth.tryons, 1);
+
+    // The hard cap applies to live keys only
+    customer.hardCap = customer.getPlanLimit();
+    const account = await customers.authenticateApiKey(live);
+    await metering.reserve(account, customer.getPlanLimit() - 1);
+    assert.strictEqual((await http.post('/api/tryon', body(), { headers: liveHeaders })).status, 429);
+    assert.strictEqual((await http.post('/api/tryon', body(), { headers: testHeaders })).status, 200);
+    assert.strictEqual((await metering.getUsage(account)).remaining, 0);
+
+    // Analytics are kept apart: test keys read test data, live keys read live data
+    const testSummary = (await http.get('/api/analytics', { headers: { 'x-api-key': test } })).data;
+    const liveSummary = (await http.get('/api/analytics', { headers: { 'x-api-key': live } })).data;
+    assert.strictEqual(liveSummary.eventCounts.tryon_initiated, 1);
+    assert.strictEqual(testSummary.eventCounts.tryon_initiated, 7);
+    assert.strictEqual(testSummary.eventCounts.result_generated, 2);
+    assert.ok(fs.existsSync(path.join(dir, 'test')), 'test analytics stored separately');
+
+    // The plain proxy routes test keys the same way, even without an active subscription
+    customer.subscriptionStatus = 'past_due';
+    assert.strictEqual((await plain.post('/api/tryon', body(), { headers: liveHeaders })).status, 403);
+    const plainTest = await plain.post('/api/tryon', body(), { headers: testHeaders });
+    assert.strictEqual(plainTest.status, 200);
+    assert.ok(plainTest.data.id.startsWith('sandbox_'));
+    assert.strictEqual(plainTest.data.test_mode, true);
+    assert.strictEqual((await plain.post('/api/tryon', body({ test_scenario: 'rejected' }), { headers: testHeaders })).status, 422);
+
+    console.log('✅ Test-mode keys test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Test-mode keys test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
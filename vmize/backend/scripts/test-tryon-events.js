@@ -0,0 +1,70 @@
+const assert = require('assert');
+const axios = require('axios');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.TRYON_PROVIDER = 'mock';
+process.env.MOCK_TRYON_LATENCY_MS = '300';
+process.env.SSE_REFRESH_INTERVAL_MS = '50';
+process.env.ANALYTICS_DATA_DIR = path.join(os.tmpdir(), `vmize-analytics-${process.pid}`);
+
+const DEMO_KEY = 'vmize_pk_demo_test_1234567890';
+// The demo key is publishable: it only works from the demo site's domains
+const ORIGIN = 'http://localhost:8080';
+
+// Collect SSE events until the server closes the stream
+function readEvents(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers: { Origin: ORIGIN } }, (res) => {
+      if (res.statusCode !== 200) return reject(new Error(`SSE status ${res.statusCode}`));
+      assert.ok(res.headers['content-type'].startsWith('text/event-stream'));
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { buffer += chunk; });
+      res.on('end', () => {
+        const events = buffer.split('\n\n')
+          .map(block => Object.fromEntries(block.split('\n').filter(l => l && !l.startsWith(':')).map(l => {
+            const i = l.indexOf(': ');
+            return [l.slice(0, i), l.slice(i + 2)];
+          })))
+          .filter(e => e.event)
+          .map(e => ({ event: e.event, data: JSON.parse(e.data) }));
+        resolve(events);
+      });
+    }).on('error', reject);
+  });
+}
+
+(async () => {
+  const proxy = require('../vmize-proxy-server-with-analytics');
+  const server = proxy.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const gen = await axios.post(`${base}/api/tryon/generate`, {
+      model_image: 'https://example.com/model.jpg',
+      garment_image: 'https://example.com/dress.jpg'
+    }, { headers: { 'x-vmize-api-key': DEMO_KEY, Origin: ORIGIN } });
+    const id = gen.data.prediction_id;
+
+    // Missing key is rejected before the stream opens
+    const denied = await axios.get(`${base}/api/tryon/${id}/events`, { validateStatus: () => true });
+    assert.strictEqual(denied.status, 401);
+
+    const events = await readEvents(`${base}/api/tryon/${id}/events?api_key=${DEMO_KEY}`);
+    const statuses = events.map(e => e.data.status);
+    assert.deepStrictEqual(statuses, ['queued', 'processing', 'completed']);
+    assert.strictEqual(events[2].data.imageUrl, 'https://example.com/model.jpg');
+
+    // A finished job streams its final state once and closes
+    const replay = await readEvents(`${base}/api/tryon/${id}/events?api_key=${DEMO_KEY}`);
+    assert.deepStrictEqual(replay.map(e => e.data.status), ['completed']);
+
+    console.log('✅ Try-on SSE stream test passed');
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Try-on SSE stream test failed:', err.response ? err.response.data : err);
+    process.exit(1);
+  }
+})();
@@ -5,6 +5,7 @@ const nock = require('nock');
 
 process.env.FASHN_AI_API_URL = process.env.FASHN_AI_API_URL || 'https://api.fashn.ai/v1/run';
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.FASHN_API_KEY = process.env.FASHN_API_KEY || 'test-fashn-key';
 
 // Mock Fashn.AI success response
 function mockFashnSuccess() {
@@ -20,64 +21,20 @@ async function startServerAndTest() {
   const app = express();
   app.use(bodyParser.json({ limit: '10mb' }));
 
-  // Create lightweight in-memory Customer store and mock models/services
+  // Customers come from the real store (in memory without MongoDB); only the
+  // optional User model and Stripe are mocked
   const path = require('path');
-  const bcrypt = require('bcrypt');
-  const jwt = require('jsonwebtoken');
-
-  const customers = new Map();
-  let nextId = 1;
-
-  // Mock Customer model
-  const CustomerMock = {
-    findOne(query) {
-      const email = query.email;
-      let found = null;
-      for (const c of customers.values()) {
-        if (c.email === email) { found = c; break; }
-      }
-      // Return a Promise that also supports .select('+password') chaining
-      const p = (async () => found)();
-      p.select = (sel) => (async () => found)();
-      return p;
-    },
-    async create(data) {
-      const id = String(nextId++);
-      const hashed = await bcrypt.hash(data.password || 'pass', 8);
-      const customer = {
-        _id: id,
-        name: data.name,
-        email: data.email,
-        password: hashed,
-        companyName: data.companyName,
-        website: data.website,
-        platform: data.platform || 'other',
-        plan: data.plan || 'trial',
-        trialEndsAt: data.trialEndsAt || new Date(Date.now() + 14*24*3600*1000),
-        apiKey: `mock_key_${id}`,
-        usage: { currentMonth: { tryons: 0, apiCalls: 0 }, allTime: { tryons: 0, apiCalls: 0 }, history: [] },
-        planLimits: { tryonsPerMonth: 100 },
-        save: async function() { customers.set(this._id, this); return this; },
-        comparePassword: async function(p) { return bcrypt.compare(p, this.password); },
-        generateAccessToken: function() { return jwt.sign({ _id: this._id, email: this.email, plan: this.plan }, process.env.JWT_SECRET, { expiresIn: '7d' }); },
-        generateRefreshToken: function() { return jwt.sign({ _id: this._id }, process.env.JWT_REFRESH_SECRET || 'refresh-secret', { expiresIn: '30d' }); }
-      };
-      customers.set(id, customer);
-      return customer;
-    },
-    async findById(id) {
-      return customers.get(String(id)) || null;
-    }
-  };
+  process.env.BCRYPT_ROUNDS = process.env.BCRYPT_ROUNDS || '4';
+  process.env.START_EMAIL_WORKER = 'false';
+  const customerStore = require('../services/customers');
 
-  // Mock User model used by tryon route (returns apiKey and trackEvent)
+  // Mock User model used by tryon route (trackEvent only)
   const UserMock = {
     async findById(id) {
-      const c = customers.get(String(id));
+      const c = await customerStore.getCustomer(String(id));
       if (!c) return null;
       return {
         _id: c._id,
-        apiKey: c.apiKey,
         analytics: { sessions: [] },
         trackEvent: async () => true
       };
@@ -91,13 +48,10 @@ async function startServerAndTest() {
   }};
 
   // Inject mocks into require cache so controllers use them
-  const custPath = path.resolve(__dirname, '../models/Customer.js');
-  require.cache[custPath] = { id: custPath, filename: custPath, loaded: true, exports: CustomerMock };
-
   const userPath = path.resolve(__dirname, '../models/User.js');
   require.cache[userPath] = { id: userPath, filename: userPath, loaded: true, exports: UserMock };
 
-  // Provide a global fetch implementation (route uses fetch)
+  // Provide a global fetch implementation (legacy callers may still use fetch)
   global.fetch = async (url, options = {}) => {
     const method = (options.method || 'GET').toUpperCase();
     const headers = options.headers || {};
@@ -207,10 +161,44 @@ async function startServerAndTest() {
 
       if (res.status === 200 && res.data && res.data.data && res.data.data.imageUrl) {
         console.log('✅ In-process try-on test succeeded. Image URL:', res.data.data.imageUrl);
+      } else {
+        console.error('❌ Unexpected response:', res.status, res.data);
+        server.close();
+        process.exit(2);
+      }
+
+      // 3) The try-on should be recorded in the caller's history
+      const history = await axios.get(`${base}/api/v1/tryon/history`, {
+        params: { productId: 'test-sku-e2e', status: 'completed' },
+        timeout: 20000,
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      const tryons = history.data?.data?.tryons || [];
+      if (tryons.length === 1 && tryons[0].resultImageUrl === res.data.data.imageUrl) {
+        console.log('✅ Try-on recorded in history:', tryons[0]._id);
+      } else {
+        console.error('❌ Unexpected history:', history.data);
+        server.close();
+        process.exit(2);
+      }
+
+      // 4) The try-on counts against the plan, and the hard cap stops the next one
+      const metering = require('../services/metering');
+      const customer = await customerStore.getCustomer(email);
+      customer.hardCap = 1;
+      await customerStore.saveCustomer(customer);
+      const account = { customerId: String(customer._id), plan: customer.plan, limit: customer.getPlanLimit(), hardCap: customer.getHardCap() };
+      const capped = await axios.post(`${base}/api/v1/tryon/generate`, {
+        modelImage: 'data:image/png;base64,FAKE',
+        garmentImage: 'data:image/png;base64,FAKE'
+      }, { timeout: 20000, headers: { Authorization: `Bearer ${accessToken}` }, validateStatus: () => true });
+      const usage = await metering.getUsage(account);
+      if (usage.used === 1 && usage.reserved === 0 && capped.status === 429) {
+        console.log('✅ Try-on metered, hard cap enforced:', capped.data.message);
         server.close();
         process.exit(0);
       } else {
-        console.error('❌ Unexpected response:', res.status, res.data);
+        console.error('❌ Unexpected metering:', usage, capped.status, capped.data);
         server.close();
         process.exit(2);
       }
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const express = require('express');
+const axios = require('axios');
+const os = require('os');
+const path = require('path');
+
+// Mock provider with latency so jobs stay pending until the poller advances them
+process.env.TRYON_PROVIDER = 'mock';
+process.env.MOCK_TRYON_LATENCY_MS = '200';
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+process.env.ANALYTICS_DATA_DIR = path.join(os.tmpdir(), `vmize-analytics-${process.pid}`);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+(async () => {
+  const customers = require('../services/customers');
+  const webhooks = require('../services/webhooks');
+  const jobPoller = require('../services/jobPoller');
+  const proxy = require('../vmize-proxy-server-with-analytics');
+
+  // Merchant receiver: fails the first delivery to exercise the retry path
+  const received = [];
+  let failuresLeft = 1;
+  const receiver = express();
+  receiver.post('/hooks', express.text({ type: 'application/json' }), (req, res) => {
+    received.push({ headers: req.headers, body: req.body });
+    if (failuresLeft-- > 0) return res.status(500).end();
+    res.status(204).end();
+  });
+
+  const merchant = await listen(receiver);
+  const api = await listen(proxy);
+  // Webhooks are managed from the merchant's server, with a secret key
+  const acme = await customers.createCustomer({ email: 'ops@acme.test', plan: 'starter', subscriptionStatus: 'active' });
+  const { key } = await customers.createKey(acme, { name: 'server' });
+  const headers = { 'x-vmize-api-key': key };
+
+  try {
+    // Webhooks cannot reach our own network: loopback, private and metadata addresses
+    for (const url of [`${merchant.base}/hooks`, 'http://localhost:8080/hooks', 'http://169.254.169.254/latest/meta-data',
+      'http://10.0.0.5/hooks', 'http://[::1]/hooks', 'http://[::ffff:127.0.0.1]/hooks', 'http://2130706433/hooks']) {
+      const refused = await axios.post(`${api.base}/api/webhooks`, { url }, { headers, validateStatus: () => true });
+      assert.strictEqual(refused.status, 400, url);
+      assert.match(refused.data.error, /public address/);
+    }
+    const unresolvable = await axios.post(`${api.base}/api/webhooks`, { url: 'https://hooks.acme.invalid/vmize' }, { headers, validateStatus: () => true });
+    assert.strictEqual(unresolvable.status, 400);
+
+    // The receiver below is local, as in development
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    const reg = await axios.post(`${api.base}/api/webhooks`, { url: `${merchant.base}/hooks` }, { headers });
+    assert.strictEqual(reg.status, 201);
+    assert.ok(reg.data.secret.startsWith('whsec_'));
+
+    const list = await axios.get(`${api.base}/api/webhooks`, { headers });
+    assert.strictEqual(list.data.length, 1);
+    assert.strictEqual(list.data[0].secret, undefined, 'secret must not be listed');
+
+    const gen = await axios.post(`${api.base}/api/tryon/generate`, {
+      model_image: 'https://example.com/model.jpg',
+      garment_image: 'https://example.com/shirt.jpg',
+      productId: 'sku-webhook'
+    }, { headers });
+    assert.strictEqual(gen.data.status, 'queued');
+
+    await sleep(250);
+    assert.strictEqual(await jobPoller.pollOnce(), 1, 'poller should complete the job');
+    assert.strictEqual(await jobPoller.pollOnce(), 0, 'nothing left to poll');
+
+    // Client polls after completion are served from the job store
+    for (let i = 0; i < 3; i++) {
+      const status = await axios.get(`${api.base}/api/tryon/${gen.data.prediction_id}`, { headers });
+      assert.strictEqual(status.data.status, 'completed');
+    }
+
+    await sleep(300);
+    assert.strictEqual(received.length, 2, 'one failed attempt, one retry');
+    const [first, retry] = received;
+    assert.strictEqual(first.headers['x-vmize-delivery'], retry.headers['x-vmize-delivery']);
+    assert.ok(webhooks.verifySignature(retry.body, retry.headers['x-vmize-signature'], reg.data.secret));
+    assert.ok(!webhooks.verifySignature(retry.body, retry.headers['x-vmize-signature'], 'whsec_wrong'));
+
+    const event = JSON.parse(retry.body);
+    assert.strictEqual(event.type, 'tryon.completed');
+    assert.strictEqual(event.data.prediction_id, gen.data.prediction_id);
+    assert.strictEqual(event.data.product_id, 'sku-webhook');
+
+    const analytics = await axios.get(`${api.base}/api/analytics`, { headers });
+    assert.strictEqual(analytics.data.eventCounts.result_generated, 1, 'result_generated fires once');
+
+    // Checked again at delivery: nothing is sent, and the merchant only sees a generic reason
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'false';
+    await axios.post(`${api.base}/api/tryon/generate`, { model_image: 'https://example.com/model.jpg', garment_image: 'https://example.com/shirt.jpg' }, { headers });
+    await sleep(250);
+    assert.strictEqual(await jobPoller.pollOnce(), 1);
+    await sleep(100);
+    assert.strictEqual(received.length, 2, 'blocked deliveries are not sent');
+    const { lastDelivery } = (await axios.get(`${api.base}/api/webhooks`, { headers })).data[0];
+    assert.strictEqual(lastDelivery.error, 'Webhook URL must point to a public address');
+    assert.strictEqual(lastDelivery.httpStatus, undefined);
+
+    console.log('✅ Webhook flow test passed');
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Webhook flow test failed:', err.response ? err.response.data : err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+process.env.ADMIN_SECRET_TOKEN = 'test-admin-token';
+
+(async () => {
+  const customers = require('../services/customers');
+  const { DEFAULT_CONFIG } = require('../services/widgetConfigs');
+  const app = require('../server');
+  const server = app.listen(0);
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  const owner = { headers: { 'x-admin-token': 'test-admin-token' } };
+
+  try {
+    const acme = await customers.createCustomer({ email: 'acme@fashion.test', password: 'merchant-password', emailVerified: true });
+    const other = await customers.createCustomer({ email: 'hello@style.test', password: 'merchant-password', emailVerified: true });
+    const { key } = await customers.createKey(acme, { name: 'Storefront', type: 'publishable', allowedDomains: ['acme-fashion.myshopify.com'] });
+    const { key: secretKey } = await customers.createKey(acme, { name: 'Server' });
+    const signIn = async email => {
+      const login = await http.post('/api/v1/auth/login', { email, password: 'merchant-password' });
+      assert.strictEqual(login.status, 200);
+      return { headers: { Authorization: `Bearer ${login.data.data.tokens.accessToken}` } };
+    };
+    const asAcme = await signIn('acme@fashion.test');
+    const asOther = await signIn('hello@style.test');
+
+    // Nothing saved yet: the defaults, as version 0
+    const initial = (await http.get('/api/v1/widget-config', asAcme)).data.data.widgetConfig;
+    assert.deepStrictEqual([initial.version, initial.config], [0, DEFAULT_CONFIG]);
+    assert.strictEqual((await http.get('/api/v1/widget-config')).status, 401);
+
+    // Validation
+    for (const config of [
+      undefined,
+      { buttonBgColor: 'purple' },
+      { buttonSize: 'huge' },
+      { borderWidth: '2' },
+      { borderWidth: 11 },
+      { buttonText: '' },
+      { modalTitle: 'x'.repeat(81) },
+      { padding: '16px 32px' }
+    ]) {
+      assert.strictEqual((await http.put('/api/v1/widget-config', { config }, asAcme)).status, 400, JSON.stringify(config));
+    }
+
+    // Each save is a new version; fields left out take the defaults
+    const first = await http.put('/api/v1/widget-config', { config: { buttonText: 'Try it on', buttonBgColor: '#ff0066' } }, asAcme);
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(first.data.data.widgetConfig.config, { ...DEFAULT_CONFIG, buttonText: 'Try it on', buttonBgColor: '#FF0066' });
+    assert.deepStrictEqual([first.data.data.widgetConfig.version, first.data.data.widgetConfig.createdBy.type], [1, 'merchant']);
+    const second = await http.put('/api/v1/widget-config', {
+      config: { buttonText: 'See it on you', borderStyle: 'rounded', borderWidth: 2, buttonPosition: 'inline' }
+    }, asAcme);
+    assert.strictEqual(second.data.data.widgetConfig.version, 2);
+    assert.strictEqual((await http.get('/api/v1/widget-config', asAcme)).data.data.widgetConfig.config.buttonText, 'See it on you');
+    assert.strictEqual((await http.get('/api/v1/widget-config', asOther)).data.data.widgetConfig.version, 0);
+
+    // History and restore
+    const history = (await http.get('/api/v1/widget-config/versions', asAcme)).data.data;
+    assert.deepStrictEqual(history.versions.map(entry => entry.version), [2, 1]);
+    assert.strictEqual(history.pagination.total, 2);
+    assert.strictEqual((await http.get('/api/v1/widget-config/versions/1', asAcme)).data.data.widgetConfig.config.buttonText, 'Try it on');
+    assert.strictEqual((await http.get('/api/v1/widget-config/versions/9', asAcme)).status, 404);
+    assert.strictEqual((await http.get('/api/v1/widget-config/versions/first', asAcme)).status, 400);
+    assert.strictEqual((await http.get('/api/v1/widget-config/versions/1', asOther)).status, 404, 'versions belong to their customer');
+    const restored = await http.post('/api/v1/widget-config/versions/1/restore', {}, asAcme);
+    assert.strictEqual(restored.status, 200);
+    assert.deepStrictEqual([restored.data.data.widgetConfig.version, restored.data.data.widgetConfig.restoredFrom], [3, 1]);
+    assert.strictEqual(restored.data.data.widgetConfig.config.buttonText, 'Try it on');
+
+    // Public config by API key: styling only, cacheable, readable from any storefront
+    const live = await http.get(`/api/v1/widget-config/public/${key}`, { headers: { Origin: 'https://acme-fashion.myshopify.com' } });
+    assert.strictEqual(live.status, 200);
+    assert.deepStrictEqual(Object.keys(live.data.data).sort(), ['config', 'version']);
+    assert.deepStrictEqual([live.data.data.version, live.data.data.config.buttonBgColor], [3, '#FF0066']);
+    assert.strictEqual(live.headers['access-control-allow-origin'], '*');
+    assert.match(live.headers['cache-control'], /public, max-age=\d+/);
+    assert.ok(live.headers.etag);
+    const cached = await http.get(`/api/v1/widget-config/public/${key}`, { headers: { 'If-None-Match': live.headers.etag } });
+    assert.strictEqual(cached.status, 304);
+    assert.ok(!JSON.stringify(live.data).includes(String(acme._id)));
+    assert.strictEqual((await http.get('/api/v1/widget-config/public/vmize_pk_live_unknown')).status, 404);
+    assert.strictEqual((await http.get(`/api/v1/widget-config/public/${secretKey}`)).status, 404, 'secret keys never belong in a page');
+    const stored = (await customers.getCustomer(String(acme._id))).apiKeys[0];
+    assert.strictEqual(stored.lastUsedAt, undefined, 'config loads are not API usage');
+
+    // A new save changes what storefronts get (and the ETag)
+    await http.put('/api/v1/widget-config', { config: { modalTitle: 'Fitting room' } }, asAcme);
+    const changed = await http.get(`/api/v1/widget-config/public/${key}`, { headers: { 'If-None-Match': live.headers.etag } });
+    assert.deepStrictEqual([changed.status, changed.data.data.version, changed.data.data.config.modalTitle], [200, 4, 'Fitting room']);
+
+    // Admins work on a named customer
+    assert.strictEqual((await http.get('/api/v1/widget-config', owner)).status, 400, 'admins name the customer');
+    const byAdmin = await http.put('/api/v1/widget-config', { customerId: String(other._id), config: { buttonSize: 'large' } }, owner);
+    assert.deepStrictEqual([byAdmin.status, byAdmin.data.data.widgetConfig.createdBy.type], [200, 'service']);
+    assert.strictEqual((await http.get('/api/v1/widget-config', asOther)).data.data.widgetConfig.config.buttonSize, 'large');
+    assert.strictEqual((await http.get('/api/v1/widget-config?customerId=missing', owner)).status, 404);
+
+    // Delete: every version goes and storefronts get the defaults
+    const removed = await http.delete('/api/v1/widget-config', asAcme);
+    assert.deepStrictEqual([removed.status, removed.data.data.deleted], [200, 4]);
+    const reset = await http.get(`/api/v1/widget-config/public/${key}`);
+    assert.deepStrictEqual([reset.data.data.version, reset.data.data.config], [0, DEFAULT_CONFIG]);
+    assert.strictEqual((await http.get('/api/v1/widget-config/versions', asAcme)).data.data.pagination.total, 0);
+
+    console.log('✅ Widget config test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Widget config test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,240 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmize-analytics-'));
+process.env.TRYON_PROVIDER = 'mock';
+process.env.MOCK_TRYON_RESULT_URL = 'https://cdn.test/result.jpg';
+process.env.ANALYTICS_STORE = 'jsonl';
+process.env.ANALYTICS_DATA_DIR = dir;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.START_DB = 'false';
+process.env.START_CRONS = 'false';
+process.env.START_EMAIL_WORKER = 'false';
+
+// Just enough of a browser DOM for the widget: elements with children, datasets, styles,
+// classes and listeners. No EventSource, so the widget polls for progress.
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.children = [];
+    this.dataset = {};
+    this.attributes = {};
+    this.listeners = {};
+    this.textContent = '';
+    const style = {};
+    style.setProperty = (name, value) => { style[name] = value; };
+    this.style = style;
+    const classes = new Set();
+    this.classList = {
+      add: name => classes.add(name),
+      remove: name => classes.delete(name),
+      contains: name => classes.has(name),
+      toggle: (name, force) => ((force ?? !classes.has(name)) ? classes.add(name) : classes.delete(name))
+    };
+  }
+
+  appendChild(child) {
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatch(type, event = {}) {
+    const full = { target: this, preventDefault() {}, ...event };
+    (this.listeners[type] || []).forEach(listener => listener(full));
+  }
+
+  descendants() {
+    return this.children.flatMap(child => [child, ...child.descendants()]);
+  }
+
+  querySelectorAll(selector) {
+    assert.strictEqual(selector, '[data-vmize-product-image]');
+    return this.descendants().filter(node => node.dataset.vmizeProductImage);
+  }
+
+  find(predicate) {
+    return this.descendants().find(predicate);
+  }
+}
+
+function createBrowser({ scriptSrc, apiKey }) {
+  const head = new FakeElement('head');
+  const body = new FakeElement('body');
+  const script = new FakeElement('script');
+  script.src = scriptSrc;
+  script.dataset.vmizeKey = apiKey;
+  const storage = new Map();
+  const documentEvents = [];
+  const document = {
+    readyState: 'complete',
+    currentScript: script,
+    head,
+    body,
+    createElement: tag => new FakeElement(tag),
+    getElementById: id => [...head.descendants(), ...body.descendants()].find(node => node.id === id) || null,
+    querySelector: () => script,
+    querySelectorAll: selector => body.querySelectorAll(selector),
+    addEventListener: () => {},
+    dispatchEvent: event => documentEvents.push(event.type)
+  };
+  const window = {
+    location: { href: 'https://acme-fashion.test/products/dress', pathname: '/products/dress', origin: 'https://acme-fashion.test' },
+    sessionStorage: { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, String(value)) }
+  };
+
+  class FileReader {
+    readAsDataURL(file) {
+      setTimeout(() => {
+        this.result = file.dataUrl;
+        this.onload();
+      }, 0);
+    }
+  }
+  class Image {
+    set src(value) {
+      this.width = 800;
+      setTimeout(() => this.onload(), 0);
+    }
+  }
+  class CustomEvent {
+    constructor(type) {
+      this.type = type;
+    }
+  }
+
+  // Cross-origin requests from the storefront carry its Origin, as in a browser
+  const pageFetch = (url, options = {}) => fetch(url, { ...options, headers: { ...options.headers, Origin: window.location.origin } });
+
+  const context = vm.createContext({ window, document, fetch: pageFetch, URL, FileReader, Image, CustomEvent, console, setTimeout, clearTimeout, Promise });
+  window.document = document;
+  return { context, window, document, body, storage, documentEvents };
+}
+
+async function until(check, message, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
+
+(async () => {
+  const customers = require('../services/customers');
+  const widgetConfigs = require('../services/widgetConfigs');
+  const tryonJobs = require('../services/tryonJobs');
+  const app = require('../server');
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const http = axios.create({ baseURL: base, validateStatus: () => true });
+
+  try {
+    const acme = await customers.createCustomer({ email: 'acme@fashion.test', password: 'merchant-password', emailVerified: true });
+    const { key } = await customers.createKey(acme, { name: 'Storefront', type: 'publishable', allowedDomains: ['acme-fashion.test'] });
+    await widgetConfigs.saveConfig(acme._id, { buttonText: 'See it on you', buttonBgColor: '#ff0066', modalTitle: 'Fitting room' }, { type: 'service' });
+
+    // The bundle: versioned, cacheable and loadable from other sites
+    const bundle = await http.get('/widget.js');
+    assert.strictEqual(bundle.status, 200);
+    assert.match(bundle.headers['content-type'], /application\/javascript/);
+    assert.strictEqual(bundle.headers['cross-origin-resource-policy'], 'cross-origin');
+    assert.match(bundle.headers['cache-control'], /public, max-age=\d+/);
+    assert.strictEqual(bundle.headers['x-vmize-widget-version'], require('../package.json').version);
+    assert.ok(!bundle.data.includes('__VMIZE_'), 'placeholders are filled in');
+    assert.strictEqual((await http.get('/widget.js', { headers: { 'If-None-Match': bundle.headers.etag } })).status, 304);
+    assert.strictEqual((await http.get('/widget/v1/widget.js')).data, bundle.data);
+
+    // Storefront endpoints answer preflights from any origin; dashboard routes keep their allowlist
+    const preflight = await http.options('/api/tryon', {
+      headers: { Origin: 'https://acme-fashion.test', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type,x-vmize-api-key' }
+    });
+    assert.strictEqual(preflight.headers['access-control-allow-origin'], 'https://acme-fashion.test');
+    const dashboard = await http.get('/api/v1/auth/me', { headers: { Origin: 'https://acme-fashion.test' } });
+    assert.notStrictEqual(dashboard.headers['access-control-allow-origin'], '*');
+
+    // Auto-mount: a container gets a styled button, a merchant's own button is reused
+    const browser = createBrowser({ scriptSrc: `${base}/widget.js`, apiKey: key });
+    const container = browser.body.appendChild(new FakeElement('div'));
+    Object.assign(container.dataset, { vmizeProductImage: 'https://shop.test/dress.jpg', vmizeProductId: 'sku-42', vmizeCategory: 'one-pieces' });
+    const ownButton = browser.body.appendChild(new FakeElement('button'));
+    Object.assign(ownButton.dataset, { vmizeProductImage: 'https://shop.test/shirt.jpg', vmizeProductId: 'sku-7' });
+    vm.runInContext(bundle.data, browser.context, { filename: 'widget.js' });
+    const Vmize = browser.window.Vmize;
+    assert.strictEqual(Vmize.version, require('../package.json').version);
+    await Vmize.ready;
+    await until(() => browser.documentEvents.includes('vmize:ready'), 'the widget to mount');
+    const button = container.children[0];
+    assert.deepStrictEqual([button.tagName, button.textContent, button.style.background], ['BUTTON', 'See it on you', '#FF0066']);
+    assert.strictEqual(ownButton.children.length, 0);
+    Vmize.mount();
+    assert.strictEqual(container.children.length, 1, 'mounting twice adds nothing');
+
+    // The JS API
+    const seen = { progress: [], result: [], open: [], close: [] };
+    Object.keys(seen).forEach(name => Vmize.on(name, payload => seen[name].push(payload)));
+    assert.throws(() => Vmize.open({}), /productImage/);
+
+    // Full flow: open, pick a photo, generate, poll, show the result
+    button.dispatch('click');
+    const overlay = browser.body.find(node => node.className === 'vmize-overlay');
+    assert.ok(overlay.classList.contains('vmize-open'));
+    assert.strictEqual(overlay.find(node => node.className === 'vmize-title').textContent, 'Fitting room');
+    assert.deepStrictEqual(seen.open.map(payload => payload.productId), ['sku-42']);
+
+    const input = overlay.find(node => node.tagName === 'INPUT');
+    const status = overlay.find(node => node.className === 'vmize-status');
+    input.files = [{ type: 'application/pdf', size: 100, dataUrl: 'data:application/pdf;base64,AAAA' }];
+    input.dispatch('change');
+    assert.match(status.textContent, /image file/);
+    input.files = [{ type: 'image/png', size: 100, dataUrl: 'data:image/png;base64,AAAA' }];
+    input.dispatch('change');
+    const generate = overlay.find(node => node.className === 'vmize-primary' && node.textContent === 'Try it on');
+    await until(() => generate.style.display === 'block', 'the photo preview');
+    generate.dispatch('click');
+
+    const [result] = await until(() => seen.result.length && seen.result, 'the try-on result');
+    assert.strictEqual(result.imageUrl, 'https://cdn.test/result.jpg');
+    assert.strictEqual(result.productId, 'sku-42');
+    assert.strictEqual(overlay.find(node => node.className === 'vmize-result').src, 'https://cdn.test/result.jpg');
+    assert.ok(seen.progress.some(update => update.status === 'completed'));
+
+    const sessionId = browser.storage.get('vmize_session_id');
+    assert.ok(sessionId);
+    const job = await tryonJobs.findByPredictionId(result.predictionId);
+    assert.deepStrictEqual([job.customerId, job.productId, job.sessionId], [String(acme._id), 'sku-42', sessionId]);
+
+    Vmize.close();
+    assert.ok(!overlay.classList.contains('vmize-open'));
+    assert.strictEqual(seen.close.length, 1);
+
+    // Standard events, tied to the shopper's session
+    const names = await until(async () => {
+      const events = await app.locals.analytics.store.readEvents({ customerId: String(acme._id), sessionId });
+      const found = events.map(event => event.name);
+      return ['product_view', 'widget_opened', 'tryon_initiated', 'photo_uploaded'].every(name => found.includes(name)) && found;
+    }, 'the widget events');
+    assert.strictEqual(names.filter(name => name === 'product_view').length, 2, 'one view per product');
+
+    console.log('✅ Widget test passed');
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Widget test failed:', err.response ? err.response.data : err);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
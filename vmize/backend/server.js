@@ -25,38 +25,13 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// CORS configuration
-const corsOptions = {
-  origin: function (origin, callback) {
-    const allowedOrigins = [
-      process.env.FRONTEND_URL,
-      'http://localhost:3000',
-      'http://localhost:5000',
-      'http://127.0.0.1:5000',
-      'http://localhost:5173',
-      ...( process.env.ALLOWED_ORIGINS?.split(',') || [])
-    ];
-    
-    if (!origin || allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-  optionsSuccessStatus: 200
-};
+// CORS: the dashboard's fixed allowlist, public widget assets, and per-customer
+// storefront origins on the try-on and tracking routes (see services/corsPolicy)
+const corsPolicy = require('./services/corsPolicy');
+app.use(cors(corsPolicy.corsOptionsFor));
 
-app.use(cors(corsOptions));
-
-// Stripe webhook endpoint (raw body required) - keep BEFORE JSON body parser
-let handleWebhook;
-try {
-  ({ handleWebhook } = require('./controllers/billingController'));
-} catch (err) {
-  console.warn('billingController not found; using stub handler');
-  handleWebhook = (req, res) => res.status(200).json({ success: true });
-}
+// Stripe webhook endpoint (raw body required for signature checks) - keep BEFORE JSON body parser
+const { handleWebhook } = require('./controllers/billingController');
 app.post('/api/v1/webhooks/stripe', express.raw({ type: 'application/json' }), handleWebhook);
 
 // Body parser (after webhook route)
@@ -111,10 +86,20 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Storefront widget bundle (/widget.js)
+app.use(require('./routes/widget'));
+
 // API routes
 app.use('/api/v1/auth', require('./routes/auth'));
 app.use('/api/v1/billing', require('./routes/billing'));
 app.use('/api/v1/tryon', require('./routes/tryon'));
+app.use('/api/v1/keys', require('./routes/keys'));
+app.use('/api/v1/allowed-origins', require('./routes/allowedOrigins'));
+app.use('/api/v1/admin', require('./routes/adminApi'));
+app.use('/api/v1/exports', require('./routes/exports'));
+app.use('/api/v1/privacy', require('./routes/privacy'));
+app.use('/api/v1/widget-config/public', require('./routes/widgetConfig').publicRouter);
+app.use('/api/v1/widget-config', require('./routes/widgetConfig'));
 
 // -------------------------------------
 // Legacy /api compatibility & shims
@@ -123,6 +108,8 @@ app.use('/api/v1/tryon', require('./routes/tryon'));
 try {
   const proxyWithAnalytics = require('./vmize-proxy-server-with-analytics');
   app.use(proxyWithAnalytics);
+  app.locals.analytics = proxyWithAnalytics.locals.analytics;
+  app.locals.testAnalytics = proxyWithAnalytics.locals.testAnalytics;
   console.log('Mounted vmize proxy with analytics for legacy /api endpoints');
 } catch (err) {
   try {
@@ -141,14 +128,9 @@ app.use('/api/v1/tryon', (req, res) => {
   return res.redirect(307, newPath);
 });
 
-// Simple admin login stub for demo/testing so `admin-login.html` can authenticate locally
-app.post('/admin/login', (req, res) => {
-  const { username, password } = req.body || {};
-  if (username === 'admin' && password === 'VmizeAdmin2025!') {
-    return res.json({ token: 'demo_admin_token' });
-  }
-  return res.status(401).json({ message: 'Invalid credentials' });
-});
+// Admin dashboard sign-in, TOTP, admin accounts and the audit log (JSON; the admin
+// HTML pages below are served from the same prefix)
+app.use('/admin', require('./routes/admin'));
 
 // ==========================
 // CONDITIONAL STATIC SERVING
@@ -260,72 +242,66 @@ app.use((err, req, res, next) => {
 // CRON JOBS
 // =====================================
 
-// Reset monthly usage (runs on 1st of each month at midnight)
+// Bill last month's overage and roll usage counters (runs on the 1st at midnight UTC).
+// Safe to re-run: each charge is recorded once in the billing ledger (see services/overageBilling)
 if (process.env.START_CRONS !== 'false') {
   cron.schedule(process.env.BILLING_CRON_SCHEDULE || '0 0 1 * *', async () => {
     console.log('🔄 Running monthly billing job...');
     
     try {
-      const Customer = require('./models/Customer');
-      const stripeService = require('./services/stripeService');
-      
-      const customers = await Customer.find({ subscriptionStatus: 'active' });
-      
-      for (const customer of customers) {
-        // Calculate overage charges
-        const { overage, cost } = customer.calculateOverage();
-        
-        if (cost > 0) {
-          console.log(`💰 Charging customer ${customer.email} overage: $${cost}`);
-          await stripeService.createOverageCharge(
-            customer.stripeCustomerId,
-            cost,
-            `Usage overage: ${overage} try-ons`
-          );
-        }
-        
-        // Reset monthly usage
-        await customer.resetMonthlyUsage();
-      }
-      
-      console.log('✅ Monthly billing completed');
+      const overageBilling = require('./services/overageBilling');
+      const summary = await overageBilling.runBillingCycle();
+      console.log(`✅ Monthly billing completed for ${summary.period}: ${summary.charged} charged ($${summary.amount}), ${summary.skipped} already billed, ${summary.failed} failed; ${summary.retried.charged} earlier failed charge(s) retried`);
     } catch (error) {
       console.error('❌ Monthly billing error:', error);
     }
-  });
+  }, { timezone: 'UTC' });
 } else {
   console.log('Cron jobs disabled (START_CRONS=false) - skipping monthly billing job registration');
 }
 
-// Send usage reports (runs every Monday at 9 AM)
+// Poll pending try-on predictions so jobs complete (and webhooks fire) server-side
+if (process.env.START_CRONS !== 'false' && process.env.START_JOB_POLLER !== 'false') {
+  require('./services/jobPoller').start();
+  require('./services/metering').startSweeper();
+}
+
+// Usage alert emails go out as try-ons are committed; the outbox worker delivers and
+// retries queued emails
+require('./services/usageAlerts').watch();
+if (process.env.START_CRONS !== 'false' && process.env.START_EMAIL_WORKER !== 'false') {
+  require('./services/email').start();
+}
+
+// Remove expired end-user images (hourly; each tenant's retention, see services/privacy)
+if (process.env.START_CRONS !== 'false') {
+  cron.schedule(process.env.IMAGE_RETENTION_CRON_SCHEDULE || '30 * * * *', async () => {
+    try {
+      const purged = await require('./services/privacy').purgeExpiredImages();
+      if (purged.inputs || purged.results) {
+        console.log(`🔒 Image retention: ${purged.inputs} input references and ${purged.results} results removed`);
+      }
+    } catch (error) {
+      console.error('❌ Image retention error:', error);
+    }
+  }, { timezone: 'UTC' });
+}
+
+// Catch up on usage alerts (runs every Monday at 9 AM). Each alert is sent once per
+// period, so customers already notified after a try-on are not emailed again.
 if (process.env.START_CRONS !== 'false') {
   cron.schedule(process.env.USAGE_REPORT_CRON_SCHEDULE || '0 9 * * MON', async () => {
-    console.log('📊 Sending weekly usage reports...');
+    console.log('📊 Checking usage alerts...');
     
     try {
-      const Customer = require('./models/Customer');
-      const customers = await Customer.find({ 
-        subscriptionStatus: { $in: ['active', 'trialing'] },
-        'notifications.usageAlerts': true
-      });
-      
-      for (const customer of customers) {
-        const usagePercentage = customer.getUsagePercentage();
-        
-        // Send email if usage > 80%
-        if (usagePercentage >= 80) {
-          console.log(`📧 Sending usage alert to ${customer.email} (${usagePercentage}%)`);
-          // await emailService.sendUsageAlert(customer, usagePercentage);
-        }
-      }
-      
-      console.log('✅ Usage reports sent');
+      const alerts = await require('./services/usageAlerts').checkAll();
+      console.log(`✅ Usage alerts checked (${alerts} customers at 80% or more)`);
     } catch (error) {
-      console.error('❌ Usage reports error:', error);
+      console.error('❌ Usage alerts error:', error);
     }
   });
 } else {
-  console.log('Cron jobs disabled (START_CRONS=false) - skipping weekly usage reports job registration');
+  console.log('Cron jobs disabled (START_CRONS=false) - skipping weekly usage alerts job registration');
 }
 
 // =====================================
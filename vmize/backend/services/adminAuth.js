@@ -0,0 +1,555 @@
+/**
+ * Admin Auth
+ * Staff accounts for the admin dashboard: bcrypt passwords, a mandatory TOTP second
+ * factor, roles with fixed permissions, expiring sessions, and the middleware that
+ * guards admin endpoints and records them in the audit log (services/auditLog).
+ *
+ * Sign-in is a password plus a TOTP code. An admin without TOTP yet gets an enrollment
+ * session that can only set it up (POST /admin/totp/setup, /admin/totp/verify).
+ * Repeated wrong passwords or codes lock the username for a while (services/rateLimits).
+ * Sessions are opaque `adm_` tokens sent as `x-admin-token`; they end after
+ * ADMIN_SESSION_IDLE_MINUTES without use, ADMIN_SESSION_MAX_HOURS after sign-in, on
+ * logout, and when the admin is disabled or their password or TOTP is reset. The role
+ * is read on every request, so role changes apply immediately.
+ *
+ * ADMIN_SECRET_TOKEN remains accepted as a service credential for automation; it acts
+ * as an owner and is audited as such. Leave it unset to allow admin sessions only.
+ * While no admin exists, ADMIN_BOOTSTRAP_USERNAME / ADMIN_BOOTSTRAP_PASSWORD create the
+ * first owner on its first sign-in.
+ *
+ * Uses the AdminUser and AdminSession models when MongoDB is connected, otherwise an
+ * in-memory store.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AdminUser = require('../models/AdminUser');
+const AdminSession = require('../models/AdminSession');
+const auditLog = require('./auditLog');
+const totp = require('./totp');
+const rateLimits = require('./rateLimits');
+
+const ROLES = AdminUser.ADMIN_ROLES;
+const PERMISSIONS = [
+  'customers:read', 'customers:write', 'customers:delete',
+  'keys:read', 'keys:write',
+  'billing:read', 'billing:write',
+  'analytics:read', 'analytics:write',
+  'tryons:read', 'tryons:write',
+  'emails:send',
+  'admins:manage', 'audit:read'
+];
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  support: ['customers:read', 'customers:write', 'keys:read', 'keys:write', 'analytics:read', 'tryons:read', 'tryons:write', 'emails:send'],
+  finance: ['customers:read', 'billing:read', 'billing:write', 'analytics:read'],
+  'read-only': ['customers:read', 'keys:read', 'billing:read', 'analytics:read', 'tryons:read']
+};
+
+const IDLE_MS = Number(process.env.ADMIN_SESSION_IDLE_MINUTES || 30) * 60 * 1000;
+const MAX_AGE_MS = Number(process.env.ADMIN_SESSION_MAX_HOURS || 12) * 60 * 60 * 1000;
+const ENROLLMENT_MAX_AGE_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 12;
+
+const SERVICE_PRINCIPAL = Object.freeze({ type: 'service', username: 'ADMIN_SECRET_TOKEN', role: 'owner', totpVerified: true });
+
+function httpError(statusCode, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const SECRET_FIELDS = '+password +totpSecret +totpPendingSecret +lastTotpStep';
+
+const memoryBackend = {
+  admins: new Map(),
+  sessions: new Map(),
+
+  async findAdmin(id) {
+    return this.admins.get(String(id)) || null;
+  },
+
+  async findAdminByUsername(username) {
+    for (const admin of this.admins.values()) {
+      if (admin.username === String(username).toLowerCase().trim()) return admin;
+    }
+    return null;
+  },
+
+  async listAdmins() {
+    return [...this.admins.values()].sort((a, b) => a.createdAt - b.createdAt);
+  },
+
+  async countActiveOwners() {
+    return [...this.admins.values()].filter(admin => admin.role === 'owner' && !admin.disabled).length;
+  },
+
+  async countAdmins() {
+    return this.admins.size;
+  },
+
+  async saveAdmin(admin) {
+    await admin.validate();
+    if (admin.isModified('password') && admin.password) {
+      admin.password = await AdminUser.hashPassword(admin.password);
+      admin.unmarkModified('password');
+    }
+    if (!admin.createdAt) admin.createdAt = new Date();
+    admin.updatedAt = new Date();
+    this.admins.set(String(admin._id), admin);
+    return admin;
+  },
+
+  async insertSession(session) {
+    this.sessions.set(session.tokenHash, { ...session });
+  },
+
+  async findSession(tokenHash) {
+    const session = this.sessions.get(tokenHash);
+    return session ? { ...session } : null;
+  },
+
+  async updateSession(tokenHash, changes) {
+    const session = this.sessions.get(tokenHash);
+    if (session) Object.assign(session, changes);
+  },
+
+  async revokeSessions(filter, now) {
+    let revoked = 0;
+    for (const session of this.sessions.values()) {
+      if (session.revokedAt) continue;
+      if (filter.tokenHash && session.tokenHash !== filter.tokenHash) continue;
+      if (filter.adminId && session.adminId !== filter.adminId) continue;
+      if (filter.exceptTokenHash && session.tokenHash === filter.exceptTokenHash) continue;
+      session.revokedAt = now;
+      revoked++;
+    }
+    return revoked;
+  }
+};
+
+const mongoBackend = {
+  async findAdmin(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return AdminUser.findById(id).select(SECRET_FIELDS);
+  },
+
+  async findAdminByUsername(username) {
+    return AdminUser.findOne({ username: String(username).toLowerCase().trim() }).select(SECRET_FIELDS);
+  },
+
+  async listAdmins() {
+    return AdminUser.find().sort({ createdAt: 1 });
+  },
+
+  async countActiveOwners() {
+    return AdminUser.countDocuments({ role: 'owner', disabled: false });
+  },
+
+  async countAdmins() {
+    return AdminUser.estimatedDocumentCount();
+  },
+
+  async saveAdmin(admin) {
+    return admin.save();
+  },
+
+  async insertSession(session) {
+    await AdminSession.create(session);
+  },
+
+  async findSession(tokenHash) {
+    return AdminSession.findOne({ tokenHash }).lean();
+  },
+
+  async updateSession(tokenHash, changes) {
+    await AdminSession.updateOne({ tokenHash }, { $set: changes });
+  },
+
+  async revokeSessions(filter, now) {
+    const query = { revokedAt: null };
+    if (filter.tokenHash) query.tokenHash = filter.tokenHash;
+    if (filter.adminId) query.adminId = filter.adminId;
+    if (filter.exceptTokenHash) query.tokenHash = { $ne: filter.exceptTokenHash };
+    const { modifiedCount } = await AdminSession.updateMany(query, { $set: { revokedAt: now } });
+    return modifiedCount;
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// ROLES & ACCOUNTS
+// =====================================
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function can(principal, permission) {
+  return Boolean(principal) && permissionsFor(principal.role).includes(permission);
+}
+
+// What the admin dashboard gets to see about an admin account
+function profile(admin) {
+  return {
+    id: String(admin._id),
+    username: admin.username,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    disabled: Boolean(admin.disabled),
+    totpEnabled: Boolean(admin.totpEnabled),
+    lastLoginAt: admin.lastLoginAt,
+    createdAt: admin.createdAt
+  };
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(', ')}`);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function requireAdminAccount(adminId) {
+  const admin = await backend().findAdmin(adminId);
+  if (!admin) throw httpError(404, 'Admin not found');
+  return admin;
+}
+
+async function createAdmin({ username, email, name, role, password }, createdBy) {
+  if (!username || !/^[a-z0-9._@-]{3,64}$/i.test(username)) {
+    throw httpError(400, 'username must be 3-64 letters, digits or . _ @ -');
+  }
+  validateRole(role);
+  validatePassword(password);
+  const store = backend();
+  if (await store.findAdminByUsername(username)) throw httpError(409, 'An admin with that username already exists');
+  const admin = await store.saveAdmin(new AdminUser({ username, email, name, role, password, createdBy }));
+  return profile(admin);
+}
+
+async function listAdmins() {
+  return (await backend().listAdmins()).map(profile);
+}
+
+// Refuses changes that would leave no active owner
+async function assertOwnerRemains(admin, changes) {
+  const losesOwner = admin.role === 'owner' && !admin.disabled
+    && ((changes.role && changes.role !== 'owner') || changes.disabled === true);
+  if (losesOwner && (await backend().countActiveOwners()) <= 1) {
+    throw httpError(409, 'At least one active owner is required');
+  }
+}
+
+// { role, disabled, name, email }; disabling ends the admin's sessions
+async function updateAdmin(adminId, changes) {
+  const admin = await requireAdminAccount(adminId);
+  if (changes.role !== undefined) validateRole(changes.role);
+  await assertOwnerRemains(admin, changes);
+  for (const field of ['role', 'name', 'email']) {
+    if (changes[field] !== undefined) admin[field] = changes[field];
+  }
+  if (changes.disabled !== undefined) admin.disabled = Boolean(changes.disabled);
+  await backend().saveAdmin(admin);
+  if (admin.disabled) await backend().revokeSessions({ adminId: String(admin._id) }, new Date());
+  return profile(admin);
+}
+
+// Owner reset for a lost authenticator: the admin enrolls again on next sign-in
+async function resetTotp(adminId) {
+  const admin = await requireAdminAccount(adminId);
+  admin.totpEnabled = false;
+  admin.totpSecret = undefined;
+  admin.totpPendingSecret = undefined;
+  await backend().saveAdmin(admin);
+  await backend().revokeSessions({ adminId: String(admin._id) }, new Date());
+  return profile(admin);
+}
+
+// Own password change; other sessions end
+async function changePassword(principal, { currentPassword, newPassword }) {
+  const admin = await requireAdminAccount(principal.adminId);
+  if (!(await admin.comparePassword(currentPassword))) throw httpError(401, 'Current password is incorrect');
+  validatePassword(newPassword);
+  admin.password = newPassword;
+  await backend().saveAdmin(admin);
+  await backend().revokeSessions({ adminId: String(admin._id), exceptTokenHash: principal.tokenHash }, new Date());
+}
+
+// First owner from ADMIN_BOOTSTRAP_USERNAME / ADMIN_BOOTSTRAP_PASSWORD, only while
+// there are no admins at all
+async function ensureBootstrapOwner() {
+  const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  if (!username || !password || (await backend().countAdmins()) > 0) return;
+  await createAdmin({ username, password, role: 'owner', name: 'Owner' }, 'bootstrap');
+  console.log(`🔐 Created bootstrap owner admin "${username}"`);
+}
+
+// =====================================
+// SESSIONS
+// =====================================
+
+async function createSession(admin, { totpVerified, ip, userAgent }) {
+  const token = `adm_${crypto.randomBytes(32).toString('hex')}`;
+  const now = new Date();
+  const maxAge = totpVerified ? MAX_AGE_MS : ENROLLMENT_MAX_AGE_MS;
+  const session = {
+    tokenHash: hashToken(token),
+    adminId: String(admin._id),
+    totpVerified,
+    expiresAt: new Date(now.getTime() + maxAge),
+    lastSeenAt: now,
+    ip,
+    userAgent
+  };
+  await backend().insertSession(session);
+  return { token, expiresAt: session.expiresAt };
+}
+
+// POST /admin/login { username, password, code }. Returns { token, expiresAt, admin,
+// enrollmentRequired }; 401 with `mfaRequired` when the TOTP code is missing.
+async function login({ username, password, code } = {}, { ip, userAgent } = {}) {
+  if (!username || !password) throw httpError(400, 'Username and password are required');
+  await ensureBootstrapOwner();
+  const store = backend();
+  const admin = await store.findAdminByUsername(username);
+  const context = { method: 'POST', path: '/admin/login', ip, userAgent };
+  const audit = (reason, statusCode) => auditLog.record({
+    ...context,
+    actor: admin ? auditLog.actorFor({ type: 'admin', adminId: String(admin._id), username: admin.username, role: admin.role }) : auditLog.actorFor(null, String(username)),
+    action: 'admin.login',
+    outcome: 'failure',
+    statusCode,
+    details: { reason }
+  });
+  const fail = async (reason, message, details) => {
+    await rateLimits.recordLoginFailure('admin_login', username, ip);
+    await audit(reason, 401);
+    throw httpError(401, message, details);
+  };
+
+  try {
+    await rateLimits.assertNotLocked('admin_login', username, ip, { path: context.path });
+  } catch (err) {
+    await audit('locked', err.statusCode || 500);
+    throw err;
+  }
+
+  if (!admin || admin.disabled || !(await admin.comparePassword(password))) {
+    return fail(admin && admin.disabled ? 'disabled' : 'password', 'Invalid credentials');
+  }
+  if (admin.totpEnabled) {
+    if (!code) throw httpError(401, 'Enter the code from your authenticator app', { mfaRequired: true });
+    const step = totp.verify(admin.totpSecret, code, { afterStep: admin.lastTotpStep ?? -1 });
+    if (step === null) return fail('totp', 'Invalid authentication code', { mfaRequired: true });
+    admin.lastTotpStep = step;
+  }
+
+  await rateLimits.clearLoginFailures('admin_login', username, ip);
+  admin.lastLoginAt = new Date();
+  await store.saveAdmin(admin);
+  const session = await createSession(admin, { totpVerified: admin.totpEnabled, ip, userAgent });
+  const principal = { type: 'admin', adminId: String(admin._id), username: admin.username, role: admin.role };
+  await auditLog.record({
+    ...context,
+    actor: auditLog.actorFor(principal),
+    action: 'admin.login',
+    statusCode: 200,
+    details: { enrollment: !admin.totpEnabled }
+  });
+  return { ...session, admin: profile(admin), enrollmentRequired: !admin.totpEnabled };
+}
+
+async function logout(principal) {
+  if (!principal.tokenHash) return 0;
+  return backend().revokeSessions({ tokenHash: principal.tokenHash }, new Date());
+}
+
+// Admin principal for the request's x-admin-token: { type, adminId, username, role,
+// totpVerified, tokenHash, expiresAt, idleExpiresAt }. Null without the header; throws
+// 401 for unknown, ended or expired sessions.
+async function authenticate(req) {
+  const token = req.headers['x-admin-token'];
+  if (!token) return null;
+  if (process.env.ADMIN_SECRET_TOKEN && safeEqual(token, process.env.ADMIN_SECRET_TOKEN)) return SERVICE_PRINCIPAL;
+
+  const store = backend();
+  const tokenHash = hashToken(token);
+  const session = await store.findSession(tokenHash);
+  const now = new Date();
+  if (!session || session.revokedAt) throw httpError(401, 'Admin session has ended, please sign in again');
+  if (session.expiresAt <= now || now - session.lastSeenAt > IDLE_MS) {
+    await store.revokeSessions({ tokenHash }, now);
+    throw httpError(401, 'Admin session expired, please sign in again');
+  }
+  const admin = await store.findAdmin(session.adminId);
+  if (!admin || admin.disabled) throw httpError(401, 'Admin session has ended, please sign in again');
+
+  await store.updateSession(tokenHash, { lastSeenAt: now });
+  return {
+    type: 'admin',
+    adminId: String(admin._id),
+    username: admin.username,
+    role: admin.role,
+    totpVerified: Boolean(session.totpVerified),
+    tokenHash,
+    expiresAt: session.expiresAt,
+    idleExpiresAt: new Date(now.getTime() + IDLE_MS)
+  };
+}
+
+// =====================================
+// TOTP ENROLLMENT
+// =====================================
+
+// New pending secret: { secret, otpauthUrl }. Admins who already use TOTP need an
+// owner to reset it first.
+async function beginTotpSetup(principal) {
+  const admin = await requireAdminAccount(principal.adminId);
+  if (admin.totpEnabled) throw httpError(409, 'Two-factor authentication is already set up');
+  admin.totpPendingSecret = totp.generateSecret();
+  await backend().saveAdmin(admin);
+  return {
+    secret: admin.totpPendingSecret,
+    otpauthUrl: totp.otpauthUrl({ secret: admin.totpPendingSecret, account: admin.username })
+  };
+}
+
+// Confirms the pending secret with a code; the current session becomes a full one
+async function confirmTotpSetup(principal, code) {
+  const admin = await requireAdminAccount(principal.adminId);
+  if (admin.totpEnabled) throw httpError(409, 'Two-factor authentication is already set up');
+  if (!admin.totpPendingSecret) throw httpError(400, 'Start the setup first');
+  const step = totp.verify(admin.totpPendingSecret, code);
+  if (step === null) throw httpError(400, 'Invalid authentication code');
+  admin.totpSecret = admin.totpPendingSecret;
+  admin.totpPendingSecret = undefined;
+  admin.totpEnabled = true;
+  admin.lastTotpStep = step;
+  await backend().saveAdmin(admin);
+
+  const now = new Date();
+  await backend().updateSession(principal.tokenHash, { totpVerified: true, expiresAt: new Date(now.getTime() + MAX_AGE_MS) });
+  return profile(admin);
+}
+
+// =====================================
+// MIDDLEWARE
+// =====================================
+
+function sendAuthError(res, err) {
+  if (!err.statusCode) console.error('❌ Admin auth error:', err);
+  res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Admin authentication failed' });
+}
+
+// Audit fields describing the request itself
+function requestContext(req) {
+  return {
+    method: req.method,
+    path: (req.originalUrl || '').split('?')[0],
+    customerId: req.params?.customerId || req.query.customerId || req.body?.customerId || undefined,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+// Audit the request with its final status once the response is sent
+function auditRequest(req, res, principal, action) {
+  res.on('finish', () => {
+    auditLog.record({
+      actor: auditLog.actorFor(principal),
+      action,
+      outcome: res.statusCode < 400 ? 'success' : res.statusCode === 403 ? 'denied' : 'failure',
+      statusCode: res.statusCode,
+      ...requestContext(req)
+    });
+  });
+}
+
+// Authorizes an admin request and sets req.admin; throws 401/403 errors for the caller
+// to render (requirePermission below does that in the v1 JSON shape)
+async function admit(req, res, permission, { allowEnrollment = false, audit } = {}) {
+  const principal = await authenticate(req);
+  if (!principal) throw httpError(401, 'Admin sign-in required');
+  if (!principal.totpVerified && !allowEnrollment) {
+    throw httpError(403, 'Set up two-factor authentication to continue');
+  }
+  if (permission && !can(principal, permission)) {
+    await auditLog.record({
+      actor: auditLog.actorFor(principal),
+      action: permission,
+      outcome: 'denied',
+      statusCode: 403,
+      ...requestContext(req)
+    });
+    throw httpError(403, `The ${principal.role} role cannot do this (${permission} required)`);
+  }
+  req.admin = principal;
+  if (audit || permission) auditRequest(req, res, principal, audit || permission);
+  return principal;
+}
+
+// Admin endpoints: the caller must hold `permission` (a string, a function of the
+// request, or null for any signed-in admin). The request is audited under `audit`, or
+// else the permission; `allowEnrollment` admits sessions that still have to set up TOTP.
+function requirePermission(permission, options) {
+  return async (req, res, next) => {
+    try {
+      await admit(req, res, typeof permission === 'function' ? permission(req) : permission, options);
+      next();
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  };
+}
+
+// Routes shared by merchants and admins: requests without x-admin-token pass through
+// untouched; with it, they are handled like requirePermission and set req.admin.
+function admitAdmin(permission) {
+  const guard = requirePermission(permission);
+  return (req, res, next) => (req.headers['x-admin-token'] ? guard(req, res, next) : next());
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  can,
+  createAdmin,
+  listAdmins,
+  updateAdmin,
+  resetTotp,
+  changePassword,
+  login,
+  logout,
+  authenticate,
+  beginTotpSetup,
+  confirmTotpSetup,
+  admit,
+  requirePermission,
+  admitAdmin
+};
@@ -0,0 +1,131 @@
+/**
+ * Session Conversion Funnel
+ * Groups raw analytics events by storefront session and counts how many sessions
+ * reach each step, in order: view → try-on click → upload → result → add to cart →
+ * purchase. A session only reaches a step after it has reached the previous one.
+ */
+
+const { safeEventName } = require('./analyticsRollups');
+
+// Event names that count as each step (storefront pages and the API use different names)
+const FUNNEL_STEPS = [
+  { step: 'view', label: 'Product Views', events: ['page_view', 'product_view', 'product_viewed'] },
+  { step: 'tryon_click', label: 'Try-On Started', events: ['tryon_click', 'tryon_clicked', 'tryon_initiated', 'try_on_initiated', 'widget_opened'] },
+  { step: 'upload', label: 'Photo Uploaded', events: ['photo_uploaded'] },
+  { step: 'result', label: 'Result Shown', events: ['result_generated', 'result_viewed'] },
+  { step: 'add_to_cart', label: 'Added to Cart', events: ['add_to_cart', 'added_to_cart'] },
+  { step: 'purchase', label: 'Purchase', events: ['purchase', 'order_completed'] }
+];
+
+const STEP_BY_EVENT = new Map();
+FUNNEL_STEPS.forEach((step, index) => {
+  step.events.forEach(name => STEP_BY_EVENT.set(name, index));
+});
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function rate(numerator, denominator) {
+  if (!denominator) return '0%';
+  return ((numerator / denominator) * 100).toFixed(1) + '%';
+}
+
+// Date-only `to` values include the whole day
+function parseDate(value, name, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${name} date`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(date.getTime() + DAY_MS);
+  return date;
+}
+
+// ?customerId=&productId=&from=&to= (defaults to the last 30 days)
+function parseFunnelFilters(query = {}) {
+  const to = query.to ? parseDate(String(query.to), 'to', { endOfDay: true }) : new Date();
+  const from = query.from
+    ? parseDate(String(query.from), 'from')
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (from >= to) throw badRequest('from must be before to');
+
+  return {
+    customerId: query.customerId ? String(query.customerId) : undefined,
+    productId: query.productId ? String(query.productId) : undefined,
+    from,
+    to
+  };
+}
+
+function computeFunnel(events, { productId } = {}) {
+  const sessions = new Map();
+  let unattributedEvents = 0;
+
+  for (const event of events) {
+    if (!event.sessionId) {
+      if (STEP_BY_EVENT.has(safeEventName(event.name))) unattributedEvents++;
+      continue;
+    }
+    if (!sessions.has(event.sessionId)) sessions.set(event.sessionId, []);
+    sessions.get(event.sessionId).push(event);
+  }
+
+  const reached = FUNNEL_STEPS.map(() => 0);
+  let sessionCount = 0;
+
+  for (const sessionEvents of sessions.values()) {
+    // Events without a product (e.g. purchase) count when the session touched the product
+    if (productId && !sessionEvents.some(event => event.productId === productId)) continue;
+    sessionCount++;
+
+    sessionEvents.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    let next = 0;
+    for (const event of sessionEvents) {
+      if (STEP_BY_EVENT.get(safeEventName(event.name)) === next) {
+        reached[next]++;
+        next++;
+        if (next === FUNNEL_STEPS.length) break;
+      }
+    }
+  }
+
+  const steps = FUNNEL_STEPS.map((step, i) => ({
+    step: step.step,
+    label: step.label,
+    sessions: reached[i],
+    dropOff: i < FUNNEL_STEPS.length - 1 ? reached[i] - reached[i + 1] : 0,
+    conversionRate: i === 0 ? rate(reached[0], sessionCount) : rate(reached[i], reached[i - 1]),
+    overallRate: rate(reached[i], reached[0])
+  }));
+
+  const [view, tryonClick, upload, result, addToCart, purchase] = reached;
+
+  return {
+    sessions: sessionCount,
+    unattributedEvents,
+    steps,
+
+    // Flat counts and step rates used by the dashboard pages
+    productView: view,
+    tryonClick,
+    photoUpload: upload,
+    resultViewed: result,
+    addToCart,
+    purchase,
+    tryonRate: rate(tryonClick, view),
+    uploadRate: rate(upload, tryonClick),
+    viewRate: rate(result, upload),
+    cartRate: rate(addToCart, result),
+    purchaseRate: rate(purchase, addToCart)
+  };
+}
+
+module.exports = {
+  FUNNEL_STEPS,
+  parseDate,
+  parseFunnelFilters,
+  computeFunnel
+};
@@ -0,0 +1,134 @@
+/**
+ * Analytics Rollups
+ * Folds raw analytics events into hourly and daily aggregates, one per
+ * (granularity, bucket, customerId). Stores persist the aggregates next to the raw
+ * events; summaries and charts are computed from them so reads never scan raw events.
+ */
+
+const GRANULARITIES = ['hour', 'day'];
+
+function isSuccess(status) {
+  return status === 'success' || status === 200;
+}
+
+// Start of the UTC hour/day containing `timestamp`, as an ISO string
+function bucketStart(timestamp, granularity) {
+  const iso = new Date(timestamp).toISOString();
+  return granularity === 'hour'
+    ? `${iso.slice(0, 13)}:00:00.000Z`
+    : `${iso.slice(0, 10)}T00:00:00.000Z`;
+}
+
+function rollupKey({ granularity, bucket, customerId }) {
+  return `${granularity}|${bucket}|${customerId}`;
+}
+
+// Event names become object keys (and MongoDB field paths)
+function safeEventName(name) {
+  return String(name || 'unknown').replace(/[.$]/g, '_');
+}
+
+function emptyRollup(granularity, bucket, customerId) {
+  return {
+    granularity,
+    bucket,
+    customerId,
+    calls: 0,
+    successfulCalls: 0,
+    failedCalls: 0,
+    totalDuration: 0,
+    revenue: 0,
+    events: {},
+    firstSeen: null,
+    lastSeen: null
+  };
+}
+
+function applyEvent(rollup, event) {
+  if (event.type === 'api_call') {
+    rollup.calls++;
+    if (isSuccess(event.status)) rollup.successfulCalls++;
+    else rollup.failedCalls++;
+    rollup.totalDuration += Number(event.duration) || 0;
+  } else {
+    const name = safeEventName(event.name);
+    rollup.events[name] = (rollup.events[name] || 0) + 1;
+    rollup.revenue += Number(event.revenue) || 0;
+  }
+  if (!rollup.firstSeen || event.timestamp < rollup.firstSeen) rollup.firstSeen = event.timestamp;
+  if (!rollup.lastSeen || event.timestamp > rollup.lastSeen) rollup.lastSeen = event.timestamp;
+}
+
+// Adds `increment` into `target` (both rollups for the same key)
+function mergeRollup(target, increment) {
+  target.calls += increment.calls;
+  target.successfulCalls += increment.successfulCalls;
+  target.failedCalls += increment.failedCalls;
+  target.totalDuration += increment.totalDuration;
+  target.revenue += increment.revenue;
+  for (const [name, count] of Object.entries(increment.events)) {
+    target.events[name] = (target.events[name] || 0) + count;
+  }
+  if (increment.firstSeen && (!target.firstSeen || increment.firstSeen < target.firstSeen)) {
+    target.firstSeen = increment.firstSeen;
+  }
+  if (increment.lastSeen && (!target.lastSeen || increment.lastSeen > target.lastSeen)) {
+    target.lastSeen = increment.lastSeen;
+  }
+  return target;
+}
+
+// One increment per (granularity, bucket, customer) touched by the batch
+function buildIncrements(events) {
+  const increments = new Map();
+  for (const event of events) {
+    for (const granularity of GRANULARITIES) {
+      const bucket = bucketStart(event.timestamp, granularity);
+      const key = rollupKey({ granularity, bucket, customerId: event.customerId });
+      if (!increments.has(key)) {
+        increments.set(key, emptyRollup(granularity, bucket, event.customerId));
+      }
+      applyEvent(increments.get(key), event);
+    }
+  }
+  return [...increments.values()];
+}
+
+// Collapses rollups across customers into one entry per bucket
+function totalsByBucket(rollups) {
+  const buckets = new Map();
+  for (const rollup of rollups) {
+    if (!buckets.has(rollup.bucket)) {
+      buckets.set(rollup.bucket, { ...emptyRollup(rollup.granularity, rollup.bucket, null), customers: 0 });
+    }
+    const total = buckets.get(rollup.bucket);
+    mergeRollup(total, rollup);
+    if (rollup.calls > 0) total.customers++;
+  }
+  return buckets;
+}
+
+// Collapses rollups across buckets into one entry per customer
+function totalsByCustomer(rollups) {
+  const customers = new Map();
+  for (const rollup of rollups) {
+    if (!customers.has(rollup.customerId)) {
+      customers.set(rollup.customerId, emptyRollup(rollup.granularity, null, rollup.customerId));
+    }
+    mergeRollup(customers.get(rollup.customerId), rollup);
+  }
+  return customers;
+}
+
+module.exports = {
+  GRANULARITIES,
+  isSuccess,
+  bucketStart,
+  rollupKey,
+  safeEventName,
+  emptyRollup,
+  mergeRollup,
+  buildIncrements,
+  totalsByBucket,
+  totalsByCustomer
+};
@@ -0,0 +1,38 @@
+/**
+ * Analytics Store Registry
+ *
+ * Every store backend exposes the same interface:
+ *   init()                    -> Promise        open files / indexes
+ *   append(events)            -> Promise        persist raw events (append-only)
+ *   applyRollups(increments)  -> Promise        add increments into hourly/daily rollups
+ *   getRollups(query)         -> Promise<Rollup[]>
+ *   readEvents(query)         -> Promise<Event[]>
+ *   streamEvents(query)       -> AsyncIterable<Event>   oldest first, for exports
+ *   deleteEvents(query)       -> Promise<number>        erase matching raw events
+ *   prune({ eventsBefore, hourlyBefore, dailyBefore }) -> Promise   enforce retention
+ *   clear()                   -> Promise        drop everything (tests / reset)
+ *
+ * `query` accepts { granularity, from, to, customerId } for rollups and
+ * { type, name, from, to, customerId, productId, sessionId, limit, newestFirst } for
+ * events; `from`/`to` are Dates or ISO strings (to is exclusive). Rollups are
+ * documented in services/analyticsRollups.js.
+ *
+ * The backend is chosen with ANALYTICS_STORE; by default MongoDB is used when
+ * MONGODB_URI is set and JSON-lines files otherwise. `options.namespace` gives a store
+ * that is fully separate from the default one (used for test-mode traffic).
+ */
+
+const factories = {
+  jsonl: require('./jsonl'),
+  mongo: require('./mongo')
+};
+
+function createStore(name, options = {}) {
+  const key = name || process.env.ANALYTICS_STORE || (process.env.MONGODB_URI ? 'mongo' : 'jsonl');
+  if (!factories[key]) {
+    throw new Error(`Unknown analytics store: ${key}`);
+  }
+  return factories[key](options);
+}
+
+module.exports = { createStore };
@@ -0,0 +1,233 @@
+/**
+ * JSON-lines analytics store
+ * Raw events are appended to one file per UTC day (events-YYYY-MM-DD.jsonl), so
+ * retention is a file delete. Rollups are kept in memory and snapshotted to
+ * rollups.json (write + rename) after each batch. A `namespace` option keeps its
+ * files in a subdirectory (test-mode analytics).
+ */
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { rollupKey, mergeRollup, emptyRollup } = require('../analyticsRollups');
+
+const EVENT_FILE = /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Event filter shared by readEvents, streamEvents and deleteEvents
+function eventMatcher({ type, name, from, to, customerId, productId, sessionId }) {
+  const fromIso = toIso(from);
+  const toIsoValue = toIso(to);
+  return event =>
+    (!type || event.type === type) &&
+    (!name || event.name === name) &&
+    (!customerId || event.customerId === customerId) &&
+    (!productId || event.productId === productId) &&
+    (!sessionId || event.sessionId === sessionId) &&
+    (!fromIso || event.timestamp >= fromIso) &&
+    (!toIsoValue || event.timestamp < toIsoValue);
+}
+
+function createJsonlStore(options = {}) {
+  const baseDir = options.dir || process.env.ANALYTICS_DATA_DIR || path.join(__dirname, '..', '..', 'data', 'analytics');
+  const dir = options.namespace ? path.join(baseDir, options.namespace) : baseDir;
+  const rollupFile = path.join(dir, 'rollups.json');
+  const rollups = new Map();
+
+  // Writes are chained so appends and snapshots never interleave
+  let queue = Promise.resolve();
+  const enqueue = (fn) => {
+    const next = queue.then(fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  async function writeSnapshot() {
+    const tmp = `${rollupFile}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify([...rollups.values()]));
+    await fs.rename(tmp, rollupFile);
+  }
+
+  async function eventDays() {
+    const files = await fs.readdir(dir).catch(() => []);
+    return files
+      .map(file => EVENT_FILE.exec(file))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+  }
+
+  async function readDay(day) {
+    const content = await fs.readFile(path.join(dir, `events-${day}.jsonl`), 'utf8').catch(() => '');
+    const events = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        // A crash mid-append can leave a truncated last line; skip it
+      }
+    }
+    return events;
+  }
+
+  // Day files that can hold events between from and to
+  async function daysBetween(from, to) {
+    const fromIso = toIso(from);
+    const toIsoValue = toIso(to);
+    return (await eventDays()).filter(day =>
+      (!fromIso || day >= fromIso.slice(0, 10)) && (!toIsoValue || day <= toIsoValue.slice(0, 10))
+    );
+  }
+
+  return {
+    name: 'jsonl',
+    dir,
+
+    async init() {
+      await fs.mkdir(dir, { recursive: true });
+      rollups.clear();
+      try {
+        const saved = JSON.parse(await fs.readFile(rollupFile, 'utf8'));
+        for (const rollup of saved) rollups.set(rollupKey(rollup), rollup);
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error('❌ Could not read analytics rollups:', err.message);
+      }
+    },
+
+    append(events) {
+      const byDay = new Map();
+      for (const event of events) {
+        const day = event.timestamp.slice(0, 10);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(JSON.stringify(event));
+      }
+      return enqueue(async () => {
+        for (const [day, lines] of byDay) {
+          await fs.appendFile(path.join(dir, `events-${day}.jsonl`), lines.join('\n') + '\n');
+        }
+      });
+    },
+
+    applyRollups(increments) {
+      for (const increment of increments) {
+        const key = rollupKey(increment);
+        if (!rollups.has(key)) {
+          rollups.set(key, emptyRollup(increment.granularity, increment.bucket, increment.customerId));
+        }
+        mergeRollup(rollups.get(key), increment);
+      }
+      return enqueue(writeSnapshot);
+    },
+
+    async getRollups({ granularity, from, to, customerId } = {}) {
+      const fromIso = toIso(from);
+      const toIsoValue = toIso(to);
+      return [...rollups.values()].filter(rollup =>
+        (!granularity || rollup.granularity === granularity) &&
+        (!customerId || rollup.customerId === customerId) &&
+        (!fromIso || rollup.bucket >= fromIso) &&
+        (!toIsoValue || rollup.bucket < toIsoValue)
+      );
+    },
+
+    async readEvents(query = {}) {
+      const { limit, newestFirst } = query;
+      const matches = eventMatcher(query);
+      let days = await daysBetween(query.from, query.to);
+      if (newestFirst) days = days.reverse();
+
+      const found = [];
+      for (const day of days) {
+        let events = (await readDay(day)).filter(matches);
+        if (newestFirst) events = events.reverse();
+        for (const event of events) {
+          found.push(event);
+          if (limit && found.length >= limit) return found;
+        }
+      }
+      return found;
+    },
+
+    // Reads one line at a time, so exports never hold a whole day file in memory
+    async *streamEvents(query = {}) {
+      const matches = eventMatcher(query);
+      for (const day of await daysBetween(query.from, query.to)) {
+        const input = createReadStream(path.join(dir, `events-${day}.jsonl`), 'utf8');
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+          for await (const line of lines) {
+            if (!line) continue;
+            let event;
+            try {
+              event = JSON.parse(line);
+            } catch (err) {
+              continue;
+            }
+            if (matches(event)) yield event;
+          }
+        } catch (err) {
+          // The day file was pruned after it was listed
+          if (err.code !== 'ENOENT') throw err;
+        } finally {
+          lines.close();
+          input.destroy();
+        }
+      }
+    },
+
+    // Rewrites each day file that holds a match; resolves to the number removed
+    deleteEvents(query = {}) {
+      const matches = eventMatcher(query);
+      return enqueue(async () => {
+        let removed = 0;
+        for (const day of await daysBetween(query.from, query.to)) {
+          const events = await readDay(day);
+          const kept = events.filter(event => !matches(event));
+          if (kept.length === events.length) continue;
+          removed += events.length - kept.length;
+          const file = path.join(dir, `events-${day}.jsonl`);
+          const tmp = `${file}.${process.pid}.tmp`;
+          await fs.writeFile(tmp, kept.map(event => JSON.stringify(event) + '\n').join(''));
+          await fs.rename(tmp, file);
+        }
+        return removed;
+      });
+    },
+
+    prune({ eventsBefore, hourlyBefore, dailyBefore } = {}) {
+      return enqueue(async () => {
+        if (eventsBefore) {
+          const cutoff = toIso(eventsBefore).slice(0, 10);
+          for (const day of await eventDays()) {
+            if (day < cutoff) await fs.unlink(path.join(dir, `events-${day}.jsonl`)).catch(() => {});
+          }
+        }
+        const cutoffs = { hour: toIso(hourlyBefore), day: toIso(dailyBefore) };
+        let removed = 0;
+        for (const [key, rollup] of rollups) {
+          const cutoff = cutoffs[rollup.granularity];
+          if (cutoff && rollup.bucket < cutoff) {
+            rollups.delete(key);
+            removed++;
+          }
+        }
+        if (removed) await writeSnapshot();
+      });
+    },
+
+    clear() {
+      rollups.clear();
+      return enqueue(async () => {
+        for (const day of await eventDays()) {
+          await fs.unlink(path.join(dir, `events-${day}.jsonl`)).catch(() => {});
+        }
+        await writeSnapshot();
+      });
+    }
+  };
+}
+
+module.exports = createJsonlStore;
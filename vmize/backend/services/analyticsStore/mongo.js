@@ -0,0 +1,181 @@
+/**
+ * MongoDB analytics store
+ * Raw events go to AnalyticsEvent with insertMany; rollups are upserted with $inc so
+ * several API processes can aggregate into the same documents. A `namespace` option
+ * keeps a separate pair of collections (test-mode analytics).
+ */
+
+const mongoose = require('mongoose');
+const AnalyticsEvent = require('../../models/AnalyticsEvent');
+const AnalyticsRollup = require('../../models/AnalyticsRollup');
+
+const EVENT_FIELDS = ['apiKey', 'endpoint', 'method', 'status', 'duration', 'error', 'revenue', 'data'];
+
+function toDocument(event) {
+  const doc = {
+    eventId: event.id,
+    type: event.type,
+    name: event.name,
+    customerId: event.customerId,
+    productId: event.productId,
+    sessionId: event.sessionId,
+    timestamp: new Date(event.timestamp)
+  };
+  for (const field of EVENT_FIELDS) {
+    if (event[field] !== undefined) doc[field] = event[field];
+  }
+  return doc;
+}
+
+function toEvent(doc) {
+  const event = {
+    id: doc.eventId,
+    type: doc.type,
+    name: doc.name,
+    customerId: doc.customerId,
+    productId: doc.productId,
+    sessionId: doc.sessionId,
+    timestamp: doc.timestamp.toISOString()
+  };
+  for (const field of EVENT_FIELDS) {
+    if (doc[field] !== undefined) event[field] = doc[field];
+  }
+  return event;
+}
+
+function toRollup(doc) {
+  return {
+    granularity: doc.granularity,
+    bucket: doc.bucket.toISOString(),
+    customerId: doc.customerId,
+    calls: doc.calls || 0,
+    successfulCalls: doc.successfulCalls || 0,
+    failedCalls: doc.failedCalls || 0,
+    totalDuration: doc.totalDuration || 0,
+    revenue: doc.revenue || 0,
+    events: doc.events || {},
+    firstSeen: doc.firstSeen ? doc.firstSeen.toISOString() : null,
+    lastSeen: doc.lastSeen ? doc.lastSeen.toISOString() : null
+  };
+}
+
+function range(field, from, to) {
+  if (!from && !to) return {};
+  const condition = {};
+  if (from) condition.$gte = new Date(from);
+  if (to) condition.$lt = new Date(to);
+  return { [field]: condition };
+}
+
+function eventFilter({ type, name, from, to, customerId, productId, sessionId }) {
+  const filter = { ...range('timestamp', from, to) };
+  if (type) filter.type = type;
+  if (name) filter.name = name;
+  if (customerId) filter.customerId = customerId;
+  if (productId) filter.productId = productId;
+  if (sessionId) filter.sessionId = sessionId;
+  return filter;
+}
+
+// Same schema in its own collections, e.g. test_analyticsevents for test-mode traffic
+function namespacedModel(Model, namespace) {
+  if (!namespace) return Model;
+  const name = `${namespace}_${Model.modelName}`;
+  return mongoose.models[name] || mongoose.model(name, Model.schema, `${namespace}_${Model.collection.collectionName}`);
+}
+
+function createMongoStore(options = {}) {
+  const Events = namespacedModel(AnalyticsEvent, options.namespace);
+  const Rollups = namespacedModel(AnalyticsRollup, options.namespace);
+
+  return {
+    name: 'mongo',
+
+    async init() {
+      await Promise.all([Events.init(), Rollups.init()]);
+    },
+
+    async append(events) {
+      if (!events.length) return;
+      // ordered: false so a retried batch only skips the duplicates
+      await Events.insertMany(events.map(toDocument), { ordered: false })
+        .catch(err => {
+          if (err.code !== 11000 && !err.writeErrors?.every(e => e.code === 11000)) throw err;
+        });
+    },
+
+    async applyRollups(increments) {
+      if (!increments.length) return;
+      const ops = increments.map(increment => {
+        const inc = {
+          calls: increment.calls,
+          successfulCalls: increment.successfulCalls,
+          failedCalls: increment.failedCalls,
+          totalDuration: increment.totalDuration,
+          revenue: increment.revenue
+        };
+        for (const [name, count] of Object.entries(increment.events)) {
+          inc[`events.${name}`] = count;
+        }
+        const update = { $inc: inc };
+        if (increment.firstSeen) update.$min = { firstSeen: new Date(increment.firstSeen) };
+        if (increment.lastSeen) update.$max = { lastSeen: new Date(increment.lastSeen) };
+        return {
+          updateOne: {
+            filter: {
+              granularity: increment.granularity,
+              bucket: new Date(increment.bucket),
+              customerId: increment.customerId
+            },
+            update,
+            upsert: true
+          }
+        };
+      });
+      await Rollups.bulkWrite(ops, { ordered: false });
+    },
+
+    async getRollups({ granularity, from, to, customerId } = {}) {
+      const filter = { ...range('bucket', from, to) };
+      if (granularity) filter.granularity = granularity;
+      if (customerId) filter.customerId = customerId;
+      const docs = await Rollups.find(filter).lean();
+      return docs.map(toRollup);
+    },
+
+    async readEvents({ limit, newestFirst, ...query } = {}) {
+      let find = Events.find(eventFilter(query)).sort({ timestamp: newestFirst ? -1 : 1 });
+      if (limit) find = find.limit(limit);
+      const docs = await find.lean();
+      return docs.map(toEvent);
+    },
+
+    async *streamEvents(query = {}) {
+      const cursor = Events.find(eventFilter(query)).sort({ timestamp: 1 }).lean().cursor();
+      try {
+        for await (const doc of cursor) yield toEvent(doc);
+      } finally {
+        await cursor.close();
+      }
+    },
+
+    async deleteEvents(query = {}) {
+      const { deletedCount } = await Events.deleteMany(eventFilter(query));
+      return deletedCount;
+    },
+
+    async prune({ eventsBefore, hourlyBefore, dailyBefore } = {}) {
+      const jobs = [];
+      if (eventsBefore) jobs.push(Events.deleteMany({ timestamp: { $lt: new Date(eventsBefore) } }));
+      if (hourlyBefore) jobs.push(Rollups.deleteMany({ granularity: 'hour', bucket: { $lt: new Date(hourlyBefore) } }));
+      if (dailyBefore) jobs.push(Rollups.deleteMany({ granularity: 'day', bucket: { $lt: new Date(dailyBefore) } }));
+      await Promise.all(jobs);
+    },
+
+    async clear() {
+      await Promise.all([Events.deleteMany({}), Rollups.deleteMany({})]);
+    }
+  };
+}
+
+module.exports = createMongoStore;
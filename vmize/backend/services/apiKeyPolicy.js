@@ -0,0 +1,60 @@
+/**
+ * API Key Policy
+ * Where a key may be used (see models/Customer: key types). Secret keys are for the
+ * merchant's server and are accepted everywhere. Publishable keys are embedded in
+ * storefront pages, so anyone can read them: they are only accepted on the storefront
+ * routes (creating and following try-ons, posting widget events), only when the browser
+ * says the page is on one of the key's allowed domains, and try-on creation is limited
+ * per key and minute.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { hostAllowed, requestHost } = require('./domains');
+const rateLimits = require('./rateLimits');
+
+// Try-ons a publishable key may start per minute unless the key sets its own limit
+const PUBLISHABLE_RATE_LIMIT_PER_MINUTE = Number(process.env.PUBLISHABLE_KEY_RATE_LIMIT_PER_MINUTE || 30);
+
+function isPublishable(account) {
+  return account?.type === 'publishable';
+}
+
+// Why `account` may not be used for this request, or null when it may. `storefront`
+// marks the routes publishable keys are meant for.
+function denialReason(account, req, { storefront = false } = {}) {
+  if (!isPublishable(account)) return null;
+  if (!storefront) return 'Publishable keys can only create try-ons; use a secret key from your server';
+  const host = requestHost(req);
+  if (!host) return 'Publishable keys can only be used from a web page (missing Origin header)';
+  if (!hostAllowed(host, account.allowedDomains)) return `This publishable key is not allowed on ${host}`;
+  return null;
+}
+
+// Per-key limit on try-on creation for publishable keys; runs after the key is verified
+// (req.customer). Secret keys are bound by their plan's quota and the tryon policy of
+// services/rateLimits. `onLimit(req, res, message)` sends the 429 in the caller's error
+// format.
+function tryonRateLimit({ onLimit } = {}) {
+  return rateLimit({
+    windowMs: 60 * 1000,
+    limit: req => req.customer.rateLimitPerMinute || PUBLISHABLE_RATE_LIMIT_PER_MINUTE,
+    skip: req => !isPublishable(req.customer),
+    keyGenerator: req => req.customer.keyId,
+    store: rateLimits.createStore('publishable-tryon'),
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      rateLimits.emitThrottled(rateLimits.requestContext(req), { policy: 'publishable_key', reason: 'rate_limit' });
+      const message = 'Too many try-ons for this key, please wait a minute';
+      if (onLimit) return onLimit(req, res, message);
+      return res.status(429).json({ error: message });
+    }
+  });
+}
+
+module.exports = {
+  PUBLISHABLE_RATE_LIMIT_PER_MINUTE,
+  isPublishable,
+  denialReason,
+  tryonRateLimit
+};
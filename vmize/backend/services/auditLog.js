@@ -0,0 +1,125 @@
+/**
+ * Admin Audit Log
+ * Append-only record of admin actions: sign-ins (including failed ones), account and
+ * role changes, and every request made with an admin session or the
+ * ADMIN_SECRET_TOKEN service credential (services/adminAuth records those when the
+ * response finishes).
+ *
+ * Uses the AdminAuditLog model when MongoDB is connected; otherwise keeps the most
+ * recent AUDIT_LOG_MEMORY_LIMIT entries in memory.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AdminAuditLog = require('../models/AdminAuditLog');
+
+const MEMORY_LIMIT = Number(process.env.AUDIT_LOG_MEMORY_LIMIT || 10000);
+const MAX_PAGE_SIZE = 200;
+
+// =====================================
+// BACKENDS
+// =====================================
+
+function matches(entry, filter) {
+  if (filter.adminId && entry.actor.adminId !== filter.adminId) return false;
+  if (filter.action && entry.action !== filter.action) return false;
+  if (filter.outcome && entry.outcome !== filter.outcome) return false;
+  if (filter.customerId && entry.customerId !== filter.customerId) return false;
+  if (filter.from && entry.at < filter.from) return false;
+  if (filter.to && entry.at > filter.to) return false;
+  return true;
+}
+
+const memoryBackend = {
+  entries: [],
+
+  async insert(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > MEMORY_LIMIT) this.entries.splice(0, this.entries.length - MEMORY_LIMIT);
+  },
+
+  async list(filter, { skip, limit }) {
+    const found = this.entries.filter(entry => matches(entry, filter)).reverse();
+    return { entries: found.slice(skip, skip + limit).map(entry => ({ ...entry })), total: found.length };
+  }
+};
+
+const mongoBackend = {
+  async insert(entry) {
+    await AdminAuditLog.create(entry);
+  },
+
+  async list(filter, { skip, limit }) {
+    const query = {};
+    if (filter.adminId) query['actor.adminId'] = filter.adminId;
+    if (filter.action) query.action = filter.action;
+    if (filter.outcome) query.outcome = filter.outcome;
+    if (filter.customerId) query.customerId = filter.customerId;
+    if (filter.from || filter.to) {
+      query.at = {};
+      if (filter.from) query.at.$gte = filter.from;
+      if (filter.to) query.at.$lte = filter.to;
+    }
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(query, { _id: 0 }).sort({ at: -1 }).skip(skip).limit(limit).lean(),
+      AdminAuditLog.countDocuments(query)
+    ]);
+    return { entries, total };
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// PUBLIC API
+// =====================================
+
+// Actor fields for an admin principal (services/adminAuth), or an anonymous caller
+function actorFor(principal, username) {
+  if (!principal) return { type: 'anonymous', username };
+  return { type: principal.type, adminId: principal.adminId, username: principal.username, role: principal.role };
+}
+
+// Record an entry: { actor, action, outcome, method, path, statusCode, customerId, ip,
+// userAgent, details }. Auditing never fails the admin action; errors are logged.
+async function record(entry) {
+  const stored = {
+    entryId: `aud_${crypto.randomBytes(10).toString('hex')}`,
+    at: new Date(),
+    outcome: 'success',
+    ...entry
+  };
+  try {
+    await backend().insert(stored);
+  } catch (err) {
+    console.error(`❌ Failed to write audit log entry ${stored.action}:`, err.message);
+  }
+  return stored;
+}
+
+// Newest first: { entries, pagination }
+async function list({ adminId, action, outcome, customerId, from, to, page = 1, limit = 50 } = {}) {
+  const pageNumber = Math.max(1, Number(page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(limit) || 50));
+  const filter = {
+    adminId,
+    action,
+    outcome,
+    customerId,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined
+  };
+  const { entries, total } = await backend().list(filter, { skip: (pageNumber - 1) * pageSize, limit: pageSize });
+  return {
+    entries,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+module.exports = {
+  actorFor,
+  record,
+  list
+};
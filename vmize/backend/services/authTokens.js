@@ -0,0 +1,209 @@
+/**
+ * Auth Tokens
+ * Refresh tokens and single-use tokens (password reset, email verification). Tokens
+ * are random strings handed to the client once and stored only as SHA-256 digests.
+ *
+ * Refresh tokens rotate: each one can be exchanged exactly once for a new one in the
+ * same family (one family per login, its id is the session id carried in access
+ * tokens). Presenting an already-used token means it was stolen or replayed, so the
+ * whole family is revoked and the session ends. Logout revokes the family too.
+ *
+ * Uses the AuthToken model when MongoDB is connected, otherwise an in-memory store.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuthToken = require('../models/AuthToken');
+
+const REFRESH_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+const TTL_MS = {
+  refresh: REFRESH_TTL_MS,
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * 60 * 1000,
+  email_verification: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60 * 60 * 1000
+};
+
+const PREFIXES = { refresh: 'rt_', password_reset: 'pr_', email_verification: 'ev_' };
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const memoryBackend = {
+  tokens: new Map(),
+
+  async insert(record) {
+    const now = new Date();
+    this.tokens.set(record.tokenHash, { ...record, createdAt: now, updatedAt: now });
+  },
+
+  async find(tokenHash) {
+    const record = this.tokens.get(tokenHash);
+    return record ? { ...record } : null;
+  },
+
+  // Mark unused, unrevoked, unexpired token as used; only one caller wins
+  async consume(tokenHash, type, now) {
+    const record = this.tokens.get(tokenHash);
+    if (!record || record.type !== type || record.usedAt || record.revokedAt || record.expiresAt <= now) return null;
+    Object.assign(record, { usedAt: now, updatedAt: now });
+    return { ...record };
+  },
+
+  async revoke(filter, now) {
+    let revoked = 0;
+    for (const record of this.tokens.values()) {
+      if (record.revokedAt) continue;
+      if (filter.familyId && record.familyId !== filter.familyId) continue;
+      if (filter.customerId && record.customerId !== filter.customerId) continue;
+      if (filter.type && record.type !== filter.type) continue;
+      Object.assign(record, { revokedAt: now, updatedAt: now });
+      revoked++;
+    }
+    return revoked;
+  },
+
+  async familyActive(familyId, now) {
+    for (const record of this.tokens.values()) {
+      if (record.familyId === familyId && !record.revokedAt && !record.usedAt && record.expiresAt > now) return true;
+    }
+    return false;
+  }
+};
+
+const mongoBackend = {
+  async insert(record) {
+    await AuthToken.create(record);
+  },
+
+  async find(tokenHash) {
+    return AuthToken.findOne({ tokenHash }).lean();
+  },
+
+  async consume(tokenHash, type, now) {
+    return AuthToken.findOneAndUpdate(
+      { tokenHash, type, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    ).lean();
+  },
+
+  async revoke(filter, now) {
+    const query = { revokedAt: null };
+    if (filter.familyId) query.familyId = filter.familyId;
+    if (filter.customerId) query.customerId = filter.customerId;
+    if (filter.type) query.type = filter.type;
+    const { modifiedCount } = await AuthToken.updateMany(query, { $set: { revokedAt: now } });
+    return modifiedCount;
+  },
+
+  async familyActive(familyId, now) {
+    return Boolean(await AuthToken.exists({ familyId, usedAt: null, revokedAt: null, expiresAt: { $gt: now } }));
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// PUBLIC API
+// =====================================
+
+// Store a new token and return its plaintext
+async function issue(type, customerId, { familyId, userAgent, ip } = {}) {
+  const token = PREFIXES[type] + crypto.randomBytes(32).toString('hex');
+  await backend().insert({
+    tokenHash: hashToken(token),
+    type,
+    customerId: String(customerId),
+    familyId,
+    expiresAt: new Date(Date.now() + TTL_MS[type]),
+    userAgent,
+    ip
+  });
+  return token;
+}
+
+// Start a session: a refresh token in a new family. Returns { refreshToken, sessionId }.
+async function createSession(customerId, context = {}) {
+  const sessionId = `ses_${crypto.randomBytes(12).toString('hex')}`;
+  const refreshToken = await issue('refresh', customerId, { ...context, familyId: sessionId });
+  return { refreshToken, sessionId };
+}
+
+// Exchange a refresh token for the next one in its family. Returns
+// { customerId, sessionId, refreshToken }; throws 401 for unknown, expired or
+// revoked tokens, and revokes the family when a used token is presented again.
+async function rotate(refreshToken, context = {}) {
+  const store = backend();
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const current = await store.consume(tokenHash, 'refresh', now);
+  if (!current) {
+    const known = await store.find(tokenHash);
+    if (known && known.type === 'refresh' && known.usedAt && !known.revokedAt) {
+      await store.revoke({ familyId: known.familyId }, now);
+      console.warn(`⚠️ Refresh token reuse for customer ${known.customerId}; session ${known.familyId} revoked`);
+      throw httpError(401, 'Refresh token reuse detected; please sign in again');
+    }
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+  const next = await issue('refresh', current.customerId, { ...context, familyId: current.familyId });
+  return { customerId: current.customerId, sessionId: current.familyId, refreshToken: next };
+}
+
+// Customer and session of a refresh token without using it (logout), or null
+async function inspect(refreshToken) {
+  const record = await backend().find(hashToken(refreshToken));
+  if (!record || record.type !== 'refresh') return null;
+  return { customerId: record.customerId, sessionId: record.familyId };
+}
+
+async function revokeSession(sessionId) {
+  return backend().revoke({ familyId: sessionId, type: 'refresh' }, new Date());
+}
+
+async function revokeAllSessions(customerId) {
+  return backend().revoke({ customerId: String(customerId), type: 'refresh' }, new Date());
+}
+
+// A session is live while its latest refresh token is unused, unrevoked and unexpired
+async function isSessionActive(sessionId) {
+  return backend().familyActive(sessionId, new Date());
+}
+
+// Single-use tokens: issuing one revokes the customer's earlier ones of that type
+async function issueSingleUse(type, customerId) {
+  await backend().revoke({ customerId: String(customerId), type }, new Date());
+  return issue(type, customerId);
+}
+
+// Use a single-use token. Returns the customer id, or throws 400 when the token is
+// unknown, expired or already used.
+async function consumeSingleUse(type, token) {
+  const record = await backend().consume(hashToken(token), type, new Date());
+  if (!record) throw httpError(400, 'This link is invalid or has expired');
+  return record.customerId;
+}
+
+module.exports = {
+  TTL_MS,
+  createSession,
+  rotate,
+  inspect,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  issueSingleUse,
+  consumeSingleUse
+};
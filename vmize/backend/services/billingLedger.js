@@ -0,0 +1,148 @@
+/**
+ * Billing Ledger
+ * Audit trail of billing activity: one entry per overage charge (keyed by customer and
+ * period) and one per Stripe event that changed a subscription (keyed by the Stripe
+ * event id). The unique key makes every write idempotent, and claim() lets exactly one
+ * billing run work on a charge at a time.
+ *
+ * Uses the BillingEvent model when MongoDB is connected, otherwise an in-memory store.
+ */
+
+const mongoose = require('mongoose');
+const BillingEvent = require('../models/BillingEvent');
+
+// A charge left pending this long (the run died mid-way) can be claimed again
+const CLAIM_TIMEOUT_MS = Number(process.env.BILLING_CLAIM_TIMEOUT_MS || 10 * 60 * 1000);
+const MAX_PAGE_SIZE = 500;
+
+function matches(event, { customerId, type, period, status, from, to }) {
+  if (customerId && event.customerId !== customerId) return false;
+  if (type && event.type !== type) return false;
+  if (period && event.period !== period) return false;
+  if (status && event.status !== status) return false;
+  if (from && event.createdAt < from) return false;
+  if (to && event.createdAt > to) return false;
+  return true;
+}
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const memoryBackend = {
+  events: new Map(),
+
+  async insert(entry) {
+    const existing = this.events.get(entry.eventId);
+    if (existing) return { event: { ...existing }, created: false };
+    const now = new Date();
+    const event = { source: 'vmize', status: 'recorded', currency: 'usd', attempts: 0, ...entry, createdAt: now, updatedAt: now };
+    this.events.set(entry.eventId, event);
+    return { event: { ...event }, created: true };
+  },
+
+  async reclaim(eventId, staleBefore) {
+    const event = this.events.get(eventId);
+    if (!event) return null;
+    if (event.status !== 'failed' && !(event.status === 'pending' && event.updatedAt <= staleBefore)) return null;
+    Object.assign(event, { status: 'pending', attempts: event.attempts + 1, updatedAt: new Date() });
+    return { ...event };
+  },
+
+  async update(eventId, changes) {
+    const event = this.events.get(eventId);
+    if (!event) return null;
+    Object.assign(event, changes, { updatedAt: new Date() });
+    return { ...event };
+  },
+
+  async list(filter, { limit, offset }) {
+    const all = [...this.events.values()]
+      .filter(event => matches(event, filter))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return { events: all.slice(offset, offset + limit).map(event => ({ ...event })), total: all.length };
+  }
+};
+
+const mongoBackend = {
+  async insert(entry) {
+    try {
+      return { event: (await BillingEvent.create(entry)).toObject(), created: true };
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return { event: await BillingEvent.findOne({ eventId: entry.eventId }).lean(), created: false };
+    }
+  },
+
+  async reclaim(eventId, staleBefore) {
+    return BillingEvent.findOneAndUpdate(
+      { eventId, $or: [{ status: 'failed' }, { status: 'pending', updatedAt: { $lte: staleBefore } }] },
+      { $set: { status: 'pending' }, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+  },
+
+  async update(eventId, changes) {
+    return BillingEvent.findOneAndUpdate({ eventId }, { $set: changes }, { new: true }).lean();
+  },
+
+  async list({ customerId, type, period, status, from, to }, { limit, offset }) {
+    const query = {};
+    if (customerId) query.customerId = customerId;
+    if (type) query.type = type;
+    if (period) query.period = period;
+    if (status) query.status = status;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+    const [events, total] = await Promise.all([
+      BillingEvent.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      BillingEvent.countDocuments(query)
+    ]);
+    return { events, total };
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// PUBLIC API
+// =====================================
+
+// Record an entry once; later writes with the same eventId return the original.
+// Returns { event, created }.
+async function record(entry) {
+  return backend().insert(entry);
+}
+
+// Take a charge for processing. Returns the pending entry when the caller should
+// charge it, or null when it already succeeded or another run is working on it.
+async function claim(entry) {
+  const { event, created } = await backend().insert({ ...entry, status: 'pending', attempts: 1 });
+  if (created) return event;
+  if (event.status === 'succeeded') return null;
+  return backend().reclaim(entry.eventId, new Date(Date.now() - CLAIM_TIMEOUT_MS));
+}
+
+async function settle(eventId, changes) {
+  return backend().update(eventId, changes);
+}
+
+// Newest first. Filters: customerId, type, period, status, from, to
+async function list(filter = {}, { limit = 50, offset = 0 } = {}) {
+  return backend().list(filter, {
+    limit: Math.min(Math.max(1, Number(limit) || 50), MAX_PAGE_SIZE),
+    offset: Math.max(0, Number(offset) || 0)
+  });
+}
+
+module.exports = {
+  record,
+  claim,
+  settle,
+  list
+};
@@ -0,0 +1,89 @@
+/**
+ * CORS Policy
+ * Which browser origins may call the API:
+ * - the dashboard and admin pages: a fixed list (FRONTEND_URL, ALLOWED_ORIGINS and the
+ *   local dev servers), with credentials;
+ * - the widget bundle and its public config: public assets, open to every origin;
+ * - the try-on and tracking routes (TENANT_PATHS): merchants' storefronts. Preflights
+ *   carry no API key, so they are answered for any origin; the request itself is let
+ *   through once its key is known and its origin is on that customer's allowlist
+ *   (Customer.allowedOrigins; empty allows any), see allowTenantOrigin.
+ */
+
+const { hostAllowed } = require('./domains');
+
+const PUBLIC_PATHS = ['/widget.js', '/widget', '/api/v1/widget-config/public'];
+const TENANT_PATHS = ['/api/tryon', '/api/track', '/api/analytics/track'];
+// Rate limit headers (services/rateLimits) pages may read, to back off before retrying
+const EXPOSED_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'];
+
+function dashboardOrigins() {
+  return [
+    process.env.FRONTEND_URL,
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:5000',
+    'http://localhost:5173',
+    ...(process.env.ALLOWED_ORIGINS?.split(',') || [])
+  ].filter(Boolean);
+}
+
+// CORS configuration for the dashboard and everything not listed above. Other origins
+// get no CORS headers, so browsers keep the response from the page.
+const corsOptions = {
+  origin: function (origin, callback) {
+    callback(null, !origin || dashboardOrigins().includes(origin));
+  },
+  credentials: true,
+  exposedHeaders: EXPOSED_HEADERS,
+  optionsSuccessStatus: 200
+};
+
+function originHost(origin) {
+  try {
+    return new URL(origin).hostname.toLowerCase();
+  } catch (err) {
+    return null; // "null" (sandboxed frames, file://) or malformed
+  }
+}
+
+function matches(paths, req) {
+  return paths.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`));
+}
+
+// Options for the `cors` middleware, chosen per request: cors(corsOptionsFor)
+function corsOptionsFor(req, callback) {
+  if (matches(PUBLIC_PATHS, req)) return callback(null, { origin: '*' });
+  const origin = req.get('Origin');
+  if (matches(TENANT_PATHS, req) && origin && !dashboardOrigins().includes(origin)) {
+    // No headers on the request itself here: allowTenantOrigin adds them after the key check
+    return callback(null, req.method === 'OPTIONS' ? { origin: true } : { origin: false });
+  }
+  callback(null, corsOptions);
+}
+
+// For requests on the tenant routes made with `account`'s key: null when a browser on
+// this origin may use the key (and the response is made readable to it), otherwise the
+// reason it may not. Requests without an Origin (servers, same-origin) always pass.
+function allowTenantOrigin(req, res, account) {
+  const origin = req.get('Origin');
+  if (!origin || dashboardOrigins().includes(origin)) return null;
+  const allowed = account.allowedOrigins || [];
+  if (allowed.length && !hostAllowed(originHost(origin), allowed)) {
+    return `Origin ${origin} is not allowed for this account`;
+  }
+  res.set('Access-Control-Allow-Origin', origin);
+  res.set('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+  res.vary('Origin');
+  return null;
+}
+
+module.exports = {
+  PUBLIC_PATHS,
+  TENANT_PATHS,
+  EXPOSED_HEADERS,
+  dashboardOrigins,
+  corsOptions,
+  corsOptionsFor,
+  allowTenantOrigin
+};
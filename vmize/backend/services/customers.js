@@ -0,0 +1,775 @@
+/**
+ * Customer Store
+ * Customer accounts, their API keys and monthly usage. Uses the Customer model when
+ * MongoDB is connected; otherwise keeps Customer documents in memory (lost on restart)
+ * so local servers and in-process tests can register customers and authenticate keys.
+ *
+ * API keys resolve to an "account": a request-scoped view of the caller
+ * ({ customerId, email, plan, limit, hardCap, keyId, mode, type, scopes, allowedDomains,
+ * rateLimitPerMinute, allowedOrigins, customer }). services/apiKeyPolicy and
+ * services/corsPolicy decide where a key may be used. Quota is enforced by services/metering; usage on the customer record is a
+ * mirror of it.
+ *
+ * The admin reports (customer search, plan and status totals, monthly usage) run as
+ * aggregations in MongoDB and as the equivalent scans in memory.
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const plans = require('./plans');
+const { normalizeDomains } = require('./domains');
+
+const MAX_ACTIVE_KEYS = Number(process.env.MAX_ACTIVE_API_KEYS || 20);
+const EMAIL_LOG_LIMIT = Number(process.env.EMAIL_LOG_LIMIT || 50);
+const MAX_PAGE_SIZE = 100;
+
+// Shared publishable key used by the product demo pages, which ship it in their source.
+// Like any publishable key it only creates try-ons, from DEMO_KEY_DOMAINS, within its rate
+// limit. Never accepted in production unless ENABLE_DEMO_KEYS=true.
+const DEMO_KEY_DOMAINS = (process.env.DEMO_KEY_DOMAINS || 'localhost,127.0.0.1,vmizestudio.com,*.vmizestudio.com')
+  .split(',').map(domain => domain.trim()).filter(Boolean);
+
+const demoAccounts = {
+  'vmize_pk_demo_test_1234567890': {
+    customerId: 'demo_customer',
+    email: 'demo@example.com',
+    plan: 'professional',
+    limit: 500,
+    hardCap: 500,
+    keyId: 'key_demo',
+    // Runs the configured provider like a live key, so the demo pages show real results
+    mode: 'demo',
+    type: 'publishable',
+    scopes: ['tryon'],
+    allowedDomains: normalizeDomains(DEMO_KEY_DOMAINS, { field: 'DEMO_KEY_DOMAINS' }),
+    rateLimitPerMinute: Number(process.env.DEMO_KEY_RATE_LIMIT_PER_MINUTE || 10),
+    allowedOrigins: [],
+    customer: null
+  }
+};
+
+function demoKeysEnabled() {
+  if (process.env.ENABLE_DEMO_KEYS) return process.env.ENABLE_DEMO_KEYS === 'true';
+  return process.env.NODE_ENV !== 'production';
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// =====================================
+// ADMIN QUERIES
+// =====================================
+
+// Usage at or above this share of the plan's included try-ons counts as "near the limit"
+const NEAR_LIMIT_PERCENT = 80;
+
+// Sortable fields for searchCustomers
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  email: 'email',
+  companyName: 'companyName',
+  plan: 'plan',
+  status: 'subscriptionStatus',
+  usage: 'usage.currentMonth.tryons',
+  usagePercent: 'usagePercent'
+};
+
+// Share of the plan's included try-ons used this month, computed in the database
+const USAGE_PERCENT_EXPR = {
+  $multiply: [100, {
+    $divide: [
+      { $ifNull: ['$usage.currentMonth.tryons', 0] },
+      {
+        $switch: {
+          branches: plans.listPlans().map(plan => ({ case: { $eq: ['$plan', plan.id] }, then: plan.included })),
+          default: plans.getPlan('trial').included
+        }
+      }
+    ]
+  }]
+};
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function usagePercent(customer) {
+  return (customer.usage.currentMonth.tryons / plans.getPlan(customer.plan).included) * 100;
+}
+
+// criteria: { plans, status, search, nearLimit }
+function criteriaQuery({ plans: planIds, status, search }) {
+  const query = {};
+  if (planIds) query.plan = { $in: planIds };
+  if (status) query.subscriptionStatus = status;
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ email: pattern }, { companyName: pattern }, { name: pattern }];
+  }
+  return query;
+}
+
+function matchesCriteria(customer, { plans: planIds, status, search, nearLimit }) {
+  if (planIds && !planIds.includes(customer.plan)) return false;
+  if (status && customer.subscriptionStatus !== status) return false;
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    if (![customer.email, customer.companyName, customer.name].some(value => value && pattern.test(value))) return false;
+  }
+  if (nearLimit && usagePercent(customer) < NEAR_LIMIT_PERCENT) return false;
+  return true;
+}
+
+function sortValue({ customer, usagePercent: percent }, field) {
+  if (field === 'usagePercent') return percent;
+  return field.split('.').reduce((value, key) => (value == null ? value : value[key]), customer);
+}
+
+// Missing values sort first, like MongoDB
+function compareValues(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Export filter: one customer and/or a signup date range (to is exclusive)
+function exportQuery({ customerId, from, to }) {
+  const query = {};
+  if (customerId) query._id = customerId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lt = new Date(to);
+  }
+  return query;
+}
+
+function matchesExport(customer, { customerId, from, to }) {
+  if (customerId && String(customer._id) !== String(customerId)) return false;
+  if (from && customer.createdAt < new Date(from)) return false;
+  if (to && customer.createdAt >= new Date(to)) return false;
+  return true;
+}
+
+function emptyMonth(month) {
+  return { month, customers: 0, tryons: 0, apiCalls: 0, overage: 0, overageCost: 0 };
+}
+
+function addToMonth(total, entry) {
+  total.customers++;
+  total.tryons += entry.tryons || 0;
+  total.apiCalls += entry.apiCalls || 0;
+  total.overage += entry.overage || 0;
+  total.overageCost += entry.overageCost || 0;
+}
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const memoryBackend = {
+  customers: new Map(),
+
+  async findById(id) {
+    return this.customers.get(String(id)) || null;
+  },
+
+  async findByEmail(email) {
+    for (const customer of this.customers.values()) {
+      if (customer.email === String(email).toLowerCase()) return customer;
+    }
+    return null;
+  },
+
+  async findByEmailWithPassword(email) {
+    return this.findByEmail(email);
+  },
+
+  async findNames(ids) {
+    return ids.map(id => this.customers.get(id)).filter(Boolean);
+  },
+
+  async findByGoogleId(googleId) {
+    for (const customer of this.customers.values()) {
+      if (customer.googleId === googleId) return customer;
+    }
+    return null;
+  },
+
+  async findByStripeCustomerId(stripeCustomerId) {
+    for (const customer of this.customers.values()) {
+      if (customer.stripeCustomerId === stripeCustomerId) return customer;
+    }
+    return null;
+  },
+
+  async findByKeyHash(hash) {
+    for (const customer of this.customers.values()) {
+      if (customer.apiKeys.some(key => key.hash === hash && key.status === 'active')) return customer;
+    }
+    return null;
+  },
+
+  async save(customer) {
+    await customer.validate();
+    if (customer.isModified('password') && customer.password) {
+      customer.password = await Customer.hashPassword(customer.password);
+      customer.unmarkModified('password');
+    }
+    this.customers.set(String(customer._id), customer);
+    return customer;
+  },
+
+  async list() {
+    return [...this.customers.values()];
+  },
+
+  async search(criteria, { sort, skip, limit }) {
+    const [field, direction] = Object.entries(sort)[0];
+    // Ties go by insertion order in the sort direction, like _id in MongoDB
+    const found = [...this.customers.values()]
+      .map((customer, index) => ({ customer, usagePercent: usagePercent(customer), index }))
+      .filter(row => matchesCriteria(row.customer, criteria))
+      .sort((a, b) => direction * (compareValues(sortValue(a, field), sortValue(b, field)) || a.index - b.index));
+    return { rows: found.slice(skip, skip + limit).map(({ index, ...row }) => row), total: found.length };
+  },
+
+  async groupByPlanAndStatus() {
+    const groups = new Map();
+    for (const customer of this.customers.values()) {
+      const key = `${customer.plan}|${customer.subscriptionStatus}`;
+      if (!groups.has(key)) {
+        groups.set(key, { plan: customer.plan, status: customer.subscriptionStatus, customers: 0, tryons: 0, apiCalls: 0 });
+      }
+      const group = groups.get(key);
+      group.customers++;
+      group.tryons += customer.usage.currentMonth.tryons;
+      group.apiCalls += customer.usage.currentMonth.apiCalls;
+    }
+    return [...groups.values()];
+  },
+
+  async usageByMonth({ from, to }) {
+    const months = new Map();
+    for (const customer of this.customers.values()) {
+      for (const entry of customer.usage.history) {
+        if ((from && entry.month < from) || (to && entry.month > to)) continue;
+        if (!months.has(entry.month)) months.set(entry.month, emptyMonth(entry.month));
+        addToMonth(months.get(entry.month), entry);
+      }
+    }
+    return [...months.values()].sort((a, b) => compareValues(a.month, b.month));
+  },
+
+  async *stream(filter) {
+    const found = [...this.customers.values()]
+      .filter(customer => matchesExport(customer, filter))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    yield* found;
+  },
+
+  async listRetentionOverrides() {
+    return [...this.customers.values()]
+      .filter(customer => customer.imageRetention?.uploadedDays != null || customer.imageRetention?.resultDays != null);
+  },
+
+  async remove(id) {
+    return this.customers.delete(String(id));
+  },
+
+  async incrementUsage(customerId, tryons) {
+    const customer = await this.findById(customerId);
+    if (!customer) return;
+    customer.usage.currentMonth.tryons += tryons;
+    customer.usage.currentMonth.apiCalls += 1;
+    customer.usage.allTime.tryons += tryons;
+    customer.usage.allTime.apiCalls += 1;
+  },
+
+  async pushEmailLog(customerId, entry) {
+    const customer = await this.findById(customerId);
+    if (!customer) return;
+    customer.emailLog.push(entry);
+    if (customer.emailLog.length > EMAIL_LOG_LIMIT) customer.emailLog.splice(0, customer.emailLog.length - EMAIL_LOG_LIMIT);
+  }
+};
+
+const mongoBackend = {
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Customer.findById(id).select('+apiKeys.hash');
+  },
+
+  async findByEmail(email) {
+    return Customer.findOne({ email: String(email).toLowerCase() }).select('+apiKeys.hash');
+  },
+
+  async findByEmailWithPassword(email) {
+    return Customer.findOne({ email: String(email).toLowerCase() }).select('+password +apiKeys.hash');
+  },
+
+  async findNames(ids) {
+    const valid = ids.filter(id => mongoose.isValidObjectId(id));
+    return Customer.find({ _id: { $in: valid } }, { email: 1, companyName: 1 }).lean();
+  },
+
+  async findByGoogleId(googleId) {
+    return Customer.findOne({ googleId: String(googleId) }).select('+apiKeys.hash');
+  },
+
+  async findByStripeCustomerId(stripeCustomerId) {
+    return Customer.findOne({ stripeCustomerId: String(stripeCustomerId) }).select('+apiKeys.hash');
+  },
+
+  async findByKeyHash(hash) {
+    return Customer.findOne({ apiKeys: { $elemMatch: { hash, status: 'active' } } }).select('+apiKeys.hash');
+  },
+
+  async save(customer) {
+    return customer.save();
+  },
+
+  async list() {
+    return Customer.find({ 'apiKeys.0': { $exists: true } }).sort({ createdAt: -1 });
+  },
+
+  async search(criteria, { sort, skip, limit }) {
+    const [result] = await Customer.aggregate([
+      { $match: criteriaQuery(criteria) },
+      { $addFields: { usagePercent: USAGE_PERCENT_EXPR } },
+      ...(criteria.nearLimit ? [{ $match: { usagePercent: { $gte: NEAR_LIMIT_PERCENT } } }] : []),
+      { $sort: { ...sort, _id: Object.values(sort)[0] } },
+      {
+        $facet: {
+          rows: [{ $skip: skip }, { $limit: limit }, { $project: { password: 0, 'apiKeys.hash': 0 } }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    return {
+      rows: result.rows.map(({ usagePercent: percent, ...customer }) => ({ customer, usagePercent: percent })),
+      total: result.total[0]?.count || 0
+    };
+  },
+
+  async groupByPlanAndStatus() {
+    const groups = await Customer.aggregate([
+      {
+        $group: {
+          _id: { plan: '$plan', status: '$subscriptionStatus' },
+          customers: { $sum: 1 },
+          tryons: { $sum: '$usage.currentMonth.tryons' },
+          apiCalls: { $sum: '$usage.currentMonth.apiCalls' }
+        }
+      }
+    ]);
+    return groups.map(({ _id, ...totals }) => ({ plan: _id.plan, status: _id.status, ...totals }));
+  },
+
+  async usageByMonth({ from, to }) {
+    const month = {};
+    if (from) month.$gte = from;
+    if (to) month.$lte = to;
+    const months = await Customer.aggregate([
+      { $unwind: '$usage.history' },
+      ...(from || to ? [{ $match: { 'usage.history.month': month } }] : []),
+      {
+        $group: {
+          _id: '$usage.history.month',
+          customers: { $sum: 1 },
+          tryons: { $sum: '$usage.history.tryons' },
+          apiCalls: { $sum: '$usage.history.apiCalls' },
+          overage: { $sum: '$usage.history.overage' },
+          overageCost: { $sum: '$usage.history.overageCost' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    return months.map(({ _id, ...totals }) => ({ month: _id, ...totals }));
+  },
+
+  async *stream(filter) {
+    if (filter.customerId && !mongoose.isValidObjectId(filter.customerId)) return;
+    const cursor = Customer.find(exportQuery(filter)).sort({ createdAt: 1 }).lean().cursor();
+    try {
+      yield* cursor;
+    } finally {
+      await cursor.close();
+    }
+  },
+
+  async listRetentionOverrides() {
+    return Customer.find({
+      $or: [{ 'imageRetention.uploadedDays': { $ne: null } }, { 'imageRetention.resultDays': { $ne: null } }]
+    }).select('imageRetention').lean();
+  },
+
+  async remove(id) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const { deletedCount } = await Customer.deleteOne({ _id: id });
+    return deletedCount > 0;
+  },
+
+  async incrementUsage(customerId, tryons) {
+    if (!mongoose.isValidObjectId(customerId)) return;
+    await Customer.updateOne({ _id: customerId }, {
+      $inc: {
+        'usage.currentMonth.tryons': tryons,
+        'usage.currentMonth.apiCalls': 1,
+        'usage.allTime.tryons': tryons,
+        'usage.allTime.apiCalls': 1
+      }
+    });
+  },
+
+  async pushEmailLog(customerId, entry) {
+    if (!mongoose.isValidObjectId(customerId)) return;
+    await Customer.updateOne({ _id: customerId }, {
+      $push: { emailLog: { $each: [entry], $slice: -EMAIL_LOG_LIMIT } }
+    });
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// CUSTOMERS
+// =====================================
+
+async function createCustomer(data) {
+  const store = backend();
+  if (data.email && await store.findByEmail(data.email)) {
+    throw httpError(409, 'Customer already exists');
+  }
+  return store.save(new Customer(data));
+}
+
+// Accepts a customer id or an email address
+async function getCustomer(idOrEmail) {
+  if (!idOrEmail) return null;
+  const store = backend();
+  return String(idOrEmail).includes('@')
+    ? store.findByEmail(idOrEmail)
+    : store.findById(idOrEmail);
+}
+
+// For sign-in: the customer with the password hash loaded (see Customer#comparePassword)
+async function getCustomerForLogin(email) {
+  if (!email) return null;
+  return backend().findByEmailWithPassword(email);
+}
+
+// Email and company name per customer id, in one lookup: Map(id -> { email, companyName })
+async function getCustomerNames(customerIds) {
+  const ids = [...new Set(customerIds.filter(Boolean).map(String))];
+  const names = new Map();
+  if (!ids.length) return names;
+  for (const customer of await backend().findNames(ids)) {
+    names.set(String(customer._id), { email: customer.email, companyName: customer.companyName || null });
+  }
+  return names;
+}
+
+async function getCustomerByGoogleId(googleId) {
+  if (!googleId) return null;
+  return backend().findByGoogleId(googleId);
+}
+
+async function getCustomerByStripeId(stripeCustomerId) {
+  if (!stripeCustomerId) return null;
+  return backend().findByStripeCustomerId(stripeCustomerId);
+}
+
+async function saveCustomer(customer) {
+  return backend().save(customer);
+}
+
+async function listCustomersWithKeys() {
+  return backend().list();
+}
+
+async function deleteCustomer(id) {
+  return backend().remove(id);
+}
+
+// =====================================
+// ADMIN REPORTS
+// =====================================
+
+// Admin customer list: { plans, status, search, nearLimit } narrow it, `sort` is a
+// key of SORT_FIELDS. Returns { rows: [{ customer, usagePercent }], pagination }.
+async function searchCustomers({ plans: planIds, status, search, nearLimit = false, sort = 'createdAt', order = 'desc', page = 1, limit = 25 } = {}) {
+  if (!SORT_FIELDS[sort]) throw httpError(400, `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  if (!['asc', 'desc'].includes(order)) throw httpError(400, 'order must be asc or desc');
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), MAX_PAGE_SIZE);
+  const { rows, total } = await backend().search(
+    { plans: planIds, status, search: search ? String(search) : undefined, nearLimit },
+    { sort: { [SORT_FIELDS[sort]]: order === 'asc' ? 1 : -1 }, skip: (pageNumber - 1) * pageSize, limit: pageSize }
+  );
+  return {
+    rows,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+// Customer counts and this month's usage per (plan, subscriptionStatus) pair
+async function summarizeCustomers() {
+  return backend().groupByPlanAndStatus();
+}
+
+// Archived monthly usage summed across customers, oldest first; from/to are YYYY-MM
+async function usageByMonth({ from, to } = {}) {
+  return backend().usageByMonth({ from, to });
+}
+
+// Customers oldest first for data exports, read through a cursor in MongoDB.
+// { customerId, from, to } narrow it; from/to apply to the signup date.
+function streamCustomers({ customerId, from, to } = {}) {
+  return backend().stream({ customerId, from, to });
+}
+
+// Customers with their own image retention: [{ customerId, uploadedDays, resultDays }]
+// (null fields use the platform default, see services/privacy)
+async function listImageRetentionOverrides() {
+  const found = await backend().listRetentionOverrides();
+  return found.map(customer => ({
+    customerId: String(customer._id),
+    uploadedDays: customer.imageRetention.uploadedDays ?? null,
+    resultDays: customer.imageRetention.resultDays ?? null
+  }));
+}
+
+// =====================================
+// API KEYS
+// =====================================
+
+// Safe representation of a key record: never includes the secret or its digest
+function publicKey(record) {
+  return {
+    keyId: record.keyId,
+    name: record.name,
+    mode: record.mode,
+    type: record.type,
+    scopes: [...record.scopes],
+    allowedDomains: record.allowedDomains ? [...record.allowedDomains] : undefined,
+    rateLimitPerMinute: record.rateLimitPerMinute,
+    status: record.status,
+    display: `${record.prefix}…${record.last4}`,
+    rotatedFrom: record.rotatedFrom,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt,
+    revokedAt: record.revokedAt
+  };
+}
+
+function validateKeyOptions({ name, mode, type, scopes, rateLimitPerMinute } = {}) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 64)) {
+    throw httpError(400, 'name must be 1-64 characters');
+  }
+  if (mode !== undefined && !['live', 'test'].includes(mode)) {
+    throw httpError(400, 'mode must be live or test');
+  }
+  if (type !== undefined && !Customer.KEY_TYPES.includes(type)) {
+    throw httpError(400, `type must be one of: ${Customer.KEY_TYPES.join(', ')}`);
+  }
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !Customer.KEY_SCOPES.includes(scope))) {
+      throw httpError(400, `scopes must be a non-empty list of: ${Customer.KEY_SCOPES.join(', ')}`);
+    }
+  }
+  if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null
+    && (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1 || rateLimitPerMinute > 10000)) {
+    throw httpError(400, 'rateLimitPerMinute must be a whole number from 1 to 10000');
+  }
+}
+
+// Publishable keys are useless without a domain to use them from
+function validateDomains(allowedDomains) {
+  const domains = normalizeDomains(allowedDomains === undefined ? [] : allowedDomains);
+  if (!domains.length) throw httpError(400, 'Publishable keys need at least one allowed domain');
+  return domains;
+}
+
+// Returns { key, apiKey }; `key` is the only time the plaintext is available
+async function createKey(customer, options = {}) {
+  validateKeyOptions(options);
+  const active = customer.apiKeys.filter(key => key.status === 'active').length;
+  if (active >= MAX_ACTIVE_KEYS) {
+    throw httpError(400, `A customer can have at most ${MAX_ACTIVE_KEYS} active keys`);
+  }
+  const publishable = options.type === 'publishable';
+  if (publishable && options.scopes !== undefined && options.scopes.some(scope => scope !== 'tryon')) {
+    throw httpError(400, 'Publishable keys can only create try-ons; use a secret key for other scopes');
+  }
+  if (!publishable && (options.allowedDomains !== undefined || options.rateLimitPerMinute !== undefined)) {
+    throw httpError(400, 'allowedDomains and rateLimitPerMinute only apply to publishable keys');
+  }
+  const { key, apiKey } = customer.createApiKey({
+    name: options.name && options.name.trim(),
+    mode: options.mode,
+    type: options.type,
+    scopes: options.scopes,
+    allowedDomains: publishable ? validateDomains(options.allowedDomains) : undefined,
+    rateLimitPerMinute: publishable ? options.rateLimitPerMinute : undefined
+  });
+  await saveCustomer(customer);
+  return { key, apiKey: publicKey(apiKey) };
+}
+
+// Change a publishable key's domains or rate limit ({ allowedDomains, rateLimitPerMinute };
+// a null rate limit goes back to the server default). The key itself stays the same.
+async function updateKey(customer, keyId, { allowedDomains, rateLimitPerMinute } = {}) {
+  const apiKey = customer.findApiKey(keyId);
+  if (!apiKey || apiKey.status === 'revoked') throw httpError(404, 'API key not found');
+  if (apiKey.type !== 'publishable') {
+    throw httpError(400, 'Only publishable keys have allowed domains and rate limits');
+  }
+  if (allowedDomains === undefined && rateLimitPerMinute === undefined) {
+    throw httpError(400, 'Nothing to update: pass allowedDomains or rateLimitPerMinute');
+  }
+  validateKeyOptions({ rateLimitPerMinute });
+  if (allowedDomains !== undefined) apiKey.allowedDomains = validateDomains(allowedDomains);
+  if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute === null ? undefined : rateLimitPerMinute;
+  await saveCustomer(customer);
+  return publicKey(apiKey);
+}
+
+async function rotateKey(customer, keyId) {
+  const rotated = customer.rotateApiKey(keyId);
+  if (!rotated) throw httpError(404, 'API key not found');
+  await saveCustomer(customer);
+  return { key: rotated.key, apiKey: publicKey(rotated.apiKey) };
+}
+
+async function revokeKey(customer, keyId) {
+  const revoked = customer.revokeApiKey(keyId);
+  if (!revoked) throw httpError(404, 'API key not found');
+  await saveCustomer(customer);
+  return publicKey(revoked);
+}
+
+// Subscription states that keep live keys working; test keys (sandbox) and the demo key
+// are never billed, so they work whatever the state
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+function isSubscriptionActive(subscriptionStatus) {
+  return ACTIVE_SUBSCRIPTION_STATUSES.includes(subscriptionStatus);
+}
+
+function toAccount(customer, apiKey) {
+  return {
+    customerId: String(customer._id),
+    email: customer.email,
+    plan: customer.plan,
+    subscriptionStatus: customer.subscriptionStatus,
+    limit: customer.getPlanLimit(),
+    overageRate: customer.getOverageRate(),
+    hardCap: customer.getHardCap(),
+    keyId: apiKey.keyId,
+    mode: apiKey.mode,
+    type: apiKey.type,
+    scopes: [...apiKey.scopes],
+    allowedDomains: apiKey.allowedDomains ? [...apiKey.allowedDomains] : [],
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    allowedOrigins: [...(customer.allowedOrigins || [])],
+    customer
+  };
+}
+
+// Resolve a plaintext key to an account, or null for unknown/revoked keys. Lookups that
+// are not API usage (the public widget config) pass { recordUse: false }.
+async function authenticateApiKey(key, { recordUse = true } = {}) {
+  if (!key) return null;
+  if (demoAccounts[key]) return demoKeysEnabled() ? demoAccounts[key] : null;
+  if (!/^vmize_(pk|sk)_(live|test)_/.test(key)) return null;
+
+  const hash = Customer.hashApiKey(key);
+  const customer = await backend().findByKeyHash(hash);
+  if (!customer) return null;
+
+  const apiKey = customer.apiKeys.find(k => k.hash === hash);
+  if (!recordUse) return toAccount(customer, apiKey);
+  apiKey.lastUsedAt = new Date();
+  if (backend() === mongoBackend) {
+    // Best effort; a stale lastUsedAt never blocks a request
+    Customer.updateOne({ _id: customer._id, 'apiKeys.keyId': apiKey.keyId }, { $set: { 'apiKeys.$.lastUsedAt': apiKey.lastUsedAt } })
+      .catch(() => {});
+  }
+  return toAccount(customer, apiKey);
+}
+
+// =====================================
+// ALLOWED ORIGINS
+// =====================================
+
+async function requireCustomer(idOrEmail) {
+  const customer = await getCustomer(String(idOrEmail));
+  if (!customer) throw httpError(404, 'Customer not found');
+  return customer;
+}
+
+// The customer's storefront origins (CORS allowlist for the try-on and tracking routes)
+async function getAllowedOrigins(idOrEmail) {
+  const customer = await requireCustomer(idOrEmail);
+  return [...(customer.allowedOrigins || [])];
+}
+
+// Replace the list; entries are normalized to hosts or *.wildcards. An empty list lets
+// pages on any origin use the customer's keys (publishable keys keep their own domains).
+async function setAllowedOrigins(idOrEmail, origins) {
+  const customer = await requireCustomer(idOrEmail);
+  customer.allowedOrigins = normalizeDomains(origins, { field: 'allowedOrigins' });
+  await saveCustomer(customer);
+  return [...customer.allowedOrigins];
+}
+
+// Add committed try-ons to the customer's usage counters (no-op for the demo account)
+async function addUsage(customerId, tryons = 1) {
+  await backend().incrementUsage(String(customerId), tryons);
+}
+
+// Record a delivered email on the customer ({ messageId, template, subject, to, sentAt })
+async function logEmail(customerId, entry) {
+  await backend().pushEmailLog(String(customerId), entry);
+}
+
+function demoCustomerIds() {
+  return Object.values(demoAccounts).map(account => account.customerId);
+}
+
+module.exports = {
+  createCustomer,
+  getCustomer,
+  getCustomerForLogin,
+  getCustomerNames,
+  getCustomerByGoogleId,
+  getCustomerByStripeId,
+  saveCustomer,
+  listCustomersWithKeys,
+  deleteCustomer,
+  NEAR_LIMIT_PERCENT,
+  SORT_FIELDS,
+  searchCustomers,
+  summarizeCustomers,
+  usageByMonth,
+  streamCustomers,
+  listImageRetentionOverrides,
+  publicKey,
+  createKey,
+  updateKey,
+  rotateKey,
+  revokeKey,
+  ACTIVE_SUBSCRIPTION_STATUSES,
+  isSubscriptionActive,
+  authenticateApiKey,
+  getAllowedOrigins,
+  setAllowedOrigins,
+  addUsage,
+  logEmail,
+  demoCustomerIds
+};
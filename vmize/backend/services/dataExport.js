@@ -0,0 +1,187 @@
+/**
+ * Data Exports
+ * Customers, try-on jobs, API call logs and analytics events as CSV or NDJSON. Rows
+ * are read through store cursors and written as the response drains, so an export
+ * never holds a tenant's full history in memory.
+ *
+ * Each dataset maps records to flat rows with fixed columns; NDJSON keeps nested
+ * values (an event's `data`) as objects, CSV writes them as JSON text.
+ */
+
+const { Readable, pipeline } = require('stream');
+const customers = require('./customers');
+const tryonJobs = require('./tryonJobs');
+const { parseDate } = require('./analyticsFunnel');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const iso = value => (value ? new Date(value).toISOString() : null);
+
+// `permission` is what an admin needs; merchants always get their own rows only
+const DATASETS = {
+  customers: {
+    permission: 'customers:read',
+    columns: ['id', 'email', 'name', 'companyName', 'plan', 'subscriptionStatus', 'emailVerified', 'activeKeys',
+      'tryonsThisMonth', 'apiCallsThisMonth', 'tryonsAllTime', 'apiCallsAllTime', 'createdAt'],
+    read: ({ customerId, from, to }) => customers.streamCustomers({ customerId, from, to }),
+    toRow: customer => ({
+      id: String(customer._id),
+      email: customer.email,
+      name: customer.name,
+      companyName: customer.companyName,
+      plan: customer.plan,
+      subscriptionStatus: customer.subscriptionStatus,
+      emailVerified: Boolean(customer.emailVerified),
+      activeKeys: (customer.apiKeys || []).filter(key => key.status === 'active').length,
+      tryonsThisMonth: customer.usage?.currentMonth?.tryons || 0,
+      apiCallsThisMonth: customer.usage?.currentMonth?.apiCalls || 0,
+      tryonsAllTime: customer.usage?.allTime?.tryons || 0,
+      apiCallsAllTime: customer.usage?.allTime?.apiCalls || 0,
+      createdAt: iso(customer.createdAt)
+    })
+  },
+  tryons: {
+    permission: 'tryons:read',
+    columns: ['id', 'customerId', 'productId', 'sessionId', 'endpoint', 'provider', 'status', 'testMode',
+      'predictionId', 'resultImageUrl', 'error', 'createdAt', 'completedAt', 'totalMs'],
+    read: ({ customerId, from, to }) => tryonJobs.streamJobs({ customerId, from, to }),
+    toRow: job => ({
+      id: String(job._id),
+      customerId: job.customerId,
+      productId: job.productId,
+      sessionId: job.sessionId,
+      endpoint: job.endpoint,
+      provider: job.provider,
+      status: job.status,
+      testMode: Boolean(job.testMode),
+      predictionId: job.predictionId,
+      resultImageUrl: job.resultImageUrl,
+      error: job.error,
+      createdAt: iso(job.createdAt),
+      completedAt: iso(job.completedAt),
+      totalMs: job.durations?.totalMs
+    })
+  },
+  api_calls: {
+    permission: 'analytics:read',
+    fromAnalytics: true,
+    columns: ['id', 'customerId', 'apiKey', 'method', 'endpoint', 'status', 'duration', 'productId', 'error', 'timestamp'],
+    read: ({ customerId, from, to }, analytics) => analytics.streamEvents({ type: 'api_call', customerId, from, to }),
+    toRow: call => ({
+      id: call.id,
+      customerId: call.customerId,
+      apiKey: call.apiKey,
+      method: call.method,
+      endpoint: call.endpoint,
+      status: call.status,
+      duration: call.duration,
+      productId: call.productId,
+      error: call.error,
+      timestamp: call.timestamp
+    })
+  },
+  events: {
+    permission: 'analytics:read',
+    fromAnalytics: true,
+    columns: ['id', 'customerId', 'name', 'productId', 'sessionId', 'revenue', 'data', 'timestamp'],
+    read: ({ customerId, from, to }, analytics) => analytics.streamEvents({ type: 'event', customerId, from, to }),
+    toRow: event => ({
+      id: event.id,
+      customerId: event.customerId,
+      name: event.name,
+      productId: event.productId,
+      sessionId: event.sessionId,
+      revenue: event.revenue,
+      data: event.data,
+      timestamp: event.timestamp
+    })
+  }
+};
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+async function* serialize(dataset, format, records) {
+  if (format === 'csv') yield csvLine(dataset.columns);
+  for await (const record of records) {
+    const row = dataset.toRow(record);
+    yield format === 'csv'
+      ? csvLine(dataset.columns.map(column => row[column]))
+      : JSON.stringify(row) + '\n';
+  }
+}
+
+// ?format=csv|ndjson&from=&to=&customerId= (from/to are dates or timestamps; a
+// date-only `to` includes that day)
+function parseExportQuery(query = {}) {
+  const format = query.format ? String(query.format) : 'csv';
+  if (!FORMATS[format]) throw httpError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  const from = query.from ? parseDate(String(query.from), 'from') : undefined;
+  const to = query.to ? parseDate(String(query.to), 'to', { endOfDay: true }) : undefined;
+  if (from && to && from >= to) throw httpError(400, 'from must be before to');
+  return {
+    format,
+    customerId: query.customerId ? String(query.customerId) : undefined,
+    from,
+    to
+  };
+}
+
+function exportFilename(name, { customerId, format }) {
+  const date = new Date().toISOString().slice(0, 10);
+  return ['vmize', name, customerId, date].filter(Boolean).join('-') + `.${FORMATS[format].extension}`;
+}
+
+// Streams a dataset into an Express response. `options` come from parseExportQuery,
+// with customerId already narrowed to what the caller may see; `analytics` is the
+// live tracker (needed for api_calls and events). Resolves when the response ends.
+function streamExport(res, name, options, { analytics } = {}) {
+  const dataset = DATASETS[name];
+  if (!dataset) return Promise.reject(httpError(404, `Unknown export: ${name}`));
+  if (dataset.fromAnalytics && !analytics) {
+    return Promise.reject(httpError(503, 'Analytics not available'));
+  }
+
+  res.status(200);
+  res.set({
+    'Content-Type': FORMATS[options.format].contentType,
+    'Content-Disposition': `attachment; filename="${exportFilename(name, options)}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  const body = Readable.from(serialize(dataset, options.format, dataset.read(options, analytics)));
+  return new Promise(resolve => {
+    // Headers are already sent, so a failure mid-export can only cut the response short
+    pipeline(body, res, err => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`❌ ${name} export failed:`, err.message);
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  DATASETS,
+  FORMATS,
+  parseExportQuery,
+  streamExport
+};
@@ -0,0 +1,72 @@
+/**
+ * Domains
+ * Merchant domain lists: publishable API keys are only accepted from the domains
+ * registered on them. An entry is a host ("shop.example.com") or a wildcard covering
+ * every subdomain ("*.example.com", which does not match "example.com" itself).
+ * Ports and schemes are ignored; a browser's Origin (or, failing that, Referer) header
+ * names the site a request comes from.
+ */
+
+const MAX_DOMAINS = Number(process.env.MAX_ALLOWED_DOMAINS || 50);
+
+const HOST_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// "https://Shop.Example.com:8443/path" -> "shop.example.com"; "*.example.com" is kept as is.
+// Returns null for anything that is not a host name.
+function normalizeDomain(value) {
+  if (typeof value !== 'string') return null;
+  let domain = value.trim().toLowerCase();
+  domain = domain.replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[/?#]/)[0].replace(/:\d+$/, '').replace(/\.$/, '');
+  const wildcard = domain.startsWith('*.');
+  const host = wildcard ? domain.slice(2) : domain;
+  if (!HOST_PATTERN.test(host)) return null;
+  // A wildcard needs a registrable name under it: "*.com" would match every shop
+  if (wildcard && !host.includes('.')) return null;
+  return wildcard ? `*.${host}` : host;
+}
+
+// Validate a list from a request body; returns the normalized, de-duplicated entries
+function normalizeDomains(values, { field = 'allowedDomains' } = {}) {
+  if (!Array.isArray(values)) throw httpError(400, `${field} must be a list of domains`);
+  if (values.length > MAX_DOMAINS) throw httpError(400, `${field} can have at most ${MAX_DOMAINS} entries`);
+  const domains = [];
+  for (const value of values) {
+    const domain = normalizeDomain(value);
+    if (!domain) throw httpError(400, `${field}: "${value}" is not a valid domain`);
+    if (!domains.includes(domain)) domains.push(domain);
+  }
+  return domains;
+}
+
+function hostAllowed(host, domains = []) {
+  if (!host) return false;
+  const name = String(host).toLowerCase();
+  return domains.some(domain => (domain.startsWith('*.') ? name.endsWith(domain.slice(1)) : name === domain));
+}
+
+// Host of the page a request comes from, or null when the browser sent neither header
+function requestHost(req) {
+  for (const header of [req.get('Origin'), req.get('Referer')]) {
+    if (!header || header === 'null') continue;
+    try {
+      return new URL(header).hostname.toLowerCase();
+    } catch (err) {
+      // Malformed header; try the next one
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_DOMAINS,
+  normalizeDomain,
+  normalizeDomains,
+  hostAllowed,
+  requestHost
+};
@@ -0,0 +1,122 @@
+/**
+ * Email Service
+ * Transactional email: send() renders a template (services/email/templates) into the
+ * persistent outbox and the worker delivers it through the configured transport
+ * (services/email/transports). Failed deliveries are retried with exponential backoff
+ * (EMAIL_RETRY_BASE_MS, doubling) up to EMAIL_MAX_ATTEMPTS, then marked failed.
+ * Delivered emails are logged on the customer record (Customer.emailLog).
+ *
+ * Pass a dedupeKey for emails that must go out once (usage alerts, payment failures);
+ * sending again with the same key is a no-op.
+ */
+
+const crypto = require('crypto');
+const outbox = require('./outbox');
+const { TEMPLATES, renderTemplate } = require('./templates');
+const { getTransport, transportName } = require('./transports');
+const customers = require('../customers');
+
+const INTERVAL_MS = Number(process.env.EMAIL_WORKER_INTERVAL_MS || 10000);
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.EMAIL_RETRY_BASE_MS || 60 * 1000);
+const BATCH_SIZE = Number(process.env.EMAIL_BATCH_SIZE || 50);
+
+let timer = null;
+let inFlight = null;
+
+function fromAddress() {
+  return process.env.EMAIL_FROM || 'Vmize Studio <no-reply@vmizestudio.com>';
+}
+
+// Queue a templated email for a customer (or any { email, name } recipient).
+// Returns the outbox message; delivery happens in the background.
+async function send(template, recipient, data = {}, { dedupeKey } = {}) {
+  if (!recipient || !recipient.email) throw new Error('Email recipient has no address');
+  const { subject, html, text } = renderTemplate(template, recipient, data);
+  const { message, created } = await outbox.enqueue({
+    messageId: `em_${crypto.randomBytes(12).toString('hex')}`,
+    dedupeKey,
+    customerId: recipient._id ? String(recipient._id) : undefined,
+    template,
+    to: recipient.email,
+    subject,
+    html,
+    text
+  });
+  if (created) setImmediate(() => processOutbox().catch(err => console.error('❌ Email outbox error:', err.message)));
+  return message;
+}
+
+async function deliver(message) {
+  const transport = transportName();
+  try {
+    const { providerMessageId } = await getTransport(transport).send({
+      messageId: message.messageId,
+      from: fromAddress(),
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+    const sentAt = new Date();
+    await outbox.update(message.messageId, { status: 'sent', sentAt, transport, providerMessageId, lastError: null, lockedUntil: null });
+    if (message.customerId) {
+      await customers.logEmail(message.customerId, { messageId: message.messageId, template: message.template, subject: message.subject, to: message.to, sentAt })
+        .catch(err => console.error('❌ Failed to log email on customer:', err.message));
+    }
+    return true;
+  } catch (err) {
+    const giveUp = message.attempts >= MAX_ATTEMPTS;
+    await outbox.update(message.messageId, {
+      status: giveUp ? 'failed' : 'queued',
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (message.attempts - 1)),
+      lastError: err.message,
+      transport,
+      lockedUntil: null
+    });
+    console.error(`❌ Email ${message.template} to ${message.to} failed (attempt ${message.attempts}${giveUp ? ', giving up' : ''}):`, err.message);
+    return false;
+  }
+}
+
+// Deliver every due message. Concurrent calls share one run. Returns the number sent.
+function processOutbox() {
+  if (inFlight) return inFlight;
+  inFlight = (async () => {
+    let sent = 0;
+    try {
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const message = await outbox.claimNext();
+        if (!message) break;
+        if (await deliver(message)) sent++;
+      }
+    } finally {
+      inFlight = null;
+    }
+    return sent;
+  })();
+  return inFlight;
+}
+
+function start(intervalMs = INTERVAL_MS) {
+  if (timer) return;
+  timer = setInterval(() => {
+    processOutbox().catch(err => console.error('❌ Email outbox error:', err.message));
+  }, intervalMs);
+  timer.unref();
+  console.log(`📧 Email outbox worker started (every ${intervalMs}ms, ${transportName()} transport)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  TEMPLATES,
+  send,
+  processOutbox,
+  listMessages: outbox.list,
+  start,
+  stop
+};
@@ -0,0 +1,140 @@
+/**
+ * Email Outbox
+ * Persistent queue of rendered emails. A message is claimed ('sending') by one worker
+ * at a time; a claim left behind by a crashed worker expires after EMAIL_LOCK_MS.
+ *
+ * Uses the EmailMessage model when MongoDB is connected, otherwise an in-memory store.
+ */
+
+const mongoose = require('mongoose');
+const EmailMessage = require('../../models/EmailMessage');
+
+const LOCK_MS = Number(process.env.EMAIL_LOCK_MS || 5 * 60 * 1000);
+const MAX_PAGE_SIZE = 500;
+
+function matches(message, { customerId, template, status }) {
+  if (customerId && message.customerId !== customerId) return false;
+  if (template && message.template !== template) return false;
+  if (status && message.status !== status) return false;
+  return true;
+}
+
+// Queued and due, or stuck in 'sending' past its lock
+function isClaimable(message, now) {
+  if (message.status === 'queued') return message.nextAttemptAt <= now;
+  return message.status === 'sending' && message.lockedUntil <= now;
+}
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const memoryBackend = {
+  messages: new Map(),
+
+  async insert(entry) {
+    if (entry.dedupeKey) {
+      const existing = [...this.messages.values()].find(message => message.dedupeKey === entry.dedupeKey);
+      if (existing) return { message: { ...existing }, created: false };
+    }
+    const now = new Date();
+    const message = { status: 'queued', attempts: 0, nextAttemptAt: now, ...entry, createdAt: now, updatedAt: now };
+    this.messages.set(entry.messageId, message);
+    return { message: { ...message }, created: true };
+  },
+
+  async claimNext(now) {
+    const message = [...this.messages.values()]
+      .filter(candidate => isClaimable(candidate, now))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+    if (!message) return null;
+    Object.assign(message, { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS), attempts: message.attempts + 1, updatedAt: now });
+    return { ...message };
+  },
+
+  async update(messageId, changes) {
+    const message = this.messages.get(messageId);
+    if (!message) return null;
+    Object.assign(message, changes, { updatedAt: new Date() });
+    return { ...message };
+  },
+
+  async list(filter, { limit, offset }) {
+    const all = [...this.messages.values()]
+      .filter(message => matches(message, filter))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return { messages: all.slice(offset, offset + limit).map(message => ({ ...message })), total: all.length };
+  }
+};
+
+const mongoBackend = {
+  async insert(entry) {
+    try {
+      return { message: (await EmailMessage.create(entry)).toObject(), created: true };
+    } catch (err) {
+      if (err.code !== 11000 || !entry.dedupeKey) throw err;
+      return { message: await EmailMessage.findOne({ dedupeKey: entry.dedupeKey }).lean(), created: false };
+    }
+  },
+
+  async claimNext(now) {
+    return EmailMessage.findOneAndUpdate(
+      { $or: [{ status: 'queued', nextAttemptAt: { $lte: now } }, { status: 'sending', lockedUntil: { $lte: now } }] },
+      { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    ).lean();
+  },
+
+  async update(messageId, changes) {
+    return EmailMessage.findOneAndUpdate({ messageId }, { $set: changes }, { new: true }).lean();
+  },
+
+  async list({ customerId, template, status }, { limit, offset }) {
+    const query = {};
+    if (customerId) query.customerId = customerId;
+    if (template) query.template = template;
+    if (status) query.status = status;
+    const [messages, total] = await Promise.all([
+      EmailMessage.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      EmailMessage.countDocuments(query)
+    ]);
+    return { messages, total };
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// PUBLIC API
+// =====================================
+
+// Queue a message. With a dedupeKey a repeat returns the original. Returns { message, created }.
+async function enqueue(entry) {
+  return backend().insert(entry);
+}
+
+// Take the next due message for delivery, or null when nothing is due
+async function claimNext(now = new Date()) {
+  return backend().claimNext(now);
+}
+
+async function update(messageId, changes) {
+  return backend().update(messageId, changes);
+}
+
+// Newest first. Filters: customerId, template, status
+async function list(filter = {}, { limit = 50, offset = 0 } = {}) {
+  return backend().list(filter, {
+    limit: Math.min(Math.max(1, Number(limit) || 50), MAX_PAGE_SIZE),
+    offset: Math.max(0, Number(offset) || 0)
+  });
+}
+
+module.exports = {
+  enqueue,
+  claimNext,
+  update,
+  list
+};
@@ -0,0 +1,160 @@
+/**
+ * Email Templates
+ * Each template takes the recipient (a Customer or { name, email }) and template data
+ * and returns { subject, html, text }. Values are HTML-escaped; links point at
+ * FRONTEND_URL.
+ */
+
+const plans = require('../plans');
+
+function appUrl(page = '') {
+  const base = (process.env.FRONTEND_URL || 'https://vmizestudio.com').replace(/\/$/, '');
+  return page ? `${base}/${page}` : base;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function greetingName(recipient) {
+  return recipient.name || recipient.companyName || 'there';
+}
+
+// Shared layout: paragraphs plus an optional call-to-action button
+function render({ subject, recipient, paragraphs, action }) {
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f5f7;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#1d1d1f;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+    <h2 style="margin-top:0;">Hi ${escapeHtml(greetingName(recipient))},</h2>
+    ${paragraphs.map(paragraph => `<p style="line-height:1.5;">${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${action ? `<p style="margin:28px 0;"><a href="${escapeHtml(action.url)}" style="background:#0071e3;color:#ffffff;padding:12px 22px;border-radius:8px;text-decoration:none;">${escapeHtml(action.label)}</a></p>` : ''}
+    <p style="color:#86868b;font-size:12px;">Vmize Studio &middot; <a href="${escapeHtml(appUrl())}" style="color:#86868b;">${escapeHtml(appUrl().replace(/^https?:\/\//, ''))}</a></p>
+  </div>
+</body>
+</html>`;
+  const text = [
+    `Hi ${greetingName(recipient)},`,
+    ...paragraphs,
+    action ? `${action.label}: ${action.url}` : null,
+    '-- Vmize Studio'
+  ].filter(Boolean).join('\n\n');
+  return { subject, html, text };
+}
+
+const templates = {
+  welcome(recipient) {
+    return render({
+      subject: 'Welcome to Vmize Studio',
+      recipient,
+      paragraphs: [
+        'Thanks for signing up. Your account is ready, and your trial includes free virtual try-ons so you can test the widget on your store.',
+        'Create an API key in the dashboard and add the widget to a product page to get started.'
+      ],
+      action: { label: 'Open your dashboard', url: appUrl('dashboard.html') }
+    });
+  },
+
+  // { verifyUrl }
+  email_verification(recipient, { verifyUrl }) {
+    return render({
+      subject: 'Verify your email address',
+      recipient,
+      paragraphs: [
+        'Please confirm your email address. Live API keys are enabled once it is verified.',
+        'If you did not create a Vmize Studio account, you can ignore this email.'
+      ],
+      action: { label: 'Verify email', url: verifyUrl }
+    });
+  },
+
+  // { resetUrl, expiresInMinutes }
+  password_reset(recipient, { resetUrl, expiresInMinutes = 60 }) {
+    return render({
+      subject: 'Reset your password',
+      recipient,
+      paragraphs: [
+        `We received a request to reset your password. The link works once and expires in ${expiresInMinutes} minutes.`,
+        'If you did not ask for a reset, you can ignore this email and your password stays the same.'
+      ],
+      action: { label: 'Reset password', url: resetUrl }
+    });
+  },
+
+  // { used, limit, period }
+  usage_warning(recipient, { used, limit }) {
+    const percent = Math.round((used / limit) * 100);
+    return render({
+      subject: `You've used ${percent}% of your monthly try-ons`,
+      recipient,
+      paragraphs: [
+        `Your store has used ${used.toLocaleString()} of the ${limit.toLocaleString()} try-ons included in your ${plans.getPlan(recipient.plan).name} plan this month.`,
+        'Upgrade before you reach the limit to keep costs predictable.'
+      ],
+      action: { label: 'Review your plan', url: appUrl('pricing.html') }
+    });
+  },
+
+  // { used, limit, period, hardCap, overageRate }
+  usage_limit(recipient, { used, limit, hardCap, overageRate }) {
+    const next = hardCap !== null && hardCap !== undefined && hardCap <= limit
+      ? 'New try-ons are paused until your quota resets next month or you upgrade.'
+      : `Additional try-ons are billed at $${Number(overageRate || 0).toFixed(2)} each until your quota resets next month.`;
+    return render({
+      subject: "You've reached your monthly try-on limit",
+      recipient,
+      paragraphs: [
+        `Your store has used ${used.toLocaleString()} of the ${limit.toLocaleString()} try-ons included in your ${plans.getPlan(recipient.plan).name} plan this month.`,
+        next
+      ],
+      action: { label: 'Upgrade your plan', url: appUrl('pricing.html') }
+    });
+  },
+
+  // { amount, currency, invoiceUrl }
+  payment_failed(recipient, { amount, currency = 'usd', invoiceUrl }) {
+    const due = typeof amount === 'number' ? ` of ${amount.toFixed(2)} ${currency.toUpperCase()}` : '';
+    return render({
+      subject: 'Your payment failed',
+      recipient,
+      paragraphs: [
+        `We could not collect your latest payment${due} for Vmize Studio.`,
+        'Please update your payment method to keep your subscription and try-ons running.'
+      ],
+      action: { label: 'Update payment method', url: invoiceUrl || appUrl('dashboard.html') }
+    });
+  },
+
+  // { used, limit, nextPlan: { id, name, price, included } }
+  upsell(recipient, { used, limit, nextPlan }) {
+    const percent = Math.round((used / limit) * 100);
+    return render({
+      subject: `You're at ${percent}% of your ${plans.getPlan(recipient.plan).name} plan limit`,
+      recipient,
+      paragraphs: [
+        `You're using ${used.toLocaleString()} of ${limit.toLocaleString()} try-ons this month (${percent}%).`,
+        `The ${nextPlan.name} plan includes ${nextPlan.included.toLocaleString()} try-ons per month for $${nextPlan.price}/month.`
+      ],
+      action: { label: 'Upgrade now', url: appUrl(`checkout.html?plan=${encodeURIComponent(nextPlan.id)}`) }
+    });
+  }
+};
+
+const TEMPLATES = Object.keys(templates);
+
+function renderTemplate(name, recipient, data = {}) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(recipient, data);
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  escapeHtml
+};
@@ -0,0 +1,102 @@
+/**
+ * Email Transport Registry
+ *
+ * Every transport exposes the same interface:
+ *   send({ messageId, from, to, subject, html, text }) -> Promise<{ providerMessageId }>
+ * and throws when delivery fails (the outbox retries it).
+ *
+ * The transport is chosen with EMAIL_TRANSPORT: `smtp` (EMAIL_SMTP_URL, or SMTP_HOST,
+ * SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS), `file` (one JSON file per email in
+ * EMAIL_FILE_DIR) or `console`. By default SMTP is used when it is configured and the
+ * console otherwise.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+function smtpTransport() {
+  const transporter = nodemailer.createTransport(process.env.EMAIL_SMTP_URL || {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return {
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: { 'X-Vmize-Message-Id': message.messageId }
+      });
+      return { providerMessageId: info.messageId };
+    }
+  };
+}
+
+// Writes each email to EMAIL_FILE_DIR for local development and tests
+function fileTransport() {
+  const dir = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'vmize-emails');
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    async send(message) {
+      const file = path.join(dir, `${message.messageId}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { providerMessageId: file };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    async send(message) {
+      console.log(`📧 [email] ${message.subject} -> ${message.to}\n${message.text}`);
+      return { providerMessageId: message.messageId };
+    }
+  };
+}
+
+const factories = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+const instances = {};
+
+function registerTransport(name, factory) {
+  factories[name] = factory;
+  delete instances[name];
+}
+
+function transportName() {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  return process.env.EMAIL_SMTP_URL || process.env.SMTP_HOST ? 'smtp' : 'console';
+}
+
+function getTransport(name) {
+  const key = name || transportName();
+  if (!factories[key]) {
+    throw new Error(`Unknown email transport: ${key}`);
+  }
+  if (!instances[key]) {
+    instances[key] = factories[key]();
+  }
+  return instances[key];
+}
+
+// Drop cached transports so env changes (tests) take effect
+function resetTransports() {
+  Object.keys(instances).forEach(key => delete instances[key]);
+}
+
+module.exports = {
+  getTransport,
+  registerTransport,
+  resetTransports,
+  transportName
+};
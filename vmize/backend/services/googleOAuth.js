@@ -0,0 +1,181 @@
+/**
+ * Google Sign-In
+ * "Sign in with Google" for merchant accounts via passport-google-oauth20 (OpenID
+ * Connect userinfo). A Google account resolves to a customer by its subject id, then
+ * by verified email (linking the two); otherwise a new trial customer is created.
+ *
+ * There are no server-side sessions, so the OAuth `state` is a short-lived signed JWT
+ * whose nonce must match an HttpOnly cookie set when the flow started: a callback
+ * that began in another browser fails. Configure with GOOGLE_CLIENT_ID,
+ * GOOGLE_CLIENT_SECRET and GOOGLE_CALLBACK_URL; GOOGLE_AUTHORIZATION_URL,
+ * GOOGLE_TOKEN_URL and GOOGLE_USERINFO_URL point the flow at a stand-in.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Passport } = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const customers = require('./customers');
+const authTokens = require('./authTokens');
+
+const ROUTE_PATH = '/api/v1/auth/google';
+const STATE_COOKIE = 'vmize_oauth_state';
+const STATE_TTL_SECONDS = 10 * 60;
+const STATE_AUDIENCE = 'google-oauth-state';
+
+let passport = null;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function configured() {
+  return Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+}
+
+function stateSecret() {
+  return process.env.JWT_SECRET || 'dev-jwt-secret';
+}
+
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+// =====================================
+// OAUTH STATE
+// =====================================
+
+// passport-oauth2 state store (store/verify are called with these arities)
+const stateStore = {
+  store(req, meta, callback) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    req.res.cookie(STATE_COOKIE, nonce, {
+      path: ROUTE_PATH,
+      maxAge: STATE_TTL_SECONDS * 1000,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure
+    });
+    callback(null, jwt.sign({ nonce }, stateSecret(), { expiresIn: STATE_TTL_SECONDS, audience: STATE_AUDIENCE }));
+  },
+
+  verify(req, state, callback) {
+    const nonce = readCookie(req, STATE_COOKIE);
+    req.res.clearCookie(STATE_COOKIE, { path: ROUTE_PATH });
+    try {
+      const payload = jwt.verify(String(state || ''), stateSecret(), { audience: STATE_AUDIENCE });
+      if (nonce && payload.nonce === nonce) return callback(null, true);
+    } catch (err) {
+      // Expired or forged state; same answer as a missing cookie
+    }
+    return callback(null, false, { message: 'Your Google sign-in expired or was started elsewhere, please try again' });
+  }
+};
+
+// =====================================
+// ACCOUNTS
+// =====================================
+
+// Customer for a Google profile: { customer, created, linked }
+async function resolveCustomer(profile) {
+  const account = (profile.emails || [])[0];
+  const email = account && String(account.value).toLowerCase();
+  if (!email || !(account.verified === true || account.verified === 'true')) {
+    throw httpError(403, 'Your Google account has no verified email address');
+  }
+
+  let customer = await customers.getCustomerByGoogleId(profile.id);
+  if (customer) return { customer, created: false, linked: false };
+
+  customer = await customers.getCustomer(email);
+  if (customer) {
+    if (customer.googleId) throw httpError(409, 'This account is linked to a different Google account');
+    customer.googleId = profile.id;
+    const proven = customer.emailVerified;
+    if (!proven) {
+      // Whoever chose the password never proved they own this address
+      customer.password = undefined;
+      customer.emailVerified = true;
+      customer.emailVerifiedAt = new Date();
+    }
+    await customers.saveCustomer(customer);
+    if (!proven) await authTokens.revokeAllSessions(customer._id);
+    console.log(`🔗 Linked Google account to ${customer.email}`);
+    return { customer, created: false, linked: true };
+  }
+
+  customer = await customers.createCustomer({
+    email,
+    name: profile.displayName,
+    googleId: profile.id,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  console.log(`👤 Created customer ${customer.email} from Google sign-in`);
+  return { customer, created: true, linked: false };
+}
+
+function instance() {
+  if (passport) return passport;
+  passport = new Passport();
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    // Relative URLs resolve against the request host (trust proxy aware)
+    callbackURL: process.env.GOOGLE_CALLBACK_URL || `${ROUTE_PATH}/callback`,
+    authorizationURL: process.env.GOOGLE_AUTHORIZATION_URL,
+    tokenURL: process.env.GOOGLE_TOKEN_URL,
+    userProfileURL: process.env.GOOGLE_USERINFO_URL,
+    store: stateStore
+  }, (accessToken, refreshToken, profile, done) => {
+    resolveCustomer(profile)
+      .then(result => done(null, result.customer, result))
+      .catch(err => (err.statusCode ? done(null, false, { message: err.message }) : done(err)));
+  }));
+  return passport;
+}
+
+function notConfigured(res) {
+  return res.status(503).json({ success: false, message: 'Google sign-in is not configured' });
+}
+
+// =====================================
+// MIDDLEWARE
+// =====================================
+
+// GET /api/v1/auth/google - redirect to Google's consent screen
+function start(req, res, next) {
+  if (!configured()) return notConfigured(res);
+  return instance().authenticate('google', {
+    session: false,
+    scope: ['openid', 'email', 'profile'],
+    prompt: 'select_account'
+  })(req, res, next);
+}
+
+// GET /api/v1/auth/google/callback - sets req.googleAuth to
+// { customer, created, linked } or { error } and hands over to the controller
+function callback(req, res, next) {
+  if (!configured()) return notConfigured(res);
+  return instance().authenticate('google', { session: false }, (err, customer, info) => {
+    if (err) {
+      console.error('❌ Google sign-in error:', err.message);
+      req.googleAuth = { error: 'Google sign-in failed, please try again' };
+    } else if (!customer) {
+      req.googleAuth = { error: (info && info.message) || 'Google sign-in was canceled' };
+    } else {
+      req.googleAuth = info;
+    }
+    next();
+  })(req, res, next);
+}
+
+module.exports = {
+  configured,
+  resolveCustomer,
+  start,
+  callback
+};
@@ -0,0 +1,60 @@
+/**
+ * Try-On Job Poller
+ * Polls the provider for every pending prediction so job state advances (and
+ * webhooks/analytics fire) even when no widget is polling GET /api/tryon/:id.
+ */
+
+const tryon = require('./tryonService');
+const tryonJobs = require('./tryonJobs');
+
+const INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 3000);
+const BATCH_SIZE = Number(process.env.JOB_POLL_BATCH_SIZE || 25);
+const TIMEOUT_MS = Number(process.env.JOB_TIMEOUT_MS || 10 * 60 * 1000);
+
+let timer = null;
+let running = false;
+
+async function pollOnce() {
+  if (running) return 0;
+  running = true;
+  let advanced = 0;
+
+  try {
+    const jobs = await tryonJobs.listPendingJobs(BATCH_SIZE);
+    for (const job of jobs) {
+      try {
+        if (Date.now() - new Date(job.submittedAt) > TIMEOUT_MS) {
+          const { changed } = await tryonJobs.failJob(job, 'Timed out waiting for provider');
+          if (changed) advanced++;
+          continue;
+        }
+
+        const result = await tryon.getTryOnStatus(job.predictionId, { provider: job.provider });
+        const outcome = await tryonJobs.recordStatus(result);
+        if (outcome?.changed) advanced++;
+      } catch (err) {
+        console.error(`❌ Job poll failed for ${job.predictionId}:`, err.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return advanced;
+}
+
+function start(intervalMs = INTERVAL_MS) {
+  if (timer) return;
+  timer = setInterval(() => {
+    pollOnce().catch(err => console.error('❌ Job poller error:', err.message));
+  }, intervalMs);
+  timer.unref();
+  console.log(`⏱️  Try-on job poller started (every ${intervalMs}ms)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, pollOnce };
@@ -0,0 +1,85 @@
+/**
+ * Try-On Progress Stream (Server-Sent Events)
+ * Pushes `status` events (queued, processing, completed, failed, canceled) for one
+ * prediction and closes the stream once the job is finished. Transitions recorded by
+ * the job poller are forwarded immediately; the stream also refreshes the job itself
+ * so it works when no poller is running.
+ */
+
+const tryon = require('./tryonService');
+const tryonJobs = require('./tryonJobs');
+
+const REFRESH_MS = Number(process.env.SSE_REFRESH_INTERVAL_MS || 2000);
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 15000);
+const MAX_STREAM_MS = Number(process.env.JOB_TIMEOUT_MS || 10 * 60 * 1000);
+
+function streamJob(req, res, predictionId) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${REFRESH_MS}\n\n`);
+
+  let seq = 0;
+  let lastStatus = null;
+  let closed = false;
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`id: ${++seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    tryonJobs.events.off('transition', onTransition);
+    clearInterval(refreshTimer);
+    clearInterval(heartbeat);
+    clearTimeout(deadline);
+    res.end();
+  };
+
+  const push = (result) => {
+    if (closed || result.status === lastStatus) return;
+    lastStatus = result.status;
+    send('status', tryon.toStatusResponse(result));
+    if (tryonJobs.TERMINAL_STATUSES.includes(result.status)) close();
+  };
+
+  function onTransition(job) {
+    if (job.predictionId === predictionId) push(tryonJobs.toResult(job));
+  }
+
+  let refreshing = false;
+  const refresh = async () => {
+    if (refreshing || closed) return;
+    refreshing = true;
+    try {
+      const { result } = await tryon.refreshJobStatus(predictionId);
+      push(result);
+    } catch (err) {
+      // Transient provider errors: keep the stream open and try again on the next tick
+      console.error(`❌ SSE refresh failed for ${predictionId}:`, err.message);
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  tryonJobs.events.on('transition', onTransition);
+  const refreshTimer = setInterval(refresh, REFRESH_MS);
+  const heartbeat = setInterval(() => !closed && res.write(': ping\n\n'), HEARTBEAT_MS);
+  const deadline = setTimeout(() => {
+    send('timeout', { id: predictionId, error: 'Timed out waiting for try-on result' });
+    close();
+  }, MAX_STREAM_MS);
+
+  // Client went away (res 'close' fires on socket close; req 'close' fires once the body is read)
+  res.on('close', close);
+  refresh();
+}
+
+module.exports = { streamJob };
@@ -0,0 +1,61 @@
+/**
+ * Merchant Auth
+ * Dashboard access tokens (Customer#generateAccessToken) on the merchant routes. A token
+ * is accepted while it verifies, names its customer and belongs to a live session (the
+ * `sid` claim, see services/authTokens), so logout, a password reset or refresh token
+ * reuse end it at once rather than when it expires. Tokens without a session are refused.
+ *
+ * Routes admins may also call mount adminAuth.admitAdmin first; requests it admitted
+ * (req.admin) pass through verifySession untouched.
+ */
+
+const jwt = require('jsonwebtoken');
+const authTokens = require('./authTokens');
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// The access token's claims ({ _id, email, plan, sid }). Throws 401 when the token is
+// missing or invalid, or its session has ended.
+async function authenticate(req) {
+  const token = bearerToken(req);
+  if (!token) throw httpError(401, 'Missing token');
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET || 'dev-jwt-secret');
+  } catch (err) {
+    throw httpError(401, 'Invalid token');
+  }
+  if (!payload._id || !payload.sid) throw httpError(401, 'Invalid token');
+  if (!(await authTokens.isSessionActive(payload.sid))) throw httpError(401, 'Session has ended');
+  return payload;
+}
+
+// Middleware: req.user = the token's claims, or 401 ({ success: false, message }).
+// With `optional`, requests without a token pass through (logout accepts a refresh
+// token instead).
+function verifySession({ optional = false } = {}) {
+  return async (req, res, next) => {
+    if (req.admin || (optional && !bearerToken(req))) return next();
+    try {
+      req.user = await authenticate(req);
+    } catch (err) {
+      if (!err.statusCode) return next(err);
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  verifySession
+};
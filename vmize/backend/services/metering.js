@@ -0,0 +1,316 @@
+/**
+ * Usage Metering
+ * Counts monthly try-ons and enforces hard caps. Each try-on reserves a unit before the
+ * provider is called; the unit is committed when the job completes and released when it
+ * fails, is canceled or never reaches the provider. The check and the reservation are a
+ * single atomic step (a conditional $inc in MongoDB, a synchronous update in memory), so
+ * concurrent requests can never push a customer past the cap.
+ *
+ * Periods are UTC calendar months (YYYY-MM). `limit` is the plan's included quota; usage
+ * above it is overage (billed by services/overageBilling) and only stops at the
+ * account's `hardCap`, when there is one. Each reservation also records the account's
+ * pricing terms on the period, so a closed period is billed on the plan it was used
+ * under, whatever the customer has moved to since.
+ * Uses the UsagePeriod model when MongoDB is connected, otherwise an in-memory store.
+ *
+ * `events` emits 'commit' ({ customerId, period, units }) after usage is committed,
+ * which is where usage alerts (services/usageAlerts) hook in.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const plans = require('./plans');
+const UsagePeriod = require('../models/UsagePeriod');
+const tryonJobs = require('./tryonJobs');
+const customers = require('./customers');
+
+// Outlives the job poller's timeout, so a stuck job is failed (and released) first
+const RESERVATION_TTL_MS = Number(process.env.METER_RESERVATION_TTL_MS || 15 * 60 * 1000);
+const SWEEP_INTERVAL_MS = Number(process.env.METER_SWEEP_INTERVAL_MS || 60 * 1000);
+
+const events = new EventEmitter();
+
+function getPlanLimit(plan) {
+  return plans.getPlan(plan).included;
+}
+
+function periodKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+// First instant of the next period
+function periodResetsAt(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1));
+}
+
+function newReservationId() {
+  return `rsv_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const memoryBackend = {
+  periods: new Map(),
+  // reservationId -> period key
+  reservations: new Map(),
+
+  entry(customerId, period) {
+    const key = `${customerId}:${period}`;
+    if (!this.periods.has(key)) {
+      this.periods.set(key, { customerId, period, used: 0, reserved: 0, reservations: new Map() });
+    }
+    return this.periods.get(key);
+  },
+
+  async reserve({ customerId, period, cap, units, reservationId, expiresAt, terms }) {
+    const entry = this.entry(customerId, period);
+    if (cap !== null && entry.used + entry.reserved + units > cap) return null;
+    entry.terms = terms;
+    entry.reserved += units;
+    entry.reservations.set(reservationId, { units, expiresAt });
+    this.reservations.set(reservationId, `${customerId}:${period}`);
+    return entry;
+  },
+
+  async settle(reservationId, commit) {
+    const key = this.reservations.get(reservationId);
+    const entry = key && this.periods.get(key);
+    const reservation = entry?.reservations.get(reservationId);
+    if (!reservation) return null;
+    entry.reservations.delete(reservationId);
+    this.reservations.delete(reservationId);
+    entry.reserved -= reservation.units;
+    if (commit) entry.used += reservation.units;
+    return { customerId: entry.customerId, period: entry.period, units: reservation.units };
+  },
+
+  async get(customerId, period) {
+    const entry = this.periods.get(`${customerId}:${period}`);
+    return entry || { used: 0, reserved: 0 };
+  },
+
+  async expired(now) {
+    const ids = [];
+    for (const entry of this.periods.values()) {
+      for (const [id, reservation] of entry.reservations) {
+        if (reservation.expiresAt <= now) ids.push(id);
+      }
+    }
+    return ids;
+  },
+
+  async usageFor(period) {
+    return [...this.periods.values()]
+      .filter(entry => entry.period === period)
+      .map(entry => ({ customerId: entry.customerId, used: entry.used, terms: entry.terms }));
+  },
+
+  async reset(customerId) {
+    for (const [key, entry] of this.periods) {
+      if (entry.customerId !== customerId) continue;
+      entry.reservations.forEach((_, id) => this.reservations.delete(id));
+      this.periods.delete(key);
+    }
+  }
+};
+
+const mongoBackend = {
+  async reserve({ customerId, period, cap, units, reservationId, expiresAt, terms }) {
+    await UsagePeriod.updateOne({ customerId, period }, { $setOnInsert: { used: 0, reserved: 0 } }, { upsert: true })
+      .catch(err => {
+        // Two first requests of the month raced on the upsert; the document exists now
+        if (err.code !== 11000) throw err;
+      });
+    const filter = { customerId, period };
+    if (cap !== null) filter.$expr = { $lte: [{ $add: ['$used', '$reserved', units] }, cap] };
+    return UsagePeriod.findOneAndUpdate(
+      filter,
+      { $inc: { reserved: units }, $set: { terms }, $push: { reservations: { reservationId, units, expiresAt } } },
+      { new: true }
+    ).lean();
+  },
+
+  // Only the update that still finds the reservation applies it, so a unit is
+  // settled exactly once even when several processes race
+  async settle(reservationId, commit) {
+    const doc = await UsagePeriod.findOne({ 'reservations.reservationId': reservationId }, { customerId: 1, period: 1, reservations: 1 }).lean();
+    const reservation = doc?.reservations.find(r => r.reservationId === reservationId);
+    if (!reservation) return null;
+    const inc = { reserved: -reservation.units };
+    if (commit) inc.used = reservation.units;
+    const { modifiedCount } = await UsagePeriod.updateOne(
+      { _id: doc._id, 'reservations.reservationId': reservationId },
+      { $inc: inc, $pull: { reservations: { reservationId } } }
+    );
+    return modifiedCount ? { customerId: doc.customerId, period: doc.period, units: reservation.units } : null;
+  },
+
+  async get(customerId, period) {
+    return (await UsagePeriod.findOne({ customerId, period }).lean()) || { used: 0, reserved: 0 };
+  },
+
+  async expired(now) {
+    const docs = await UsagePeriod.find({ 'reservations.expiresAt': { $lte: now } }, { reservations: 1 }).lean();
+    return docs.flatMap(doc => doc.reservations.filter(r => r.expiresAt <= now).map(r => r.reservationId));
+  },
+
+  async usageFor(period) {
+    return UsagePeriod.find({ period, used: { $gt: 0 } }, { customerId: 1, used: 1, terms: 1 }).lean();
+  },
+
+  async reset(customerId) {
+    await UsagePeriod.deleteMany({ customerId });
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// PUBLIC API
+// =====================================
+
+function hardCapOf(account) {
+  return typeof account.hardCap === 'number' ? account.hardCap : null;
+}
+
+// Pricing terms in force for the account's try-ons; accounts built without an overage
+// rate get their plan's
+function termsOf(account) {
+  return {
+    plan: account.plan,
+    included: account.limit,
+    overageRate: typeof account.overageRate === 'number' ? account.overageRate : plans.getPlan(account.plan).overageRate,
+    hardCap: hardCapOf(account)
+  };
+}
+
+// `remaining` counts included try-ons left; `overage` the committed ones beyond them
+function toUsage(entry, account, period) {
+  return {
+    customerId: account.customerId,
+    plan: account.plan,
+    period,
+    limit: account.limit,
+    hardCap: hardCapOf(account),
+    used: entry.used,
+    reserved: entry.reserved,
+    remaining: Math.max(0, account.limit - entry.used - entry.reserved),
+    overage: Math.max(0, entry.used - account.limit),
+    resetsAt: periodResetsAt(period).toISOString()
+  };
+}
+
+// Usage for an account (see services/customers) in the period containing `now`
+async function getUsage(account, now = new Date()) {
+  const period = periodKey(now);
+  const entry = await backend().get(account.customerId, period);
+  return toUsage(entry, account, period);
+}
+
+// Committed usage of every customer in a period, with the terms snapshotted for it:
+// [{ customerId, used, terms }] (terms is missing for periods metered before snapshots)
+async function usageForPeriod(period) {
+  return backend().usageFor(period);
+}
+
+// Hold units for a try-on. Returns { reservation, usage }; reservation is null when
+// the request would exceed the account's hard cap.
+async function reserve(account, units = 1, now = new Date()) {
+  const period = periodKey(now);
+  const reservationId = newReservationId();
+  const entry = await backend().reserve({
+    customerId: account.customerId,
+    period,
+    cap: hardCapOf(account),
+    units,
+    reservationId,
+    expiresAt: new Date(now.getTime() + RESERVATION_TTL_MS),
+    terms: termsOf(account)
+  });
+  if (!entry) {
+    return { reservation: null, usage: await getUsage(account, now) };
+  }
+  return {
+    reservation: { reservationId, customerId: account.customerId, period, units },
+    usage: toUsage(entry, account, period)
+  };
+}
+
+// Count the reserved units as used. Safe to call more than once.
+async function commit(reservationId) {
+  if (!reservationId) return false;
+  const settled = await backend().settle(reservationId, true);
+  if (!settled) return false;
+  // Mirror onto the customer record for billing reports and the monthly rollover
+  await customers.addUsage(settled.customerId, settled.units)
+    .catch(err => console.error('❌ Failed to mirror usage on customer:', err.message));
+  events.emit('commit', { customerId: settled.customerId, period: settled.period, units: settled.units });
+  return true;
+}
+
+// Give the reserved units back. Safe to call more than once.
+async function release(reservationId) {
+  if (!reservationId) return false;
+  return Boolean(await backend().settle(reservationId, false));
+}
+
+// Release reservations whose try-on never reported back (e.g. the process died)
+async function releaseExpired(now = new Date()) {
+  const ids = await backend().expired(now);
+  let released = 0;
+  for (const id of ids) {
+    if (await release(id)) released++;
+  }
+  if (released) console.log(`🧮 Released ${released} expired usage reservation(s)`);
+  return released;
+}
+
+// Drop all metered usage for a customer (tests and the demo reset)
+async function reset(customerId) {
+  await backend().reset(String(customerId));
+}
+
+let sweepTimer = null;
+
+function startSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    releaseExpired().catch(err => console.error('❌ Usage reservation sweep error:', err.message));
+  }, intervalMs);
+  sweepTimer.unref();
+}
+
+function stopSweeper() {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+// Settle a try-on's reservation once its job reaches a terminal state
+tryonJobs.events.on('transition', (job) => {
+  if (!job.reservationId || !tryonJobs.TERMINAL_STATUSES.includes(job.status)) return;
+  const settle = job.status === 'completed' ? commit : release;
+  settle(job.reservationId)
+    .catch(err => console.error('❌ Failed to settle usage reservation:', err.message));
+});
+
+module.exports = {
+  events,
+  getPlanLimit,
+  periodKey,
+  periodResetsAt,
+  getUsage,
+  usageForPeriod,
+  reserve,
+  commit,
+  release,
+  releaseExpired,
+  reset,
+  startSweeper,
+  stopSweeper
+};
@@ -0,0 +1,200 @@
+/**
+ * Overage Billing
+ * Prices metered usage (services/metering). Each plan (services/plans) includes a
+ * monthly quota; try-ons above it cost the plan's overage rate, and an optional hard cap (plan or
+ * merchant, see Customer#getHardCap) stops usage altogether.
+ *
+ * billPeriod() charges each customer's overage for a closed period once, priced with the
+ * plan terms metering snapshotted while the period was used (a plan change after the
+ * period closed does not reprice it). The charge is
+ * claimed in the billing ledger under `overage:<customerId>:<period>` and sent to
+ * Stripe with that key as the idempotency key, so re-running the job (or two servers
+ * running it) never double-charges. runBillingCycle() also retries the failed charges of
+ * earlier periods, with the amount first claimed for them (Stripe refuses an idempotency
+ * key reused with different parameters).
+ */
+
+const plans = require('./plans');
+const metering = require('./metering');
+const customers = require('./customers');
+const billingLedger = require('./billingLedger');
+const stripeService = require('./stripeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_PAGE_SIZE = 500;
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function periodStart(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1));
+}
+
+// The period that closed most recently (last month, in UTC)
+function previousPeriod(now = new Date()) {
+  return metering.periodKey(new Date(periodStart(metering.periodKey(now)).getTime() - 1));
+}
+
+// Pricing terms of a customer's current plan
+function planTerms(customer) {
+  return {
+    plan: customer.plan,
+    included: customer.getPlanLimit(),
+    overageRate: customer.getOverageRate(),
+    hardCap: customer.getHardCap(),
+    price: plans.getPlan(customer.plan).price
+  };
+}
+
+function overageFor(terms, used) {
+  const units = Math.max(0, used - terms.included);
+  return { units, rate: terms.overageRate, amount: roundCents(units * terms.overageRate) };
+}
+
+// =====================================
+// INVOICE PREVIEW
+// =====================================
+
+// Projected invoice for the current period: the subscription plus overage, with
+// usage extrapolated linearly from the time elapsed so far
+async function previewInvoice(customer, now = new Date()) {
+  const terms = planTerms(customer);
+  const customerId = String(customer._id);
+  const usage = await metering.getUsage({ customerId, plan: terms.plan, limit: terms.included, hardCap: terms.hardCap }, now);
+
+  const start = periodStart(usage.period);
+  const end = new Date(usage.resetsAt);
+  // Count at least a day as elapsed, so a busy first hour does not project a huge month
+  const elapsed = Math.min(1, Math.max(now - start, DAY_MS) / (end - start));
+  let projected = Math.max(usage.used, Math.round(usage.used / elapsed));
+  if (terms.hardCap !== null) projected = Math.min(projected, terms.hardCap);
+
+  const projectedOverage = overageFor(terms, projected);
+  const lines = [{
+    type: 'subscription',
+    description: `${plans.getPlan(terms.plan).name} plan`,
+    amount: terms.price
+  }];
+  if (projectedOverage.units) {
+    lines.push({
+      type: 'overage',
+      description: `${projectedOverage.units} try-ons over the ${terms.included} included at $${terms.overageRate.toFixed(2)}`,
+      ...projectedOverage
+    });
+  }
+
+  return {
+    customerId,
+    plan: terms.plan,
+    period: usage.period,
+    periodStart: start.toISOString(),
+    periodEnd: usage.resetsAt,
+    currency: 'usd',
+    included: terms.included,
+    overageRate: terms.overageRate,
+    hardCap: terms.hardCap,
+    used: usage.used,
+    reserved: usage.reserved,
+    projectedTryons: projected,
+    overageToDate: overageFor(terms, usage.used),
+    lines,
+    total: roundCents(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+}
+
+// =====================================
+// BILLING RUN
+// =====================================
+
+async function chargeOverage(customer, period, used, terms, summary) {
+  const customerId = String(customer._id);
+  const overage = overageFor(terms, used);
+  if (!overage.amount) return;
+
+  const eventId = `overage:${customerId}:${period}`;
+  const description = `Usage overage ${period}: ${overage.units} try-ons`;
+  await submitCharge(customer, { eventId, customerId, type: 'overage_charge', period, description, ...overage }, summary);
+}
+
+// Claim a ledger charge and send it to Stripe; entries other runs own are skipped
+async function submitCharge(customer, charge, summary) {
+  const { eventId, customerId, period, description, units, amount } = charge;
+  const entry = await billingLedger.claim(charge);
+  if (!entry) {
+    summary.skipped++;
+    return;
+  }
+
+  try {
+    const item = await stripeService.createOverageCharge(customer.stripeCustomerId, amount, description, {
+      idempotencyKey: eventId,
+      metadata: { customerId, period, units: String(units) }
+    });
+    await billingLedger.settle(eventId, { status: 'succeeded', stripeId: item.id, error: null });
+    console.log(`💰 Charged ${customer.email} $${amount} overage for ${period}`);
+    summary.charged++;
+    summary.amount = roundCents(summary.amount + amount);
+  } catch (err) {
+    await billingLedger.settle(eventId, { status: 'failed', error: err.message });
+    console.error(`❌ Overage charge for ${customer.email} (${period}) failed:`, err.message);
+    summary.failed++;
+  }
+}
+
+// Charge the overage of every customer with usage in a closed period, on the terms
+// metering snapshotted for it (the current plan's for periods without one). Safe to re-run.
+async function billPeriod(period) {
+  const summary = { period, charged: 0, skipped: 0, failed: 0, amount: 0 };
+  for (const { customerId, used, terms } of await metering.usageForPeriod(period)) {
+    // The demo account and deleted customers have no billing record
+    const customer = await customers.getCustomer(customerId);
+    if (customer) await chargeOverage(customer, period, used, terms || planTerms(customer), summary);
+  }
+  return summary;
+}
+
+// Charge again the failed overage charges of every period but `exceptPeriod` (billed
+// by billPeriod itself), for the amount recorded in the ledger
+async function retryFailedCharges(exceptPeriod) {
+  const summary = { charged: 0, skipped: 0, failed: 0, amount: 0 };
+  const failed = [];
+  for (let offset = 0; ; offset += RETRY_PAGE_SIZE) {
+    const { events } = await billingLedger.list({ type: 'overage_charge', status: 'failed' }, { limit: RETRY_PAGE_SIZE, offset });
+    failed.push(...events);
+    if (events.length < RETRY_PAGE_SIZE) break;
+  }
+
+  for (const { eventId, customerId, period, description, units, rate, amount } of failed) {
+    if (period === exceptPeriod) continue;
+    const customer = await customers.getCustomer(customerId);
+    if (customer) await submitCharge(customer, { eventId, customerId, type: 'overage_charge', period, description, units, rate, amount }, summary);
+  }
+  return summary;
+}
+
+// Monthly job: bill the period that just closed and retry earlier failed charges, then
+// archive the customers' usage counters (once per period, so a re-run leaves them alone)
+async function runBillingCycle(now = new Date()) {
+  const period = previousPeriod(now);
+  const summary = await billPeriod(period);
+  summary.retried = await retryFailedCharges(period);
+  const currentStart = periodStart(metering.periodKey(now));
+  for (const { customerId, terms } of await metering.usageForPeriod(period)) {
+    const customer = await customers.getCustomer(customerId);
+    if (!customer || new Date(customer.usage.lastResetDate) >= currentStart) continue;
+    customer.archiveMonthlyUsage(terms);
+    await customers.saveCustomer(customer);
+  }
+  return summary;
+}
+
+module.exports = {
+  planTerms,
+  previousPeriod,
+  previewInvoice,
+  billPeriod,
+  retryFailedCharges,
+  runBillingCycle
+};
@@ -0,0 +1,67 @@
+/**
+ * Plan Catalog
+ * The single source of plan terms: monthly price, included try-ons, overage rate,
+ * hard cap and the Stripe price each paid plan is sold under. Quota enforcement
+ * (services/metering), overage billing, checkout and plan changes all read from here.
+ *
+ * Plans are ordered by `rank`; moving to a higher rank is an upgrade.
+ * Stripe prices come from STRIPE_PRICE_<PLAN> (e.g. STRIPE_PRICE_STARTER).
+ */
+
+// Price per try-on above the included quota (USD)
+const OVERAGE_RATE = Number(process.env.OVERAGE_RATE_USD || 0.25);
+
+const CATALOG = {
+  // Trials have no overage and stop at their included try-ons
+  trial: { name: 'Trial', rank: 0, price: 0, included: 100, overageRate: 0, hardCap: 100, purchasable: false },
+  starter: { name: 'Starter', rank: 1, price: 49, included: 100, overageRate: OVERAGE_RATE, hardCap: null, purchasable: true },
+  professional: { name: 'Professional', rank: 2, price: 129, included: 500, overageRate: OVERAGE_RATE, hardCap: null, purchasable: true },
+  business: { name: 'Business', rank: 3, price: 199, included: 2000, overageRate: OVERAGE_RATE, hardCap: null, purchasable: true },
+  enterprise: { name: 'Enterprise', rank: 4, price: 299, included: 10000, overageRate: OVERAGE_RATE, hardCap: null, purchasable: true }
+};
+
+const PLAN_IDS = Object.keys(CATALOG);
+// Plans that can be bought through Checkout or switched to
+const PAID_PLANS = PLAN_IDS.filter(id => CATALOG[id].purchasable);
+
+// Terms for a plan; unknown plans get the trial's
+function getPlan(id) {
+  const plan = CATALOG[id] ? id : 'trial';
+  return { id: plan, currency: 'usd', ...CATALOG[plan] };
+}
+
+function listPlans() {
+  return PLAN_IDS.map(getPlan);
+}
+
+function stripePriceId(id) {
+  return process.env[`STRIPE_PRICE_${String(id).toUpperCase()}`] || null;
+}
+
+// Reverse lookup used when a subscription's price changes in Stripe
+function planForStripePrice(priceId) {
+  if (!priceId) return null;
+  return PAID_PLANS.find(id => stripePriceId(id) === priceId) || null;
+}
+
+function isUpgrade(from, to) {
+  return getPlan(to).rank > getPlan(from).rank;
+}
+
+// The plan one rank up (for upsells), or null at the top
+function nextPlan(id) {
+  const rank = getPlan(id).rank;
+  const next = PAID_PLANS.find(candidate => CATALOG[candidate].rank > rank);
+  return next ? getPlan(next) : null;
+}
+
+module.exports = {
+  PLAN_IDS,
+  PAID_PLANS,
+  getPlan,
+  listPlans,
+  stripePriceId,
+  planForStripePrice,
+  isUpgrade,
+  nextPlan
+};
@@ -0,0 +1,283 @@
+/**
+ * Privacy: image retention and data subject requests
+ * End-user photos reach us as try-on inputs and come back as result images. Jobs keep
+ * references to them (the URL, or a digest of an uploaded data URL) and the
+ * provider's result URLs. Each tenant chooses how long those references are kept
+ * (customer.imageRetention, in days; null uses the platform default) and the
+ * retention job removes them once they expire. The job itself stays for billing.
+ *
+ * Merchants file access and erasure requests for a storefront session ID: access
+ * returns every try-on job, image and analytics event tied to the session, erasure
+ * deletes them. Each request leaves an entry in the compliance log (PrivacyRequest
+ * model, or memory without MongoDB), which stores a digest of the session ID only.
+ *
+ * Deleting a customer account erases the same data for all of its sessions, plus the
+ * account's webhook endpoints and widget configs (eraseCustomer).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PrivacyRequest = require('../models/PrivacyRequest');
+const customers = require('./customers');
+const tryonJobs = require('./tryonJobs');
+const webhooks = require('./webhooks');
+const widgetConfigs = require('./widgetConfigs');
+const { DATASETS } = require('./dataExport');
+
+const DEFAULT_RETENTION = {
+  uploadedDays: Number(process.env.UPLOADED_IMAGE_RETENTION_DAYS || 1),
+  resultDays: Number(process.env.RESULT_IMAGE_RETENTION_DAYS || 3)
+};
+const MAX_RETENTION_DAYS = 365;
+const REQUEST_TYPES = ['access', 'erasure'];
+const MAX_SESSION_ID_LENGTH = 200;
+const MEMORY_LIMIT = Number(process.env.PRIVACY_LOG_MEMORY_LIMIT || 10000);
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function sessionDigest(sessionId) {
+  return `sha256:${crypto.createHash('sha256').update(String(sessionId)).digest('hex')}`;
+}
+
+// =====================================
+// COMPLIANCE LOG BACKENDS
+// =====================================
+
+function matches(entry, filter) {
+  if (filter.customerId && entry.customerId !== filter.customerId) return false;
+  if (filter.type && entry.type !== filter.type) return false;
+  if (filter.sessionDigest && entry.sessionDigest !== filter.sessionDigest) return false;
+  return true;
+}
+
+const memoryBackend = {
+  entries: [],
+
+  async insert(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > MEMORY_LIMIT) this.entries.splice(0, this.entries.length - MEMORY_LIMIT);
+  },
+
+  async list(filter, { skip, limit }) {
+    const found = this.entries.filter(entry => matches(entry, filter)).reverse();
+    return { entries: found.slice(skip, skip + limit).map(entry => ({ ...entry })), total: found.length };
+  }
+};
+
+const mongoBackend = {
+  async insert(entry) {
+    await PrivacyRequest.create(entry);
+  },
+
+  async list(filter, { skip, limit }) {
+    const query = {};
+    for (const field of ['customerId', 'type', 'sessionDigest']) {
+      if (filter[field]) query[field] = filter[field];
+    }
+    const [entries, total] = await Promise.all([
+      PrivacyRequest.find(query, { _id: 0 }).sort({ requestedAt: -1 }).skip(skip).limit(limit).lean(),
+      PrivacyRequest.countDocuments(query)
+    ]);
+    return { entries, total };
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// IMAGE RETENTION
+// =====================================
+
+function retentionView(customer) {
+  const uploadedDays = customer.imageRetention?.uploadedDays ?? null;
+  const resultDays = customer.imageRetention?.resultDays ?? null;
+  return {
+    uploadedDays,
+    resultDays,
+    effective: {
+      uploadedDays: uploadedDays ?? DEFAULT_RETENTION.uploadedDays,
+      resultDays: resultDays ?? DEFAULT_RETENTION.resultDays
+    },
+    defaults: { ...DEFAULT_RETENTION }
+  };
+}
+
+async function requireCustomer(customerId) {
+  const customer = await customers.getCustomer(String(customerId));
+  if (!customer) throw httpError(404, 'Customer not found');
+  return customer;
+}
+
+// { uploadedDays, resultDays, effective, defaults }; null means the platform default
+async function getRetention(customerId) {
+  return retentionView(await requireCustomer(customerId));
+}
+
+// Whole days from 0 (removed by the next purge) to MAX_RETENTION_DAYS, or null to go
+// back to the default. Fields left out are unchanged.
+async function setRetention(customerId, changes = {}) {
+  const customer = await requireCustomer(customerId);
+  const fields = ['uploadedDays', 'resultDays'].filter(field => changes[field] !== undefined);
+  if (!fields.length) throw httpError(400, 'Provide uploadedDays and/or resultDays');
+  for (const field of fields) {
+    const value = changes[field];
+    if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= MAX_RETENTION_DAYS)) {
+      throw httpError(400, `${field} must be a whole number of days from 0 to ${MAX_RETENTION_DAYS}, or null`);
+    }
+  }
+  for (const field of fields) customer.set(`imageRetention.${field}`, changes[field]);
+  await customers.saveCustomer(customer);
+  return retentionView(customer);
+}
+
+function cutoffs({ uploadedDays, resultDays }, now) {
+  return {
+    inputsBefore: new Date(now.getTime() - (uploadedDays ?? DEFAULT_RETENTION.uploadedDays) * DAY_MS),
+    resultsBefore: new Date(now.getTime() - (resultDays ?? DEFAULT_RETENTION.resultDays) * DAY_MS)
+  };
+}
+
+// Retention job: customers with their own settings first, then everyone else on the
+// defaults. Returns { inputs, results } purged.
+async function purgeExpiredImages(now = new Date()) {
+  const overrides = await customers.listImageRetentionOverrides();
+  const total = { inputs: 0, results: 0 };
+  const add = purged => {
+    total.inputs += purged.inputs;
+    total.results += purged.results;
+  };
+  for (const override of overrides) {
+    add(await tryonJobs.purgeImages({ customerId: override.customerId }, cutoffs(override, now)));
+  }
+  add(await tryonJobs.purgeImages({ excludeCustomerIds: overrides.map(override => override.customerId) }, cutoffs({}, now)));
+  return total;
+}
+
+// =====================================
+// DATA SUBJECT REQUESTS
+// =====================================
+
+async function collectSession(customerId, sessionId, trackers) {
+  const tryons = [];
+  const images = [];
+  for await (const job of tryonJobs.streamJobs({ customerId, sessionId })) {
+    tryons.push(DATASETS.tryons.toRow(job));
+    images.push(...tryonJobs.jobImages(job));
+  }
+  const events = [];
+  for (const tracker of trackers) {
+    for await (const event of tracker.streamEvents({ customerId, sessionId })) {
+      events.push(DATASETS.events.toRow(event));
+    }
+  }
+  events.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+  return { tryons, images, events };
+}
+
+async function eraseSession(customerId, sessionId, trackers) {
+  let images = 0;
+  for await (const job of tryonJobs.streamJobs({ customerId, sessionId })) {
+    images += tryonJobs.jobImages(job).length;
+  }
+  const tryons = await tryonJobs.deleteJobsForSession(customerId, sessionId);
+  let events = 0;
+  for (const tracker of trackers) {
+    events += await tracker.deleteEvents({ customerId, sessionId });
+  }
+  return { tryons, images, events };
+}
+
+// Everything tied to a customer account, ahead of deleting the customer itself: try-on
+// jobs and their images, analytics events in `trackers`, webhook endpoints and widget
+// config versions. Returns the counts removed.
+async function eraseCustomer(customerId, trackers = []) {
+  const id = String((await requireCustomer(customerId))._id);
+  let images = 0;
+  for await (const job of tryonJobs.streamJobs({ customerId: id })) {
+    images += tryonJobs.jobImages(job).length;
+  }
+  const tryons = await tryonJobs.deleteJobsForCustomer(id);
+  let events = 0;
+  for (const tracker of trackers) {
+    events += await tracker.deleteEvents({ customerId: id });
+  }
+  const webhookEndpoints = await webhooks.deleteEndpointsForCustomer(id);
+  const widgetConfigVersions = await widgetConfigs.deleteConfig(id);
+  return { tryons, images, events, webhookEndpoints, widgetConfigVersions };
+}
+
+// Runs an access or erasure request for one of a customer's storefront sessions and
+// logs it. `requestedBy` is { type: 'merchant' | 'admin' | 'service', id, username };
+// `trackers` are the analytics trackers holding the customer's events (live and
+// test mode). Access requests also return { tryons, images, events }.
+async function submitRequest({ customerId, type, sessionId, requestedBy, trackers = [] }) {
+  if (!REQUEST_TYPES.includes(type)) throw httpError(400, `type must be one of: ${REQUEST_TYPES.join(', ')}`);
+  if (typeof sessionId !== 'string' || !sessionId.trim() || sessionId.length > MAX_SESSION_ID_LENGTH) {
+    throw httpError(400, 'sessionId is required');
+  }
+  await requireCustomer(customerId);
+
+  const entry = {
+    requestId: `dsr_${crypto.randomBytes(10).toString('hex')}`,
+    customerId: String(customerId),
+    type,
+    sessionDigest: sessionDigest(sessionId),
+    requestedBy,
+    requestedAt: new Date()
+  };
+  let data;
+  try {
+    if (type === 'access') {
+      data = await collectSession(entry.customerId, sessionId, trackers);
+      entry.counts = { tryons: data.tryons.length, images: data.images.length, events: data.events.length };
+    } else {
+      entry.counts = await eraseSession(entry.customerId, sessionId, trackers);
+    }
+    entry.status = 'completed';
+  } catch (err) {
+    entry.status = 'failed';
+    entry.error = err.message;
+    throw err;
+  } finally {
+    entry.completedAt = new Date();
+    await backend().insert(entry).catch(err => console.error(`❌ Failed to log privacy request ${entry.requestId}:`, err.message));
+  }
+  console.log(`🔒 ${type} request ${entry.requestId} for ${entry.customerId}: ${entry.counts.tryons} try-ons, ${entry.counts.images} images, ${entry.counts.events} events`);
+  return { request: { ...entry }, data };
+}
+
+// Compliance log, newest first: { entries, pagination }. `sessionId` is matched by digest.
+async function listRequests({ customerId, type, sessionId, page = 1, limit = 50 } = {}) {
+  const pageNumber = Math.max(1, Number(page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(limit) || 50));
+  const filter = {
+    customerId: customerId ? String(customerId) : undefined,
+    type,
+    sessionDigest: sessionId ? sessionDigest(sessionId) : undefined
+  };
+  const { entries, total } = await backend().list(filter, { skip: (pageNumber - 1) * pageSize, limit: pageSize });
+  return {
+    entries,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  MAX_RETENTION_DAYS,
+  REQUEST_TYPES,
+  getRetention,
+  setRetention,
+  purgeExpiredImages,
+  eraseCustomer,
+  submitRequest,
+  listRequests
+};
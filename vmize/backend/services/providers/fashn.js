@@ -0,0 +1,138 @@
+/**
+ * Fashn.AI Try-On Provider
+ * Maps provider-neutral try-on requests onto Fashn's /run, /status and /cancel API
+ */
+
+const axios = require('axios');
+
+// Fashn prediction states -> Vmize job states
+const STATUS_MAP = {
+  starting: 'queued',
+  in_queue: 'queued',
+  processing: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+function resolveRunUrl() {
+  return process.env.FASHN_API_URL || process.env.FASHN_AI_API_URL || 'https://api.fashn.ai/v1/run';
+}
+
+function validateBaseUrl(base) {
+  let parsed;
+  try {
+    parsed = new URL(base);
+  } catch (err) {
+    throw new Error(`Invalid FASHN_API_URL: ${err.message}`);
+  }
+  if (parsed.port && isNaN(Number(parsed.port))) {
+    throw new Error(`Invalid FASHN_API_URL: invalid port '${parsed.port}'`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Invalid FASHN_API_URL: invalid protocol '${parsed.protocol}'`);
+  }
+}
+
+// Fashn returns `output` as an array of URLs; older mocks and proxies used
+// `output.image_url`, `data.imageUrl` or a bare string, so accept all of them.
+function extractImages(raw) {
+  if (!raw) return [];
+  const output = raw.output;
+  if (Array.isArray(output)) return output.filter(Boolean);
+  if (typeof output === 'string') return [output];
+  if (output && output.image_url) return [output.image_url];
+  const url = raw.data?.imageUrl || raw.imageUrl || raw.image_url;
+  return url ? [url] : [];
+}
+
+function normalizeResult(raw = {}) {
+  const images = extractImages(raw);
+  let status = STATUS_MAP[raw.status];
+  if (!status) status = images.length ? 'completed' : 'processing';
+
+  const error = raw.error
+    ? (typeof raw.error === 'string' ? raw.error : raw.error.message || raw.error.name || 'Provider error')
+    : null;
+
+  return {
+    id: raw.id || null,
+    status,
+    images,
+    imageUrl: images[0] || null,
+    error,
+    raw
+  };
+}
+
+function createFashnProvider(options = {}) {
+  const runUrl = options.apiUrl || resolveRunUrl();
+  const baseUrl = runUrl.replace(/\/run$/, '');
+  const apiKey = options.apiKey || process.env.FASHN_API_KEY;
+  const modelName = options.modelName || process.env.FASHN_MODEL_NAME || 'tryon-v1.6';
+
+  function headers() {
+    if (!apiKey) throw new Error('FASHN_API_KEY not configured');
+    return {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async function request(method, url, data, timeout) {
+    try {
+      return await axios({ method, url, data, headers: headers(), timeout });
+    } catch (err) {
+      if (!err.response) throw err;
+      console.error('❌ Fashn request failed:', method.toUpperCase(), url, err.response.status, err.response.data || '');
+      const message = err.response.data?.error?.message || err.response.data?.message;
+      throw new Error(`Fashn API error: ${err.response.status}${message ? ` ${message}` : ''}`);
+    }
+  }
+
+  return {
+    name: 'fashn',
+
+    async submit(input) {
+      validateBaseUrl(baseUrl);
+
+      const payload = {
+        model_name: modelName,
+        inputs: {
+          model_image: input.modelImage,
+          garment_image: input.garmentImage,
+          category: input.category || 'auto',
+          mode: input.mode || 'balanced'
+        }
+      };
+      if (input.outputFormat) payload.inputs.output_format = input.outputFormat;
+      if (input.numSamples) payload.inputs.num_samples = input.numSamples;
+      if (input.garmentPhotoType) payload.inputs.garment_photo_type = input.garmentPhotoType;
+      // Forward optional age (supports kids/adult try-ons)
+      if (input.age !== undefined) payload.inputs.age = input.age;
+
+      console.log(`[vmize->Fashn] POST ${runUrl} age=${input.age}`);
+      const resp = await request('post', runUrl, payload, 30000);
+      const result = normalizeResult(resp.data);
+      if (result.error) throw new Error(result.error);
+      // /run only acknowledges the prediction; it is queued until /status says otherwise
+      if (!resp.data?.status && !result.images.length) result.status = 'queued';
+      return result;
+    },
+
+    async getStatus(id) {
+      const resp = await request('get', `${baseUrl}/status/${encodeURIComponent(id)}`, undefined, 10000);
+      return normalizeResult({ id, ...resp.data });
+    },
+
+    async cancel(id) {
+      const resp = await request('post', `${baseUrl}/cancel/${encodeURIComponent(id)}`, undefined, 10000);
+      return normalizeResult({ id, status: 'canceled', ...resp.data });
+    },
+
+    normalizeResult
+  };
+}
+
+module.exports = createFashnProvider;
+module.exports.normalizeResult = normalizeResult;
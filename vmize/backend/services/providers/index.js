@@ -0,0 +1,52 @@
+/**
+ * Try-On Provider Registry
+ *
+ * Every provider adapter exposes the same interface:
+ *   submit(input)        -> Promise<Result>   start a prediction
+ *   getStatus(id)        -> Promise<Result>   poll a prediction
+ *   cancel(id)           -> Promise<Result>   cancel a prediction
+ *   normalizeResult(raw) -> Result            map a vendor payload to a Result
+ *
+ * where `input` is { modelImage, garmentImage, category, mode, outputFormat,
+ * numSamples, garmentPhotoType, age } and a Result is
+ * { id, status: 'queued'|'processing'|'completed'|'failed'|'canceled',
+ *   images, imageUrl, error, raw }.
+ *
+ * The active provider is chosen with TRYON_PROVIDER (default: fashn). Requests made
+ * with test-mode API keys always use the sandbox provider instead.
+ */
+
+const factories = {
+  fashn: require('./fashn'),
+  mock: require('./mock'),
+  sandbox: require('./sandbox')
+};
+
+const instances = {};
+
+function registerProvider(name, factory) {
+  factories[name] = factory;
+  delete instances[name];
+}
+
+function getProvider(name) {
+  const key = name || process.env.TRYON_PROVIDER || 'fashn';
+  if (!factories[key]) {
+    throw new Error(`Unknown try-on provider: ${key}`);
+  }
+  if (!instances[key]) {
+    instances[key] = factories[key]();
+  }
+  return instances[key];
+}
+
+// Drop cached adapters so env changes (tests) take effect
+function resetProviders() {
+  Object.keys(instances).forEach(key => delete instances[key]);
+}
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  resetProviders
+};
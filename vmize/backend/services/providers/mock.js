@@ -0,0 +1,91 @@
+/**
+ * Mock Try-On Provider
+ * Local stand-in for development and tests (no network, no credits). Every submission
+ * gets its own prediction ID; the result URL is MOCK_TRYON_RESULT_URL, or the model
+ * image. Predictions are forgotten after MOCK_TRYON_TTL_MS (an hour), and at most
+ * MOCK_TRYON_MAX_PREDICTIONS (1000) are kept.
+ */
+
+const crypto = require('crypto');
+
+function createMockProvider(options = {}) {
+  const latencyMs = Number(options.latencyMs ?? process.env.MOCK_TRYON_LATENCY_MS ?? 0);
+  const resultUrl = options.resultUrl || process.env.MOCK_TRYON_RESULT_URL;
+  const ttlMs = Number(options.ttlMs ?? process.env.MOCK_TRYON_TTL_MS ?? 60 * 60 * 1000);
+  const maxPredictions = Number(options.maxPredictions ?? process.env.MOCK_TRYON_MAX_PREDICTIONS ?? 1000);
+  const predictions = new Map();
+  let sequence = 0;
+
+  // Drop expired predictions, then the oldest ones beyond the cap (Maps keep insertion order)
+  function prune(now = Date.now()) {
+    for (const [id, prediction] of predictions) {
+      if (now - prediction.submittedAt < ttlMs && predictions.size < maxPredictions) break;
+      predictions.delete(id);
+    }
+  }
+
+  function snapshot(prediction) {
+    const elapsed = Date.now() - prediction.submittedAt;
+    if (prediction.status === 'canceled') return { ...prediction.result, status: 'canceled' };
+    if (elapsed < latencyMs / 2) return { id: prediction.id, status: 'queued', images: [], imageUrl: null, error: null };
+    if (elapsed < latencyMs) return { id: prediction.id, status: 'processing', images: [], imageUrl: null, error: null };
+    return prediction.result;
+  }
+
+  function normalizeResult(raw = {}) {
+    const images = Array.isArray(raw.output) ? raw.output : [];
+    return {
+      id: raw.id || null,
+      status: raw.status || (images.length ? 'completed' : 'processing'),
+      images,
+      imageUrl: images[0] || null,
+      error: raw.error || null,
+      raw
+    };
+  }
+
+  return {
+    name: 'mock',
+
+    async submit(input) {
+      // A counter and a nonce: identical submissions are still separate jobs
+      const digest = crypto.createHash('sha256')
+        .update(`${input.modelImage}|${input.garmentImage}|${++sequence}|${crypto.randomBytes(8).toString('hex')}`)
+        .digest('hex');
+      const id = `mock_${digest.slice(0, 24)}`;
+      // Echo a caller-visible image back so demo pages render something meaningful
+      const imageUrl = resultUrl || input.modelImage;
+
+      prune();
+      predictions.set(id, {
+        id,
+        status: 'submitted',
+        submittedAt: Date.now(),
+        result: normalizeResult({ id, status: 'completed', output: [imageUrl] })
+      });
+
+      return snapshot(predictions.get(id));
+    },
+
+    async getStatus(id) {
+      const prediction = predictions.get(id);
+      if (!prediction) {
+        return normalizeResult({ id, status: 'failed', error: 'Prediction not found' });
+      }
+      return snapshot(prediction);
+    },
+
+    async cancel(id) {
+      const prediction = predictions.get(id);
+      if (!prediction) {
+        return normalizeResult({ id, status: 'failed', error: 'Prediction not found' });
+      }
+      prediction.status = 'canceled';
+      return snapshot(prediction);
+    },
+
+    normalizeResult
+  };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,115 @@
+/**
+ * Sandbox Try-On Provider
+ * Serves requests made with test-mode API keys (vmize_sk_test_…, vmize_pk_test_…) so
+ * merchants can build an integration without spending provider credits. Results are deterministic
+ * sample images, and predictions go through queued → processing → terminal on a
+ * simulated clock.
+ *
+ * The scenario, submit time and latency are encoded in the prediction ID, so status
+ * checks need no shared state and work from any API process. Pick a scenario with
+ * `test_scenario` on the request:
+ *   success  (default) completes with a sample image
+ *   failure  fails once processing ends
+ *   timeout  stays in processing and never finishes
+ *   rejected submit fails straight away with a 422, like an unusable input image
+ */
+
+const crypto = require('crypto');
+
+const SCENARIOS = ['success', 'failure', 'timeout', 'rejected'];
+const SAMPLE_COUNT = 4;
+
+function createSandboxProvider(options = {}) {
+  const defaultLatencyMs = Number(options.latencyMs ?? process.env.SANDBOX_LATENCY_MS ?? 3000);
+  const resultBaseUrl = options.resultBaseUrl || process.env.SANDBOX_RESULT_BASE_URL || 'https://vmizestudio.com/sandbox';
+  // Cancels are the only state; losing them on restart just lets a canceled sandbox job finish
+  const canceled = new Set();
+
+  function sampleImage(digest) {
+    const index = (parseInt(digest.slice(0, 8), 16) % SAMPLE_COUNT) + 1;
+    return `${resultBaseUrl}/tryon-sample-${index}.jpg`;
+  }
+
+  function parseId(id) {
+    const match = /^sandbox_([a-z]+)_([0-9a-z]+)_([0-9a-z]+)_([0-9a-f]{24})$/.exec(String(id));
+    if (!match || !SCENARIOS.includes(match[1])) return null;
+    return {
+      scenario: match[1],
+      submittedAt: parseInt(match[2], 36),
+      latencyMs: parseInt(match[3], 36),
+      digest: match[4]
+    };
+  }
+
+  function normalizeResult(raw = {}) {
+    const images = Array.isArray(raw.output) ? raw.output : [];
+    return {
+      id: raw.id || null,
+      status: raw.status || (images.length ? 'completed' : 'processing'),
+      images,
+      imageUrl: images[0] || null,
+      error: raw.error || null,
+      raw
+    };
+  }
+
+  function snapshot(id) {
+    const prediction = parseId(id);
+    if (!prediction) {
+      return normalizeResult({ id, status: 'failed', error: 'Prediction not found' });
+    }
+    if (canceled.has(id)) return normalizeResult({ id, status: 'canceled' });
+
+    const elapsed = Date.now() - prediction.submittedAt;
+    if (elapsed < prediction.latencyMs / 3) return normalizeResult({ id, status: 'queued' });
+    if (elapsed < prediction.latencyMs || prediction.scenario === 'timeout') {
+      return normalizeResult({ id, status: 'processing' });
+    }
+    if (prediction.scenario === 'failure') {
+      return normalizeResult({ id, status: 'failed', error: 'Simulated try-on failure (test mode)' });
+    }
+    return normalizeResult({ id, status: 'completed', output: [sampleImage(prediction.digest)] });
+  }
+
+  return {
+    name: 'sandbox',
+
+    async submit(input) {
+      const scenario = input.testScenario || 'success';
+      if (!SCENARIOS.includes(scenario)) {
+        const err = new Error(`test_scenario must be one of: ${SCENARIOS.join(', ')}`);
+        err.statusCode = 400;
+        throw err;
+      }
+      if (scenario === 'rejected') {
+        const err = new Error('Simulated rejection: the model image could not be processed (test mode)');
+        err.statusCode = 422;
+        throw err;
+      }
+
+      const digest = crypto.createHash('sha256')
+        .update(`${input.modelImage}|${input.garmentImage}|${input.category || 'auto'}`)
+        .digest('hex')
+        .slice(0, 24);
+      const id = `sandbox_${scenario}_${Date.now().toString(36)}_${Math.max(0, defaultLatencyMs).toString(36)}_${digest}`;
+      return snapshot(id);
+    },
+
+    async getStatus(id) {
+      return snapshot(id);
+    },
+
+    async cancel(id) {
+      const current = snapshot(id);
+      if (!['queued', 'processing'].includes(current.status)) return current;
+      canceled.add(id);
+      return snapshot(id);
+    },
+
+    normalizeResult
+  };
+}
+
+createSandboxProvider.SCENARIOS = SCENARIOS;
+
+module.exports = createSandboxProvider;
@@ -0,0 +1,251 @@
+/**
+ * Rate Limits
+ * Abuse protection for the public endpoints, on top of plan quotas (services/metering).
+ * Each policy counts requests per client in a fixed window:
+ * - tryon: try-on creation (/api/tryon, /api/tryon/generate), per API key
+ * - tracking: event ingestion (/api/track, /api/analytics/track), per storefront session
+ *   (x-vmize-session-id or the event's session id), per IP for events without one
+ * - tracking_ip: the same routes per IP, whatever the session, since session IDs are
+ *   chosen by the client
+ * - login: merchant and admin sign-in attempts, per IP
+ * Limits and windows come from RATE_LIMIT_<POLICY> and RATE_LIMIT_<POLICY>_WINDOW_MS;
+ * RATE_LIMITS_ENABLED=false turns the policies off. Responses carry RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset, and Retry-After once the limit is hit.
+ *
+ * Sign-in lockout: after LOGIN_MAX_FAILURES failed attempts on one account from one IP
+ * within LOGIN_LOCKOUT_MS, that account's sign-ins from that IP get 429 until the window
+ * ends, whatever the password. Counting per account and IP keeps a stranger from locking
+ * the owner out; the login policy bounds what a single IP can try. A successful sign-in
+ * clears the count.
+ *
+ * Counters live in a store: `memory` (default, per process) or `mongo` (the
+ * RateLimitCounter collection, shared by every instance), chosen with RATE_LIMIT_STORE.
+ * registerStore(name, factory) adds others; any express-rate-limit store works (e.g.
+ * rate-limit-redis). Stores are created when the limiters are, so register before the
+ * routes are loaded.
+ *
+ * Every throttled request is emitted as a 'throttled' event on `events` (the analytics
+ * proxy records them as `rate_limited`).
+ */
+
+const { EventEmitter } = require('events');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+const POLICIES = {
+  tryon: { limit: 60, windowMs: 60 * 1000, keyBy: 'apiKey', message: 'Too many try-on requests, please slow down' },
+  tracking: { limit: 300, windowMs: 60 * 1000, keyBy: 'session', message: 'Too many events, please slow down' },
+  tracking_ip: { limit: 1200, windowMs: 60 * 1000, keyBy: 'ip', message: 'Too many events, please slow down' },
+  login: { limit: 20, windowMs: 15 * 60 * 1000, keyBy: 'ip', message: 'Too many sign-in attempts, please try again later' }
+};
+
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS || 15 * 60 * 1000);
+
+const events = new EventEmitter();
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function enabled() {
+  return process.env.RATE_LIMITS_ENABLED !== 'false';
+}
+
+function policySettings(name) {
+  const policy = POLICIES[name];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${name}`);
+  const env = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    ...policy,
+    limit: Number(process.env[env] || policy.limit),
+    windowMs: Number(process.env[`${env}_WINDOW_MS`] || policy.windowMs)
+  };
+}
+
+// =====================================
+// STORES
+// =====================================
+
+// Counters in MongoDB, so every instance behind a load balancer sees the same counts
+class MongoStore {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key: this.prefix + key, resetTime: { $gt: new Date() } }).lean();
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetTime } : undefined;
+  }
+
+  // One atomic update: count the hit, or start a new window when the last one is over
+  async increment(key, retried = false) {
+    const now = new Date();
+    const current = { $gt: ['$resetTime', now] };
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate({ key: this.prefix + key }, [{
+        $set: {
+          hits: { $cond: [current, { $add: ['$hits', 1] }, 1] },
+          resetTime: { $cond: [current, '$resetTime', new Date(now.getTime() + this.windowMs)] }
+        }
+      }], { upsert: true, new: true }).lean();
+      return { totalHits: counter.hits, resetTime: counter.resetTime };
+    } catch (err) {
+      // Two first hits raced to create the counter; the second one now finds it
+      if (err.code === 11000 && !retried) return this.increment(key, true);
+      throw err;
+    }
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.updateOne({ key: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ key: this.prefix + key });
+  }
+}
+
+const storeFactories = {
+  memory: () => new MemoryStore(),
+  mongo: ({ prefix }) => new MongoStore({ prefix })
+};
+
+// factory({ prefix }) -> an express-rate-limit store; `prefix` keeps each limiter's keys apart
+function registerStore(name, factory) {
+  storeFactories[name] = factory;
+}
+
+function createStore(prefix) {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  if (!storeFactories[name]) throw new Error(`Unknown rate limit store: ${name}`);
+  return storeFactories[name]({ prefix: `${prefix}:` });
+}
+
+// =====================================
+// LIMITERS
+// =====================================
+
+function sessionOf(req) {
+  const body = req.body || {};
+  return req.get('x-vmize-session-id') || body.session_id || body.sessionId || body.data?.sessionId || body.data?.session_id;
+}
+
+// Client a request counts against
+const KEY_GENERATORS = {
+  apiKey: req => (req.customer?.keyId ? `key:${req.customer.keyId}` : `ip:${req.ip}`),
+  session: req => {
+    const session = sessionOf(req);
+    return session ? `session:${req.analyticsScope?.customerId || ''}:${session}` : `ip:${req.ip}`;
+  },
+  ip: req => `ip:${req.ip}`
+};
+
+// Who and what was throttled, for analytics; `context` is { customerId, testMode, path }
+function emitThrottled(context, details) {
+  events.emit('throttled', {
+    customerId: context.customerId || null,
+    testMode: Boolean(context.testMode),
+    path: context.path,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function requestContext(req) {
+  return {
+    customerId: req.customer?.customerId || req.analyticsScope?.customerId,
+    testMode: req.customer ? req.customer.mode === 'test' : req.analyticsScope?.testMode,
+    path: req.originalUrl.split('?')[0]
+  };
+}
+
+// Middleware enforcing policy `name`. Routes that identify the client (API key, session)
+// mount it after authentication. `onLimit(req, res, message)` sends the 429 in the
+// caller's error format.
+function limiter(name, { onLimit } = {}) {
+  const { windowMs, keyBy } = policySettings(name);
+  return rateLimit({
+    windowMs,
+    limit: () => policySettings(name).limit,
+    skip: () => !enabled(),
+    keyGenerator: KEY_GENERATORS[keyBy],
+    store: createStore(name),
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      emitThrottled(requestContext(req), { policy: name, reason: 'rate_limit' });
+      const { message } = POLICIES[name];
+      if (onLimit) return onLimit(req, res, message);
+      return res.status(429).json({ error: message });
+    }
+  });
+}
+
+// =====================================
+// SIGN-IN LOCKOUT
+// =====================================
+
+const lockoutStores = new Map();
+
+// `scope` keeps merchant and admin accounts apart ('login', 'admin_login')
+function lockoutStore(scope) {
+  if (!lockoutStores.has(scope)) {
+    const store = createStore(`lockout:${scope}`);
+    if (store.init) store.init({ windowMs: LOGIN_LOCKOUT_MS });
+    lockoutStores.set(scope, store);
+  }
+  return lockoutStores.get(scope);
+}
+
+// Failures count per account and client IP
+function accountKey(identifier, ip) {
+  return `${String(identifier).trim().toLowerCase()}:${ip || 'unknown'}`;
+}
+
+// Throws 429 (err.retryAfter in seconds) while the account is locked out for `ip`
+async function assertNotLocked(scope, identifier, ip, context = {}) {
+  if (!identifier || !enabled()) return;
+  const counter = await lockoutStore(scope).get(accountKey(identifier, ip));
+  const now = Date.now();
+  if (!counter || counter.totalHits < LOGIN_MAX_FAILURES || new Date(counter.resetTime).getTime() <= now) return;
+
+  const retryAfter = Math.ceil((new Date(counter.resetTime).getTime() - now) / 1000);
+  emitThrottled(context, { policy: scope, reason: 'lockout' });
+  const err = httpError(429, `Too many failed sign-in attempts, try again in ${Math.ceil(retryAfter / 60)} minute(s)`);
+  err.retryAfter = retryAfter;
+  throw err;
+}
+
+async function recordLoginFailure(scope, identifier, ip) {
+  if (!identifier || !enabled()) return;
+  await lockoutStore(scope).increment(accountKey(identifier, ip));
+}
+
+async function clearLoginFailures(scope, identifier, ip) {
+  if (!identifier) return;
+  await lockoutStore(scope).resetKey(accountKey(identifier, ip));
+}
+
+module.exports = {
+  POLICIES,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MS,
+  events,
+  policySettings,
+  MongoStore,
+  registerStore,
+  createStore,
+  emitThrottled,
+  requestContext,
+  limiter,
+  assertNotLocked,
+  recordLoginFailure,
+  clearLoginFailures
+};
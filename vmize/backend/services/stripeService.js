@@ -0,0 +1,182 @@
+/**
+ * Stripe Service
+ * Thin wrapper around the Stripe SDK: Stripe customers, subscription Checkout
+ * Sessions, plan changes, cancellation, webhook signature verification and overage
+ * charges.
+ *
+ * Each paid plan maps to a recurring Stripe price (see services/plans).
+ * STRIPE_API_BASE points the SDK at a local stand-in (stripe-mock, or the one in
+ * scripts/stripe-stand-in.js, used by the billing tests) instead of api.stripe.com.
+ */
+
+const Stripe = require('stripe');
+const plans = require('./plans');
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+let client = null;
+
+function getClient() {
+  if (client) return client;
+  if (!process.env.STRIPE_SECRET_KEY) throw httpError(503, 'Billing is not configured');
+  const options = {};
+  if (process.env.STRIPE_API_BASE) {
+    const url = new URL(process.env.STRIPE_API_BASE);
+    options.protocol = url.protocol.replace(':', '');
+    options.host = url.hostname;
+    options.port = url.port || (options.protocol === 'http' ? 80 : 443);
+  }
+  client = Stripe(process.env.STRIPE_SECRET_KEY, options);
+  return client;
+}
+
+// Stripe price a paid plan is sold under
+function priceFor(plan) {
+  if (!plans.PAID_PLANS.includes(plan)) {
+    throw httpError(400, `plan must be one of: ${plans.PAID_PLANS.join(', ')}`);
+  }
+  const price = plans.stripePriceId(plan);
+  if (!price) throw httpError(400, `The ${plan} plan is not available for purchase`);
+  return price;
+}
+
+// =====================================
+// CUSTOMERS & CHECKOUT
+// =====================================
+
+async function createCustomer(customer) {
+  return getClient().customers.create({
+    email: customer.email,
+    name: customer.companyName || customer.name,
+    metadata: { customerId: String(customer._id) }
+  });
+}
+
+// Hosted Checkout for a plan subscription. The customer must already have a
+// Stripe customer id; plan and our customer id travel in the metadata so the
+// webhook can attribute the subscription.
+async function createCheckoutSession(customer, plan, { successUrl, cancelUrl }) {
+  const price = priceFor(plan);
+  const metadata = { customerId: String(customer._id), plan };
+  return getClient().checkout.sessions.create({
+    mode: 'subscription',
+    customer: customer.stripeCustomerId,
+    client_reference_id: String(customer._id),
+    line_items: [{ price, quantity: 1 }],
+    metadata,
+    subscription_data: { metadata },
+    success_url: successUrl,
+    cancel_url: cancelUrl
+  });
+}
+
+// =====================================
+// SUBSCRIPTION CHANGES
+// =====================================
+
+async function retrieveSubscription(subscriptionId) {
+  return getClient().subscriptions.retrieve(subscriptionId);
+}
+
+// Switch the subscription to another plan's price now; Stripe invoices the prorated
+// difference immediately
+async function changeSubscriptionPlan(subscription, plan) {
+  return getClient().subscriptions.update(subscription.id, {
+    items: [{ id: subscription.items.data[0].id, price: priceFor(plan) }],
+    proration_behavior: 'always_invoice',
+    metadata: { ...subscription.metadata, plan },
+    expand: ['latest_invoice']
+  });
+}
+
+// Keep the current price until the period ends (`periodEnd`, a Date), then move to the
+// plan's price. Uses a subscription schedule that releases the subscription once the new
+// phase starts.
+async function scheduleSubscriptionPlan(subscription, plan, periodEnd) {
+  const stripe = getClient();
+  const schedule = await stripe.subscriptionSchedules.create({ from_subscription: subscription.id });
+  return stripe.subscriptionSchedules.update(schedule.id, {
+    end_behavior: 'release',
+    phases: [
+      {
+        items: [{ price: subscription.items.data[0].price.id, quantity: 1 }],
+        start_date: schedule.phases[0].start_date,
+        end_date: Math.floor(periodEnd.getTime() / 1000)
+      },
+      {
+        items: [{ price: priceFor(plan), quantity: 1 }],
+        iterations: 1,
+        metadata: { plan }
+      }
+    ]
+  });
+}
+
+// Drop a pending schedule; the subscription carries on unchanged
+async function releaseSchedule(scheduleId) {
+  return getClient().subscriptionSchedules.release(scheduleId);
+}
+
+// Cancel at the end of the paid period (true) or undo that (false)
+async function setCancelAtPeriodEnd(subscriptionId, cancel) {
+  return getClient().subscriptions.update(subscriptionId, { cancel_at_period_end: cancel });
+}
+
+// Cancel now, without a final invoice (account deletion). A subscription Stripe no
+// longer has counts as canceled.
+async function cancelSubscription(subscriptionId) {
+  try {
+    return await getClient().subscriptions.cancel(subscriptionId);
+  } catch (err) {
+    if (err.code === 'resource_missing') return null;
+    throw err;
+  }
+}
+
+// =====================================
+// WEBHOOKS
+// =====================================
+
+// Verify the Stripe-Signature header against the raw request body
+function constructEvent(rawBody, signature) {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) throw httpError(503, 'Stripe webhooks are not configured');
+  try {
+    return Stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    throw httpError(400, `Webhook signature verification failed: ${err.message}`);
+  }
+}
+
+// =====================================
+// USAGE CHARGES
+// =====================================
+
+// Adds a pending invoice item; Stripe bills it with the customer's next invoice.
+// Pass an idempotencyKey so a retried request can never add the item twice.
+async function createOverageCharge(stripeCustomerId, amount, description, { idempotencyKey, metadata } = {}) {
+  if (!stripeCustomerId) throw httpError(400, 'Customer has no Stripe account');
+  return getClient().invoiceItems.create({
+    customer: stripeCustomerId,
+    amount: Math.round(amount * 100),
+    currency: 'usd',
+    description,
+    metadata
+  }, idempotencyKey ? { idempotencyKey } : undefined);
+}
+
+module.exports = {
+  createCustomer,
+  createCheckoutSession,
+  retrieveSubscription,
+  changeSubscriptionPlan,
+  scheduleSubscriptionPlan,
+  releaseSchedule,
+  setCancelAtPeriodEnd,
+  cancelSubscription,
+  constructEvent,
+  createOverageCharge
+};
@@ -0,0 +1,100 @@
+/**
+ * TOTP
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps) as
+ * produced by Google Authenticator, 1Password, Authy and the like. Secrets are
+ * exchanged as RFC 4648 base32, usually through an otpauth:// URL.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// New random secret (160 bits, as RFC 4226 recommends), base32 encoded
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function stepAt(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// The code for a time step (RFC 4226 dynamic truncation)
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function generate(secret, time = Date.now()) {
+  return codeForStep(secret, stepAt(time));
+}
+
+// Time step the code belongs to, or null. Accepts one step of clock drift either way;
+// steps at or before `afterStep` (the last code used) are rejected so codes cannot be
+// replayed.
+function verify(secret, code, { time = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+  const current = stepAt(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URL for authenticator apps (usually shown as a QR code)
+function otpauthUrl({ secret, account, issuer = 'Vmize Studio' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generate,
+  verify,
+  otpauthUrl
+};
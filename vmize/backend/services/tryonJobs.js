@@ -0,0 +1,470 @@
+/**
+ * Try-On Job Store
+ * Records every try-on (customer, product, input image references, provider prediction,
+ * status transitions, durations and result) so history and admin views read real data.
+ *
+ * Uses the TryOn model when MongoDB is connected; otherwise falls back to a bounded
+ * in-memory store so local/dev servers and in-process tests keep working.
+ *
+ * `events` emits 'transition' (job, previousStatus) exactly once per status change,
+ * which is where result analytics and merchant webhooks hook in.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const TryOn = require('../models/TryOn');
+
+const JOB_STATUSES = TryOn.JOB_STATUSES;
+const TERMINAL_STATUSES = ['completed', 'failed', 'canceled'];
+const MAX_MEMORY_JOBS = Number(process.env.TRYON_MEMORY_JOBS || 5000);
+const MAX_PAGE_SIZE = 100;
+const PENDING_STATUSES = ['queued', 'processing'];
+// Sortable fields for listJobs
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  completedAt: 'completedAt',
+  duration: 'durations.totalMs'
+};
+
+const events = new EventEmitter();
+// One listener per open SSE stream
+events.setMaxListeners(0);
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const memoryBackend = {
+  jobs: new Map(),
+
+  async create(data) {
+    const now = new Date();
+    const job = { _id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`, ...data, createdAt: now, updatedAt: now };
+    this.jobs.set(job._id, job);
+    // Drop the oldest jobs once the cap is reached (Map preserves insertion order)
+    while (this.jobs.size > MAX_MEMORY_JOBS) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+    return job;
+  },
+
+  async findById(id) {
+    return this.jobs.get(String(id)) || null;
+  },
+
+  async findOne(filter) {
+    for (const job of this.jobs.values()) {
+      if (matches(job, filter)) return job;
+    }
+    return null;
+  },
+
+  async save(job) {
+    job.updatedAt = new Date();
+    this.jobs.set(job._id, job);
+    return job;
+  },
+
+  async list(filter, { sort, skip, limit }) {
+    const [field, direction] = Object.entries(sort)[0];
+    // Jobs without the field (e.g. no completedAt yet) sort first, like MongoDB
+    const value = job => Number(field.split('.').reduce((current, key) => (current == null ? current : current[key]), job) ?? -Infinity);
+    const all = [...this.jobs.values()]
+      .filter(job => matches(job, filter))
+      .sort((a, b) => direction * (value(a) === value(b) ? 0 : value(a) < value(b) ? -1 : 1));
+    return { jobs: all.slice(skip, skip + limit), total: all.length };
+  },
+
+  async listPending(limit) {
+    return [...this.jobs.values()]
+      .filter(job => job.predictionId && PENDING_STATUSES.includes(job.status))
+      .sort((a, b) => a.submittedAt - b.submittedAt)
+      .slice(0, limit);
+  },
+
+  async remove(id) {
+    return this.jobs.delete(String(id));
+  },
+
+  async *stream(filter, { from, to }) {
+    const found = [...this.jobs.values()]
+      .filter(job => matches(job, filter) && (!from || job.createdAt >= from) && (!to || job.createdAt < to));
+    yield* found;
+  },
+
+  async removeMatching(filter) {
+    let deleted = 0;
+    for (const [id, job] of this.jobs) {
+      if (matches(job, filter) && this.jobs.delete(id)) deleted++;
+    }
+    return deleted;
+  },
+
+  async purgeImages(scope, { inputsBefore, resultsBefore }, now) {
+    const purged = { inputs: 0, results: 0 };
+    for (const job of this.jobs.values()) {
+      if (!inPurgeScope(job, scope)) continue;
+      if (inputsBefore && job.createdAt < inputsBefore && !job.imagesPurgedAt?.inputs) {
+        scrubImages(job, 'inputs', now);
+        purged.inputs++;
+      }
+      if (resultsBefore && job.createdAt < resultsBefore && TERMINAL_STATUSES.includes(job.status) && !job.imagesPurgedAt?.results) {
+        scrubImages(job, 'results', now);
+        purged.results++;
+      }
+    }
+    return purged;
+  }
+};
+
+const mongoBackend = {
+  async create(data) {
+    return TryOn.create(data);
+  },
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return TryOn.findById(id);
+  },
+
+  async findOne(filter) {
+    return TryOn.findOne(filter);
+  },
+
+  // Optimistic concurrency: a VersionError means another poller already saved this transition
+  async save(job) {
+    try {
+      return await job.save();
+    } catch (err) {
+      if (err.name === 'VersionError') return null;
+      throw err;
+    }
+  },
+
+  async list(filter, { sort, skip, limit }) {
+    const [jobs, total] = await Promise.all([
+      TryOn.find(filter).sort({ ...sort, _id: Object.values(sort)[0] }).skip(skip).limit(limit).lean(),
+      TryOn.countDocuments(filter)
+    ]);
+    return { jobs, total };
+  },
+
+  async listPending(limit) {
+    return TryOn.find({ status: { $in: PENDING_STATUSES }, predictionId: { $ne: null } })
+      .sort({ submittedAt: 1 })
+      .limit(limit);
+  },
+
+  async remove(id) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const { deletedCount } = await TryOn.deleteOne({ _id: id });
+    return deletedCount > 0;
+  },
+
+  async *stream(filter, { from, to }) {
+    const query = { ...filter };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lt = to;
+    }
+    const cursor = TryOn.find(query).sort({ createdAt: 1 }).lean().cursor();
+    try {
+      yield* cursor;
+    } finally {
+      await cursor.close();
+    }
+  },
+
+  async removeMatching(filter) {
+    const { deletedCount } = await TryOn.deleteMany(filter);
+    return deletedCount;
+  },
+
+  async purgeImages({ customerId, excludeCustomerIds = [] }, { inputsBefore, resultsBefore }, now) {
+    const scope = customerId ? { customerId } : { customerId: { $nin: excludeCustomerIds } };
+    const [inputs, results] = await Promise.all([
+      inputsBefore && TryOn.updateMany(
+        { ...scope, createdAt: { $lt: inputsBefore }, 'imagesPurgedAt.inputs': null },
+        { $unset: { 'inputs.modelImage': 1, 'inputs.garmentImage': 1 }, $set: { 'imagesPurgedAt.inputs': now } }
+      ),
+      resultsBefore && TryOn.updateMany(
+        { ...scope, createdAt: { $lt: resultsBefore }, status: { $in: TERMINAL_STATUSES }, 'imagesPurgedAt.results': null },
+        { $unset: { resultImageUrl: 1 }, $set: { images: [], 'imagesPurgedAt.results': now } }
+      )
+    ]);
+    return { inputs: inputs?.modifiedCount || 0, results: results?.modifiedCount || 0 };
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function matches(job, filter) {
+  return Object.entries(filter).every(([key, value]) => job[key] === value);
+}
+
+// Purge scope: one customer, or everyone except the customers listed
+function inPurgeScope(job, { customerId, excludeCustomerIds = [] }) {
+  return customerId ? job.customerId === customerId : !excludeCustomerIds.includes(job.customerId);
+}
+
+// =====================================
+// HELPERS
+// =====================================
+
+// Reference an input image without persisting the end-user photo itself
+function imageRef(value) {
+  if (!value || typeof value !== 'string') return undefined;
+  const dataUrl = value.match(/^data:([^;,]+)?(;base64)?,/);
+  if (!dataUrl) return { url: value };
+  const payload = value.slice(dataUrl[0].length);
+  return {
+    digest: `sha256:${crypto.createHash('sha256').update(payload).digest('hex')}`,
+    mimeType: dataUrl[1] || 'application/octet-stream',
+    bytes: dataUrl[2] ? Math.floor(payload.length * 3 / 4) : payload.length
+  };
+}
+
+function applyStatus(job, result, now = new Date()) {
+  if (result.imageUrl) {
+    job.resultImageUrl = result.imageUrl;
+    job.images = result.images;
+  }
+  if (result.error) job.error = result.error;
+  if (job.status === result.status) return false;
+
+  job.status = result.status;
+  job.statusHistory = job.statusHistory || [];
+  job.statusHistory.push({ status: result.status, at: now });
+  if (TERMINAL_STATUSES.includes(result.status)) {
+    job.completedAt = now;
+    job.durations = { submitMs: job.durations?.submitMs, totalMs: now - new Date(job.submittedAt) };
+  }
+  return true;
+}
+
+// Drop a job's input image references ('inputs') or result images ('results')
+function scrubImages(job, part, now = new Date()) {
+  if (part === 'inputs') {
+    if (job.inputs) {
+      job.inputs.modelImage = undefined;
+      job.inputs.garmentImage = undefined;
+    }
+  } else {
+    job.resultImageUrl = undefined;
+    job.images = [];
+  }
+  if (!job.imagesPurgedAt) job.imagesPurgedAt = {};
+  job.imagesPurgedAt[part] = now;
+}
+
+// Image references a job still holds (inputs and results)
+function jobImages(job) {
+  const images = [job.inputs?.modelImage, job.inputs?.garmentImage]
+    .filter(Boolean)
+    .map(ref => ref.url || ref.digest);
+  const results = job.images?.length ? job.images : [job.resultImageUrl].filter(Boolean);
+  return [...images, ...results];
+}
+
+function toFilter({ customerId, productId, sessionId, status } = {}) {
+  const filter = {};
+  if (customerId) filter.customerId = String(customerId);
+  if (sessionId) filter.sessionId = String(sessionId);
+  if (productId) filter.productId = String(productId);
+  if (status) filter.status = String(status);
+  return filter;
+}
+
+// =====================================
+// PUBLIC API
+// =====================================
+
+async function recordSubmission({ customerId, productId, endpoint, input = {}, result, startedAt, testMode = false, reservationId }) {
+  const now = new Date();
+  const submittedAt = new Date(startedAt || now);
+  const job = {
+    customerId: customerId ? String(customerId) : undefined,
+    productId: productId || input.productId,
+    sessionId: input.sessionId,
+    endpoint,
+    provider: result.provider,
+    testMode: Boolean(testMode),
+    reservationId,
+    predictionId: result.id,
+    status: 'queued',
+    statusHistory: [{ status: 'queued', at: submittedAt }],
+    inputs: {
+      modelImage: imageRef(input.modelImage),
+      garmentImage: imageRef(input.garmentImage),
+      category: input.category,
+      mode: input.mode,
+      age: input.age
+    },
+    submittedAt,
+    durations: { submitMs: now - submittedAt }
+  };
+  applyStatus(job, result, now);
+  const saved = await backend().create(job);
+  if (saved.status !== 'queued') events.emit('transition', saved, 'queued');
+  return saved;
+}
+
+async function recordFailure({ customerId, productId, endpoint, input = {}, error, provider, startedAt, testMode }) {
+  return recordSubmission({
+    customerId,
+    productId,
+    endpoint,
+    input,
+    startedAt,
+    testMode,
+    result: { id: null, provider, status: 'failed', images: [], error: error?.message || String(error) }
+  });
+}
+
+// Apply a polled provider result to the job that owns the prediction
+async function recordStatus(result) {
+  if (!result?.id) return null;
+  const store = backend();
+  const job = await store.findOne({ predictionId: result.id });
+  if (!job) return null;
+  return applyAndSave(store, job, result);
+}
+
+async function applyAndSave(store, job, result) {
+  const previousStatus = job.status;
+  let changed = applyStatus(job, result);
+  if (changed || result.imageUrl) {
+    const saved = await store.save(job);
+    if (!saved) changed = false;
+  }
+  if (changed) events.emit('transition', job, previousStatus);
+  return { job, changed };
+}
+
+// Jobs still waiting on the provider, oldest first (used by the job poller)
+async function listPendingJobs(limit = 50) {
+  return backend().listPending(limit);
+}
+
+// Force a job into a terminal state (e.g. poller timeout)
+async function failJob(job, message) {
+  return applyAndSave(backend(), job, { id: job.predictionId, status: 'failed', error: message });
+}
+
+// Provider-style Result for a stored job (see services/providers)
+function toResult(job) {
+  return {
+    id: job.predictionId,
+    status: job.status,
+    images: job.images || [],
+    imageUrl: job.resultImageUrl || null,
+    error: job.error || null,
+    provider: job.provider
+  };
+}
+
+async function findByPredictionId(predictionId) {
+  return backend().findOne({ predictionId });
+}
+
+async function getJob(id) {
+  return backend().findById(id);
+}
+
+// Newest first unless `sort` (a key of SORT_FIELDS) and `order` say otherwise
+async function listJobs(query = {}) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const sort = query.sort || 'createdAt';
+  const order = query.order || 'desc';
+  if (!SORT_FIELDS[sort]) throw httpError(400, `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  if (!['asc', 'desc'].includes(order)) throw httpError(400, 'order must be asc or desc');
+  const { jobs, total } = await backend().list(toFilter(query), {
+    sort: { [SORT_FIELDS[sort]]: order === 'asc' ? 1 : -1 },
+    skip: (page - 1) * limit,
+    limit
+  });
+  return {
+    jobs,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+}
+
+// Jobs oldest first for data exports, read through a cursor in MongoDB so large
+// tenants are never loaded at once. from/to (to exclusive) apply to createdAt.
+function streamJobs({ customerId, sessionId, from, to } = {}) {
+  return backend().stream(toFilter({ customerId, sessionId }), {
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null
+  });
+}
+
+async function deleteJob(id) {
+  return backend().remove(id);
+}
+
+// Every job of a customer (account deletion); returns the number deleted
+async function deleteJobsForCustomer(customerId) {
+  return backend().removeMatching({ customerId: String(customerId) });
+}
+
+// Every job a storefront session started (erasure requests); returns the number deleted
+async function deleteJobsForSession(customerId, sessionId) {
+  return backend().removeMatching({ customerId: String(customerId), sessionId: String(sessionId) });
+}
+
+// Removes a job's images but keeps the job (admin photo deletion)
+async function purgeJobImages(id) {
+  const store = backend();
+  const job = await store.findById(id);
+  if (!job) return null;
+  const now = new Date();
+  scrubImages(job, 'inputs', now);
+  scrubImages(job, 'results', now);
+  await store.save(job);
+  return job;
+}
+
+// Retention purge: drops input references of jobs created before `inputsBefore` and
+// result images of finished jobs created before `resultsBefore`, for one customer
+// ({ customerId }) or everyone else ({ excludeCustomerIds }). Returns { inputs, results }.
+async function purgeImages(scope, { inputsBefore, resultsBefore }) {
+  return backend().purgeImages(
+    { customerId: scope.customerId ? String(scope.customerId) : undefined, excludeCustomerIds: (scope.excludeCustomerIds || []).map(String) },
+    { inputsBefore, resultsBefore },
+    new Date()
+  );
+}
+
+module.exports = {
+  JOB_STATUSES,
+  TERMINAL_STATUSES,
+  events,
+  imageRef,
+  jobImages,
+  recordSubmission,
+  recordFailure,
+  recordStatus,
+  listPendingJobs,
+  failJob,
+  toResult,
+  findByPredictionId,
+  getJob,
+  listJobs,
+  streamJobs,
+  deleteJob,
+  deleteJobsForCustomer,
+  deleteJobsForSession,
+  purgeJobImages,
+  purgeImages
+};
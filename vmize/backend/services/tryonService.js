@@ -0,0 +1,116 @@
+/**
+ * Try-On Service
+ * Single code path used by every try-on entry point (/api/tryon, /api/tryon/generate,
+ * /api/v1/tryon/generate). Request bodies are mapped to a provider-neutral input and
+ * handed to the configured provider adapter (see services/providers).
+ */
+
+const { getProvider } = require('./providers');
+const tryonJobs = require('./tryonJobs');
+
+// Accepts both the snake_case widget payload (optionally nested under `options`)
+// and the camelCase payload used by /api/v1/tryon/generate
+function normalizeTryOnInput(body = {}) {
+  const options = body.options || {};
+  const pick = (...keys) => {
+    for (const key of keys) {
+      if (body[key] !== undefined) return body[key];
+      if (options[key] !== undefined) return options[key];
+    }
+    return undefined;
+  };
+
+  return {
+    modelImage: pick('model_image', 'modelImage'),
+    garmentImage: pick('garment_image', 'garmentImage'),
+    category: pick('category'),
+    mode: pick('mode'),
+    outputFormat: pick('output_format', 'outputFormat'),
+    numSamples: pick('num_samples', 'numSamples'),
+    garmentPhotoType: pick('garment_photo_type', 'garmentPhotoType'),
+    age: pick('age'),
+    productId: pick('productId', 'product_id'),
+    sessionId: pick('session_id', 'sessionId'),
+    // Only honoured by the sandbox provider (test-mode keys)
+    testScenario: pick('test_scenario', 'testScenario')
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+// Test-mode keys never reach a paid provider
+const TEST_MODE_PROVIDER = 'sandbox';
+
+// Sandbox predictions carry their provider in the ID, so they resolve even when the
+// job record is missing (e.g. an in-memory job store after a restart)
+function providerForPrediction(predictionId, job) {
+  if (job?.provider) return job.provider;
+  return String(predictionId).startsWith(`${TEST_MODE_PROVIDER}_`) ? TEST_MODE_PROVIDER : undefined;
+}
+
+async function submitTryOn(input, { provider, testMode } = {}) {
+  if (!input.modelImage || !input.garmentImage) {
+    throw badRequest('model_image and garment_image are required');
+  }
+  const adapter = getProvider(testMode ? TEST_MODE_PROVIDER : provider);
+  const result = await adapter.submit(input);
+  return { ...result, provider: adapter.name };
+}
+
+async function getTryOnStatus(id, { provider } = {}) {
+  const adapter = getProvider(provider);
+  const result = await adapter.getStatus(id);
+  return { ...result, provider: adapter.name };
+}
+
+async function cancelTryOn(id, { provider } = {}) {
+  const adapter = getProvider(provider);
+  const result = await adapter.cancel(id);
+  return { ...result, provider: adapter.name };
+}
+
+// Status for a prediction: finished jobs are served from the job store without a
+// provider round trip; pending ones are refreshed from the provider and recorded.
+async function refreshJobStatus(predictionId, { job } = {}) {
+  job = job || await tryonJobs.findByPredictionId(predictionId);
+  if (job && tryonJobs.TERMINAL_STATUSES.includes(job.status)) {
+    return { job, result: tryonJobs.toResult(job) };
+  }
+
+  const result = await getTryOnStatus(predictionId, { provider: providerForPrediction(predictionId, job) });
+  await tryonJobs.recordStatus(result)
+    .catch(err => console.error('❌ Failed to update try-on job:', err.message));
+  return { job, result };
+}
+
+// The job for `predictionId` when `customerId` started it, otherwise null. Status routes
+// check this before refreshing, so another tenant's IDs never reach the provider.
+async function findCustomerJob(predictionId, customerId) {
+  const job = await tryonJobs.findByPredictionId(predictionId);
+  return job && job.customerId && job.customerId === String(customerId) ? job : null;
+}
+
+// Public status payload. Keeps the Fashn-style `output` array the widgets already read.
+function toStatusResponse(result) {
+  return {
+    id: result.id,
+    status: result.status,
+    output: result.images,
+    imageUrl: result.imageUrl,
+    error: result.error
+  };
+}
+
+module.exports = {
+  normalizeTryOnInput,
+  submitTryOn,
+  getTryOnStatus,
+  cancelTryOn,
+  refreshJobStatus,
+  findCustomerJob,
+  toStatusResponse
+};
@@ -0,0 +1,70 @@
+/**
+ * Usage Alerts
+ * Emails merchants when their committed try-ons reach 80% and 100% of the plan's
+ * included quota. Each alert goes out once per customer, threshold and period (the
+ * outbox dedupe key), so checking again after every try-on is cheap and safe.
+ * Customers can opt out with notifications.usageAlerts = false.
+ */
+
+const metering = require('./metering');
+const customers = require('./customers');
+const email = require('./email');
+
+// Highest first: a customer who jumps past both only gets the limit email
+const THRESHOLDS = [
+  { percent: 100, template: 'usage_limit' },
+  { percent: 80, template: 'usage_warning' }
+];
+
+let watching = false;
+
+// Queue the alert for the highest threshold reached this period, if any.
+// Returns the outbox message or null.
+async function checkCustomer(customer, now = new Date()) {
+  if (!customer || customer.notifications?.usageAlerts === false) return null;
+  const account = {
+    customerId: String(customer._id),
+    plan: customer.plan,
+    limit: customer.getPlanLimit(),
+    hardCap: customer.getHardCap()
+  };
+  const usage = await metering.getUsage(account, now);
+  const threshold = THRESHOLDS.find(({ percent }) => usage.used * 100 >= usage.limit * percent);
+  if (!threshold) return null;
+
+  return email.send(threshold.template, customer, {
+    used: usage.used,
+    limit: usage.limit,
+    period: usage.period,
+    hardCap: account.hardCap,
+    overageRate: customer.getOverageRate()
+  }, { dedupeKey: `usage_${threshold.percent}:${account.customerId}:${usage.period}` });
+}
+
+// Every customer with usage in the current period (the scheduled sweep)
+async function checkAll(now = new Date()) {
+  let queued = 0;
+  for (const { customerId } of await metering.usageForPeriod(metering.periodKey(now))) {
+    const customer = await customers.getCustomer(customerId);
+    if (await checkCustomer(customer, now)) queued++;
+  }
+  return queued;
+}
+
+// Check after each committed try-on
+function watch() {
+  if (watching) return;
+  watching = true;
+  metering.events.on('commit', ({ customerId }) => {
+    customers.getCustomer(customerId)
+      .then(customer => checkCustomer(customer))
+      .catch(err => console.error('❌ Usage alert check failed:', err.message));
+  });
+}
+
+module.exports = {
+  THRESHOLDS,
+  checkCustomer,
+  checkAll,
+  watch
+};
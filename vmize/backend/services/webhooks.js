@@ -0,0 +1,348 @@
+/**
+ * Merchant Webhooks
+ * Signed callbacks for try-on jobs that reach a terminal state.
+ *
+ * Each POST carries:
+ *   X-Vmize-Event:     tryon.completed | tryon.failed
+ *   X-Vmize-Delivery:  unique event id (stable across retries)
+ *   X-Vmize-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Failed deliveries are retried with exponential backoff (in-process timers).
+ * Endpoints live in MongoDB when connected, in memory otherwise.
+ *
+ * Webhook URLs must point at the public internet: hosts that are, or resolve to,
+ * loopback, private, link-local (cloud metadata) or reserved addresses are refused at
+ * registration and again at delivery, where the address checked is the one connected
+ * to. WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this for local development. Delivery
+ * results shown to merchants carry the HTTP status or a generic error, never the
+ * underlying network error.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+
+const EVENT_TYPES = ['tryon.completed', 'tryon.failed'];
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 5000);
+const RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS || 15 * 60 * 1000);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+
+const memoryEndpoints = new Map();
+
+// Loopback, "this network", RFC 1918 / unique local, CGNAT, link-local, benchmarking,
+// multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 (::ffff:a.b.c.d). Kept apart: BlockList also matches plain IPv4
+// addresses against this range.
+const MAPPED_IPV4 = new net.BlockList();
+MAPPED_IPV4.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+const PRIVATE_HOST_MESSAGE = 'Webhook URL must point to a public address';
+
+function useMongo() {
+  return mongoose.connection.readyState === 1;
+}
+
+function publicEndpoint(endpoint) {
+  const { secret, ...rest } = endpoint.toObject ? endpoint.toObject() : endpoint;
+  return rest;
+}
+
+// =====================================
+// SIGNING
+// =====================================
+
+function sign(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function verifySignature(rawBody, header, secret, toleranceSec = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSec) return false;
+
+  const expected = sign(rawBody, secret, timestamp).split('v1=')[1];
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(parts.v1, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// =====================================
+// ADDRESS CHECKS
+// =====================================
+
+function allowPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  if (family === 6 && MAPPED_IPV4.check(address, 'ipv6')) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function privateHostError() {
+  return Object.assign(new Error(PRIVATE_HOST_MESSAGE), { statusCode: 400, code: 'EWEBHOOKPRIVATE' });
+}
+
+// IP literal of a parsed URL ("[::1]" -> "::1"), or null for host names
+function literalAddress(parsed) {
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(host) ? host : null;
+}
+
+// dns.lookup that refuses non-public answers. Deliveries connect through it, so the
+// address checked is the address used (no second resolution to rebind).
+function publicLookup(hostname, options, callback) {
+  const opts = typeof options === 'number' ? { family: options } : { ...options };
+  dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowPrivateHosts() && addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(privateHostError());
+    }
+    if (opts.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// =====================================
+// ENDPOINT REGISTRATION
+// =====================================
+
+async function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw Object.assign(new Error('Invalid webhook URL'), { statusCode: 400 });
+  }
+  const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['http:', 'https:'];
+  if (!allowed.includes(parsed.protocol)) {
+    throw Object.assign(new Error(`Webhook URL must use ${allowed.join(' or ')}`), { statusCode: 400 });
+  }
+  if (allowPrivateHosts()) return;
+
+  const literal = literalAddress(parsed);
+  if (literal) {
+    if (!isPublicAddress(literal)) throw privateHostError();
+    return;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname, { all: true });
+  } catch (err) {
+    throw Object.assign(new Error('Webhook URL host could not be resolved'), { statusCode: 400 });
+  }
+  if (addresses.some(({ address }) => !isPublicAddress(address))) throw privateHostError();
+}
+
+async function createEndpoint({ customerId, url, events = EVENT_TYPES }) {
+  await validateUrl(url);
+  const unknown = events.filter(e => !EVENT_TYPES.includes(e));
+  if (unknown.length) {
+    throw Object.assign(new Error(`Unknown webhook events: ${unknown.join(', ')}`), { statusCode: 400 });
+  }
+
+  const data = {
+    customerId: String(customerId),
+    url,
+    events,
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    active: true
+  };
+
+  if (useMongo()) {
+    const endpoint = await WebhookEndpoint.create(data);
+    return { ...publicEndpoint(endpoint), secret: data.secret };
+  }
+
+  const endpoint = { _id: `we_${crypto.randomBytes(8).toString('hex')}`, ...data, createdAt: new Date() };
+  memoryEndpoints.set(endpoint._id, endpoint);
+  return { ...endpoint };
+}
+
+async function listEndpoints(customerId) {
+  if (useMongo()) {
+    const endpoints = await WebhookEndpoint.find({ customerId: String(customerId) }).sort({ createdAt: -1 });
+    return endpoints.map(publicEndpoint);
+  }
+  return [...memoryEndpoints.values()]
+    .filter(e => e.customerId === String(customerId))
+    .map(publicEndpoint);
+}
+
+async function deleteEndpoint(customerId, id) {
+  if (useMongo()) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const { deletedCount } = await WebhookEndpoint.deleteOne({ _id: id, customerId: String(customerId) });
+    return deletedCount > 0;
+  }
+  const endpoint = memoryEndpoints.get(id);
+  if (!endpoint || endpoint.customerId !== String(customerId)) return false;
+  return memoryEndpoints.delete(id);
+}
+
+// Every endpoint a customer registered (account deletion); returns the number removed
+async function deleteEndpointsForCustomer(customerId) {
+  if (useMongo()) {
+    const { deletedCount } = await WebhookEndpoint.deleteMany({ customerId: String(customerId) });
+    return deletedCount;
+  }
+  let removed = 0;
+  for (const [id, endpoint] of memoryEndpoints) {
+    if (endpoint.customerId === String(customerId) && memoryEndpoints.delete(id)) removed++;
+  }
+  return removed;
+}
+
+async function findSubscribers(customerId, type) {
+  if (useMongo()) {
+    return WebhookEndpoint.find({ customerId: String(customerId), active: true, events: type }).select('+secret');
+  }
+  return [...memoryEndpoints.values()]
+    .filter(e => e.customerId === String(customerId) && e.active && e.events.includes(type));
+}
+
+async function recordDelivery(endpoint, lastDelivery) {
+  if (useMongo() && endpoint._id && mongoose.isValidObjectId(endpoint._id)) {
+    await WebhookEndpoint.updateOne({ _id: endpoint._id }, { $set: { lastDelivery } });
+  } else {
+    endpoint.lastDelivery = lastDelivery;
+  }
+}
+
+// =====================================
+// DELIVERY
+// =====================================
+
+function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+}
+
+// What the merchant sees about a failed connection; the details stay in our logs
+function deliveryError(err) {
+  if (err.code === 'EWEBHOOKPRIVATE') return PRIVATE_HOST_MESSAGE;
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return 'Timed out';
+  return 'Connection failed';
+}
+
+async function deliver(endpoint, event, attempt = 1) {
+  const rawBody = JSON.stringify(event);
+  let httpStatus;
+  let error;
+
+  try {
+    // IP literals never reach the lookup, so they are checked here
+    const literal = literalAddress(new URL(endpoint.url));
+    if (literal && !allowPrivateHosts() && !isPublicAddress(literal)) throw privateHostError();
+
+    const resp = await axios.post(endpoint.url, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Vmize-Webhooks/1.0',
+        'X-Vmize-Event': event.type,
+        'X-Vmize-Delivery': event.id,
+        'X-Vmize-Signature': sign(rawBody, endpoint.secret)
+      },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      proxy: false,
+      validateStatus: () => true
+    });
+    httpStatus = resp.status;
+    if (resp.status < 200 || resp.status >= 300) error = `HTTP ${resp.status}`;
+  } catch (err) {
+    console.warn(`⚠️ Webhook ${event.type} to ${endpoint.url}: ${err.message}`);
+    error = deliveryError(err);
+  }
+
+  const delivered = !error;
+  const willRetry = !delivered && attempt < MAX_ATTEMPTS;
+  await recordDelivery(endpoint, {
+    eventId: event.id,
+    type: event.type,
+    status: delivered ? 'delivered' : (willRetry ? 'retrying' : 'failed'),
+    httpStatus,
+    attempt,
+    error,
+    at: new Date()
+  }).catch(err => console.error('❌ Failed to record webhook delivery:', err.message));
+
+  if (delivered) {
+    console.log(`🔔 Webhook ${event.type} delivered to ${endpoint.url} (attempt ${attempt})`);
+    return true;
+  }
+
+  if (willRetry) {
+    const delay = retryDelay(attempt);
+    console.warn(`⚠️ Webhook ${event.type} to ${endpoint.url} failed (${error}); retry ${attempt + 1}/${MAX_ATTEMPTS} in ${delay}ms`);
+    setTimeout(() => {
+      deliver(endpoint, event, attempt + 1).catch(err => console.error('❌ Webhook retry error:', err.message));
+    }, delay).unref();
+  } else {
+    console.error(`❌ Webhook ${event.type} to ${endpoint.url} failed after ${attempt} attempts: ${error}`);
+  }
+  return false;
+}
+
+function buildJobEvent(job) {
+  return {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: job.status === 'completed' ? 'tryon.completed' : 'tryon.failed',
+    created: new Date().toISOString(),
+    data: {
+      id: String(job._id),
+      prediction_id: job.predictionId,
+      status: job.status,
+      product_id: job.productId || null,
+      image_url: job.resultImageUrl || null,
+      images: job.images || [],
+      error: job.error || null,
+      submitted_at: job.submittedAt,
+      completed_at: job.completedAt,
+      duration_ms: job.durations?.totalMs ?? null,
+      test_mode: Boolean(job.testMode)
+    }
+  };
+}
+
+// Listener for tryonJobs.events 'transition'
+async function dispatchJobEvent(job) {
+  if (!job.customerId || !['completed', 'failed', 'canceled'].includes(job.status)) return;
+  const event = buildJobEvent(job);
+  const endpoints = await findSubscribers(job.customerId, event.type);
+  await Promise.all(endpoints.map(endpoint => deliver(endpoint, event)));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  isPublicAddress,
+  validateUrl,
+  sign,
+  verifySignature,
+  createEndpoint,
+  listEndpoints,
+  deleteEndpoint,
+  deleteEndpointsForCustomer,
+  dispatchJobEvent
+};
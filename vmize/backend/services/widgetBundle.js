@@ -0,0 +1,37 @@
+/**
+ * Widget Bundle
+ * Builds the storefront widget (widget/widget.js) once per process: the package version
+ * and the default widget config are filled in, and an ETag is computed so browsers and
+ * CDNs can revalidate cheaply. The defaults come from services/widgetConfigs, so the
+ * widget and the public config endpoint never disagree about them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const { DEFAULT_CONFIG } = require('./widgetConfigs');
+
+const SOURCE = path.join(__dirname, '..', 'widget', 'widget.js');
+
+let bundle = null;
+
+function build() {
+  const source = fs.readFileSync(SOURCE, 'utf8');
+  const body = source
+    .replace(/__VMIZE_WIDGET_VERSION__/g, version)
+    .replace('__VMIZE_DEFAULT_CONFIG__', JSON.stringify(DEFAULT_CONFIG));
+  return {
+    version,
+    body,
+    etag: `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 32)}"`
+  };
+}
+
+// { version, body, etag }
+function getBundle() {
+  if (!bundle) bundle = build();
+  return bundle;
+}
+
+module.exports = { getBundle };
@@ -0,0 +1,263 @@
+/**
+ * Widget Configs
+ * Storefront widget styling (button text, colors, border, modal title, placement) saved
+ * per customer from the widget customizer. Every save adds a version; the highest
+ * version is the live one, and restoring an old version saves a copy of it as the next
+ * version, so history is never rewritten. Customers who never saved get DEFAULT_CONFIG.
+ *
+ * The embed loads the live config by API key from a public, cacheable endpoint, so a
+ * merchant can restyle the widget without touching the snippet on their store. Uses the
+ * WidgetConfig model when MongoDB is connected, otherwise keeps versions in memory.
+ */
+
+const mongoose = require('mongoose');
+const WidgetConfig = require('../models/WidgetConfig');
+const customers = require('./customers');
+
+const DEFAULT_CONFIG = Object.freeze({
+  buttonText: '👗 Virtual Try-On',
+  buttonBgColor: '#6B4CE6',
+  buttonTextColor: '#FFFFFF',
+  buttonSize: 'medium',
+  borderStyle: 'none',
+  borderColor: '#6B4CE6',
+  borderWidth: 0,
+  modalTitle: 'Virtual Try-On',
+  modalColor: '#6B4CE6',
+  buttonPosition: 'below'
+});
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const MAX_BORDER_WIDTH = 10;
+const MAX_PAGE_SIZE = 100;
+const SAVE_ATTEMPTS = 3;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function text(maxLength) {
+  return value => (typeof value === 'string' && value.trim() && value.length <= maxLength
+    ? value.trim()
+    : httpError(400, `must be 1-${maxLength} characters`));
+}
+
+function color(value) {
+  return typeof value === 'string' && HEX_COLOR.test(value)
+    ? value.toUpperCase()
+    : httpError(400, 'must be a hex color like #6B4CE6');
+}
+
+function oneOf(...options) {
+  return value => (options.includes(value) ? value : httpError(400, `must be one of: ${options.join(', ')}`));
+}
+
+// Field -> normalizer; returns the stored value or an error to report
+const FIELDS = {
+  buttonText: text(60),
+  buttonBgColor: color,
+  buttonTextColor: color,
+  buttonSize: oneOf('small', 'medium', 'large'),
+  borderStyle: oneOf('none', 'solid', 'rounded'),
+  borderColor: color,
+  borderWidth: value => (Number.isInteger(value) && value >= 0 && value <= MAX_BORDER_WIDTH
+    ? value
+    : httpError(400, `must be a whole number from 0 to ${MAX_BORDER_WIDTH}`)),
+  modalTitle: text(80),
+  modalColor: color,
+  buttonPosition: oneOf('below', 'inline')
+};
+
+// A full config from the customizer's fields; anything left out takes the default
+function validateConfig(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw httpError(400, 'config must be an object');
+  }
+  const unknown = Object.keys(input).filter(field => !FIELDS[field]);
+  if (unknown.length) throw httpError(400, `Unknown config fields: ${unknown.join(', ')}`);
+
+  const config = { ...DEFAULT_CONFIG };
+  for (const [field, value] of Object.entries(input)) {
+    if (value === undefined) continue;
+    const normalized = FIELDS[field](value);
+    if (normalized instanceof Error) throw httpError(400, `${field} ${normalized.message}`);
+    config[field] = normalized;
+  }
+  return config;
+}
+
+// =====================================
+// BACKENDS
+// =====================================
+
+const memoryBackend = {
+  versions: new Map(), // customerId -> versions, oldest first
+
+  async latest(customerId) {
+    const versions = this.versions.get(customerId) || [];
+    return versions.length ? { ...versions[versions.length - 1] } : null;
+  },
+
+  async get(customerId, version) {
+    const found = (this.versions.get(customerId) || []).find(entry => entry.version === version);
+    return found ? { ...found } : null;
+  },
+
+  async list(customerId, { skip, limit }) {
+    const versions = [...(this.versions.get(customerId) || [])].reverse();
+    return { versions: versions.slice(skip, skip + limit).map(entry => ({ ...entry })), total: versions.length };
+  },
+
+  async insert(entry) {
+    const versions = this.versions.get(entry.customerId) || [];
+    if (versions.some(existing => existing.version === entry.version)) {
+      throw Object.assign(new Error('Duplicate widget config version'), { code: 11000 });
+    }
+    versions.push({ ...entry });
+    this.versions.set(entry.customerId, versions);
+  },
+
+  async removeAll(customerId) {
+    const removed = (this.versions.get(customerId) || []).length;
+    this.versions.delete(customerId);
+    return removed;
+  }
+};
+
+const mongoBackend = {
+  async latest(customerId) {
+    return WidgetConfig.findOne({ customerId }, { _id: 0 }).sort({ version: -1 }).lean();
+  },
+
+  async get(customerId, version) {
+    return WidgetConfig.findOne({ customerId, version }, { _id: 0 }).lean();
+  },
+
+  async list(customerId, { skip, limit }) {
+    const [versions, total] = await Promise.all([
+      WidgetConfig.find({ customerId }, { _id: 0 }).sort({ version: -1 }).skip(skip).limit(limit).lean(),
+      WidgetConfig.countDocuments({ customerId })
+    ]);
+    return { versions, total };
+  },
+
+  async insert(entry) {
+    await WidgetConfig.create(entry);
+  },
+
+  async removeAll(customerId) {
+    const { deletedCount } = await WidgetConfig.deleteMany({ customerId });
+    return deletedCount;
+  }
+};
+
+function backend() {
+  return mongoose.connection.readyState === 1 ? mongoBackend : memoryBackend;
+}
+
+// =====================================
+// CONFIGS
+// =====================================
+
+function toView(entry) {
+  if (!entry) return { version: 0, config: { ...DEFAULT_CONFIG }, createdAt: null, createdBy: null };
+  return {
+    version: entry.version,
+    config: { ...DEFAULT_CONFIG, ...entry.config },
+    ...(entry.restoredFrom && { restoredFrom: entry.restoredFrom }),
+    createdAt: entry.createdAt,
+    createdBy: entry.createdBy
+  };
+}
+
+function parseVersion(version) {
+  const number = Number(version);
+  if (!Number.isInteger(number) || number < 1) throw httpError(400, 'version must be a positive whole number');
+  return number;
+}
+
+async function requireCustomer(customerId) {
+  const customer = await customers.getCustomer(String(customerId));
+  if (!customer) throw httpError(404, 'Customer not found');
+  return String(customer._id);
+}
+
+// Saves as the next version; two saves racing for the same number retry with the next
+async function insertNext(customerId, fields) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await backend().latest(customerId);
+    const entry = { customerId, version: (latest?.version || 0) + 1, ...fields, createdAt: new Date() };
+    try {
+      await backend().insert(entry);
+      return toView(entry);
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= SAVE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// The live config: { version, config, createdAt, createdBy }; version 0 is the defaults
+async function getConfig(customerId) {
+  return toView(await backend().latest(await requireCustomer(customerId)));
+}
+
+// `createdBy` is { type: 'merchant' | 'admin' | 'service', id, username }
+async function saveConfig(customerId, input, createdBy) {
+  const id = await requireCustomer(customerId);
+  return insertNext(id, { config: validateConfig(input), createdBy });
+}
+
+async function getVersion(customerId, version) {
+  const entry = await backend().get(await requireCustomer(customerId), parseVersion(version));
+  if (!entry) throw httpError(404, 'Widget config version not found');
+  return toView(entry);
+}
+
+// Newest first: { versions, pagination }
+async function listVersions(customerId, { page = 1, limit = 20 } = {}) {
+  const id = await requireCustomer(customerId);
+  const pageNumber = Math.max(1, Number(page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(limit) || 20));
+  const { versions, total } = await backend().list(id, { skip: (pageNumber - 1) * pageSize, limit: pageSize });
+  return {
+    versions: versions.map(toView),
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+// Makes an earlier version live again by saving a copy of it as the next version
+async function restoreVersion(customerId, version, createdBy) {
+  const id = await requireCustomer(customerId);
+  const entry = await backend().get(id, parseVersion(version));
+  if (!entry) throw httpError(404, 'Widget config version not found');
+  return insertNext(id, { config: { ...DEFAULT_CONFIG, ...entry.config }, restoredFrom: entry.version, createdBy });
+}
+
+// Removes every version; storefronts fall back to the defaults. Returns the count removed.
+async function deleteConfig(customerId) {
+  return backend().removeAll(await requireCustomer(customerId));
+}
+
+// Live config for the embed, or null for unknown and revoked keys. Only styling is
+// returned, since the key and this response are both public. Secret keys get null too:
+// they never belong in a storefront page.
+async function getPublicConfig(apiKey) {
+  const account = await customers.authenticateApiKey(apiKey, { recordUse: false });
+  if (!account || account.type !== 'publishable') return null;
+  const { version, config } = toView(await backend().latest(account.customerId));
+  return { version, config };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  validateConfig,
+  getConfig,
+  saveConfig,
+  getVersion,
+  listVersions,
+  restoreVersion,
+  deleteConfig,
+  getPublicConfig
+};
@@ -5,62 +5,200 @@
 
 const express = require('express');
 const cors = require('cors');
+const mongoose = require('mongoose');
 require('dotenv').config();
 const AnalyticsTracker = require('./analytics-tracker');
+const { createStore } = require('./services/analyticsStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const FASHN_API_KEY = process.env.FASHN_API_KEY;
-const FASHN_API_URL = process.env.FASHN_API_URL || process.env.FASHN_AI_API_URL || 'https://api.fashn.ai/v1/run';
-const FASHN_BASE = FASHN_API_URL.replace(/\/run$/, '');
-const axios = require('axios');
-
-// Initialize analytics
+const TRYON_PROVIDER = process.env.TRYON_PROVIDER || 'fashn';
+const tryon = require('./services/tryonService');
+const tryonJobs = require('./services/tryonJobs');
+const customers = require('./services/customers');
+const adminAuth = require('./services/adminAuth');
+const merchantAuth = require('./services/merchantAuth');
+const apiKeyPolicy = require('./services/apiKeyPolicy');
+const corsPolicy = require('./services/corsPolicy');
+const rateLimits = require('./services/rateLimits');
+const metering = require('./services/metering');
+const webhooks = require('./services/webhooks');
+const jobPoller = require('./services/jobPoller');
+const { streamJob } = require('./services/jobStream');
+const { parseFunnelFilters } = require('./services/analyticsFunnel');
+
+// Initialize analytics. Test-mode keys get their own store so sandbox traffic never
+// shows up in (or skews) live analytics.
 const analytics = new AnalyticsTracker();
+const testAnalytics = new AnalyticsTracker({ store: createStore(undefined, { namespace: 'test' }) });
+
+// Analytics for routers outside this app (the admin API's conversion report, exports
+// and privacy requests)
+app.locals.analytics = analytics;
+app.locals.testAnalytics = testAnalytics;
+
+function trackerFor(testMode) {
+    return testMode ? testAnalytics : analytics;
+}
+
+function isTestMode(account) {
+    return account?.mode === 'test';
+}
+
+// Job lifecycle: fires once per status change, whether the transition was seen by
+// the background poller or by a client status request
+tryonJobs.events.on('transition', (job) => {
+    if (job.status === 'completed') {
+        trackerFor(job.testMode).trackEvent('result_generated', {
+            customerId: job.customerId || null,
+            productId: job.productId,
+            sessionId: job.sessionId,
+            predictionId: job.predictionId
+        }).catch(() => {});
+    }
+    webhooks.dispatchJobEvent(job)
+        .catch(err => console.error('❌ Webhook dispatch error:', err.message));
+});
+
+// Throttled requests and sign-in lockouts (services/rateLimits), so abuse shows up in
+// analytics next to the traffic it came with
+rateLimits.events.on('throttled', ({ customerId, testMode, policy, reason, path }) => {
+    trackerFor(testMode).trackEvent('rate_limited', { customerId, policy, reason, path }).catch(() => {});
+});
 
 // Middleware
-app.use(cors());
+// Storefront routes answer the origins each customer allows (see services/corsPolicy)
+app.use(cors(corsPolicy.corsOptionsFor));
 app.use(express.json({ limit: '50mb' }));
 
-// Demo customer storage (replace with database in production)
-const demoKeys = {
-    'vmize_pk_demo_test_1234567890': {
-        customerId: 'demo_customer',
-        email: 'demo@example.com',
-        plan: 'professional',
-        limit: 500,
-        used: 0
+// Middleware: Verify API Key
+// Secret keys work on every route. Routes a storefront calls use verifyStorefrontKey,
+// which also accepts publishable keys from their allowed domains (services/apiKeyPolicy)
+// and holds browsers to the customer's allowed origins (services/corsPolicy).
+function keyVerifier({ storefront = false } = {}) {
+    return async function (req, res, next) {
+        const apiKey = req.headers['x-vmize-api-key'];
+        
+        if (!apiKey) {
+            return res.status(401).json({ error: 'API key required' });
+        }
+        
+        if (!/^vmize_(pk|sk)_/.test(apiKey)) {
+            return res.status(401).json({ error: 'Invalid API key format' });
+        }
+        
+        let customer;
+        try {
+            customer = await customers.authenticateApiKey(apiKey);
+        } catch (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        
+        if (!customer) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const denied = apiKeyPolicy.denialReason(customer, req, { storefront })
+            || (storefront && corsPolicy.allowTenantOrigin(req, res, customer));
+        if (denied) {
+            return res.status(403).json({ error: denied });
+        }
+        
+        // Live keys stop once the subscription lapses; test keys keep the sandbox
+        if (customer.mode === 'live' && !customers.isSubscriptionActive(customer.subscriptionStatus)) {
+            return res.status(403).json({ error: 'Subscription inactive. Please update billing.' });
+        }
+        
+        req.customer = customer;
+        req.apiKey = apiKey;
+        next();
+    };
+}
+
+const verifyVmizeKey = keyVerifier();
+const verifyStorefrontKey = keyVerifier({ storefront: true });
+
+// Per-key try-on limit for publishable keys
+const tryonRateLimit = apiKeyPolicy.tryonRateLimit();
+
+// Abuse protection for every key (try-ons), and per IP and storefront session (events)
+const throttleTryons = rateLimits.limiter('tryon');
+const throttleTrackingIps = rateLimits.limiter('tracking_ip');
+const throttleTracking = rateLimits.limiter('tracking');
+
+// Middleware: Authenticate analytics requests
+// Merchants use their API key (x-vmize-api-key, or x-api-key from the storefront pages)
+// or a dashboard JWT and only ever see their own data. Publishable keys may only post
+// events, from their allowed domains. Admins (x-admin-token with
+// analytics:read, or analytics:write for changes, see services/adminAuth) get the
+// cross-tenant view; a JWT is always a merchant's, whatever its claims say.
+async function verifyAnalyticsAuth(req, res, next) {
+    const apiKey = req.headers['x-vmize-api-key'] || req.headers['x-api-key'];
+    const adminToken = req.headers['x-admin-token'];
+    const auth = req.headers.authorization || '';
+    const bearer = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+
+    // Test keys always read and write test analytics; others opt in with ?mode=test
+    const testMode = req.query.mode === 'test';
+
+    if (adminToken) {
+        try {
+            await adminAuth.admit(req, res, req.method === 'GET' ? 'analytics:read' : 'analytics:write');
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({ error: error.message });
+        }
+        req.analyticsScope = { admin: true, testMode };
+        return next();
     }
-};
 
-// Middleware: Verify API Key
-function verifyVmizeKey(req, res, next) {
-    const apiKey = req.headers['x-vmize-api-key'];
-    
-    if (!apiKey) {
-        return res.status(401).json({ error: 'API key required' });
+    if (apiKey) {
+        const customer = await customers.authenticateApiKey(apiKey).catch(() => null);
+        if (!customer) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        const storefront = req.method === 'POST';
+        const denied = apiKeyPolicy.denialReason(customer, req, { storefront })
+            || (storefront && corsPolicy.allowTenantOrigin(req, res, customer));
+        if (denied) {
+            return res.status(403).json({ error: denied });
+        }
+        req.analyticsScope = { admin: false, customerId: customer.customerId, testMode: isTestMode(customer) };
+        return next();
     }
-    
-    if (!apiKey.startsWith('vmize_pk_')) {
-        return res.status(401).json({ error: 'Invalid API key format' });
+
+    if (bearer) {
+        try {
+            const payload = await merchantAuth.authenticate(req);
+            req.analyticsScope = { admin: false, customerId: String(payload._id), testMode };
+            return next();
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({ error: error.message });
+        }
     }
-    
-    const customer = demoKeys[apiKey];
-    
-    if (!customer) {
-        return res.status(401).json({ error: 'Invalid API key' });
+
+    return res.status(401).json({ error: 'Authentication required' });
+}
+
+// Customer whose analytics a request may read: admins choose (or see everyone),
+// merchants are pinned to themselves
+function analyticsCustomerId(req) {
+    const requested = req.query.customerId ? String(req.query.customerId) : undefined;
+    const scope = req.analyticsScope;
+    if (scope.admin) return requested;
+    if (requested && requested !== scope.customerId) {
+        const err = new Error('You can only view your own analytics');
+        err.statusCode = 403;
+        throw err;
     }
-    
-    if (customer.used >= customer.limit) {
-        return res.status(429).json({ 
-            error: 'Usage limit exceeded',
-            limit: customer.limit,
-            used: customer.used
-        });
+    return scope.customerId;
+}
+
+// Events are always attributed to the authenticated merchant, never to a body field
+function requireMerchantScope(req, res, next) {
+    if (!req.analyticsScope.customerId) {
+        return res.status(403).json({ error: 'Events must be tracked with a merchant API key' });
     }
-    
-    req.customer = customer;
-    req.apiKey = apiKey;
     next();
 }
 
@@ -73,10 +211,11 @@ app.get('/health', (req, res) => {
 });
 
 // Compatibility endpoint: track analytics events from demo site
-app.post('/api/analytics/track', async (req, res) => {
+app.post('/api/analytics/track', verifyAnalyticsAuth, requireMerchantScope, throttleTrackingIps, throttleTracking, async (req, res) => {
     try {
         const { event, properties, timestamp, session_id } = req.body || {};
         const payload = {
+            customerId: req.analyticsScope.customerId,
             properties: properties || {},
             timestamp: timestamp || new Date().toISOString(),
             session_id: session_id || null,
@@ -85,7 +224,7 @@ app.post('/api/analytics/track', async (req, res) => {
         };
 
         // Map event name and payload into analytics tracker
-        await analytics.trackEvent(event, payload);
+        await trackerFor(req.analyticsScope.testMode).trackEvent(event, payload);
 
         res.json({ success: true, event, timestamp: payload.timestamp });
     } catch (error) {
@@ -94,31 +233,33 @@ app.post('/api/analytics/track', async (req, res) => {
 });
 
 // Get Analytics
-app.get('/api/analytics', async (req, res) => {
+app.get('/api/analytics', verifyAnalyticsAuth, async (req, res) => {
     try {
-        const summary = analytics.getAnalyticsSummary();
+        const summary = await trackerFor(req.analyticsScope.testMode).getAnalyticsSummary({ customerId: analyticsCustomerId(req) });
         res.json(summary);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 // Get Conversion Funnel
-app.get('/api/analytics/funnel', async (req, res) => {
+app.get('/api/analytics/funnel', verifyAnalyticsAuth, async (req, res) => {
     try {
-        const funnel = analytics.getConversionFunnel();
+        const filters = parseFunnelFilters(req.query);
+        filters.customerId = analyticsCustomerId(req);
+        const funnel = await trackerFor(req.analyticsScope.testMode).getConversionFunnel(filters);
         res.json(funnel);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 // Track Event
-app.post('/api/track', async (req, res) => {
+app.post('/api/track', verifyAnalyticsAuth, requireMerchantScope, throttleTrackingIps, throttleTracking, async (req, res) => {
     try {
         const { eventName, data } = req.body;
         
-        await analytics.trackEvent(eventName, data);
+        await trackerFor(req.analyticsScope.testMode).trackEvent(eventName, { ...data, customerId: req.analyticsScope.customerId });
         
         res.json({ 
             success: true,
@@ -133,108 +274,112 @@ app.post('/api/track', async (req, res) => {
 // Virtual Try-On Implementation (extracted for reuse)
 async function doTryOn(req, res) {
     const startTime = Date.now();
-    const { model_image, garment_image, category = 'auto', mode = 'quality', age } = req.body;
-
-    console.log(`🎨 Try-on request from ${req.customer?.customerId || 'unknown'}`);
-
-    // Track API call start
-    await analytics.trackEvent('tryon_initiated', {
-        customerId: req.customer?.customerId || null,
-        productId: req.body.productId
-    });
+    const endpoint = req.originalUrl.split('?')[0];
+    const input = tryon.normalizeTryOnInput(req.body);
+    input.category = input.category || 'auto';
+    input.mode = input.mode || 'quality';
+    input.sessionId = input.sessionId || req.get('x-vmize-session-id');
+    const testMode = isTestMode(req.customer);
+    const tracker = trackerFor(testMode);
+
+    console.log(`🎨 ${testMode ? 'Test-mode try-on' : 'Try-on'} request from ${req.customer?.customerId || 'unknown'}`);
+
+    // Bad input never holds quota
+    if (!input.modelImage || !input.garmentImage) {
+        return res.status(400).json({ error: 'Both model_image and garment_image are required', test_mode: testMode });
+    }
 
+    let reservation = null;
     try {
-        if (!FASHN_API_KEY) {
-            throw new Error('FASHN_API_KEY not configured');
+        // Hold a unit of quota before calling the provider; test-mode calls are free.
+        // Inside the try, so anything failing from here on releases it.
+        if (req.customer && !testMode) {
+            const reserved = await metering.reserve(req.customer);
+            if (!reserved.reservation) {
+                const { limit, hardCap, used, reserved: pending, resetsAt } = reserved.usage;
+                return res.status(429).json({
+                    error: 'Usage limit exceeded',
+                    limit,
+                    hardCap,
+                    used,
+                    reserved: pending,
+                    resetsAt
+                });
+            }
+            reservation = reserved.reservation;
         }
 
-        if (!model_image || !garment_image) {
-            throw new Error('Both model_image and garment_image are required');
-        }
+        // Track API call start
+        await tracker.trackEvent('tryon_initiated', {
+            customerId: req.customer?.customerId || null,
+            productId: input.productId,
+            sessionId: input.sessionId
+        });
 
         // Track photo upload
-        await analytics.trackEvent('photo_uploaded', {
-            customerId: req.customer?.customerId || null
+        await tracker.trackEvent('photo_uploaded', {
+            customerId: req.customer?.customerId || null,
+            productId: input.productId,
+            sessionId: input.sessionId
         });
 
-        // Build payload and forward optional age if present
-        const payload = {
-            model_name: 'tryon-v1.6',
-            inputs: {
-                model_image,
-                garment_image,
-                category,
-                mode
-            }
-        };
-
-        if (age !== undefined) payload.inputs.age = age;
-
-        // Validate FASHN base
-        try {
-            const parsed = new URL(FASHN_BASE);
-            if (parsed.port && isNaN(Number(parsed.port))) {
-                throw new Error(`Invalid port in FASHN_API_URL: '${parsed.port}'`);
-            }
-            if (!['http:', 'https:'].includes(parsed.protocol)) {
-                throw new Error(`Invalid protocol in FASHN_API_URL: '${parsed.protocol}'`);
-            }
-        } catch (urlErr) {
-            console.error('❌ FASHN_API_URL validation failed:', urlErr.message);
-            throw new Error(`Invalid FASHN_API_URL: ${urlErr.message}`);
-        }
-
-        // Call Fashn API via axios to avoid undici/fetch IPv6/port issues
-        console.log(`[vmize->Fashn] POST ${FASHN_API_URL} age=${age}`);
-        let fashnResp;
-        try {
-            fashnResp = await axios.post(FASHN_API_URL, payload, {
-                headers: {
-                    'Authorization': `Bearer ${FASHN_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            });
-        } catch (axiosErr) {
-            console.error('❌ Axios request to Fashn failed:', axiosErr.message, axiosErr.response?.data || '');
-            throw new Error(axiosErr.response ? `Fashn API error: ${axiosErr.response.status}` : axiosErr.message);
-        }
-
-        const data = fashnResp.data;
-        console.log('[vmize->Fashn] response', fashnResp.status, data);
-
-        if (fashnResp.status >= 400) {
-            throw new Error(data.error?.message || 'Fashn API error');
-        }
-
-        // Increment usage (if apiKey is available in demo keys)
-        if (req.apiKey && demoKeys[req.apiKey]) demoKeys[req.apiKey].used++;
+        const result = await tryon.submitTryOn(input, { testMode });
+        console.log(`[vmize->${result.provider}] submitted`, result.id, result.status);
+
+        await tryonJobs.recordSubmission({
+            customerId: req.customer?.customerId,
+            endpoint,
+            input,
+            result,
+            startedAt: startTime,
+            testMode,
+            reservationId: reservation?.reservationId
+        }).catch(err => {
+            console.error('❌ Failed to record try-on job:', err.message);
+            // Without a job nothing will settle the reservation; the provider accepted it
+            return metering.commit(reservation?.reservationId);
+        });
+        const usage = reservation ? await metering.getUsage(req.customer) : null;
 
         const duration = Date.now() - startTime;
 
         // Track successful API call
-        await analytics.trackApiCall({
+        await tracker.trackApiCall({
             customerId: req.customer?.customerId || null,
             apiKey: req.apiKey,
             endpoint: '/api/tryon',
             method: 'POST',
             status: 'success',
             duration,
-            productId: req.body.productId
+            productId: input.productId
         });
 
         return res.json({
-            prediction_id: data.id,
-            status: data.status,
-            used: req.apiKey && demoKeys[req.apiKey] ? demoKeys[req.apiKey].used : undefined,
-            remaining: req.apiKey && demoKeys[req.apiKey] ? demoKeys[req.apiKey].limit - demoKeys[req.apiKey].used : undefined
+            prediction_id: result.id,
+            status: result.status,
+            test_mode: testMode,
+            used: usage?.used,
+            reserved: usage?.reserved,
+            remaining: usage?.remaining
         });
 
     } catch (error) {
         const duration = Date.now() - startTime;
+        await metering.release(reservation?.reservationId)
+            .catch(err => console.error('❌ Failed to release usage reservation:', err.message));
+        const usage = reservation ? await metering.getUsage(req.customer).catch(() => null) : null;
+
+        await tryonJobs.recordFailure({
+            customerId: req.customer?.customerId,
+            endpoint,
+            input,
+            error,
+            startedAt: startTime,
+            testMode
+        }).catch(err => console.error('❌ Failed to record try-on job:', err.message));
 
         // Track failed API call (best effort)
-        await analytics.trackApiCall({
+        await tracker.trackApiCall({
             customerId: req.customer?.customerId || null,
             apiKey: req.apiKey,
             endpoint: '/api/tryon',
@@ -244,139 +389,167 @@ async function doTryOn(req, res) {
             error: error.message
         }).catch(() => {});
 
-        await analytics.trackEvent('api_error', {
+        await tracker.trackEvent('api_error', {
             customerId: req.customer?.customerId || null,
             error: error.message
         }).catch(() => {});
 
         console.error('❌ Error:', error);
-        return res.status(500).json({ 
+        return res.status(error.statusCode || 500).json({ 
             error: error.message,
-            used: req.apiKey && demoKeys[req.apiKey] ? demoKeys[req.apiKey].used : undefined,
-            remaining: req.apiKey && demoKeys[req.apiKey] ? demoKeys[req.apiKey].limit - demoKeys[req.apiKey].used : undefined
+            test_mode: testMode,
+            used: usage?.used,
+            reserved: usage?.reserved,
+            remaining: usage?.remaining
         });
     }
 }
 
-// Standard route (requires valid API key)
-app.post('/api/tryon', verifyVmizeKey, doTryOn);
+// Standard route (secret key, or a publishable key from one of its domains)
+app.post('/api/tryon', verifyStorefrontKey, tryonRateLimit, throttleTryons, doTryOn);
 
-// Demo-friendly generate endpoint (used by demo frontend without headers)
-app.post('/api/tryon/generate', async (req, res) => {
-    // Inject demo API key when missing
-    if (!req.headers['x-vmize-api-key']) {
-        req.headers['x-vmize-api-key'] = 'vmize_pk_demo_test_1234567890';
-    }
+// Same endpoint under the name the demo pages use
+app.post('/api/tryon/generate', verifyStorefrontKey, tryonRateLimit, throttleTryons, doTryOn);
 
-    // Run verification and then the tryon handler
-    verifyVmizeKey(req, res, async () => {
-        await doTryOn(req, res);
-    });
+// Stream Try-On Progress (Server-Sent Events)
+// EventSource cannot set headers, so browsers may pass the key as ?api_key=
+app.get('/api/tryon/:id/events', (req, res, next) => {
+    if (!req.headers['x-vmize-api-key'] && req.query.api_key) {
+        req.headers['x-vmize-api-key'] = String(req.query.api_key);
+    }
+    next();
+}, verifyStorefrontKey, async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!(await tryon.findCustomerJob(id, req.customer.customerId))) {
+            return res.status(404).json({ error: 'Try-on not found' });
+        }
+        streamJob(req, res, id);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Get Try-On Status (allows demo calls without explicit header)
-app.get('/api/tryon/:id', async (req, res) => {
-    // Inject demo key when missing so demo frontend polling works
-    if (!req.headers['x-vmize-api-key']) {
-        req.headers['x-vmize-api-key'] = 'vmize_pk_demo_test_1234567890';
-    }
+// Get Try-On Status
+app.get('/api/tryon/:id', verifyStorefrontKey, async (req, res) => {
+    const startTime = Date.now();
+    const { id } = req.params;
+    let tracker = trackerFor(isTestMode(req.customer));
+    
+    try {
+        // Ownership first: another tenant's IDs never reach the provider
+        const job = await tryon.findCustomerJob(id, req.customer.customerId);
+        if (!job) {
+            return res.status(404).json({ error: 'Try-on not found' });
+        }
+        const { result } = await tryon.refreshJobStatus(id, { job });
+        tracker = trackerFor(job.testMode);
 
-    // Run verification then the status check
-    verifyVmizeKey(req, res, async () => {
-        const startTime = Date.now();
-        const { id } = req.params;
+        const duration = Date.now() - startTime;
         
-        try {
-            if (!FASHN_API_KEY) {
-                throw new Error('FASHN_API_KEY not configured');
-            }
-            
-            let statusResp;
-            try {
-                statusResp = await axios.get(`${FASHN_BASE}/status/${id}`, {
-                    headers: {
-                        'Authorization': `Bearer ${FASHN_API_KEY}`
-                    },
-                    timeout: 10000
-                });
-            } catch (axiosErr) {
-                console.error('❌ Axios status check to Fashn failed:', axiosErr.message, axiosErr.response?.data || '');
-                throw new Error('Status check failed');
-            }
+        // Track status check
+        await tracker.trackApiCall({
+            customerId: req.customer.customerId,
+            apiKey: req.apiKey,
+            endpoint: `/api/tryon/${id}`,
+            method: 'GET',
+            status: 'success',
+            duration
+        });
+        
+        // result_generated fires once from the job lifecycle listener below
+        if (result.status === 'completed') {
+            await tracker.trackEvent('result_viewed', {
+                customerId: req.customer.customerId
+            });
+        }
+        
+        res.json(tryon.toStatusResponse(result));
+        
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        
+        await tracker.trackApiCall({
+            customerId: req.customer.customerId,
+            apiKey: req.apiKey,
+            endpoint: `/api/tryon/${id}`,
+            method: 'GET',
+            status: 'error',
+            duration,
+            error: error.message
+        });
+        
+        console.error('❌ Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            const data = statusResp.data;
+// Webhook endpoints (merchant callbacks for completed/failed try-ons)
+app.post('/api/webhooks', verifyVmizeKey, async (req, res) => {
+    try {
+        const { url, events } = req.body || {};
+        if (!url) {
+            return res.status(400).json({ error: 'url is required' });
+        }
+        const endpoint = await webhooks.createEndpoint({
+            customerId: req.customer.customerId,
+            url,
+            events: events || undefined
+        });
+        // The signing secret is only ever returned here
+        res.status(201).json(endpoint);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-            if (!statusResp || !statusResp.status || statusResp.status >= 400) {
-                throw new Error(data.error?.message || 'Status check failed');
-            }
-            
-            const duration = Date.now() - startTime;
-            
-            // Track status check
-            await analytics.trackApiCall({
-                customerId: req.customer.customerId,
-                apiKey: req.apiKey,
-                endpoint: `/api/tryon/${id}`,
-                method: 'GET',
-                status: 'success',
-                duration
-            });
-            
-            // If completed, track result generation
-            if (data.status === 'completed') {
-                await analytics.trackEvent('result_generated', {
-                    customerId: req.customer.customerId
-                });
-                
-                await analytics.trackEvent('result_viewed', {
-                    customerId: req.customer.customerId
-                });
-            }
-            
-            res.json(data);
-            
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            
-            await analytics.trackApiCall({
-                customerId: req.customer.customerId,
-                apiKey: req.apiKey,
-                endpoint: `/api/tryon/${id}`,
-                method: 'GET',
-                status: 'error',
-                duration,
-                error: error.message
-            });
-            
-            console.error('❌ Error:', error);
-            res.status(500).json({ error: error.message });
+app.get('/api/webhooks', verifyVmizeKey, async (req, res) => {
+    try {
+        res.json(await webhooks.listEndpoints(req.customer.customerId));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', verifyVmizeKey, async (req, res) => {
+    try {
+        const deleted = await webhooks.deleteEndpoint(req.customer.customerId, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook endpoint not found' });
         }
-    });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // Get Usage Stats
-app.get('/api/usage', verifyVmizeKey, (req, res) => {
-    const customer = req.customer;
-    
-    res.json({
-        customerId: customer.customerId,
-        plan: customer.plan,
-        limit: customer.limit,
-        used: customer.used,
-        remaining: customer.limit - customer.used,
-        percentageUsed: ((customer.used / customer.limit) * 100).toFixed(2) + '%'
-    });
+app.get('/api/usage', verifyVmizeKey, async (req, res) => {
+    try {
+        const usage = await metering.getUsage(req.customer);
+        res.json({
+            ...usage,
+            percentageUsed: ((usage.used / usage.limit) * 100).toFixed(2) + '%'
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Reset Analytics (for testing)
-app.post('/api/analytics/reset', async (req, res) => {
+// Reset Analytics (for testing): admins only, never in production
+app.post('/api/analytics/reset', verifyAnalyticsAuth, async (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+        return res.status(403).json({ error: 'Analytics reset is disabled in production' });
+    }
+    if (!req.analyticsScope.admin) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
     try {
-        await analytics.reset();
+        await Promise.all([analytics.reset(), testAnalytics.reset()]);
         
-        // Reset demo customer usage
-        Object.keys(demoKeys).forEach(key => {
-            demoKeys[key].used = 0;
-        });
+        await Promise.all(customers.demoCustomerIds().map(metering.reset));
         
         res.json({ 
             success: true,
@@ -387,32 +560,48 @@ app.post('/api/analytics/reset', async (req, res) => {
     }
 });
 
-// Start Server
-app.listen(PORT, () => {
-    console.log(`
+// Start Server (only when run directly; server.js mounts this app)
+if (require.main === module) {
+    if (process.env.MONGODB_URI) {
+        mongoose.connect(process.env.MONGODB_URI)
+            .then(() => console.log('✅ MongoDB connected'))
+            .catch(err => console.error('❌ MongoDB connection failed:', err.message));
+    }
+    jobPoller.start();
+    metering.startSweeper();
+    app.listen(PORT, () => {
+        console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║                                                       ║
 ║   🚀 Vmize Backend Server with Analytics             ║
 ║                                                       ║
 ║   Server running on: http://localhost:${PORT}         ║
 ║   Analytics enabled: ✅                               ║
+║   Try-on provider: ${TRYON_PROVIDER}                              ║
 ║   Fashn API configured: ${FASHN_API_KEY ? '✅' : '❌'}                      ║
 ║                                                       ║
 ╚═══════════════════════════════════════════════════════╝
 
-📊 Analytics Endpoints:
+📊 Analytics Endpoints (x-vmize-api-key, dashboard JWT or x-admin-token):
    GET  /api/analytics         - Get full analytics summary
-   GET  /api/analytics/funnel  - Get conversion funnel data
+   GET  /api/analytics/funnel  - Session funnel (?customerId=&productId=&from=&to=)
    POST /api/track             - Track custom event
-   POST /api/analytics/reset   - Reset all analytics (testing)
+   POST /api/analytics/reset   - Reset all analytics (admin, non-production)
 
 🎨 Try-On Endpoints:
    POST /api/tryon             - Create virtual try-on
    GET  /api/tryon/:id         - Get try-on status
+   GET  /api/tryon/:id/events  - Stream try-on progress (SSE)
    GET  /api/usage             - Get usage statistics
 
+🔔 Webhooks:
+   POST   /api/webhooks        - Register a callback URL
+   GET    /api/webhooks        - List callback URLs
+   DELETE /api/webhooks/:id    - Remove a callback URL
+
 💡 Every API call is now being tracked in real-time!
-    `);
-});
+        `);
+    });
+}
 
 module.exports = app;
@@ -1,190 +1,242 @@
 // =================================================================
 // VMIZE STUDIO - SECURE BACKEND PROXY
 // =================================================================
-// This proxy sits between customer widgets and Fashn.AI API
-// Customers call YOUR API, you call Fashn.AI with YOUR secret key
+// This proxy sits between customer widgets and the try-on provider
+// (Fashn.AI by default, see services/providers)
+// Customers call YOUR API, you call the provider with YOUR secret key
 // =================================================================
 
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 require('dotenv').config();
+const tryon = require('./services/tryonService');
+const tryonJobs = require('./services/tryonJobs');
+const webhooks = require('./services/webhooks');
+const jobPoller = require('./services/jobPoller');
+const corsPolicy = require('./services/corsPolicy');
+const rateLimits = require('./services/rateLimits');
 
 const app = express();
 
 // Middleware
-app.use(cors());
+// Storefront routes answer the origins each customer allows (see services/corsPolicy)
+app.use(cors(corsPolicy.corsOptionsFor));
 app.use(express.json({ limit: '50mb' }));
 
+// Merchant webhooks fire once per job transition (see services/webhooks)
+tryonJobs.events.on('transition', (job) => {
+  webhooks.dispatchJobEvent(job)
+    .catch(err => console.error('❌ Webhook dispatch error:', err.message));
+});
+
 // =================================================================
 // CONFIGURATION
 // =================================================================
 
-const FASHN_API_KEY = process.env.FASHN_API_KEY; // YOUR secret Fashn.AI key
 const PORT = process.env.PORT || 3000;
+// Provider credentials (FASHN_API_KEY, TRYON_PROVIDER) are read by services/providers
 
-
-// MongoDB Customer model
+// Customers and API keys live in MongoDB when connected (see services/customers)
 const mongoose = require('mongoose');
-const Customer = require('../../backend/models/Customer');
-
-// Connect to MongoDB (update URI as needed)
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost/vmize', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-});
+const customers = require('./services/customers');
+const metering = require('./services/metering');
+const adminAuth = require('./services/adminAuth');
+const apiKeyPolicy = require('./services/apiKeyPolicy');
 
 // =================================================================
 // MIDDLEWARE: Verify Customer API Key
 // =================================================================
 
-async function verifyCustomerApiKey(req, res, next) {
-  const apiKey = req.headers['x-vmize-api-key'];
-  
-  if (!apiKey) {
-    return res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'Missing X-Vmize-API-Key header' 
-    });
-  }
-  
-  // Verify key format
-  if (!apiKey.startsWith('vmize_pk_live_') && !apiKey.startsWith('vmize_pk_test_')) {
-    return res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'Invalid API key format' 
-    });
-  }
-  
-  // Look up customer from MongoDB
-  const customer = await Customer.findOne({ apiKey });
-  if (!customer) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Invalid API key'
-    });
-  }
-  if (customer.subscriptionStatus !== 'active') {
-    return res.status(403).json({
-      error: 'Forbidden',
-      message: 'Subscription inactive. Please update billing.'
-    });
-  }
-  if (customer.hasExceededLimit()) {
-    return res.status(429).json({
-      error: 'Quota Exceeded',
-      message: 'Monthly try-on limit reached. Upgrade your plan.'
-    });
-  }
-  req.customer = customer;
-  next();
+// Secret keys work on every route; the try-on routes (verifyStorefrontApiKey) also
+// accept publishable keys from their allowed domains (see services/apiKeyPolicy)
+function customerApiKeyVerifier({ storefront = false } = {}) {
+  return async function (req, res, next) {
+    const apiKey = req.headers['x-vmize-api-key'];
+    
+    if (!apiKey) {
+      return res.status(401).json({ 
+        error: 'Unauthorized', 
+        message: 'Missing X-Vmize-API-Key header' 
+      });
+    }
+    
+    // Verify key format
+    if (!/^vmize_(pk|sk)_(live|test)_/.test(apiKey)) {
+      return res.status(401).json({ 
+        error: 'Unauthorized', 
+        message: 'Invalid API key format' 
+      });
+    }
+    
+    // Look up the key by its hash; revoked keys never match
+    let account;
+    try {
+      account = await customers.authenticateApiKey(apiKey);
+    } catch (error) {
+      console.error('❌ API key lookup error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to verify API key' });
+    }
+    if (!account) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid API key'
+      });
+    }
+    // Publishable keys: storefront routes only, from the key's own domains; browsers
+    // on the storefront routes: the customer's allowed origins only
+    const denied = apiKeyPolicy.denialReason(account, req, { storefront })
+      || (storefront && corsPolicy.allowTenantOrigin(req, res, account));
+    if (denied) {
+      return res.status(403).json({ error: 'Forbidden', message: denied });
+    }
+    // Test-mode keys run against the sandbox provider: free, so no billing or quota checks
+    const testMode = account.mode === 'test';
+    if (!testMode && !customers.isSubscriptionActive(account.subscriptionStatus)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Subscription inactive. Please update billing.'
+      });
+    }
+    req.customer = account;
+    req.testMode = testMode;
+    next();
+  };
 }
 
-// No longer needed: getCustomerByApiKey (now handled inline)
+const verifyCustomerApiKey = customerApiKeyVerifier();
+const verifyStorefrontApiKey = customerApiKeyVerifier({ storefront: true });
+
+// Per-key try-on limit for publishable keys
+const tooManyRequests = (req, res, message) => res.status(429).json({ error: 'Too Many Requests', message });
+const tryonRateLimit = apiKeyPolicy.tryonRateLimit({ onLimit: tooManyRequests });
+
+// Abuse protection for every key (see services/rateLimits)
+const throttleTryons = rateLimits.limiter('tryon', { onLimit: tooManyRequests });
+
+// Internal routes below need an admin session (or ADMIN_SECRET_TOKEN) with keys:write
+async function requireAdminToken(req, res, next) {
+  try {
+    await adminAuth.admit(req, res, 'keys:write');
+    next();
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.statusCode === 403 ? 'Forbidden' : 'Unauthorized', message: err.message });
+  }
+}
 
 // =================================================================
-// HELPER: Track usage
+// MIDDLEWARE: Reserve quota (see services/metering)
 // =================================================================
 
-async function trackUsage(customerId, tryonCount = 1) {
-  // Increment usage for the customer in MongoDB
-  const customer = await Customer.findById(customerId);
-  if (customer) {
-    await customer.incrementUsage(tryonCount);
-    console.log(`📊 Tracked ${tryonCount} try-on(s) for customer ${customer.email}`);
+// Holds one try-on of the monthly usage until the job finishes: committed when it
+// completes, released when it fails. Refused only at the hard cap; usage above the
+// plan's included try-ons is billed as overage. Test calls are free.
+async function reserveQuota(req, res, next) {
+  if (req.testMode) return next();
+  try {
+    const { reservation, usage } = await metering.reserve(req.customer);
+    if (!reservation) {
+      return res.status(429).json({
+        error: 'Quota Exceeded',
+        message: 'Monthly try-on limit reached. Upgrade your plan or raise your usage cap.',
+        limit: usage.limit,
+        hardCap: usage.hardCap,
+        used: usage.used,
+        reserved: usage.reserved,
+        resetsAt: usage.resetsAt
+      });
+    }
+    req.reservation = reservation;
+    next();
+  } catch (error) {
+    console.error('❌ Quota reservation error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to check usage quota' });
   }
 }
 
 // =================================================================
-// ROUTE: Virtual Try-On (Proxied to Fashn.AI)
+// ROUTE: Virtual Try-On (Proxied to the configured provider)
 // =================================================================
 
-app.post('/api/tryon', verifyCustomerApiKey, async (req, res) => {
-  const { model_image, garment_image, options = {} } = req.body;
-  
-  if (!model_image || !garment_image) {
+app.post('/api/tryon', verifyStorefrontApiKey, tryonRateLimit, throttleTryons, (req, res, next) => {
+  const input = tryon.normalizeTryOnInput(req.body);
+  if (!input.modelImage || !input.garmentImage) {
     return res.status(400).json({ 
       error: 'Bad Request', 
       message: 'model_image and garment_image are required' 
     });
   }
+  next();
+}, reserveQuota, async (req, res) => {
+  const startTime = Date.now();
+  const input = tryon.normalizeTryOnInput(req.body);
+  const reservationId = req.reservation?.reservationId;
   
   try {
-    // Step 1: Call Fashn.AI API (with YOUR secret key)
-    const payload = {
-      model_name: 'tryon-v1.6',
-      inputs: {
-        model_image,
-        garment_image,
-        category: options.category || 'auto',
-        output_format: options.output_format || 'jpeg',
-        mode: options.mode || 'balanced',
-        num_samples: options.num_samples || 1
-      }
-    };
-
-    // Forward optional age if provided (supports kids/adult try-ons)
-    if (options.age !== undefined) {
-      payload.inputs.age = options.age;
-    }
-
-    const response = await fetch('https://api.fashn.ai/v1/run', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${FASHN_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
+    // Step 1: Submit to the configured provider (with YOUR secret key);
+    // test-mode keys get the sandbox provider instead
+    const result = await tryon.submitTryOn(input, { testMode: req.testMode });
+    await tryonJobs.recordSubmission({
+      customerId: req.customer.customerId,
+      endpoint: '/api/tryon',
+      input,
+      result,
+      startedAt: startTime,
+      testMode: req.testMode,
+      reservationId
+    }).catch(err => {
+      console.error('❌ Failed to record try-on job:', err.message);
+      // Without a job nothing will settle the reservation; the provider accepted it
+      return metering.commit(reservationId);
     });
     
-    if (!response.ok) {
-      throw new Error('Fashn.AI API error: ' + response.statusText);
-    }
-    
-    const data = await response.json();
-    
-    // Step 2: Track usage for this customer
-    await trackUsage(req.customer.customerId, 1);
-    
-    // Step 3: Return prediction ID to customer
+    // Step 2: Return prediction ID to customer; the reserved unit is committed
+    // when the job completes (or released if it fails)
     res.json({
-      id: data.id,
-      status: 'processing',
+      id: result.id,
+      status: result.status,
+      test_mode: req.testMode,
       message: 'Try-on initiated successfully'
     });
     
   } catch (error) {
     console.error('❌ Try-on error:', error);
-    res.status(500).json({ 
-      error: 'Internal Server Error', 
-      message: 'Failed to process try-on request' 
+    await metering.release(reservationId)
+      .catch(err => console.error('❌ Failed to release usage reservation:', err.message));
+    await tryonJobs.recordFailure({
+      customerId: req.customer.customerId,
+      endpoint: '/api/tryon',
+      input,
+      error,
+      startedAt: startTime,
+      testMode: req.testMode
+    }).catch(err => console.error('❌ Failed to record try-on job:', err.message));
+    // Client errors (bad input, simulated sandbox rejections) are passed through
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ error: 'Request Failed', message: error.message });
+    }
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process try-on request'
     });
   }
 });
 
 // =================================================================
-// ROUTE: Check Try-On Status (Proxied to Fashn.AI)
+// ROUTE: Check Try-On Status (Proxied to the provider)
 // =================================================================
 
-app.get('/api/tryon/:id', verifyCustomerApiKey, async (req, res) => {
+app.get('/api/tryon/:id', verifyStorefrontApiKey, async (req, res) => {
   const { id } = req.params;
   
   try {
-    // Call Fashn.AI status endpoint
-    const response = await fetch(`https://api.fashn.ai/v1/status/${id}`, {
-      headers: {
-        'Authorization': `Bearer ${FASHN_API_KEY}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error('Fashn.AI API error: ' + response.statusText);
+    const job = await tryon.findCustomerJob(id, req.customer.customerId);
+    if (!job) {
+      return res.status(404).json({ error: 'Not Found', message: 'Try-on not found' });
     }
-    
-    const data = await response.json();
+    const { result } = await tryon.refreshJobStatus(id, { job });
     
     // Return status to customer
-    res.json(data);
+    res.json(tryon.toStatusResponse(result));
     
   } catch (error) {
     console.error('❌ Status check error:', error);
@@ -200,54 +252,60 @@ app.get('/api/tryon/:id', verifyCustomerApiKey, async (req, res) => {
 // =================================================================
 
 app.get('/api/usage', verifyCustomerApiKey, async (req, res) => {
-  const { customer } = req;
-  res.json({
-    email: customer.email,
-    plan: customer.plan,
-    used: customer.usage.currentMonth.tryons,
-    limit: customer.usage.limit,
-    remaining: customer.getRemainingUsage(),
-    percentUsed: customer.getUsagePercentage(),
-    overLimit: customer.hasExceededLimit(),
-    lastReset: customer.usage.lastResetDate
-  });
+  try {
+    const usage = await metering.getUsage(req.customer);
+    res.json({
+      email: req.customer.email,
+      plan: usage.plan,
+      period: usage.period,
+      used: usage.used,
+      reserved: usage.reserved,
+      limit: usage.limit,
+      hardCap: usage.hardCap,
+      remaining: usage.remaining,
+      overage: usage.overage,
+      percentUsed: Math.round((usage.used / usage.limit) * 100),
+      overLimit: usage.used >= usage.limit,
+      resetsAt: usage.resetsAt
+    });
+  } catch (error) {
+    console.error('❌ Usage lookup error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to load usage' });
+  }
 });
 
 // =================================================================
 // ADMIN ROUTES: Generate API Keys (Your internal use only)
 // =================================================================
 
-// Generate new API key for customer (create new customer)
-app.post('/admin/generate-key', async (req, res) => {
-  const { email, name, plan = 'starter', companyName } = req.body;
+// Create a customer (or reuse an existing one) and issue a new API key.
+// The plaintext key is only returned here; manage keys via /api/v1/keys.
+app.post('/admin/generate-key', requireAdminToken, async (req, res) => {
+  const { email, name, plan = 'starter', companyName, mode = 'live' } = req.body;
   try {
-    // Check if customer already exists
-    let customer = await Customer.findOne({ email });
-    if (customer) {
-      return res.status(400).json({ error: 'Customer already exists', apiKey: customer.apiKey });
+    let customer = await customers.getCustomer(email);
+    if (!customer) {
+      customer = await customers.createCustomer({ email, name, plan, companyName, subscriptionStatus: 'active' });
     }
-    // Create new customer
-    customer = new Customer({ email, name, plan, companyName });
-    await customer.save();
-    res.json({ success: true, apiKey: customer.apiKey, message: 'API key generated successfully' });
+    const { key, apiKey } = await customers.createKey(customer, { name: 'default', mode });
+    res.json({ success: true, customerId: String(customer._id), apiKey: key, key: apiKey, message: 'API key generated successfully' });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to create customer', details: err.message });
+    res.status(err.statusCode || 500).json({ error: 'Failed to generate key', details: err.message });
   }
 });
 
-// Revoke API key (deactivate customer)
-app.post('/admin/revoke-key', async (req, res) => {
+// Revoke a single API key; the customer's other keys keep working
+app.post('/admin/revoke-key', requireAdminToken, async (req, res) => {
   const { apiKey } = req.body;
   try {
-    const customer = await Customer.findOne({ apiKey });
-    if (!customer) {
+    const account = await customers.authenticateApiKey(apiKey);
+    if (!account || !account.customer) {
       return res.status(404).json({ error: 'Not Found', message: 'API key not found' });
     }
-    customer.subscriptionStatus = 'inactive';
-    await customer.save();
+    await customers.revokeKey(account.customer, account.keyId);
     res.json({ success: true, message: 'API key revoked' });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to revoke key', details: err.message });
+    res.status(err.statusCode || 500).json({ error: 'Failed to revoke key', details: err.message });
   }
 });
 
@@ -264,22 +322,31 @@ app.get('/health', (req, res) => {
 });
 
 // =================================================================
-// START SERVER
+// START SERVER (only when run directly)
 // =================================================================
 
-app.listen(PORT, () => {
-  console.log(`
+if (require.main === module) {
+  if (process.env.MONGODB_URI) {
+    mongoose.connect(process.env.MONGODB_URI)
+      .then(() => console.log('✅ MongoDB connected'))
+      .catch(err => console.error('❌ MongoDB connection error:', err.message));
+  }
+  jobPoller.start();
+  metering.startSweeper();
+  app.listen(PORT, () => {
+    console.log(`
   ╔═══════════════════════════════════════════════════════════════╗
   ║                                                               ║
   ║   🚀 VMIZE STUDIO - SECURE BACKEND PROXY                     ║
   ║                                                               ║
   ║   Status: Running on port ${PORT}                                ║
-  ║   Security: ✅ Fashn.AI key hidden from customers            ║
+  ║   Security: ✅ Provider key hidden from customers            ║
   ║   API: https://your-domain.com/api/tryon                     ║
   ║                                                               ║
   ╚═══════════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
 
 // =================================================================
 // EXPORT FOR TESTING
@@ -0,0 +1,475 @@
+/**
+ * Vmize Try-On Widget
+ * The storefront bundle served at /widget.js (built by services/widgetBundle.js).
+ *
+ *   <script src="https://api.vmizestudio.com/widget.js" data-vmize-key="vmize_pk_live_..." async></script>
+ *   <div data-vmize-product-image="https://shop.example/dress.jpg" data-vmize-product-id="sku-42"></div>
+ *
+ * data-vmize-key is a publishable key registered for the storefront's domain; secret
+ * keys (vmize_sk_) must never be put in a page.
+ *
+ * Every element with data-vmize-product-image gets a try-on button (a <button> with the
+ * attribute is used as-is), styled from the merchant's saved widget config. Clicking it
+ * opens a modal that takes the shopper's photo, runs the try-on and shows the result.
+ * Optional attributes: data-vmize-product-id, data-vmize-category (tops, bottoms,
+ * one-pieces; default auto). On the script tag, data-vmize-api-url points the widget
+ * at another backend (default: the origin the script was loaded from).
+ *
+ * window.Vmize: open({ productImage, productId, category }), close(), on(event, fn),
+ * off(event, fn), track(name, data) and mount(root). Events: open, close, upload,
+ * progress, result, error.
+ */
+(function () {
+  'use strict';
+
+  if (window.Vmize && window.Vmize.version) return;
+
+  const VERSION = '__VMIZE_WIDGET_VERSION__';
+  const DEFAULT_CONFIG = __VMIZE_DEFAULT_CONFIG__;
+  const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+  const MAX_IMAGE_WIDTH = 1200;
+  const POLL_INTERVAL_MS = 2000;
+  const TIMEOUT_MS = 10 * 60 * 1000;
+  const BUTTON_SIZES = {
+    small: { padding: '12px 24px', fontSize: '14px' },
+    medium: { padding: '16px 32px', fontSize: '16px' },
+    large: { padding: '20px 40px', fontSize: '18px' }
+  };
+  const PROGRESS = {
+    queued: { percent: 25, text: 'In queue, please wait...' },
+    starting: { percent: 35, text: 'Starting...' },
+    processing: { percent: 60, text: 'Creating your try-on...' },
+    completed: { percent: 100, text: 'Done!' }
+  };
+
+  const script = document.currentScript || document.querySelector('script[data-vmize-key]');
+  const settings = window.VMIZE_CONFIG || {};
+  const apiKey = (script && script.dataset.vmizeKey) || settings.apiKey;
+  const apiBase = ((script && script.dataset.vmizeApiUrl) || settings.apiUrl ||
+    (script && script.src ? new URL(script.src, window.location.href).origin : window.location.origin)).replace(/\/$/, '');
+
+  let config = Object.assign({}, DEFAULT_CONFIG);
+  let modal = null;
+  let product = null;
+  let photo = null;
+  let stopWatching = null;
+  const listeners = {};
+  const viewedProducts = {};
+
+  // =====================================
+  // EVENTS AND ANALYTICS
+  // =====================================
+
+  function on(name, handler) {
+    (listeners[name] = listeners[name] || []).push(handler);
+    return window.Vmize;
+  }
+
+  function off(name, handler) {
+    listeners[name] = (listeners[name] || []).filter(candidate => candidate !== handler);
+    return window.Vmize;
+  }
+
+  function emit(name, payload) {
+    (listeners[name] || []).slice().forEach(handler => {
+      try {
+        handler(payload);
+      } catch (err) {
+        console.error(`[Vmize] ${name} handler failed:`, err);
+      }
+    });
+  }
+
+  // One ID per browser tab, so the funnel can follow a shopper from view to purchase
+  function sessionId() {
+    try {
+      let id = window.sessionStorage.getItem('vmize_session_id');
+      if (!id) {
+        id = `vs_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+        window.sessionStorage.setItem('vmize_session_id', id);
+      }
+      return id;
+    } catch (err) {
+      sessionId.fallback = sessionId.fallback || `vs_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+      return sessionId.fallback;
+    }
+  }
+
+  function track(name, data) {
+    if (!apiKey) return Promise.resolve();
+    return fetch(`${apiBase}/api/track`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-vmize-api-key': apiKey },
+      body: JSON.stringify({
+        eventName: name,
+        data: Object.assign({}, data, { sessionId: sessionId(), page: window.location.pathname, widgetVersion: VERSION })
+      }),
+      keepalive: true
+    }).then(() => undefined, () => undefined);
+  }
+
+  // =====================================
+  // CONFIG AND STYLES
+  // =====================================
+
+  function loadConfig() {
+    if (!apiKey) {
+      console.error('[Vmize] Add data-vmize-key="<your API key>" to the widget script tag');
+      return Promise.resolve(config);
+    }
+    return fetch(`${apiBase}/api/v1/widget-config/public/${encodeURIComponent(apiKey)}`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(body => {
+        if (body && body.data) config = Object.assign({}, DEFAULT_CONFIG, body.data.config);
+        return config;
+      })
+      .catch(() => config);
+  }
+
+  function injectStyles() {
+    if (document.getElementById('vmize-widget-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'vmize-widget-styles';
+    style.textContent = `
+      .vmize-overlay { position: fixed; inset: 0; background: rgba(0,0,0,.6); display: none; align-items: center; justify-content: center; z-index: 2147483000; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+      .vmize-overlay.vmize-open { display: flex; }
+      .vmize-modal { background: #fff; border-radius: 16px; width: min(480px, 94vw); max-height: 92vh; overflow-y: auto; padding: 24px; box-sizing: border-box; color: #222; }
+      .vmize-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px; }
+      .vmize-title { font-size: 20px; font-weight: 700; margin: 0; }
+      .vmize-close { background: none; border: none; font-size: 28px; line-height: 1; cursor: pointer; color: #666; }
+      .vmize-upload { display: block; border: 2px dashed var(--vmize-color); border-radius: 12px; padding: 24px; text-align: center; cursor: pointer; color: #555; }
+      .vmize-upload input { display: none; }
+      .vmize-preview, .vmize-result { width: 100%; border-radius: 12px; margin-top: 12px; display: none; }
+      .vmize-primary { width: 100%; margin-top: 16px; padding: 14px; border: none; border-radius: 8px; background: var(--vmize-color); color: #fff; font-size: 16px; font-weight: 600; cursor: pointer; }
+      .vmize-primary[disabled] { opacity: .6; cursor: default; }
+      .vmize-progress { height: 6px; background: #eee; border-radius: 3px; margin-top: 16px; overflow: hidden; display: none; }
+      .vmize-progress-bar { height: 100%; width: 0; background: var(--vmize-color); transition: width .4s; }
+      .vmize-status { font-size: 14px; color: #555; margin: 8px 0 0; min-height: 1em; }
+      .vmize-status.vmize-error { color: #c0392b; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function styleButton(button) {
+    const size = BUTTON_SIZES[config.buttonSize] || BUTTON_SIZES.medium;
+    Object.assign(button.style, {
+      background: config.buttonBgColor,
+      color: config.buttonTextColor,
+      padding: size.padding,
+      fontSize: size.fontSize,
+      fontWeight: '600',
+      cursor: 'pointer',
+      border: config.borderStyle === 'none' ? 'none' : `${config.borderWidth}px solid ${config.borderColor}`,
+      borderRadius: config.borderStyle === 'rounded' ? '50px' : '8px',
+      display: config.buttonPosition === 'inline' ? 'inline-block' : 'block',
+      width: config.buttonPosition === 'inline' ? 'auto' : '100%',
+      marginTop: config.buttonPosition === 'inline' ? '0' : '12px'
+    });
+  }
+
+  // =====================================
+  // MODAL
+  // =====================================
+
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function buildModal() {
+    injectStyles();
+    const overlay = element('div', 'vmize-overlay');
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    const box = element('div', 'vmize-modal');
+    const header = element('div', 'vmize-header');
+    const title = element('h2', 'vmize-title');
+    const closeButton = element('button', 'vmize-close', '×');
+    closeButton.setAttribute('aria-label', 'Close');
+    header.appendChild(title);
+    header.appendChild(closeButton);
+
+    const upload = element('label', 'vmize-upload', 'Upload a full-length photo of yourself');
+    const input = element('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    upload.appendChild(input);
+
+    const preview = element('img', 'vmize-preview');
+    preview.alt = 'Your photo';
+    const generate = element('button', 'vmize-primary', 'Try it on');
+    generate.style.display = 'none';
+    const progress = element('div', 'vmize-progress');
+    const bar = element('div', 'vmize-progress-bar');
+    progress.appendChild(bar);
+    const status = element('p', 'vmize-status');
+    const result = element('img', 'vmize-result');
+    result.alt = 'Your try-on';
+    const again = element('button', 'vmize-primary', 'Try another photo');
+    again.style.display = 'none';
+
+    [header, upload, preview, generate, progress, status, result, again].forEach(node => box.appendChild(node));
+    overlay.appendChild(box);
+    document.body.appendChild(overlay);
+
+    closeButton.addEventListener('click', close);
+    overlay.addEventListener('click', event => {
+      if (event.target === overlay) close();
+    });
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && overlay.classList.contains('vmize-open')) close();
+    });
+    input.addEventListener('change', () => selectPhoto(input.files && input.files[0]));
+    generate.addEventListener('click', generateTryOn);
+    again.addEventListener('click', reset);
+
+    return { overlay, title, upload, input, preview, generate, progress, bar, status, result, again };
+  }
+
+  function setStatus(text, { error = false, percent } = {}) {
+    modal.status.textContent = text || '';
+    modal.status.classList.toggle('vmize-error', error);
+    if (percent !== undefined) {
+      modal.progress.style.display = 'block';
+      modal.bar.style.width = `${percent}%`;
+    }
+  }
+
+  function reset() {
+    if (stopWatching) stopWatching();
+    photo = null;
+    modal.input.value = '';
+    modal.upload.style.display = 'block';
+    modal.preview.style.display = 'none';
+    modal.generate.style.display = 'none';
+    modal.generate.disabled = false;
+    modal.progress.style.display = 'none';
+    modal.result.style.display = 'none';
+    modal.again.style.display = 'none';
+    setStatus('');
+  }
+
+  function open(options) {
+    const target = options || product || {};
+    if (!target.productImage) throw new Error('Vmize.open needs a productImage');
+    product = {
+      productImage: target.productImage,
+      productId: target.productId ? String(target.productId) : undefined,
+      category: target.category || 'auto'
+    };
+    modal = modal || buildModal();
+    modal.overlay.style.setProperty('--vmize-color', config.modalColor);
+    modal.title.textContent = config.modalTitle;
+    reset();
+    modal.overlay.classList.add('vmize-open');
+    emit('open', { productId: product.productId });
+    track('widget_opened', { productId: product.productId });
+  }
+
+  function close() {
+    if (!modal || !modal.overlay.classList.contains('vmize-open')) return;
+    if (stopWatching) stopWatching();
+    modal.overlay.classList.remove('vmize-open');
+    emit('close', { productId: product && product.productId });
+  }
+
+  // =====================================
+  // TRY-ON FLOW
+  // =====================================
+
+  function readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Could not read that photo'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Large phone photos are scaled down before upload; without canvas support the
+  // original is sent
+  function shrink(dataUrl) {
+    return new Promise(resolve => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context || image.width <= MAX_IMAGE_WIDTH) return resolve(dataUrl);
+        canvas.width = MAX_IMAGE_WIDTH;
+        canvas.height = Math.round(image.height * MAX_IMAGE_WIDTH / image.width);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/jpeg', 0.85));
+      };
+      image.onerror = () => resolve(dataUrl);
+      image.src = dataUrl;
+    });
+  }
+
+  function selectPhoto(file) {
+    if (!file) return Promise.resolve();
+    if (!/^image\//.test(file.type) || file.size > MAX_UPLOAD_BYTES) {
+      setStatus('Please choose an image file under 10MB', { error: true });
+      return Promise.resolve();
+    }
+    setStatus('Preparing your photo...');
+    return readFile(file)
+      .then(shrink)
+      .then(dataUrl => {
+        photo = dataUrl;
+        modal.preview.src = dataUrl;
+        modal.preview.style.display = 'block';
+        modal.generate.style.display = 'block';
+        setStatus('');
+        emit('upload', { productId: product.productId });
+      })
+      .catch(err => setStatus(err.message, { error: true }));
+  }
+
+  function fail(message, stage, predictionId) {
+    if (stopWatching) stopWatching();
+    setStatus(message, { error: true });
+    modal.generate.disabled = false;
+    modal.generate.style.display = photo ? 'block' : 'none';
+    emit('error', { message, stage, predictionId, productId: product.productId });
+    track('api_error', { error: message, stage, productId: product.productId });
+  }
+
+  function generateTryOn() {
+    if (!photo) return Promise.resolve();
+    modal.generate.disabled = true;
+    modal.upload.style.display = 'none';
+    setStatus('Sending your photo...', { percent: 10 });
+    return fetch(`${apiBase}/api/tryon`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-vmize-api-key': apiKey, 'x-vmize-session-id': sessionId() },
+      body: JSON.stringify({
+        model_image: photo,
+        garment_image: product.productImage,
+        category: product.category,
+        product_id: product.productId
+      })
+    })
+      .then(response => response.json().then(body => {
+        if (!response.ok) throw new Error(body.error || 'Could not start the try-on');
+        modal.generate.style.display = 'none';
+        watch(body.prediction_id);
+      }))
+      .catch(err => fail(err.message || 'Could not start the try-on', 'submit'));
+  }
+
+  // Progress over Server-Sent Events, or by polling where EventSource is missing
+  function watch(predictionId) {
+    const startedAt = Date.now();
+    let stopped = false;
+    let source = null;
+    let timer = null;
+    stopWatching = () => {
+      stopped = true;
+      if (source) source.close();
+      clearTimeout(timer);
+      stopWatching = null;
+    };
+
+    const handle = (status, { polled }) => {
+      if (stopped) return;
+      const step = PROGRESS[status.status];
+      if (step) setStatus(step.text, { percent: step.percent });
+      emit('progress', { predictionId, status: status.status, productId: product.productId });
+      if (status.status === 'completed') {
+        stopWatching();
+        const imageUrl = status.imageUrl || (Array.isArray(status.output) ? status.output[0] : status.output);
+        if (!imageUrl) return fail('No result image was returned', 'result', predictionId);
+        modal.result.src = imageUrl;
+        modal.result.style.display = 'block';
+        modal.again.style.display = 'block';
+        setStatus('');
+        modal.progress.style.display = 'none';
+        emit('result', { predictionId, imageUrl, productId: product.productId });
+        // Status polls record result_viewed on the server already
+        if (!polled) track('result_viewed', { predictionId, productId: product.productId });
+      } else if (status.status === 'failed' || status.status === 'canceled') {
+        fail(status.error || 'The try-on did not work. Please try another photo.', 'progress', predictionId);
+      }
+    };
+
+    if (typeof window.EventSource === 'function') {
+      source = new window.EventSource(`${apiBase}/api/tryon/${encodeURIComponent(predictionId)}/events?api_key=${encodeURIComponent(apiKey)}`);
+      source.addEventListener('status', event => handle(JSON.parse(event.data), { polled: false }));
+      source.addEventListener('timeout', () => fail('This is taking too long. Please try again.', 'progress', predictionId));
+      source.onerror = () => {
+        // EventSource reconnects on its own unless the server refused the stream
+        if (source.readyState === window.EventSource.CLOSED && !stopped) {
+          fail('Lost connection. Please try again.', 'progress', predictionId);
+        }
+      };
+      return;
+    }
+
+    const poll = () => {
+      if (stopped) return;
+      if (Date.now() - startedAt > TIMEOUT_MS) return fail('This is taking too long. Please try again.', 'progress', predictionId);
+      fetch(`${apiBase}/api/tryon/${encodeURIComponent(predictionId)}`, { headers: { 'x-vmize-api-key': apiKey } })
+        .then(response => response.json())
+        .then(status => {
+          handle(status, { polled: true });
+          if (!stopped) timer = setTimeout(poll, POLL_INTERVAL_MS);
+        })
+        .catch(() => {
+          if (!stopped) timer = setTimeout(poll, POLL_INTERVAL_MS);
+        });
+    };
+    poll();
+  }
+
+  // =====================================
+  // AUTO-MOUNT
+  // =====================================
+
+  function productFrom(node) {
+    return {
+      productImage: node.dataset.vmizeProductImage,
+      productId: node.dataset.vmizeProductId,
+      category: node.dataset.vmizeCategory
+    };
+  }
+
+  function mount(root) {
+    const nodes = (root || document).querySelectorAll('[data-vmize-product-image]');
+    Array.prototype.forEach.call(nodes, node => {
+      if (node.dataset.vmizeMounted) return;
+      node.dataset.vmizeMounted = 'true';
+      let button = node;
+      if (node.tagName !== 'BUTTON') {
+        button = element('button', 'vmize-tryon-button', config.buttonText);
+        button.type = 'button';
+        styleButton(button);
+        node.appendChild(button);
+      }
+      button.addEventListener('click', event => {
+        event.preventDefault();
+        open(productFrom(node));
+      });
+      const { productId } = productFrom(node);
+      const viewKey = productId || node.dataset.vmizeProductImage;
+      if (!viewedProducts[viewKey]) {
+        viewedProducts[viewKey] = true;
+        track('product_view', { productId });
+      }
+    });
+  }
+
+  const ready = loadConfig();
+
+  window.Vmize = { version: VERSION, ready, open, close, on, off, track, mount };
+
+  ready.then(() => {
+    const start = () => {
+      mount(document);
+      document.dispatchEvent(new CustomEvent('vmize:ready'));
+    };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+    else start();
+  });
+})();
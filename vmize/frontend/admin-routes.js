@@ -1,13 +0,0 @@
-// =================================================================
-// VMIZE STUDIO - ADMIN API ENDPOINTS
-// =================================================================
-// Add these routes to your existing server.js or create admin-routes.js
-// =================================================================
-
-const express = require('express');
-const router = express.Router();
-const Customer = require('./models/Customer');
-
-// ... (truncated for brevity - copied from original /frontend/admin-routes.js)
-
-module.exports = router;